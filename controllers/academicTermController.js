@@ -0,0 +1,398 @@
+const { AcademicTerm, Group, Attendance } = require('../models');
+const { validationResult } = require('express-validator');
+const PromotionService = require('../services/promotionService');
+
+class AcademicTermController {
+    // Get all academic terms
+    static async getAllTerms(req, res) {
+        try {
+            const { page = 1, limit = 10, search = '' } = req.query;
+
+            const query = {};
+
+            if (search) {
+                query.name = { $regex: search, $options: 'i' };
+            }
+
+            const terms = await AcademicTerm.find(query)
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ startDate: -1 });
+
+            const total = await AcademicTerm.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: terms,
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get academic terms error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching academic terms'
+            });
+        }
+    }
+
+    // Get the active academic term
+    static async getActiveTerm(req, res) {
+        try {
+            const term = await AcademicTerm.findActive();
+
+            if (!term) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No academic term is active'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: term
+            });
+        } catch (error) {
+            console.error('Get active academic term error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching active academic term'
+            });
+        }
+    }
+
+    // Get academic term by ID with its groups
+    static async getTermById(req, res) {
+        try {
+            const term = await AcademicTerm.findById(req.params.id)
+                .populate({
+                    path: 'groups',
+                    select: 'name code department year semester isArchived',
+                    populate: { path: 'department', select: 'name code' }
+                });
+
+            if (!term) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Academic term not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: term
+            });
+        } catch (error) {
+            console.error('Get academic term error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching academic term'
+            });
+        }
+    }
+
+    // Create new academic term
+    static async createTerm(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { name, startDate, endDate, isActive } = req.body;
+
+            const conflict = await AcademicTermController.findConflict(null, name, startDate, endDate);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflict
+                });
+            }
+
+            const term = new AcademicTerm({ name, startDate, endDate });
+            await term.save();
+
+            if (isActive) {
+                await term.activate();
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Academic term created successfully',
+                data: term
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(e => e.message)
+                });
+            }
+
+            console.error('Create academic term error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error creating academic term'
+            });
+        }
+    }
+
+    // Update academic term
+    static async updateTerm(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { name, startDate, endDate } = req.body;
+
+            const term = await AcademicTerm.findById(req.params.id);
+            if (!term) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Academic term not found'
+                });
+            }
+
+            const conflict = await AcademicTermController.findConflict(term._id, name, startDate, endDate);
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflict
+                });
+            }
+
+            term.name = name;
+            term.startDate = startDate;
+            term.endDate = endDate;
+            await term.save();
+
+            res.json({
+                success: true,
+                message: 'Academic term updated successfully',
+                data: term
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(e => e.message)
+                });
+            }
+
+            console.error('Update academic term error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating academic term'
+            });
+        }
+    }
+
+    // Delete academic term
+    static async deleteTerm(req, res) {
+        try {
+            const term = await AcademicTerm.findById(req.params.id);
+
+            if (!term) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Academic term not found'
+                });
+            }
+
+            if (term.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot delete the active academic term'
+                });
+            }
+
+            const [groupCount, attendanceCount] = await Promise.all([
+                Group.countDocuments({ term: term._id }),
+                Attendance.countDocuments({ term: term._id })
+            ]);
+
+            if (groupCount > 0 || attendanceCount > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot delete academic term that has groups or attendance records'
+                });
+            }
+
+            await AcademicTerm.findByIdAndDelete(term._id);
+
+            res.json({
+                success: true,
+                message: 'Academic term deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete academic term error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting academic term'
+            });
+        }
+    }
+
+    // Make an academic term the active one
+    static async activateTerm(req, res) {
+        try {
+            const term = await AcademicTerm.findById(req.params.id);
+
+            if (!term) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Academic term not found'
+                });
+            }
+
+            await term.activate();
+
+            res.json({
+                success: true,
+                message: 'Academic term activated successfully',
+                data: term
+            });
+        } catch (error) {
+            console.error('Activate academic term error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error activating academic term'
+            });
+        }
+    }
+
+    // Promote students of the previous term into this term's groups
+    static async promoteStudents(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const {
+                sourceTermId,
+                mappings = [],
+                advanceYear = true,
+                activate = true,
+                dryRun = false
+            } = req.body;
+
+            const targetTerm = await AcademicTerm.findById(req.params.id);
+            if (!targetTerm) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Academic term not found'
+                });
+            }
+
+            if (targetTerm.promotion && targetTerm.promotion.completedAt) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Students have already been promoted into this term'
+                });
+            }
+
+            // Promote from the active term unless told otherwise
+            const sourceTerm = sourceTermId
+                ? await AcademicTerm.findById(sourceTermId)
+                : await AcademicTerm.findActive();
+
+            if (!sourceTerm) {
+                return res.status(404).json({
+                    success: false,
+                    message: sourceTermId ? 'Source academic term not found' : 'No active academic term to promote from'
+                });
+            }
+
+            if (sourceTerm._id.equals(targetTerm._id) || sourceTerm.startDate >= targetTerm.startDate) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Source term must start before the target term'
+                });
+            }
+
+            const plan = await PromotionService.planPromotion(sourceTerm, targetTerm, { mappings, advanceYear });
+            if (plan.errors) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid group mappings',
+                    errors: plan.errors
+                });
+            }
+
+            if (dryRun) {
+                return res.json({
+                    success: true,
+                    message: 'Promotion plan generated; no changes were made',
+                    data: PromotionService.describePlan(plan)
+                });
+            }
+
+            const result = await PromotionService.applyPromotion(plan, { userId: req.user.id, activate });
+
+            if (!result) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Students have already been promoted into this term'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Promoted ${result.summary.promoted} students and graduated ${result.summary.graduated}`,
+                data: {
+                    ...PromotionService.describePlan(plan),
+                    targetTerm: result.targetTerm
+                }
+            });
+        } catch (error) {
+            console.error('Promote students error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error promoting students'
+            });
+        }
+    }
+
+    // Describe a name clash or date overlap with another term, if any
+    static async findConflict(termId, name, startDate, endDate) {
+        const excludeSelf = termId ? { _id: { $ne: termId } } : {};
+
+        const sameName = await AcademicTerm.findOne({ ...excludeSelf, name });
+        if (sameName) {
+            return 'Academic term with this name already exists';
+        }
+
+        const overlapping = await AcademicTerm.findOne({
+            ...excludeSelf,
+            startDate: { $lt: new Date(endDate) },
+            endDate: { $gt: new Date(startDate) }
+        });
+        if (overlapping) {
+            return `Academic term dates overlap with ${overlapping.name}`;
+        }
+
+        return null;
+    }
+}
+
+module.exports = AcademicTermController;
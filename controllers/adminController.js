@@ -0,0 +1,565 @@
+const { Admin, Department, User } = require('../models');
+const { validationResult } = require('express-validator');
+const AccountService = require('../services/accountService');
+const AuditService = require('../services/auditService');
+const NotificationService = require('../services/notificationService');
+const PasswordResetService = require('../services/passwordResetService');
+const SessionService = require('../services/sessionService');
+
+// Whether an admin is the only active super admin left, who must not be demoted, deactivated or deleted
+const isLastSuperAdmin = async (admin) => {
+    if (admin.role !== 'super_admin' || !admin.isActive) return false;
+
+    const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'super_admin', isActive: true });
+    return others === 0;
+};
+
+// Admin profile with the state of its login identity
+const withAccount = (admin, user) => ({
+    ...admin.toJSON(),
+    account: user ? {
+        userId: user._id,
+        isActive: user.isActive,
+        lastLoginAt: user.lastLoginAt,
+        lockUntil: user.lockUntil,
+        twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+    } : null
+});
+
+const ACCOUNT_FIELDS = 'profile isActive lastLoginAt lockUntil twoFactor.enabled';
+
+class AdminController {
+    // Get all admins with pagination
+    static async getAllAdmins(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { page = 1, limit = 10, search = '', role = '', isActive = '' } = req.query;
+
+            const query = {};
+
+            if (search) {
+                query.$or = [
+                    { name: { $regex: search, $options: 'i' } },
+                    { email: { $regex: search, $options: 'i' } }
+                ];
+            }
+
+            if (role) query.role = role;
+            if (isActive) query.isActive = isActive === 'true';
+
+            const admins = await Admin.find(query)
+                .populate('departments', 'name code')
+                .select('-password')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ name: 1 });
+
+            const total = await Admin.countDocuments(query);
+
+            const users = await User.find({ profile: { $in: admins.map(admin => admin._id) } }).select(ACCOUNT_FIELDS);
+            const usersByProfile = new Map(users.map(user => [user.profile.toString(), user]));
+
+            res.json({
+                success: true,
+                data: admins.map(admin => withAccount(admin, usersByProfile.get(admin._id.toString()))),
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get admins error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching admins'
+            });
+        }
+    }
+
+    // Get admin by ID
+    static async getAdminById(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const admin = await Admin.findById(req.params.id)
+                .populate('departments', 'name code')
+                .select('-password');
+
+            if (!admin) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Admin not found'
+                });
+            }
+
+            const user = await User.findOne({ profile: admin._id }).select(ACCOUNT_FIELDS);
+
+            res.json({
+                success: true,
+                data: withAccount(admin, user)
+            });
+        } catch (error) {
+            console.error('Get admin error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching admin'
+            });
+        }
+    }
+
+    // Create new admin
+    static async createAdmin(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { name, email, password, role = 'admin', permissions = [], departments = [], profile } = req.body;
+
+            if (await AccountService.isEmailTaken(email)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'An account with this email already exists'
+                });
+            }
+
+            if (departments.length > 0) {
+                if (role === 'super_admin') {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Super admins always have access to every department'
+                    });
+                }
+
+                const departmentCount = await Department.countDocuments({ _id: { $in: departments } });
+                if (departmentCount !== new Set(departments.map(String)).size) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'One or more departments do not exist'
+                    });
+                }
+            }
+
+            const { profile: admin } = await AccountService.createAccount(role, {
+                name,
+                email,
+                role,
+                permissions: [...new Set(permissions)],
+                departments,
+                profile
+            }, password);
+
+            await admin.populate('departments', 'name code');
+
+            AuditService.track(req, { entityType: 'admin', entityId: admin._id, after: admin });
+
+            NotificationService.accountCreated(admin, role)
+                .catch(error => console.error('Account notification error:', error));
+
+            res.status(201).json({
+                success: true,
+                message: 'Admin created successfully',
+                data: admin
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'An account with this email already exists'
+                });
+            }
+
+            console.error('Create admin error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error creating admin'
+            });
+        }
+    }
+
+    // Update admin details and role; the login identity follows email and role changes
+    static async updateAdmin(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const admin = await Admin.findById(req.params.id).select('-password');
+
+            if (!admin) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Admin not found'
+                });
+            }
+
+            const { name, email, role, profile } = req.body;
+
+            if (role !== undefined && role !== admin.role) {
+                if (admin._id.equals(req.user.id)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'You cannot change your own role'
+                    });
+                }
+
+                if (await isLastSuperAdmin(admin)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Cannot demote the last active super admin'
+                    });
+                }
+            }
+
+            if (email && await AccountService.isEmailTaken(email, { exceptProfile: admin._id })) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Another account with this email already exists'
+                });
+            }
+
+            const before = admin.toObject();
+
+            if (name !== undefined) admin.name = name;
+            if (email !== undefined) admin.email = email;
+            if (profile !== undefined) admin.profile = profile;
+            if (role !== undefined) {
+                admin.role = role;
+                // Super admins are never limited to departments
+                if (role === 'super_admin') admin.departments = [];
+            }
+
+            await admin.save();
+
+            if (before.email !== admin.email) {
+                await AccountService.syncEmail(admin);
+            }
+            if (before.role !== admin.role) {
+                await User.updateOne({ profile: admin._id }, { $set: { role: admin.role } });
+            }
+
+            await admin.populate('departments', 'name code');
+
+            AuditService.track(req, { entityType: 'admin', entityId: admin._id, before, after: admin });
+
+            res.json({
+                success: true,
+                message: 'Admin updated successfully',
+                data: admin
+            });
+        } catch (error) {
+            console.error('Update admin error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating admin'
+            });
+        }
+    }
+
+    // Replace the permissions of an admin, which limit its built-in admin grants; an empty list
+    // restores them all. Custom roles take precedence, and super admins hold every permission regardless.
+    static async updatePermissions(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const admin = await Admin.findById(req.params.id).select('-password');
+
+            if (!admin) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Admin not found'
+                });
+            }
+
+            const before = { permissions: admin.permissions };
+            admin.permissions = [...new Set(req.body.permissions)];
+            await admin.save();
+
+            AuditService.track(req, { entityType: 'admin', entityId: admin._id, before, after: { permissions: admin.permissions } });
+
+            res.json({
+                success: true,
+                message: 'Admin permissions updated successfully',
+                data: admin
+            });
+        } catch (error) {
+            console.error('Update admin permissions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating admin permissions'
+            });
+        }
+    }
+
+    // Activate or deactivate an admin; deactivation signs the admin out everywhere
+    static async updateStatus(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { isActive } = req.body;
+
+            const admin = await Admin.findById(req.params.id).select('-password');
+
+            if (!admin) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Admin not found'
+                });
+            }
+
+            if (!isActive) {
+                if (admin._id.equals(req.user.id)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'You cannot deactivate your own account'
+                    });
+                }
+
+                if (await isLastSuperAdmin(admin)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Cannot deactivate the last active super admin'
+                    });
+                }
+            }
+
+            const before = { isActive: admin.isActive };
+            admin.isActive = isActive;
+            await admin.save();
+
+            if (!isActive) {
+                const user = await AccountService.findByProfile(admin._id);
+                if (user) {
+                    await SessionService.revoke({ user: user._id }, 'account_deactivated');
+                }
+            }
+
+            AuditService.track(req, {
+                entityType: 'admin',
+                entityId: admin._id,
+                action: isActive ? 'update:activate' : 'update:deactivate',
+                before,
+                after: { isActive }
+            });
+
+            res.json({
+                success: true,
+                message: isActive ? 'Admin activated successfully' : 'Admin deactivated successfully',
+                data: admin
+            });
+        } catch (error) {
+            console.error('Update admin status error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating admin status'
+            });
+        }
+    }
+
+    // Force a password reset: the current password stops working and a reset link is emailed
+    static async forcePasswordReset(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const user = await User.findOne({ profile: req.params.id }).populate('profile');
+
+            if (!user || user.profileModel !== 'Admin') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Admin not found'
+                });
+            }
+
+            if (user._id.equals(req.user.userId)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Use change password for your own account'
+                });
+            }
+
+            if (!AccountService.isUsable(user)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot reset the password of a deactivated admin'
+                });
+            }
+
+            await PasswordResetService.forceReset(user, { ipAddress: req.ip });
+
+            AuditService.track(req, { entityType: 'admin', entityId: user.profile._id, action: 'update:force-password-reset' });
+
+            res.json({
+                success: true,
+                message: 'Password reset; the admin has been signed out and emailed a link to choose a new password'
+            });
+        } catch (error) {
+            console.error('Force admin password reset error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error resetting admin password'
+            });
+        }
+    }
+
+    // Delete admin and its login identity
+    static async deleteAdmin(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const admin = await Admin.findById(req.params.id).select('-password');
+
+            if (!admin) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Admin not found'
+                });
+            }
+
+            if (admin._id.equals(req.user.id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot delete your own account'
+                });
+            }
+
+            if (await isLastSuperAdmin(admin)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot delete the last active super admin'
+                });
+            }
+
+            await Admin.findByIdAndDelete(admin._id);
+            await AccountService.deleteAccount(admin._id);
+
+            AuditService.track(req, { entityType: 'admin', entityId: admin._id, before: admin, after: null });
+
+            res.json({
+                success: true,
+                message: 'Admin deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete admin error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting admin'
+            });
+        }
+    }
+
+    // Limit an admin to departments; an empty list gives back access to every department
+    static async updateDepartments(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const departmentIds = [...new Set(req.body.departments.map(String))];
+
+            const admin = await Admin.findById(req.params.id);
+
+            if (!admin) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Admin not found'
+                });
+            }
+
+            if (admin.role === 'super_admin') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Super admins always have access to every department'
+                });
+            }
+
+            const departmentCount = await Department.countDocuments({ _id: { $in: departmentIds } });
+            if (departmentCount !== departmentIds.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'One or more departments do not exist'
+                });
+            }
+
+            const before = { departments: admin.departments };
+            admin.departments = departmentIds;
+            await admin.save();
+
+            await admin.populate('departments', 'name code');
+
+            AuditService.track(req, { entityType: 'admin', entityId: admin._id, before, after: { departments: departmentIds } });
+
+            res.json({
+                success: true,
+                message: 'Admin departments updated successfully',
+                data: admin
+            });
+        } catch (error) {
+            console.error('Update admin departments error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating admin departments'
+            });
+        }
+    }
+}
+
+module.exports = AdminController;
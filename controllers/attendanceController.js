@@ -1,13 +1,18 @@
-const { Attendance, Student, Group, Doctor } = require('../models');
+const { Attendance, AttendanceAudit, Student, Group, Doctor, UsedQRToken, LectureSession, ScheduleSlot, AcademicTerm } = require('../models');
 const { validationResult } = require('express-validator');
 const QRService = require('../services/qrService');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+const AttendanceAuditService = require('../services/attendanceAuditService');
+const NotificationService = require('../services/notificationService');
+const PolicyService = require('../services/policyService');
 const mongoose = require('mongoose');
+const { runInTransaction } = require('../utils/transaction');
 
 class AttendanceController {
     // Scan QR code and record attendance
     static async scanQRCode(req, res) {
         try {
-            const { qrData, groupId, lectureDetails = {} } = req.body;
+            const { qrData, groupId } = req.body;
 
             if (!qrData || !groupId) {
                 return res.status(400).json({
@@ -16,108 +21,389 @@ class AttendanceController {
                 });
             }
 
-            // Parse and validate QR code
-            let parsedQRData;
-            try {
-                parsedQRData = QRService.parseQRData(qrData);
-                QRService.validateQRCode(parsedQRData);
-            } catch (error) {
-                return res.status(400).json({
+            const result = await AttendanceController.processScan(req.body, req.user, {
+                scannedAt: new Date(),
+                ipAddress: req.ip
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
                     success: false,
-                    message: error.message
+                    message: result.error,
+                    errors: result.errors,
+                    data: result.existing
                 });
             }
 
-            // Find the student
-            const student = await Student.findById(parsedQRData.studentId)
-                .populate('group', '_id name')
-                .populate('department', '_id name');
+            // Populate the attendance record for response
+            const populatedAttendance = await Attendance.findById(result.attendance._id)
+                .populate('student', 'name studentNumber')
+                .populate('group', 'name code')
+                .populate('doctor', 'name');
 
-            if (!student) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Student not found'
-                });
-            }
+            res.status(201).json({
+                success: true,
+                message: result.message,
+                data: populatedAttendance
+            });
 
-            if (!student.isActive) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Student account is inactive'
-                });
-            }
+        } catch (error) {
+            console.error('QR scan error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error processing QR code scan'
+            });
+        }
+    }
 
-            // Verify student belongs to the group
-            if (student.group._id.toString() !== groupId) {
+    // Sync a batch of scans captured offline on a doctor's device
+    static async syncOfflineScans(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Student does not belong to this group'
+                    message: 'Validation failed',
+                    errors: errors.array()
                 });
             }
 
-            // Check if doctor is assigned to this group
-            const doctor = await Doctor.findById(req.user.id);
-            if (req.user.role === 'doctor' && !doctor.assignedGroups.includes(groupId)) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'You are not assigned to this group'
-                });
+            const now = Date.now();
+            const maxAgeMs = (parseInt(process.env.OFFLINE_SYNC_MAX_AGE_HOURS) || 72) * 60 * 60 * 1000;
+            const clockSkewMs = 5 * 60 * 1000;
+
+            // Replay in capture order so earlier scans win when two conflict
+            const scans = req.body.scans
+                .map((scan, index) => ({ ...scan, index, scannedAt: new Date(scan.scannedAt) }))
+                .sort((a, b) => a.scannedAt - b.scannedAt);
+
+            const results = [];
+
+            for (const scan of scans) {
+                const outcome = {
+                    index: scan.index,
+                    idempotencyKey: scan.idempotencyKey
+                };
+
+                try {
+                    // A retried sync returns the record created the first time
+                    const synced = await Attendance.findOne({
+                        'offlineCapture.deviceId': scan.deviceId,
+                        'offlineCapture.idempotencyKey': scan.idempotencyKey
+                    }).select('_id status');
+
+                    if (synced) {
+                        results.push({
+                            ...outcome,
+                            result: 'duplicate',
+                            message: 'Scan was already synced',
+                            attendanceId: synced._id,
+                            status: synced.status
+                        });
+                        continue;
+                    }
+
+                    if (scan.scannedAt.getTime() > now + clockSkewMs) {
+                        results.push({ ...outcome, result: 'rejected', message: 'Scan time is in the future' });
+                        continue;
+                    }
+
+                    if (now - scan.scannedAt.getTime() > maxAgeMs) {
+                        results.push({ ...outcome, result: 'rejected', message: 'Scan is too old to be synced' });
+                        continue;
+                    }
+
+                    const result = await AttendanceController.processScan(scan, req.user, {
+                        scannedAt: scan.scannedAt,
+                        ipAddress: req.ip,
+                        offline: { deviceId: scan.deviceId, idempotencyKey: scan.idempotencyKey }
+                    });
+
+                    if (result.error) {
+                        results.push({
+                            ...outcome,
+                            result: result.status === 409 ? 'duplicate' : 'rejected',
+                            message: result.error,
+                            errors: result.errors,
+                            attendanceId: result.existing && result.existing._id
+                        });
+                        continue;
+                    }
+
+                    results.push({
+                        ...outcome,
+                        result: 'accepted',
+                        message: result.message,
+                        attendanceId: result.attendance._id,
+                        status: result.attendance.status,
+                        replacedAbsence: result.replacedAbsence
+                    });
+                } catch (error) {
+                    console.error('Offline scan sync item error:', error);
+                    results.push({ ...outcome, result: 'rejected', message: 'Error processing scan' });
+                }
             }
 
-            // Check if attendance already recorded for today
-            const today = new Date();
-            const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-            const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59);
+            results.sort((a, b) => a.index - b.index);
 
-            const existingAttendance = await Attendance.findOne({
-                student: student._id,
-                group: groupId,
-                lectureDate: {
-                    $gte: startOfDay,
-                    $lte: endOfDay
+            const summary = results.reduce((counts, item) => {
+                counts[item.result] += 1;
+                return counts;
+            }, { accepted: 0, duplicate: 0, rejected: 0 });
+
+            res.json({
+                success: true,
+                message: `Synced ${results.length} scans: ${summary.accepted} accepted, ${summary.duplicate} duplicate, ${summary.rejected} rejected`,
+                data: {
+                    summary,
+                    results
                 }
             });
+        } catch (error) {
+            console.error('Offline scan sync error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error syncing offline scans'
+            });
+        }
+    }
 
-            if (existingAttendance) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Attendance already recorded for this student today',
-                    data: existingAttendance
+    // Validate a student QR scan and record attendance as of `scannedAt`.
+    // Returns { attendance, message } or { status, error } like the other resolvers.
+    static async processScan(scan, user, { scannedAt = new Date(), ipAddress, offline = null } = {}) {
+        const { qrData, groupId, sessionId, courseId, location, lectureDetails = {} } = scan;
+
+        // Parse and validate QR code against the time it was scanned
+        let parsedQRData;
+        try {
+            parsedQRData = QRService.parseQRData(qrData);
+            QRService.validateQRCode(parsedQRData, scannedAt.getTime());
+        } catch (error) {
+            return { status: 400, error: error.message };
+        }
+
+        // Find the student
+        const student = await Student.findById(parsedQRData.studentId)
+            .populate('group', '_id name')
+            .populate('department', '_id name');
+
+        if (!student) {
+            return { status: 404, error: 'Student not found' };
+        }
+
+        if (!student.isActive) {
+            return { status: 400, error: 'Student account is inactive' };
+        }
+
+        // Regenerating a student's QR code revokes previously printed cards
+        const isCardScan = QRService.isCardToken(parsedQRData);
+        if (isCardScan && parsedQRData.cardId !== QRService.getCardId(student.qrCode)) {
+            return { status: 400, error: 'This ID card has been replaced, please use the latest card' };
+        }
+
+        // Verify student belongs to the group
+        if (student.group._id.toString() !== groupId) {
+            return { status: 400, error: 'Student does not belong to this group' };
+        }
+
+        // Check if doctor is assigned to this group
+        const doctor = await Doctor.findById(user.id);
+        if (user.role === 'doctor' && !doctor.assignedGroups.includes(groupId)) {
+            return { status: 403, error: 'You are not assigned to this group' };
+        }
+
+        // Resolve the lecture session the scan belongs to, if any; offline scans may sync after it closed
+        let session = null;
+        if (sessionId) {
+            const sessionResult = await AttendanceController.resolveSession(sessionId, groupId, user, {
+                allowClosed: Boolean(offline)
+            });
+            if (sessionResult.error) return sessionResult;
+            session = sessionResult.session;
+
+            if (session.closedAt && scannedAt > session.closedAt) {
+                return { status: 400, error: 'Scan was captured after the lecture session closed' };
+            }
+        }
+
+        // Without a session, use the timetable slot running at scan time
+        const lecture = session || await AttendanceController.resolveScheduledLecture(groupId, scannedAt);
+
+        // The lecture's course wins over one passed with the scan
+        const courseResult = await AttendanceController.resolveCourse((lecture && lecture.course) || courseId, groupId);
+        if (courseResult.error) return courseResult;
+
+        // Check if attendance already recorded for this lecture (or that day)
+        const existingAttendance = await Attendance.findExistingRecord({
+            student: student._id,
+            group: groupId,
+            session: session && session._id,
+            lectureDate: lecture ? lecture.startTime : scannedAt,
+            exactDate: Boolean(lecture)
+        });
+
+        // An offline scan proves presence the server could not see, so it replaces an
+        // absence added when the session closed; anything recorded by a person stands
+        const replacesAbsence = Boolean(offline && existingAttendance &&
+            existingAttendance.status === 'absent' && existingAttendance.recordedBy === 'system');
+
+        if (existingAttendance && !replacesAbsence) {
+            return {
+                status: 409,
+                error: lecture
+                    ? 'Attendance already recorded for this student in this lecture'
+                    : 'Attendance already recorded for this student today',
+                existing: existingAttendance
+            };
+        }
+
+        // Enforce the group's location / network policy; offline scans have no network address
+        const policyCheck = await AttendancePolicyService.checkScan(groupId, {
+            location,
+            ipAddress: offline ? undefined : ipAddress
+        });
+
+        if (!policyCheck.allowed) {
+            return {
+                status: 403,
+                error: 'Scan is outside the allowed attendance area',
+                errors: policyCheck.reasons
+            };
+        }
+
+        // Mark the scan late, or refuse it, based on the lecture start time
+        const timing = await AttendancePolicyService.resolveTiming(groupId, lecture, scannedAt);
+        if (timing.rejected) {
+            return {
+                status: 400,
+                error: `Check-in for this lecture closed; scan was ${timing.minutesLate} minutes after the start`
+            };
+        }
+
+        // Each rotating token can only be redeemed once; printed cards rely on the duplicate check above
+        if (!isCardScan) {
+            try {
+                await UsedQRToken.create({
+                    fingerprint: QRService.getTokenFingerprint(parsedQRData),
+                    student: student._id,
+                    step: parsedQRData.step,
+                    usedBy: user.id,
+                    expiresAt: new Date((parsedQRData.step + QRService.getAllowedDriftSteps() + 1) * QRService.getTokenStepMs())
                 });
+            } catch (error) {
+                if (error.code === 11000) {
+                    return { status: 409, error: 'QR code has already been used' };
+                }
+                throw error;
             }
+        }
 
-            // Create attendance record
-            const attendance = new Attendance({
+        const fields = {
+            doctor: session ? session.doctor : user.id,
+            course: courseResult.course,
+            status: timing.status,
+            recordedBy: 'qr_scan',
+            scannedAt,
+            notes: timing.status === 'absent'
+                ? `Scanned ${timing.minutesLate} minutes after lecture start, past the cutoff`
+                : undefined,
+            checkIn: policyCheck.checkIn,
+            isSuspicious: policyCheck.suspicious,
+            suspiciousReasons: policyCheck.reasons,
+            offlineCapture: offline ? { ...offline, syncedAt: new Date() } : undefined
+        };
+
+        let attendance;
+        let before = null;
+        if (replacesAbsence) {
+            before = AttendanceAuditService.snapshot(existingAttendance);
+            attendance = existingAttendance;
+            attendance.set(fields);
+        } else {
+            attendance = new Attendance({
+                ...fields,
                 student: student._id,
                 group: groupId,
-                doctor: req.user.id,
-                lectureDate: new Date(),
-                status: 'present',
-                recordedBy: 'qr_scan',
-                lectureDetails
+                session: session && session._id,
+                lectureDate: lecture ? lecture.startTime : scannedAt,
+                lectureDetails: lecture
+                    ? { subject: lecture.subject, lectureNumber: lecture.lectureNumber, ...lectureDetails }
+                    : lectureDetails
             });
+        }
 
-            await attendance.save();
+        await attendance.save();
 
-            // Populate the attendance record for response
-            const populatedAttendance = await Attendance.findById(attendance._id)
-                .populate('student', 'name studentNumber')
-                .populate('group', 'name code')
-                .populate('doctor', 'name');
+        await AttendanceAuditService.log(replacesAbsence ? 'update' : 'create', { before, after: attendance }, {
+            actor: user.id,
+            role: user.role,
+            ipAddress,
+            source: offline ? 'offline_sync' : 'qr_scan',
+            reason: replacesAbsence ? 'Offline scan replaced an absence recorded when the session closed' : undefined
+        });
 
-            res.status(201).json({
-                success: true,
-                message: 'Attendance recorded successfully',
-                data: populatedAttendance
-            });
+        if (attendance.status === 'absent') {
+            NotificationService.checkAbsenceThresholds(attendance.course, [attendance.student])
+                .catch(error => console.error('Absence notification error:', error));
+        }
 
-        } catch (error) {
-            console.error('QR scan error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Error processing QR code scan'
-            });
+        return {
+            attendance,
+            replacedAbsence: replacesAbsence,
+            message: policyCheck.suspicious
+                ? `Attendance recorded as ${timing.status} and flagged as suspicious`
+                : `Attendance recorded as ${timing.status}`
+        };
+    }
+
+    // Load a lecture session and check it can take attendance for the group
+    static async resolveSession(sessionId, groupId, user, { allowClosed = false } = {}) {
+        const session = await LectureSession.findById(sessionId);
+
+        if (!session) {
+            return { status: 404, error: 'Lecture session not found' };
+        }
+
+        if (session.group.toString() !== groupId.toString()) {
+            return { status: 400, error: 'Lecture session does not belong to this group' };
+        }
+
+        if (user.role === 'doctor' && !session.doctor.equals(user.id)) {
+            return { status: 403, error: 'Can only record attendance for your own lecture sessions' };
+        }
+
+        if (!allowClosed && session.status !== 'open') {
+            return { status: 400, error: 'Lecture session is closed' };
         }
+
+        return { session };
+    }
+
+    // Check that a course, when given, is taught to the group
+    static async resolveCourse(courseId, groupId) {
+        if (!courseId) return { course: undefined };
+
+        const group = await Group.findOne({ _id: groupId, 'courses.course': courseId }).select('_id');
+        if (!group) {
+            return { status: 400, error: 'Course is not assigned to this group' };
+        }
+
+        return { course: courseId };
+    }
+
+    // Describe the timetable slot running for a group at the given time as a lecture
+    static async resolveScheduledLecture(groupId, at = new Date()) {
+        const slot = await ScheduleSlot.findCurrent({ group: groupId }, at);
+        if (!slot) return null;
+
+        return {
+            scheduleSlot: slot._id,
+            course: slot.course,
+            subject: slot.subject,
+            startTime: slot.startsAt(at),
+            gracePeriodMinutes: slot.gracePeriodMinutes,
+            cutoffMinutes: slot.cutoffMinutes
+        };
     }
 
     // Manually record attendance
@@ -132,7 +418,7 @@ class AttendanceController {
                 });
             }
 
-            const { studentId, groupId, status, lectureDate, notes, lectureDetails = {} } = req.body;
+            const { studentId, groupId, sessionId, courseId, status, lectureDate, notes, lectureDetails = {} } = req.body;
 
             // Verify student exists and belongs to group
             const student = await Student.findById(studentId);
@@ -161,24 +447,43 @@ class AttendanceController {
                 }
             }
 
+            // Resolve the lecture session the record belongs to, if any
+            let session = null;
+            if (sessionId) {
+                const sessionResult = await AttendanceController.resolveSession(sessionId, groupId, req.user, { allowClosed: true });
+                if (sessionResult.error) {
+                    return res.status(sessionResult.status).json({
+                        success: false,
+                        message: sessionResult.error
+                    });
+                }
+                session = sessionResult.session;
+            }
+
+            const courseResult = await AttendanceController.resolveCourse((session && session.course) || courseId, groupId);
+            if (courseResult.error) {
+                return res.status(courseResult.status).json({
+                    success: false,
+                    message: courseResult.error
+                });
+            }
+
             // Check for existing attendance record
-            const lectureDateTime = new Date(lectureDate);
-            const startOfDay = new Date(lectureDateTime.getFullYear(), lectureDateTime.getMonth(), lectureDateTime.getDate());
-            const endOfDay = new Date(lectureDateTime.getFullYear(), lectureDateTime.getMonth(), lectureDateTime.getDate(), 23, 59, 59);
+            const lectureDateTime = session ? session.startTime : new Date(lectureDate);
 
-            const existingAttendance = await Attendance.findOne({
+            const existingAttendance = await Attendance.findExistingRecord({
                 student: studentId,
                 group: groupId,
-                lectureDate: {
-                    $gte: startOfDay,
-                    $lte: endOfDay
-                }
+                session: session && session._id,
+                lectureDate: lectureDateTime
             });
 
             if (existingAttendance) {
                 return res.status(409).json({
                     success: false,
-                    message: 'Attendance already recorded for this student on this date'
+                    message: session
+                        ? 'Attendance already recorded for this student in this lecture'
+                        : 'Attendance already recorded for this student on this date'
                 });
             }
 
@@ -186,16 +491,27 @@ class AttendanceController {
             const attendance = new Attendance({
                 student: studentId,
                 group: groupId,
-                doctor: req.user.id,
+                doctor: session ? session.doctor : req.user.id,
+                session: session && session._id,
+                course: courseResult.course,
                 lectureDate: lectureDateTime,
                 status,
                 recordedBy: 'manual',
                 notes,
-                lectureDetails
+                lectureDetails: session
+                    ? { subject: session.subject, lectureNumber: session.lectureNumber, ...lectureDetails }
+                    : lectureDetails
             });
 
             await attendance.save();
 
+            await AttendanceAuditService.log('create', { after: attendance }, AttendanceAuditService.actorFromRequest(req, 'manual'));
+
+            if (attendance.status === 'absent') {
+                NotificationService.checkAbsenceThresholds(attendance.course, [attendance.student])
+                    .catch(error => console.error('Absence notification error:', error));
+            }
+
             const populatedAttendance = await Attendance.findById(attendance._id)
                 .populate('student', 'name studentNumber')
                 .populate('group', 'name code')
@@ -225,6 +541,8 @@ class AttendanceController {
                 groupId,
                 studentId,
                 doctorId,
+                courseId,
+                termId,
                 startDate,
                 endDate,
                 status
@@ -235,6 +553,7 @@ class AttendanceController {
             if (groupId) query.group = groupId;
             if (studentId) query.student = studentId;
             if (doctorId) query.doctor = doctorId;
+            if (courseId) query.course = courseId;
             if (status) query.status = status;
 
             if (startDate || endDate) {
@@ -243,18 +562,33 @@ class AttendanceController {
                 if (endDate) query.lectureDate.$lte = new Date(endDate);
             }
 
+            if (termId) {
+                const term = await AcademicTerm.findById(termId);
+                if (!term) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Academic term not found'
+                    });
+                }
+                Object.assign(query, Attendance.termFilter(term));
+            }
+
             // Apply access control based on user role
             if (req.user.role === 'doctor') {
                 const doctor = await Doctor.findById(req.user.id);
                 query.group = { $in: doctor.assignedGroups };
             } else if (req.user.role === 'student') {
                 query.student = req.user.id;
+            } else if (req.scope && !req.scope.all) {
+                // Department-scoped admins only see their departments' groups
+                query.$and = [{ group: { $in: await PolicyService.scopeGroupIds(req.scope) } }];
             }
 
             const attendance = await Attendance.find(query)
                 .populate('student', 'name studentNumber')
                 .populate('group', 'name code')
                 .populate('doctor', 'name profile.title')
+                .populate('course', 'code title')
                 .limit(limit * 1)
                 .skip((page - 1) * limit)
                 .sort({ lectureDate: -1 });
@@ -283,7 +617,16 @@ class AttendanceController {
     // Update attendance record
     static async updateAttendance(req, res) {
         try {
-            const { status, notes, lectureDetails } = req.body;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { status, notes, lectureDetails, reason } = req.body;
             const attendanceId = req.params.id;
 
             const attendance = await Attendance.findById(attendanceId);
@@ -317,6 +660,17 @@ class AttendanceController {
                 .populate('group', 'name code')
                 .populate('doctor', 'name');
 
+            await AttendanceAuditService.log('update', { before: attendance, after: updatedAttendance }, {
+                ...AttendanceAuditService.actorFromRequest(req, 'manual'),
+                reason
+            });
+
+            // Excusing an absence lowers the count, so only new absences are checked
+            if (updatedAttendance.status === 'absent' && attendance.status !== 'absent') {
+                NotificationService.checkAbsenceThresholds(updatedAttendance.course, [updatedAttendance.student._id])
+                    .catch(error => console.error('Absence notification error:', error));
+            }
+
             res.json({
                 success: true,
                 message: 'Attendance updated successfully',
@@ -352,7 +706,17 @@ class AttendanceController {
                 });
             }
 
-            await Attendance.findByIdAndDelete(req.params.id);
+            // Soft delete so the record can be restored
+            const before = AttendanceAuditService.snapshot(attendance);
+            attendance.isDeleted = true;
+            attendance.deletedAt = new Date();
+            attendance.deletedBy = req.user.id;
+            await attendance.save();
+
+            await AttendanceAuditService.log('delete', { before, after: attendance }, {
+                ...AttendanceAuditService.actorFromRequest(req, 'manual'),
+                reason: req.body && req.body.reason
+            });
 
             res.json({
                 success: true,
@@ -368,6 +732,177 @@ class AttendanceController {
         }
     }
 
+    // Restore a deleted attendance record
+    static async restoreAttendance(req, res) {
+        try {
+            const attendance = await Attendance.findOne({ _id: req.params.id, isDeleted: true });
+
+            if (!attendance) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Deleted attendance record not found'
+                });
+            }
+
+            // Check authorization
+            if (req.user.role === 'doctor' && attendance.doctor.toString() !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Can only restore your own attendance records'
+                });
+            }
+
+            // A replacement may have been recorded since the deletion
+            const replacement = await Attendance.findExistingRecord({
+                student: attendance.student,
+                group: attendance.group,
+                session: attendance.session,
+                lectureDate: attendance.lectureDate,
+                exactDate: true
+            });
+
+            if (replacement) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Another attendance record exists for this lecture; delete it before restoring',
+                    data: replacement
+                });
+            }
+
+            const before = AttendanceAuditService.snapshot(attendance);
+            attendance.isDeleted = false;
+            attendance.deletedAt = undefined;
+            attendance.deletedBy = undefined;
+            await attendance.save();
+
+            await AttendanceAuditService.log('restore', { before, after: attendance }, {
+                ...AttendanceAuditService.actorFromRequest(req, 'manual'),
+                reason: req.body && req.body.reason
+            });
+
+            res.json({
+                success: true,
+                message: 'Attendance record restored successfully',
+                data: attendance
+            });
+
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Another attendance record exists for this lecture; delete it before restoring'
+                });
+            }
+
+            console.error('Restore attendance error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error restoring attendance record'
+            });
+        }
+    }
+
+    // Get the change history of an attendance record, including deleted ones
+    static async getAttendanceHistory(req, res) {
+        try {
+            const attendance = await Attendance.findById(req.params.id)
+                .setOptions({ withDeleted: true })
+                .populate('student', 'name studentNumber')
+                .populate('group', 'name code');
+
+            if (!attendance) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Attendance record not found'
+                });
+            }
+
+            if (req.user.role === 'doctor') {
+                const doctor = await Doctor.findById(req.user.id).select('assignedGroups');
+                if (!attendance.doctor.equals(req.user.id) &&
+                    !doctor.assignedGroups.some(groupId => groupId.equals(attendance.group._id))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'You are not assigned to this group'
+                    });
+                }
+            }
+
+            const history = await AttendanceAudit.find({ attendance: attendance._id }).sort({ createdAt: 1 });
+
+            res.json({
+                success: true,
+                data: {
+                    attendance,
+                    history
+                }
+            });
+
+        } catch (error) {
+            console.error('Get attendance history error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching attendance history'
+            });
+        }
+    }
+
+    // Search the attendance audit log
+    static async searchAuditLog(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { page = 1, limit = 50, attendanceId, studentId, groupId, actorId, action, startDate, endDate } = req.query;
+
+            const query = {};
+
+            if (attendanceId) query.attendance = attendanceId;
+            if (studentId) query.student = studentId;
+            if (groupId) query.group = groupId;
+            if (actorId) query.actor = actorId;
+            if (action) query.action = action;
+
+            if (startDate || endDate) {
+                query.createdAt = {};
+                if (startDate) query.createdAt.$gte = new Date(startDate);
+                if (endDate) query.createdAt.$lte = new Date(endDate);
+            }
+
+            const entries = await AttendanceAudit.find(query)
+                .populate('student', 'name studentNumber')
+                .populate('group', 'name code')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ createdAt: -1 });
+
+            const total = await AttendanceAudit.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: entries,
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+
+        } catch (error) {
+            console.error('Search attendance audit log error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error searching attendance audit log'
+            });
+        }
+    }
+
     // Get attendance statistics
     static async getAttendanceStats(req, res) {
         try {
@@ -388,6 +923,9 @@ class AttendanceController {
                 matchQuery.group = { $in: doctor.assignedGroups.map(id => mongoose.Types.ObjectId(id)) };
             } else if (req.user.role === 'student') {
                 matchQuery.student = mongoose.Types.ObjectId(req.user.id);
+            } else if (req.scope && !req.scope.all) {
+                // Department-scoped admins only see their departments' groups
+                matchQuery.$and = [{ group: { $in: await PolicyService.scopeGroupIds(req.scope) } }];
             }
 
             const stats = await Attendance.aggregate([
@@ -444,18 +982,21 @@ class AttendanceController {
         }
     }
 
-    // Bulk attendance record
+    // Bulk attendance record; the whole roster is validated first and written in one transaction.
+    // mode "insert" fails when any student already has a record that day, "upsert" overwrites it.
     static async bulkRecordAttendance(req, res) {
         try {
-            const { groupId, lectureDate, attendanceList, lectureDetails = {} } = req.body;
-
-            if (!groupId || !attendanceList || !Array.isArray(attendanceList)) {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Group ID and attendance list are required'
+                    message: 'Validation failed',
+                    errors: errors.array()
                 });
             }
 
+            const { groupId, courseId, lectureDate, attendanceList, lectureDetails = {}, mode = 'insert' } = req.body;
+
             // Check if doctor is assigned to this group
             if (req.user.role === 'doctor') {
                 const doctor = await Doctor.findById(req.user.id);
@@ -467,71 +1008,167 @@ class AttendanceController {
                 }
             }
 
-            const results = [];
-            const errors = [];
+            const group = await Group.findById(groupId).select('term isArchived');
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
 
-            for (const item of attendanceList) {
-                try {
-                    const { studentId, status, notes } = item;
+            if (group.isArchived) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Group is archived'
+                });
+            }
+
+            const courseResult = await AttendanceController.resolveCourse(courseId, groupId);
+            if (courseResult.error) {
+                return res.status(courseResult.status).json({
+                    success: false,
+                    message: courseResult.error
+                });
+            }
 
-                    // Check if attendance already exists
-                    const lectureDateTime = new Date(lectureDate);
-                    const startOfDay = new Date(lectureDateTime.getFullYear(), lectureDateTime.getMonth(), lectureDateTime.getDate());
-                    const endOfDay = new Date(lectureDateTime.getFullYear(), lectureDateTime.getMonth(), lectureDateTime.getDate(), 23, 59, 59);
+            // Validate the roster up front: no repeats, every student active and in the group
+            const studentIds = attendanceList.map(item => item.studentId);
+            const rosterErrors = studentIds
+                .filter((studentId, index) => studentIds.indexOf(studentId) !== index)
+                .map(studentId => ({ studentId, message: 'Student appears more than once in the list' }));
+
+            const members = await Student.find({ _id: { $in: studentIds }, group: groupId, isActive: true }).select('_id');
+            const memberIds = new Set(members.map(student => student._id.toString()));
+            for (const studentId of new Set(studentIds)) {
+                if (!memberIds.has(studentId)) {
+                    rosterErrors.push({ studentId, message: 'Student is not an active member of this group' });
+                }
+            }
 
-                    const existingAttendance = await Attendance.findOne({
-                        student: studentId,
-                        group: groupId,
-                        lectureDate: {
-                            $gte: startOfDay,
-                            $lte: endOfDay
-                        }
-                    });
+            if (rosterErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Attendance list is invalid; nothing was recorded',
+                    errors: rosterErrors
+                });
+            }
 
-                    if (existingAttendance) {
-                        errors.push({
+            const lectureDateTime = new Date(lectureDate);
+            const startOfDay = new Date(lectureDateTime.getFullYear(), lectureDateTime.getMonth(), lectureDateTime.getDate());
+            const endOfDay = new Date(lectureDateTime.getFullYear(), lectureDateTime.getMonth(), lectureDateTime.getDate(), 23, 59, 59);
+
+            const outcome = await runInTransaction(async (dbSession) => {
+                const existingRecords = await Attendance.find({
+                    student: { $in: studentIds },
+                    group: groupId,
+                    lectureDate: { $gte: startOfDay, $lte: endOfDay }
+                }).session(dbSession);
+
+                const existingByStudent = new Map(existingRecords.map(record => [record.student.toString(), record]));
+
+                if (mode === 'insert' && existingByStudent.size > 0) {
+                    return {
+                        conflicts: [...existingByStudent].map(([studentId, record]) => ({
                             studentId,
+                            attendanceId: record._id,
                             message: 'Attendance already recorded for this date'
-                        });
-                        continue;
+                        }))
+                    };
+                }
+
+                const records = [];
+                const created = [];
+                const updated = [];
+                const operations = attendanceList.map(({ studentId, status, notes }) => {
+                    const existing = existingByStudent.get(studentId);
+
+                    if (existing) {
+                        const changes = {
+                            status,
+                            notes,
+                            doctor: req.user.id,
+                            course: courseResult.course,
+                            recordedBy: 'manual',
+                            recordedAt: new Date()
+                        };
+
+                        records.push({ studentId, attendanceId: existing._id, status, action: 'updated' });
+                        updated.push({ before: existing, after: { ...existing.toObject({ virtuals: false }), ...changes } });
+
+                        return {
+                            updateOne: {
+                                filter: { _id: existing._id },
+                                update: { $set: changes }
+                            }
+                        };
                     }
 
-                    const attendance = new Attendance({
+                    // bulkWrite skips save hooks, so the term is stamped here
+                    const document = {
+                        _id: new mongoose.Types.ObjectId(),
                         student: studentId,
                         group: groupId,
                         doctor: req.user.id,
+                        course: courseResult.course,
+                        term: group.term,
                         lectureDate: lectureDateTime,
                         status,
                         recordedBy: 'manual',
                         notes,
                         lectureDetails
-                    });
+                    };
 
-                    await attendance.save();
-                    results.push({
-                        studentId,
-                        attendanceId: attendance._id,
-                        status: 'success'
-                    });
+                    records.push({ studentId, attendanceId: document._id, status, action: 'created' });
+                    created.push({ after: document });
 
-                } catch (error) {
-                    errors.push({
-                        studentId: item.studentId,
-                        message: error.message
-                    });
-                }
+                    return { insertOne: { document } };
+                });
+
+                await Attendance.bulkWrite(operations, { ordered: true, session: dbSession });
+
+                const auditContext = AttendanceAuditService.actorFromRequest(req, 'bulk_record');
+                await AttendanceAuditService.logMany('create', created, auditContext, dbSession);
+                await AttendanceAuditService.logMany('update', updated, auditContext, dbSession);
+
+                return { records };
+            });
+
+            if (outcome.conflicts) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Some students already have attendance for this date; use mode "upsert" to overwrite',
+                    errors: outcome.conflicts
+                });
             }
 
-            res.json({
+            const created = outcome.records.filter(record => record.action === 'created').length;
+            const updated = outcome.records.length - created;
+
+            const absentIds = outcome.records.filter(record => record.status === 'absent').map(record => record.studentId);
+            if (absentIds.length > 0) {
+                NotificationService.checkAbsenceThresholds(courseResult.course, absentIds)
+                    .catch(error => console.error('Absence notification error:', error));
+            }
+
+            res.status(created > 0 ? 201 : 200).json({
                 success: true,
-                message: `Processed ${results.length} attendance records`,
+                message: `Recorded ${outcome.records.length} attendance records (${created} created, ${updated} updated)`,
                 data: {
-                    successful: results,
-                    errors: errors
+                    mode,
+                    created,
+                    updated,
+                    successful: outcome.records
                 }
             });
 
         } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Attendance was recorded by another request at the same time; nothing was recorded'
+                });
+            }
+
             console.error('Bulk attendance error:', error);
             res.status(500).json({
                 success: false,
@@ -0,0 +1,101 @@
+const { AuditLog } = require('../models');
+const { validationResult } = require('express-validator');
+
+class AuditController {
+    // Search the system audit log
+    static async searchAuditLog(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const {
+                page = 1,
+                limit = 50,
+                actorId,
+                actorRole,
+                entityType,
+                entityId,
+                action,
+                outcome,
+                startDate,
+                endDate
+            } = req.query;
+
+            const query = {};
+
+            if (actorId) query.actor = actorId;
+            if (actorRole) query.actorRole = actorRole;
+            if (entityType) query.entityType = entityType;
+            if (entityId) query.entityId = entityId;
+            if (outcome) query.outcome = outcome;
+
+            // "update" also matches sub-actions such as "update:schedule/:id"
+            if (action) {
+                query.action = { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(:|$)` };
+            }
+
+            if (startDate || endDate) {
+                query.createdAt = {};
+                if (startDate) query.createdAt.$gte = new Date(startDate);
+                if (endDate) query.createdAt.$lte = new Date(endDate);
+            }
+
+            const entries = await AuditLog.find(query)
+                .select('-before -after')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ createdAt: -1 });
+
+            const total = await AuditLog.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: entries,
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Search audit log error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error searching audit log'
+            });
+        }
+    }
+
+    // Get one audit entry with the full before/after state
+    static async getAuditEntry(req, res) {
+        try {
+            const entry = await AuditLog.findById(req.params.id);
+
+            if (!entry) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Audit entry not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: entry
+            });
+        } catch (error) {
+            console.error('Get audit entry error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching audit entry'
+            });
+        }
+    }
+}
+
+module.exports = AuditController;
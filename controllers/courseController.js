@@ -0,0 +1,638 @@
+const { Course, Group, Doctor, Student, Attendance, AcademicTerm, DeprivationOverride } = require('../models');
+const { validationResult } = require('express-validator');
+const EligibilityService = require('../services/eligibilityService');
+const AuditService = require('../services/auditService');
+
+class CourseController {
+    // Get all courses
+    static async getAllCourses(req, res) {
+        try {
+            const { page = 1, limit = 10, search = '', department = '', year = '', semester = '' } = req.query;
+
+            const query = {};
+
+            if (search) {
+                query.$or = [
+                    { code: { $regex: search, $options: 'i' } },
+                    { title: { $regex: search, $options: 'i' } }
+                ];
+            }
+
+            if (department) query.department = department;
+            if (year) query.year = parseInt(year);
+            if (semester) query.semester = parseInt(semester);
+
+            const courses = await Course.find(query)
+                .populate('department', 'name code')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ code: 1 });
+
+            const total = await Course.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: courses,
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get courses error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching courses'
+            });
+        }
+    }
+
+    // Get course by ID with the groups taking it
+    static async getCourseById(req, res) {
+        try {
+            const course = await Course.findById(req.params.id)
+                .populate('department', 'name code')
+                .populate({
+                    path: 'groups',
+                    select: 'name code year semester courses',
+                    populate: { path: 'courses.doctor', select: 'name profile.title' }
+                });
+
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: course
+            });
+        } catch (error) {
+            console.error('Get course error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching course'
+            });
+        }
+    }
+
+    // Create new course
+    static async createCourse(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { code, title, description, creditHours, department, year, semester } = req.body;
+
+            const existingCourse = await Course.findOne({ code: code.toUpperCase() });
+            if (existingCourse) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Course with this code already exists'
+                });
+            }
+
+            const course = new Course({
+                code: code.toUpperCase(),
+                title,
+                description,
+                creditHours,
+                department,
+                year,
+                semester
+            });
+
+            await course.save();
+
+            const populatedCourse = await Course.findById(course._id)
+                .populate('department', 'name code');
+
+            res.status(201).json({
+                success: true,
+                message: 'Course created successfully',
+                data: populatedCourse
+            });
+        } catch (error) {
+            console.error('Create course error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error creating course'
+            });
+        }
+    }
+
+    // Update course
+    static async updateCourse(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { code, title, description, creditHours, department, year, semester, isActive } = req.body;
+
+            const existingCourse = await Course.findOne({
+                _id: { $ne: req.params.id },
+                code: code.toUpperCase()
+            });
+
+            if (existingCourse) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Another course with this code already exists'
+                });
+            }
+
+            const course = await Course.findByIdAndUpdate(
+                req.params.id,
+                {
+                    code: code.toUpperCase(),
+                    title,
+                    description,
+                    creditHours,
+                    department,
+                    year,
+                    semester,
+                    ...(isActive !== undefined && { isActive })
+                },
+                { new: true, runValidators: true }
+            ).populate('department', 'name code');
+
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Course updated successfully',
+                data: course
+            });
+        } catch (error) {
+            console.error('Update course error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating course'
+            });
+        }
+    }
+
+    // Delete course
+    static async deleteCourse(req, res) {
+        try {
+            const course = await Course.findById(req.params.id);
+
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            // Keep courses that attendance history refers to
+            const attendanceCount = await Attendance.countDocuments({ course: req.params.id });
+            if (attendanceCount > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot delete course that has attendance records; deactivate it instead'
+                });
+            }
+
+            await Group.updateMany(
+                { 'courses.course': req.params.id },
+                { $pull: { courses: { course: req.params.id } } }
+            );
+
+            await Course.findByIdAndDelete(req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Course deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete course error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting course'
+            });
+        }
+    }
+
+    // Assign a course to a group with a responsible doctor
+    static async assignToGroup(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { groupId, doctorId } = req.body;
+
+            const [course, group, doctor] = await Promise.all([
+                Course.findById(req.params.id),
+                Group.findById(groupId),
+                doctorId ? Doctor.findById(doctorId) : null
+            ]);
+
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
+
+            if (doctorId && !doctor) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Doctor not found'
+                });
+            }
+
+            // Replace any previous assignment of this course to the group
+            group.courses = group.courses.filter(entry => !entry.course.equals(course._id));
+            group.courses.push({ course: course._id, doctor: doctor ? doctor._id : undefined });
+            await group.save();
+
+            // The responsible doctor teaches the group
+            if (doctor) {
+                await Doctor.findByIdAndUpdate(doctor._id, { $addToSet: { assignedGroups: group._id } });
+            }
+
+            const populatedGroup = await Group.findById(group._id)
+                .select('name code courses')
+                .populate('courses.course', 'code title creditHours')
+                .populate('courses.doctor', 'name profile.title');
+
+            res.json({
+                success: true,
+                message: 'Course assigned to group successfully',
+                data: populatedGroup
+            });
+        } catch (error) {
+            console.error('Assign course error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error assigning course'
+            });
+        }
+    }
+
+    // Remove a course from a group
+    static async unassignFromGroup(req, res) {
+        try {
+            const group = await Group.findOneAndUpdate(
+                { _id: req.params.groupId, 'courses.course': req.params.id },
+                { $pull: { courses: { course: req.params.id } } },
+                { new: true }
+            );
+
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course is not assigned to this group'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Course removed from group successfully'
+            });
+        } catch (error) {
+            console.error('Unassign course error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error removing course from group'
+            });
+        }
+    }
+
+    // Get the course's own eligibility thresholds and the effective policy after department fallback
+    static async getEligibilityPolicy(req, res) {
+        try {
+            const course = await Course.findById(req.params.id).select('code title department eligibilityPolicy');
+
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            const { policy, sources } = await EligibilityService.resolvePolicy(course);
+
+            res.json({
+                success: true,
+                data: {
+                    course: course.eligibilityPolicy,
+                    effective: policy,
+                    sources
+                }
+            });
+        } catch (error) {
+            console.error('Get course eligibility policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching eligibility policy'
+            });
+        }
+    }
+
+    // Override eligibility thresholds for a course; fields left out fall back to the department
+    static async updateEligibilityPolicy(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const course = await Course.findById(req.params.id).select('code title department eligibilityPolicy');
+
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            const { errors: policyErrors, policy } = EligibilityService.normalizePolicy(req.body, req.user.id, { partial: true });
+            if (policyErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: policyErrors
+                });
+            }
+
+            // Warning levels must stay below whichever deprivation threshold ends up applying
+            const before = course.eligibilityPolicy.toObject();
+            course.eligibilityPolicy = policy;
+            const { policy: effective, sources } = await EligibilityService.resolvePolicy(course);
+
+            if (effective.warningLevels.some(level => level >= effective.deprivationPercent)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Warning levels must be below the deprivation percentage'
+                });
+            }
+
+            await course.save();
+
+            AuditService.track(req, {
+                entityType: 'course',
+                entityId: course._id,
+                action: 'update_eligibility_policy',
+                before,
+                after: course.eligibilityPolicy
+            });
+
+            res.json({
+                success: true,
+                message: 'Eligibility policy updated successfully',
+                data: {
+                    course: course.eligibilityPolicy,
+                    effective,
+                    sources
+                }
+            });
+        } catch (error) {
+            console.error('Update course eligibility policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating eligibility policy'
+            });
+        }
+    }
+
+    // Resolve the academic term of a request, defaulting to the active term
+    static async resolveTerm(termId) {
+        if (!termId) {
+            return { term: await AcademicTerm.findActive() };
+        }
+
+        const term = await AcademicTerm.findById(termId);
+        return term ? { term } : { status: 404, error: 'Academic term not found' };
+    }
+
+    // Get deprivation overrides granted for a course
+    static async getDeprivationOverrides(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { termId, includeRevoked } = req.query;
+
+            const query = { course: req.params.id };
+            if (termId) query.term = termId;
+            if (includeRevoked !== 'true') query.isActive = true;
+
+            // Doctors only see students of the groups they teach
+            if (req.user.role === 'doctor') {
+                const doctor = await Doctor.findById(req.user.id).select('assignedGroups');
+                query.student = { $in: await Student.find({ group: { $in: doctor.assignedGroups } }).distinct('_id') };
+            }
+
+            const overrides = await DeprivationOverride.find(query)
+                .populate({
+                    path: 'student',
+                    select: 'name studentNumber group',
+                    populate: { path: 'group', select: 'name code' }
+                })
+                .populate('term', 'name')
+                .sort({ createdAt: -1 });
+
+            res.json({
+                success: true,
+                data: overrides
+            });
+        } catch (error) {
+            console.error('Get deprivation overrides error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching deprivation overrides'
+            });
+        }
+    }
+
+    // Let a deprived student sit the final exam, recording why
+    static async createDeprivationOverride(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { studentId, termId, reason } = req.body;
+
+            const course = await Course.findById(req.params.id);
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            const termResult = await CourseController.resolveTerm(termId);
+            if (termResult.error) {
+                return res.status(termResult.status).json({
+                    success: false,
+                    message: termResult.error
+                });
+            }
+
+            const { term } = termResult;
+            const { rows } = await EligibilityService.getCourseEligibility(course, { term });
+            const row = rows.find(entry => entry.student._id.equals(studentId));
+
+            if (!row || row.level !== 'deprived') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Student is not deprived in this course'
+                });
+            }
+
+            if (row.override) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Student already has an active override for this course'
+                });
+            }
+
+            const override = await DeprivationOverride.create({
+                student: studentId,
+                course: course._id,
+                term: term ? term._id : null,
+                reason,
+                absencePercentage: row.absencePercentage,
+                grantedBy: req.user.id
+            });
+
+            AuditService.track(req, {
+                entityType: 'deprivation_override',
+                entityId: override._id,
+                action: 'create',
+                after: override
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Deprivation override granted successfully',
+                data: override
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Student already has an active override for this course'
+                });
+            }
+
+            console.error('Create deprivation override error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error granting deprivation override'
+            });
+        }
+    }
+
+    // Revoke a deprivation override; the record is kept for the history
+    static async revokeDeprivationOverride(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const override = await DeprivationOverride.findOne({
+                _id: req.params.overrideId,
+                course: req.params.id
+            });
+
+            if (!override) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Deprivation override not found'
+                });
+            }
+
+            if (!override.isActive) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Deprivation override is already revoked'
+                });
+            }
+
+            const before = override.toObject();
+            override.isActive = false;
+            override.revokedBy = req.user.id;
+            override.revokedAt = new Date();
+            override.revokeReason = req.body.reason;
+            await override.save();
+
+            AuditService.track(req, {
+                entityType: 'deprivation_override',
+                entityId: override._id,
+                action: 'revoke',
+                before,
+                after: override
+            });
+
+            res.json({
+                success: true,
+                message: 'Deprivation override revoked successfully',
+                data: override
+            });
+        } catch (error) {
+            console.error('Revoke deprivation override error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error revoking deprivation override'
+            });
+        }
+    }
+}
+
+module.exports = CourseController;
@@ -1,5 +1,9 @@
 const { Department } = require('../models');
 const { validationResult } = require('express-validator');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+const QRCardService = require('../services/qrCardService');
+const AuditService = require('../services/auditService');
+const EligibilityService = require('../services/eligibilityService');
 
 class DepartmentController {
     // Get all departments
@@ -104,6 +108,8 @@ class DepartmentController {
 
             await department.save();
 
+            AuditService.track(req, { entityType: 'department', entityId: department._id, after: department });
+
             res.status(201).json({
                 success: true,
                 message: 'Department created successfully',
@@ -147,6 +153,8 @@ class DepartmentController {
                 });
             }
 
+            const previous = await Department.findById(req.params.id);
+
             const department = await Department.findByIdAndUpdate(
                 req.params.id,
                 {
@@ -164,6 +172,8 @@ class DepartmentController {
                 });
             }
 
+            AuditService.track(req, { entityType: 'department', entityId: department._id, before: previous, after: department });
+
             res.json({
                 success: true,
                 message: 'Department updated successfully',
@@ -190,20 +200,23 @@ class DepartmentController {
                 });
             }
 
-            // Check if department has groups or doctors
-            const { Group, Doctor } = require('../models');
+            // Check if department has groups, doctors or courses
+            const { Group, Doctor, Course } = require('../models');
             const groupCount = await Group.countDocuments({ department: req.params.id });
             const doctorCount = await Doctor.countDocuments({ department: req.params.id });
+            const courseCount = await Course.countDocuments({ department: req.params.id });
 
-            if (groupCount > 0 || doctorCount > 0) {
+            if (groupCount > 0 || doctorCount > 0 || courseCount > 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Cannot delete department that has groups or doctors assigned'
+                    message: 'Cannot delete department that has groups, doctors or courses assigned'
                 });
             }
 
             await Department.findByIdAndDelete(req.params.id);
 
+            AuditService.track(req, { entityType: 'department', entityId: department._id, before: department, after: null });
+
             res.json({
                 success: true,
                 message: 'Department deleted successfully'
@@ -245,6 +258,348 @@ class DepartmentController {
             });
         }
     }
+
+    // Get department attendance location policy
+    static async getAttendancePolicy(req, res) {
+        try {
+            const department = await Department.findById(req.params.id).select('name code attendancePolicy');
+
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: department.attendancePolicy
+            });
+        } catch (error) {
+            console.error('Get department attendance policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching attendance policy'
+            });
+        }
+    }
+
+    // Update department attendance location policy
+    static async updateAttendancePolicy(req, res) {
+        try {
+            const validationErrors = validationResult(req);
+            if (!validationErrors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validationErrors.array()
+                });
+            }
+
+            const { errors, policy } = AttendancePolicyService.normalizePolicy(req.body, req.user.id);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors
+                });
+            }
+
+            const department = await Department.findByIdAndUpdate(
+                req.params.id,
+                { attendancePolicy: policy },
+                { new: true, runValidators: true }
+            ).select('name code attendancePolicy');
+
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Attendance policy updated successfully',
+                data: department.attendancePolicy
+            });
+        } catch (error) {
+            console.error('Update department attendance policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating attendance policy'
+            });
+        }
+    }
+
+    // Get attendance records flagged by the location policy in a department
+    static async getAttendancePolicyAudit(req, res) {
+        try {
+            const { Group, Attendance } = require('../models');
+            const { page = 1, limit = 20, startDate, endDate } = req.query;
+
+            const department = await Department.findById(req.params.id).select('name code attendancePolicy');
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found'
+                });
+            }
+
+            const groupIds = await Group.find({ department: department._id }).distinct('_id');
+            const query = { group: { $in: groupIds }, isSuspicious: true };
+
+            if (startDate || endDate) {
+                query.lectureDate = {};
+                if (startDate) query.lectureDate.$gte = new Date(startDate);
+                if (endDate) query.lectureDate.$lte = new Date(endDate);
+            }
+
+            const records = await Attendance.find(query)
+                .populate('student', 'name studentNumber')
+                .populate('group', 'name code')
+                .populate('doctor', 'name')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ lectureDate: -1 });
+
+            const total = await Attendance.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: {
+                    policy: department.attendancePolicy,
+                    records
+                },
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get department attendance policy audit error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching attendance policy audit'
+            });
+        }
+    }
+
+    // Get department lateness policy
+    static async getLatenessPolicy(req, res) {
+        try {
+            const department = await Department.findById(req.params.id).select('name code latenessPolicy');
+
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: department.latenessPolicy
+            });
+        } catch (error) {
+            console.error('Get department lateness policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching lateness policy'
+            });
+        }
+    }
+
+    // Update department lateness policy
+    static async updateLatenessPolicy(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { gracePeriodMinutes, cutoffMinutes = null, cutoffAction = 'reject' } = req.body;
+
+            if (cutoffMinutes !== null && cutoffMinutes < gracePeriodMinutes) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cutoff must not be earlier than the grace period'
+                });
+            }
+
+            const department = await Department.findByIdAndUpdate(
+                req.params.id,
+                {
+                    latenessPolicy: {
+                        gracePeriodMinutes,
+                        cutoffMinutes,
+                        cutoffAction,
+                        updatedBy: req.user.id,
+                        updatedAt: new Date()
+                    }
+                },
+                { new: true, runValidators: true }
+            ).select('name code latenessPolicy');
+
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Lateness policy updated successfully',
+                data: department.latenessPolicy
+            });
+        } catch (error) {
+            console.error('Update department lateness policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating lateness policy'
+            });
+        }
+    }
+
+    // Get department exam eligibility policy (absence warning and deprivation thresholds)
+    static async getEligibilityPolicy(req, res) {
+        try {
+            const department = await Department.findById(req.params.id).select('name code eligibilityPolicy');
+
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: department.eligibilityPolicy
+            });
+        } catch (error) {
+            console.error('Get department eligibility policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching eligibility policy'
+            });
+        }
+    }
+
+    // Update department exam eligibility policy
+    static async updateEligibilityPolicy(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { errors: policyErrors, policy } = EligibilityService.normalizePolicy(req.body, req.user.id);
+            if (policyErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: policyErrors
+                });
+            }
+
+            const department = await Department.findById(req.params.id).select('name code eligibilityPolicy');
+
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found'
+                });
+            }
+
+            const before = department.eligibilityPolicy.toObject();
+            department.eligibilityPolicy = policy;
+            await department.save();
+
+            AuditService.track(req, {
+                entityType: 'department',
+                entityId: department._id,
+                action: 'update_eligibility_policy',
+                before,
+                after: department.eligibilityPolicy
+            });
+
+            res.json({
+                success: true,
+                message: 'Eligibility policy updated successfully',
+                data: department.eligibilityPolicy
+            });
+        } catch (error) {
+            console.error('Update department eligibility policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating eligibility policy'
+            });
+        }
+    }
+
+    // Download printable QR ID cards for every active student in the department's current groups
+    static async getQRCards(req, res) {
+        try {
+            const { Group, Student } = require('../models');
+
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const department = await Department.findById(req.params.id).select('name code');
+            if (!department) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Department not found'
+                });
+            }
+
+            const groups = await Group.find({ department: department._id, isArchived: { $ne: true } })
+                .select('code')
+                .sort({ code: 1 });
+            const groupOrder = new Map(groups.map((group, index) => [group._id.toString(), index]));
+
+            const students = (await Student.find({ group: { $in: groups.map(group => group._id) }, isActive: true })
+                .select('name studentNumber qrCode profile.avatar group')
+                .sort({ studentNumber: 1 }))
+                .sort((a, b) => groupOrder.get(a.group.toString()) - groupOrder.get(b.group.toString()));
+
+            if (students.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No active students in this department'
+                });
+            }
+
+            await QRCardService.send(res, req.query.format || 'pdf', students, {
+                filename: `qr-cards-${department.code}`,
+                groupCodes: new Map(groups.map(group => [group._id.toString(), group.code]))
+            });
+        } catch (error) {
+            console.error('Get department QR cards error:', error);
+            if (res.headersSent) return res.destroy(error);
+            res.status(500).json({
+                success: false,
+                message: 'Error generating QR cards'
+            });
+        }
+    }
 }
 
 module.exports = DepartmentController;
\ No newline at end of file
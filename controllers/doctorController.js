@@ -1,5 +1,9 @@
-const { Doctor, Department, Group, Attendance } = require('../models');
+const { Doctor, Department, Group, Attendance, ScheduleSlot } = require('../models');
 const { validationResult } = require('express-validator');
+const AuditService = require('../services/auditService');
+const AccountService = require('../services/accountService');
+const PolicyService = require('../services/policyService');
+const NotificationService = require('../services/notificationService');
 const mongoose = require('mongoose');
 
 class DoctorController {
@@ -19,6 +23,9 @@ class DoctorController {
 
             if (department) query.department = department;
 
+            // Department-scoped admins and custom roles only list what is within reach
+            PolicyService.applyScope(query, req.scope, { department: 'department', group: 'assignedGroups' });
+
             const doctors = await Doctor.find(query)
                 .populate('department', 'name code')
                 .populate('assignedGroups', 'name code year')
@@ -89,31 +96,32 @@ class DoctorController {
 
             const { name, email, password, department, assignedGroups = [], profile = {} } = req.body;
 
-            // Check if doctor already exists
-            const existingDoctor = await Doctor.findOne({ email });
-            if (existingDoctor) {
+            // Check if the email already has an account
+            if (await AccountService.isEmailTaken(email)) {
                 return res.status(409).json({
                     success: false,
-                    message: 'Doctor with this email already exists'
+                    message: 'An account with this email already exists'
                 });
             }
 
-            const doctor = new Doctor({
+            const { profile: doctor } = await AccountService.createAccount('doctor', {
                 name,
                 email,
-                password,
                 department,
                 assignedGroups,
                 profile
-            });
-
-            await doctor.save();
+            }, password);
 
             const populatedDoctor = await Doctor.findById(doctor._id)
                 .populate('department', 'name code')
                 .populate('assignedGroups', 'name code')
                 .select('-password');
 
+            AuditService.track(req, { entityType: 'doctor', entityId: doctor._id, after: populatedDoctor });
+
+            NotificationService.accountCreated(doctor, 'doctor')
+                .catch(error => console.error('Account notification error:', error));
+
             res.status(201).json({
                 success: true,
                 message: 'Doctor created successfully',
@@ -142,18 +150,11 @@ class DoctorController {
 
             const { name, email, department, assignedGroups, profile, isActive } = req.body;
 
-            // Check if another doctor exists with the same email
-            const existingDoctor = await Doctor.findOne({
-                $and: [
-                    { _id: { $ne: req.params.id } },
-                    { email }
-                ]
-            });
-
-            if (existingDoctor) {
+            // Check if another account uses the same email
+            if (email && await AccountService.isEmailTaken(email, { exceptProfile: req.params.id })) {
                 return res.status(409).json({
                     success: false,
-                    message: 'Another doctor with this email already exists'
+                    message: 'Another account with this email already exists'
                 });
             }
 
@@ -166,6 +167,8 @@ class DoctorController {
                 ...(isActive !== undefined && { isActive })
             };
 
+            const previous = await Doctor.findById(req.params.id).select('-password');
+
             const doctor = await Doctor.findByIdAndUpdate(
                 req.params.id,
                 updateData,
@@ -182,6 +185,12 @@ class DoctorController {
                 });
             }
 
+            if (previous.email !== doctor.email) {
+                await AccountService.syncEmail(doctor);
+            }
+
+            AuditService.track(req, { entityType: 'doctor', entityId: doctor._id, before: previous, after: doctor });
+
             res.json({
                 success: true,
                 message: 'Doctor updated successfully',
@@ -217,7 +226,13 @@ class DoctorController {
                 });
             }
 
+            // Remove the doctor's timetable
+            await ScheduleSlot.deleteMany({ doctor: req.params.id });
+
             await Doctor.findByIdAndDelete(req.params.id);
+            await AccountService.deleteAccount(doctor._id);
+
+            AuditService.track(req, { entityType: 'doctor', entityId: doctor._id, before: doctor, after: null });
 
             res.json({
                 success: true,
@@ -254,6 +269,8 @@ class DoctorController {
                 });
             }
 
+            const previous = await Doctor.findById(doctorId).select('-password');
+
             const doctor = await Doctor.findByIdAndUpdate(
                 doctorId,
                 { assignedGroups: groupIds },
@@ -270,6 +287,14 @@ class DoctorController {
                 });
             }
 
+            AuditService.track(req, {
+                entityType: 'doctor',
+                entityId: doctor._id,
+                action: 'assign_groups',
+                before: previous,
+                after: doctor
+            });
+
             res.json({
                 success: true,
                 message: 'Groups assigned successfully',
@@ -302,11 +327,14 @@ class DoctorController {
             const groupIds = doctor.assignedGroups.map(group => group._id);
 
             // Get statistics
+            const now = new Date();
             const [
                 totalStudents,
                 todayAttendance,
                 weeklyStats,
-                groupStats
+                groupStats,
+                currentLecture,
+                todaySchedule
             ] = await Promise.all([
                 // Total students in assigned groups
                 require('../models').Student.countDocuments({ group: { $in: groupIds } }),
@@ -363,7 +391,16 @@ class DoctorController {
                             as: 'groupInfo'
                         }
                     }
-                ])
+                ]),
+
+                // Lecture running now according to the timetable
+                ScheduleSlot.findCurrent({ doctor: doctorId }, now)
+                    .populate('group', 'name code'),
+
+                // Today's timetable
+                ScheduleSlot.find({ doctor: doctorId, weekday: now.getDay(), isActive: true })
+                    .populate('group', 'name code')
+                    .sort({ startTime: 1 })
             ]);
 
             res.json({
@@ -380,7 +417,9 @@ class DoctorController {
                         todayAttendance,
                         weeklyStats,
                         groupStats
-                    }
+                    },
+                    currentLecture,
+                    todaySchedule
                 }
             });
         } catch (error) {
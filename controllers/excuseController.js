@@ -0,0 +1,422 @@
+const fs = require('fs');
+const { ExcuseRequest, Attendance, Student, Doctor } = require('../models');
+const { validationResult } = require('express-validator');
+const { getUploadDir } = require('../middleware/upload');
+const { runInTransaction } = require('../utils/transaction');
+const AttendanceAuditService = require('../services/attendanceAuditService');
+const NotificationService = require('../services/notificationService');
+const PolicyService = require('../services/policyService');
+
+const MAX_RANGE_DAYS = 30;
+
+// Delete files multer stored for a request that was not accepted
+const removeUploads = (files = []) => {
+    for (const file of files) {
+        fs.unlink(file.path, () => {});
+    }
+};
+
+class ExcuseController {
+    // Submit an excuse request against the student's absences in a date range
+    static async submitExcuse(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                removeUploads(req.files);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { reason } = req.body;
+            const startDate = new Date(req.body.startDate);
+            const endDate = new Date(req.body.endDate);
+            startDate.setHours(0, 0, 0, 0);
+            endDate.setHours(23, 59, 59, 999);
+
+            if (endDate < startDate) {
+                removeUploads(req.files);
+                return res.status(400).json({
+                    success: false,
+                    message: 'End date must not be before the start date'
+                });
+            }
+
+            if (endDate - startDate > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+                removeUploads(req.files);
+                return res.status(400).json({
+                    success: false,
+                    message: `An excuse can cover at most ${MAX_RANGE_DAYS} days`
+                });
+            }
+
+            const student = await Student.findById(req.user.id).select('group');
+
+            // Absences in the range not already covered by an open or approved request
+            const [absences, covered] = await Promise.all([
+                Attendance.find({
+                    student: req.user.id,
+                    status: 'absent',
+                    lectureDate: { $gte: startDate, $lte: endDate }
+                }).select('_id'),
+                ExcuseRequest.distinct('records.attendance', {
+                    student: req.user.id,
+                    status: { $in: ['pending', 'approved'] }
+                })
+            ]);
+
+            const coveredIds = new Set(covered.map(id => id.toString()));
+            const records = absences
+                .filter(absence => !coveredIds.has(absence._id.toString()))
+                .map(absence => ({ attendance: absence._id }));
+
+            if (records.length === 0) {
+                removeUploads(req.files);
+                return res.status(400).json({
+                    success: false,
+                    message: absences.length > 0
+                        ? 'All absences in this period already have an excuse request'
+                        : 'You have no absences in this period'
+                });
+            }
+
+            const excuse = await ExcuseRequest.create({
+                student: req.user.id,
+                group: student.group,
+                reason,
+                startDate,
+                endDate,
+                records,
+                attachments: (req.files || []).map(file => ({
+                    originalName: file.originalname,
+                    filename: file.filename,
+                    mimeType: file.mimetype,
+                    size: file.size
+                })),
+                history: [{ action: 'submitted', by: req.user.id, role: req.user.role }]
+            });
+
+            res.status(201).json({
+                success: true,
+                message: `Excuse request submitted for ${records.length} absences`,
+                data: excuse
+            });
+        } catch (error) {
+            removeUploads(req.files);
+            console.error('Submit excuse request error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error submitting excuse request'
+            });
+        }
+    }
+
+    // Get excuse requests; students see their own, doctors those of their groups
+    static async getExcuseRequests(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { page = 1, limit = 20, status = '', group = '', student = '' } = req.query;
+
+            const query = {};
+
+            if (status) query.status = status;
+            if (group) query.group = group;
+            if (student) query.student = student;
+
+            if (req.user.role === 'student') {
+                query.student = req.user.id;
+            } else if (req.user.role === 'doctor') {
+                const doctor = await Doctor.findById(req.user.id).select('assignedGroups');
+                query.group = group
+                    ? (doctor.assignedGroups.some(id => id.toString() === group) ? group : null)
+                    : { $in: doctor.assignedGroups };
+            } else if (req.scope && !req.scope.all) {
+                // Department-scoped admins only see their departments' queues
+                query.$and = [{ group: { $in: await PolicyService.scopeGroupIds(req.scope) } }];
+            }
+
+            // Review queue is oldest first; a student's own list is newest first
+            const sort = req.user.role === 'student' ? { createdAt: -1 } : { createdAt: 1 };
+
+            const excuses = await ExcuseRequest.find(query)
+                .populate('student', 'name studentNumber')
+                .populate('group', 'name code')
+                .select('-records')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort(sort);
+
+            const total = await ExcuseRequest.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: excuses,
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get excuse requests error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching excuse requests'
+            });
+        }
+    }
+
+    // Load an excuse request and check the user may see it
+    static async findAccessibleExcuse(id, user) {
+        const excuse = await ExcuseRequest.findById(id);
+
+        if (!excuse) {
+            return { status: 404, error: 'Excuse request not found' };
+        }
+
+        if (user.role === 'student' && !excuse.student.equals(user.id)) {
+            return { status: 403, error: 'Access denied' };
+        }
+
+        if (user.role === 'doctor') {
+            const doctor = await Doctor.findById(user.id).select('assignedGroups');
+            if (!doctor.assignedGroups.some(groupId => groupId.equals(excuse.group))) {
+                return { status: 403, error: 'You are not assigned to this group' };
+            }
+        }
+
+        return { excuse };
+    }
+
+    // Get excuse request by ID with the absences it covers
+    static async getExcuseRequestById(req, res) {
+        try {
+            const result = await ExcuseController.findAccessibleExcuse(req.params.id, req.user);
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            await result.excuse.populate([
+                { path: 'student', select: 'name studentNumber email' },
+                { path: 'group', select: 'name code' },
+                {
+                    path: 'records.attendance',
+                    select: 'lectureDate status course lectureDetails',
+                    populate: { path: 'course', select: 'code title' }
+                }
+            ]);
+
+            res.json({
+                success: true,
+                data: result.excuse
+            });
+        } catch (error) {
+            console.error('Get excuse request error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching excuse request'
+            });
+        }
+    }
+
+    // Approve or reject a pending excuse request; approval marks the absences as excused
+    static async reviewExcuse(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { decision, comment } = req.body;
+
+            const result = await ExcuseController.findAccessibleExcuse(req.params.id, req.user);
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            const { excuse } = result;
+
+            if (excuse.status !== 'pending') {
+                return res.status(409).json({
+                    success: false,
+                    message: `Excuse request is already ${excuse.status}`
+                });
+            }
+
+            let excused = 0;
+            let reviewed = null;
+
+            // The work is retried on transient errors, so each attempt starts from a fresh copy
+            // of the request rather than applying its changes twice
+            await runInTransaction(async (dbSession) => {
+                excused = 0;
+                reviewed = null;
+
+                const current = await ExcuseRequest.findById(excuse._id).session(dbSession);
+                if (current.status !== 'pending') return;
+
+                if (decision === 'approve') {
+                    // Only records still absent are changed; anything edited since is left alone
+                    const absences = await Attendance.find({
+                        _id: { $in: current.records.map(record => record.attendance) },
+                        status: 'absent'
+                    }).session(dbSession);
+
+                    const previous = new Map(absences.map(absence => [absence._id.toString(), absence.status]));
+                    for (const record of current.records) {
+                        record.previousStatus = previous.get(record.attendance.toString());
+                    }
+
+                    const update = await Attendance.updateMany(
+                        { _id: { $in: absences.map(absence => absence._id) } },
+                        { $set: { status: 'excused', excuseRequest: current._id } },
+                        { session: dbSession }
+                    );
+                    excused = update.modifiedCount;
+
+                    await AttendanceAuditService.logMany(
+                        'update',
+                        absences.map(absence => ({
+                            before: absence,
+                            after: { ...absence.toObject({ virtuals: false }), status: 'excused', excuseRequest: current._id }
+                        })),
+                        {
+                            ...AttendanceAuditService.actorFromRequest(req, 'excuse_request'),
+                            reason: comment || 'Excuse request approved'
+                        },
+                        dbSession
+                    );
+                }
+
+                current.status = decision === 'approve' ? 'approved' : 'rejected';
+                current.reviewedBy = req.user.id;
+                current.reviewedAt = new Date();
+                current.reviewComment = comment;
+                current.history.push({ action: current.status, by: req.user.id, role: req.user.role, comment });
+
+                await current.save({ session: dbSession });
+                reviewed = current;
+            });
+
+            if (!reviewed) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Excuse request has already been reviewed'
+                });
+            }
+
+            Student.findById(reviewed.student).select('name email')
+                .then(student => student && NotificationService.excuseDecision(reviewed, student))
+                .catch(error => console.error('Excuse notification error:', error));
+
+            res.json({
+                success: true,
+                message: decision === 'approve'
+                    ? `Excuse request approved; ${excused} absences marked as excused`
+                    : 'Excuse request rejected',
+                data: reviewed
+            });
+        } catch (error) {
+            console.error('Review excuse request error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error reviewing excuse request'
+            });
+        }
+    }
+
+    // Cancel the student's own pending excuse request
+    static async cancelExcuse(req, res) {
+        try {
+            const excuse = await ExcuseRequest.findOne({ _id: req.params.id, student: req.user.id });
+
+            if (!excuse) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Excuse request not found'
+                });
+            }
+
+            if (excuse.status !== 'pending') {
+                return res.status(409).json({
+                    success: false,
+                    message: `Excuse request is already ${excuse.status}`
+                });
+            }
+
+            excuse.status = 'cancelled';
+            excuse.history.push({ action: 'cancelled', by: req.user.id, role: req.user.role });
+            await excuse.save();
+
+            res.json({
+                success: true,
+                message: 'Excuse request cancelled',
+                data: excuse
+            });
+        } catch (error) {
+            console.error('Cancel excuse request error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error cancelling excuse request'
+            });
+        }
+    }
+
+    // Download a document attached to an excuse request
+    static async downloadAttachment(req, res) {
+        try {
+            const result = await ExcuseController.findAccessibleExcuse(req.params.id, req.user);
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            const attachment = result.excuse.attachments.id(req.params.attachmentId);
+            if (!attachment) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Attachment not found'
+                });
+            }
+
+            res.download(getUploadDir('excuses', attachment.filename), attachment.originalName, (error) => {
+                if (error && !res.headersSent) {
+                    res.status(404).json({
+                        success: false,
+                        message: 'Attachment file is missing'
+                    });
+                }
+            });
+        } catch (error) {
+            console.error('Download excuse attachment error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error downloading attachment'
+            });
+        }
+    }
+}
+
+module.exports = ExcuseController;
@@ -1,12 +1,16 @@
-const { Group, Department, Student, Doctor } = require('../models');
+const { Group, Department, Student, Doctor, ScheduleSlot, AcademicTerm } = require('../models');
 const { validationResult } = require('express-validator');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+const QRCardService = require('../services/qrCardService');
+const AuditService = require('../services/auditService');
+const PolicyService = require('../services/policyService');
 const mongoose = require('mongoose');
 
 class GroupController {
     // Get all groups
     static async getAllGroups(req, res) {
         try {
-            const { page = 1, limit = 10, search = '', department = '', year = '' } = req.query;
+            const { page = 1, limit = 10, search = '', department = '', year = '', term = '', includeArchived } = req.query;
 
             const query = {};
 
@@ -19,6 +23,11 @@ class GroupController {
 
             if (department) query.department = department;
             if (year) query.year = parseInt(year);
+            if (term) query.term = term;
+            if (includeArchived !== 'true') query.isArchived = { $ne: true };
+
+            // Department-scoped admins and custom roles only list what is within reach
+            PolicyService.applyScope(query, req.scope, { department: 'department', group: '_id' });
 
             const groups = await Group.find(query)
                 .populate('department', 'name code')
@@ -54,7 +63,9 @@ class GroupController {
             const group = await Group.findById(req.params.id)
                 .populate('department', 'name code')
                 .populate('students', 'name studentNumber email')
-                .populate('assignedDoctors', 'name email profile.title');
+                .populate('assignedDoctors', 'name email profile.title')
+                .populate('courses.course', 'code title creditHours')
+                .populate('courses.doctor', 'name profile.title');
 
             if (!group) {
                 return res.status(404).json({
@@ -90,9 +101,16 @@ class GroupController {
 
             const { name, code, department, year, semester, capacity, doctor, selectedStudents } = req.body;
 
+            // New groups belong to the active term unless another is given
+            let term = req.body.term;
+            if (!term) {
+                const activeTerm = await AcademicTerm.findActive();
+                term = activeTerm ? activeTerm._id : undefined;
+            }
+
             // Check if group already exists
             const existingGroup = await Group.findOne({
-                $or: [{ code }, { name, department, year }]
+                $or: [{ code }, { name, department, year, term: term || null }]
             });
 
             if (existingGroup) {
@@ -108,7 +126,8 @@ class GroupController {
                 department,
                 year,
                 semester,
-                capacity
+                capacity,
+                term
             });
 
             await group.save();
@@ -134,6 +153,8 @@ class GroupController {
                 .populate('assignedDoctors', 'name email')
                 .populate('students', 'name studentNumber');
 
+            AuditService.track(req, { entityType: 'group', entityId: group._id, after: populatedGroup });
+
             res.status(201).json({
                 success: true,
                 message: 'Group created successfully',
@@ -160,13 +181,23 @@ class GroupController {
                 });
             }
 
-            const { name, code, department, year, semester, capacity, doctor, selectedStudents } = req.body;
+            const { name, code, department, year, semester, capacity, term, doctor, selectedStudents } = req.body;
+
+            // Get current group to check previous doctor assignment
+            const currentGroup = await Group.findById(req.params.id).populate('assignedDoctors');
+
+            if (!currentGroup) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
 
             // Check if another group exists with the same code or name
             const existingGroup = await Group.findOne({
                 $and: [
                     { _id: { $ne: req.params.id } },
-                    { $or: [{ code }, { name, department, year }] }
+                    { $or: [{ code }, { name, department, year, term: (term !== undefined ? term : currentGroup.term) || null }] }
                 ]
             });
 
@@ -177,9 +208,6 @@ class GroupController {
                 });
             }
 
-            // Get current group to check previous doctor assignment
-            const currentGroup = await Group.findById(req.params.id).populate('assignedDoctors');
-
             // Update the group
             const group = await Group.findByIdAndUpdate(
                 req.params.id,
@@ -189,7 +217,8 @@ class GroupController {
                     department,
                     year,
                     semester,
-                    capacity
+                    capacity,
+                    ...(term !== undefined && { term })
                 },
                 { new: true, runValidators: true }
             ).populate('department', 'name code')
@@ -244,6 +273,8 @@ class GroupController {
                 .populate('assignedDoctors', 'name email')
                 .populate('students', 'name studentNumber');
 
+            AuditService.track(req, { entityType: 'group', entityId: updatedGroup._id, before: currentGroup, after: updatedGroup });
+
             res.json({
                 success: true,
                 message: 'Group updated successfully',
@@ -285,8 +316,13 @@ class GroupController {
                 { $pull: { assignedGroups: req.params.id } }
             );
 
+            // Remove the group's timetable
+            await ScheduleSlot.deleteMany({ group: req.params.id });
+
             await Group.findByIdAndDelete(req.params.id);
 
+            AuditService.track(req, { entityType: 'group', entityId: group._id, before: group, after: null });
+
             res.json({
                 success: true,
                 message: 'Group deleted successfully'
@@ -420,6 +456,184 @@ class GroupController {
             });
         }
     }
+
+    // Get group attendance location policy and the policy in effect
+    static async getAttendancePolicy(req, res) {
+        try {
+            const group = await Group.findById(req.params.id).select('name code attendancePolicy');
+
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
+
+            const effective = await AttendancePolicyService.resolvePolicy(group._id);
+
+            res.json({
+                success: true,
+                data: {
+                    policy: group.attendancePolicy,
+                    effective
+                }
+            });
+        } catch (error) {
+            console.error('Get group attendance policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching attendance policy'
+            });
+        }
+    }
+
+    // Update group attendance location policy
+    static async updateAttendancePolicy(req, res) {
+        try {
+            const validationErrors = validationResult(req);
+            if (!validationErrors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: validationErrors.array()
+                });
+            }
+
+            const { errors, policy } = AttendancePolicyService.normalizePolicy(req.body, req.user.id);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors
+                });
+            }
+
+            const group = await Group.findByIdAndUpdate(
+                req.params.id,
+                { attendancePolicy: policy },
+                { new: true, runValidators: true }
+            ).select('name code attendancePolicy');
+
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Attendance policy updated successfully',
+                data: group.attendancePolicy
+            });
+        } catch (error) {
+            console.error('Update group attendance policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating attendance policy'
+            });
+        }
+    }
+
+    // Get attendance records flagged by the location policy in a group
+    static async getAttendancePolicyAudit(req, res) {
+        try {
+            const { Attendance } = require('../models');
+            const { page = 1, limit = 20, startDate, endDate } = req.query;
+
+            const group = await Group.findById(req.params.id).select('name code attendancePolicy');
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
+
+            const query = { group: group._id, isSuspicious: true };
+
+            if (startDate || endDate) {
+                query.lectureDate = {};
+                if (startDate) query.lectureDate.$gte = new Date(startDate);
+                if (endDate) query.lectureDate.$lte = new Date(endDate);
+            }
+
+            const [records, total, effective] = await Promise.all([
+                Attendance.find(query)
+                    .populate('student', 'name studentNumber')
+                    .populate('doctor', 'name')
+                    .limit(limit * 1)
+                    .skip((page - 1) * limit)
+                    .sort({ lectureDate: -1 }),
+                Attendance.countDocuments(query),
+                AttendancePolicyService.resolvePolicy(group._id)
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    policy: group.attendancePolicy,
+                    effective,
+                    records
+                },
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get group attendance policy audit error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching attendance policy audit'
+            });
+        }
+    }
+
+    // Download printable QR ID cards for a group's students (PDF sheet or ZIP of PNGs)
+    static async getQRCards(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const group = await Group.findById(req.params.id).select('name code');
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
+
+            const students = await Student.find({ group: group._id, isActive: true })
+                .select('name studentNumber qrCode profile.avatar group')
+                .sort({ studentNumber: 1 });
+
+            if (students.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No active students in this group'
+                });
+            }
+
+            await QRCardService.send(res, req.query.format || 'pdf', students, {
+                filename: `qr-cards-${group.code}`,
+                groupCodes: new Map([[group._id.toString(), group.code]])
+            });
+        } catch (error) {
+            console.error('Get group QR cards error:', error);
+            if (res.headersSent) return res.destroy(error);
+            res.status(500).json({
+                success: false,
+                message: 'Error generating QR cards'
+            });
+        }
+    }
 }
 
 module.exports = GroupController;
\ No newline at end of file
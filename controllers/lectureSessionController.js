@@ -0,0 +1,542 @@
+const { LectureSession, Attendance, Student, Doctor, Group, ScheduleSlot, Course } = require('../models');
+const { validationResult } = require('express-validator');
+const QRService = require('../services/qrService');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+const AttendanceAuditService = require('../services/attendanceAuditService');
+const NotificationService = require('../services/notificationService');
+const PolicyService = require('../services/policyService');
+const { runInTransaction } = require('../utils/transaction');
+
+class LectureSessionController {
+    // Open a new lecture session for a group
+    static async openSession(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const {
+                groupId,
+                doctorId,
+                courseId,
+                subject,
+                startTime,
+                endTime,
+                room,
+                lectureNumber,
+                gracePeriodMinutes,
+                cutoffMinutes
+            } = req.body;
+
+            const group = await Group.findById(groupId);
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
+
+            if (group.isArchived) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Group is archived and can no longer take attendance'
+                });
+            }
+
+            // Doctors open sessions for themselves, admins on behalf of a doctor
+            const sessionDoctorId = req.user.role === 'doctor' ? req.user.id : doctorId;
+            if (!sessionDoctorId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Doctor ID is required'
+                });
+            }
+
+            const doctor = await Doctor.findById(sessionDoctorId);
+            if (!doctor) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Doctor not found'
+                });
+            }
+
+            if (!doctor.assignedGroups.includes(groupId)) {
+                return res.status(403).json({
+                    success: false,
+                    message: req.user.role === 'doctor'
+                        ? 'You are not assigned to this group'
+                        : 'Doctor is not assigned to this group'
+                });
+            }
+
+            let course = null;
+            if (courseId) {
+                if (!group.courses.some(entry => entry.course.equals(courseId))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Course is not assigned to this group'
+                    });
+                }
+                course = await Course.findById(courseId).select('title');
+            }
+
+            const openSession = await LectureSession.findOne({ group: groupId, status: 'open' });
+            if (openSession) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This group already has an open lecture session',
+                    data: openSession
+                });
+            }
+
+            // Fill in missing lecture details from the timetable slot running now
+            const now = new Date();
+            const slot = await ScheduleSlot.findCurrent({ group: groupId, doctor: doctor._id }, now);
+            const pick = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value);
+            if (!course && slot && slot.course) {
+                course = await Course.findById(slot.course).select('title');
+            }
+
+            const session = new LectureSession({
+                group: groupId,
+                doctor: doctor._id,
+                scheduleSlot: slot ? slot._id : undefined,
+                course: course ? course._id : undefined,
+                subject: pick(subject, (slot && slot.subject) || (course && course.title)),
+                startTime: startTime ? new Date(startTime) : (slot ? slot.startsAt(now) : now),
+                endTime: endTime ? new Date(endTime) : (slot ? slot.endsAt(now) : undefined),
+                room: pick(room, slot && slot.room),
+                lectureNumber,
+                gracePeriodMinutes: pick(gracePeriodMinutes, slot && slot.gracePeriodMinutes),
+                cutoffMinutes: pick(cutoffMinutes, slot && slot.cutoffMinutes),
+                openedBy: req.user.id
+            });
+
+            await session.save();
+
+            const populatedSession = await LectureSession.findById(session._id)
+                .populate('group', 'name code')
+                .populate('doctor', 'name profile.title')
+                .populate('course', 'code title');
+
+            res.status(201).json({
+                success: true,
+                message: 'Lecture session opened successfully',
+                data: populatedSession
+            });
+        } catch (error) {
+            console.error('Open lecture session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error opening lecture session'
+            });
+        }
+    }
+
+    // Get lecture sessions
+    static async getSessions(req, res) {
+        try {
+            const { page = 1, limit = 20, groupId, doctorId, courseId, status, startDate, endDate } = req.query;
+
+            const query = {};
+
+            if (groupId) query.group = groupId;
+            if (doctorId) query.doctor = doctorId;
+            if (courseId) query.course = courseId;
+            if (status) query.status = status;
+
+            if (startDate || endDate) {
+                query.startTime = {};
+                if (startDate) query.startTime.$gte = new Date(startDate);
+                if (endDate) query.startTime.$lte = new Date(endDate);
+            }
+
+            // Doctors only see their own sessions
+            if (req.user.role === 'doctor') {
+                query.doctor = req.user.id;
+            } else if (req.scope && !req.scope.all) {
+                // Department-scoped admins only see their departments' groups
+                query.$and = [{ group: { $in: await PolicyService.scopeGroupIds(req.scope) } }];
+            }
+
+            const sessions = await LectureSession.find(query)
+                .populate('group', 'name code')
+                .populate('doctor', 'name profile.title')
+                .populate('course', 'code title')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ startTime: -1 });
+
+            const total = await LectureSession.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: sessions,
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get lecture sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching lecture sessions'
+            });
+        }
+    }
+
+    // Get lecture session by ID with its attendance
+    static async getSessionById(req, res) {
+        try {
+            const session = await LectureSession.findById(req.params.id)
+                .populate('group', 'name code')
+                .populate('doctor', 'name profile.title')
+                .populate('course', 'code title');
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lecture session not found'
+                });
+            }
+
+            if (req.user.role === 'doctor' && !session.doctor._id.equals(req.user.id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Can only access your own lecture sessions'
+                });
+            }
+
+            const attendance = await Attendance.find({ session: session._id })
+                .populate('student', 'name studentNumber')
+                .sort({ recordedAt: 1 });
+
+            const statistics = attendance.reduce((acc, record) => {
+                acc[record.status] = (acc[record.status] || 0) + 1;
+                return acc;
+            }, { present: 0, absent: 0, late: 0, excused: 0 });
+
+            res.json({
+                success: true,
+                data: {
+                    session,
+                    attendance,
+                    statistics: {
+                        ...statistics,
+                        total: attendance.length
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get lecture session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching lecture session'
+            });
+        }
+    }
+
+    // Get the current rotating QR code for an open session
+    static async getSessionQRCode(req, res) {
+        try {
+            const session = await LectureSession.findById(req.params.id);
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lecture session not found'
+                });
+            }
+
+            if (req.user.role === 'doctor' && !session.doctor.equals(req.user.id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Can only display your own lecture sessions'
+                });
+            }
+
+            if (session.status !== 'open') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Lecture session is closed'
+                });
+            }
+
+            const qrCode = await QRService.generateRotatingSessionQRCode(session._id);
+
+            res.set('Cache-Control', 'no-store');
+            res.json({
+                success: true,
+                data: {
+                    sessionId: session._id,
+                    qrCodeData: qrCode.data,
+                    qrCodeImage: qrCode.image,
+                    expiresAt: qrCode.expiresAt,
+                    refreshInterval: qrCode.refreshInterval
+                }
+            });
+        } catch (error) {
+            console.error('Get session QR code error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error generating session QR code'
+            });
+        }
+    }
+
+    // Student checks in by scanning the session QR code
+    static async checkIn(req, res) {
+        try {
+            const { qrData, location } = req.body;
+
+            if (!qrData) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'QR data is required'
+                });
+            }
+
+            let parsedQRData;
+            try {
+                parsedQRData = QRService.parseQRData(qrData, 'lecture_session');
+                QRService.validateSessionQRCode(parsedQRData);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            const session = await LectureSession.findById(parsedQRData.sessionId);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lecture session not found'
+                });
+            }
+
+            if (session.status !== 'open') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Lecture session is closed'
+                });
+            }
+
+            const student = await Student.findById(req.user.id);
+            if (!student || !student.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Student account is inactive'
+                });
+            }
+
+            if (!student.group || !student.group.equals(session.group)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You do not belong to this lecture group'
+                });
+            }
+
+            const existingAttendance = await Attendance.findExistingRecord({
+                student: student._id,
+                session: session._id
+            });
+
+            if (existingAttendance) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You have already checked in to this lecture',
+                    data: existingAttendance
+                });
+            }
+
+            // Enforce the group's location / network policy on the student's device
+            const policyCheck = await AttendancePolicyService.checkScan(session.group, {
+                location,
+                ipAddress: req.ip
+            });
+
+            if (!policyCheck.allowed) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Check-in is outside the allowed attendance area',
+                    errors: policyCheck.reasons
+                });
+            }
+
+            // Mark the check-in late, or refuse it, based on the lecture start time
+            const timing = await AttendancePolicyService.resolveTiming(session.group, session);
+            if (timing.rejected) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Check-in for this lecture closed; you are ${timing.minutesLate} minutes late`
+                });
+            }
+
+            const attendance = new Attendance({
+                student: student._id,
+                group: session.group,
+                doctor: session.doctor,
+                session: session._id,
+                course: session.course,
+                lectureDate: session.startTime,
+                status: timing.status,
+                recordedBy: 'qr_scan',
+                notes: timing.status === 'absent'
+                    ? `Checked in ${timing.minutesLate} minutes after lecture start, past the cutoff`
+                    : undefined,
+                lectureDetails: {
+                    subject: session.subject,
+                    lectureNumber: session.lectureNumber
+                },
+                checkIn: policyCheck.checkIn,
+                isSuspicious: policyCheck.suspicious,
+                suspiciousReasons: policyCheck.reasons
+            });
+
+            await attendance.save();
+
+            await AttendanceAuditService.log('create', { after: attendance }, AttendanceAuditService.actorFromRequest(req, 'session_check_in'));
+
+            const populatedAttendance = await Attendance.findById(attendance._id)
+                .populate('group', 'name code')
+                .populate('doctor', 'name')
+                .populate('session', 'subject startTime endTime room lectureNumber');
+
+            res.status(201).json({
+                success: true,
+                message: policyCheck.suspicious
+                    ? `Checked in as ${timing.status} and flagged for review`
+                    : `Checked in as ${timing.status}`,
+                data: populatedAttendance
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You have already checked in to this lecture'
+                });
+            }
+
+            console.error('Session check-in error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error checking in to lecture session'
+            });
+        }
+    }
+
+    // Close a session and mark students who did not check in as absent
+    static async closeSession(req, res) {
+        try {
+            const session = await LectureSession.findById(req.params.id);
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lecture session not found'
+                });
+            }
+
+            if (req.user.role === 'doctor' && !session.doctor.equals(req.user.id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Can only close your own lecture sessions'
+                });
+            }
+
+            if (session.status !== 'open') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Lecture session is already closed'
+                });
+            }
+
+            // Absences are written before the closed status, in one transaction where available, so a
+            // session is never closed without them. Each attempt reloads the session, since the work may be retried.
+            const result = await runInTransaction(async (dbSession) => {
+                const current = await LectureSession.findById(session._id).session(dbSession);
+                if (current.status !== 'open') return null;
+
+                // Everyone in the group without a record for this session is absent
+                const recordedStudentIds = await Attendance.distinct('student', { session: current._id }).session(dbSession);
+                const absentStudents = await Student.find({
+                    group: current.group,
+                    isActive: true,
+                    _id: { $nin: recordedStudentIds }
+                }).select('_id').session(dbSession);
+
+                if (absentStudents.length > 0) {
+                    const group = await Group.findById(current.group).select('term').session(dbSession);
+
+                    const absences = await Attendance.insertMany(absentStudents.map(student => ({
+                        student: student._id,
+                        group: current.group,
+                        doctor: current.doctor,
+                        session: current._id,
+                        course: current.course,
+                        term: group && group.term,
+                        lectureDate: current.startTime,
+                        status: 'absent',
+                        recordedBy: 'system',
+                        lectureDetails: {
+                            subject: current.subject,
+                            lectureNumber: current.lectureNumber
+                        }
+                    })), { session: dbSession });
+
+                    await AttendanceAuditService.logMany(
+                        'create',
+                        absences.map(absence => ({ after: absence })),
+                        AttendanceAuditService.actorFromRequest(req, 'session_close'),
+                        dbSession
+                    );
+                }
+
+                current.status = 'closed';
+                current.closedAt = new Date();
+                current.closedBy = req.user.id;
+                if (!current.endTime) current.endTime = current.closedAt;
+                await current.save({ session: dbSession });
+
+                return { closed: current, absentStudentIds: absentStudents.map(student => student._id) };
+            });
+
+            if (!result) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Lecture session is already closed'
+                });
+            }
+
+            if (result.absentStudentIds.length > 0) {
+                NotificationService.checkAbsenceThresholds(session.course, result.absentStudentIds)
+                    .catch(error => console.error('Absence notification error:', error));
+            }
+
+            res.json({
+                success: true,
+                message: 'Lecture session closed successfully',
+                data: {
+                    session: result.closed,
+                    markedAbsent: result.absentStudentIds.length
+                }
+            });
+        } catch (error) {
+            console.error('Close lecture session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error closing lecture session'
+            });
+        }
+    }
+}
+
+module.exports = LectureSessionController;
@@ -0,0 +1,173 @@
+const { User, LoginAttempt } = require('../models');
+const { validationResult } = require('express-validator');
+const AuthService = require('../services/authService');
+const AuditService = require('../services/auditService');
+
+const LOCKOUT_FIELDS = 'email role profile profileModel loginAttempts lockUntil lockoutCount lastLoginAt';
+
+class LockoutController {
+    // Get accounts that are locked now, across students, doctors and admins
+    static async getLockedAccounts(req, res) {
+        try {
+            const now = new Date();
+
+            const users = await User.find({ lockUntil: { $gt: now } })
+                .select(LOCKOUT_FIELDS)
+                .populate('profile', 'name studentNumber')
+                .sort({ lockUntil: -1 });
+
+            // Failed attempts in the last 24 hours, per account
+            const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+            const failures = await LoginAttempt.aggregate([
+                { $match: { user: { $in: users.map(user => user._id) }, createdAt: { $gte: since } } },
+                { $group: { _id: '$user', count: { $sum: 1 }, lastAttemptAt: { $max: '$createdAt' } } }
+            ]);
+            const failuresByUser = new Map(failures.map(entry => [entry._id.toString(), entry]));
+
+            const data = users.map(user => {
+                const failure = failuresByUser.get(user._id.toString());
+                const profile = user.profile || {};
+                return {
+                    id: profile._id,
+                    userId: user._id,
+                    name: profile.name,
+                    email: user.email,
+                    role: user.role,
+                    ...(profile.studentNumber && { studentNumber: profile.studentNumber }),
+                    lockUntil: user.lockUntil,
+                    lockoutCount: user.lockoutCount,
+                    lastLoginAt: user.lastLoginAt,
+                    failedAttempts24h: failure ? failure.count : 0,
+                    lastFailedAttemptAt: failure ? failure.lastAttemptAt : null
+                };
+            });
+
+            res.json({
+                success: true,
+                data
+            });
+        } catch (error) {
+            console.error('Get locked accounts error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching locked accounts'
+            });
+        }
+    }
+
+    // Unlock an account by user or profile ID; only super admins may unlock admin accounts
+    static async unlockAccount(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+
+            const before = await User.findOne({ $or: [{ _id: id }, { profile: id }] })
+                .select(LOCKOUT_FIELDS)
+                .populate('profile', 'name');
+
+            if (!before) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Account not found'
+                });
+            }
+
+            if (before.profileModel === 'Admin' && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only a super admin can unlock admin accounts'
+                });
+            }
+
+            const user = await AuthService.unlockAccount(before._id);
+
+            AuditService.track(req, {
+                entityType: 'user',
+                entityId: user._id,
+                action: 'unlock',
+                before,
+                after: user
+            });
+
+            res.json({
+                success: true,
+                message: 'Account unlocked successfully',
+                data: {
+                    id: user.profile,
+                    userId: user._id,
+                    name: before.profile && before.profile.name,
+                    email: user.email,
+                    role: user.role
+                }
+            });
+        } catch (error) {
+            console.error('Unlock account error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error unlocking account'
+            });
+        }
+    }
+
+    // Search failed login attempts
+    static async getLoginAttempts(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { page = 1, limit = 50, email, userId, ipAddress, reason, startDate, endDate } = req.query;
+
+            const query = {};
+
+            if (email) query.email = email.toLowerCase();
+            if (userId) query.user = userId;
+            if (ipAddress) query.ipAddress = ipAddress;
+            if (reason) query.reason = reason;
+
+            if (startDate || endDate) {
+                query.createdAt = {};
+                if (startDate) query.createdAt.$gte = new Date(startDate);
+                if (endDate) query.createdAt.$lte = new Date(endDate);
+            }
+
+            const attempts = await LoginAttempt.find(query)
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ createdAt: -1 });
+
+            const total = await LoginAttempt.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: attempts,
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get login attempts error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching login attempts'
+            });
+        }
+    }
+}
+
+module.exports = LockoutController;
@@ -0,0 +1,235 @@
+const { Notification, NotificationPreference } = require('../models');
+const { validationResult } = require('express-validator');
+
+class NotificationController {
+    // Get the user's in-app notifications, newest first
+    static async getNotifications(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { page = 1, limit = 20, unread = '', type = '' } = req.query;
+
+            const query = { recipient: req.user.id, inApp: true };
+
+            if (unread === 'true') query.readAt = null;
+            if (type) query.type = type;
+
+            const notifications = await Notification.find(query)
+                .select('-email -recipientModel')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ createdAt: -1 });
+
+            const [total, unreadCount] = await Promise.all([
+                Notification.countDocuments(query),
+                Notification.countDocuments({ recipient: req.user.id, inApp: true, readAt: null })
+            ]);
+
+            res.json({
+                success: true,
+                data: notifications,
+                unreadCount,
+                pagination: {
+                    page: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            });
+        } catch (error) {
+            console.error('Get notifications error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching notifications'
+            });
+        }
+    }
+
+    // Get the number of unread in-app notifications
+    static async getUnreadCount(req, res) {
+        try {
+            const count = await Notification.countDocuments({ recipient: req.user.id, inApp: true, readAt: null });
+
+            res.json({
+                success: true,
+                data: { count }
+            });
+        } catch (error) {
+            console.error('Get unread notification count error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching unread count'
+            });
+        }
+    }
+
+    // Mark one notification as read
+    static async markRead(req, res) {
+        try {
+            const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id, inApp: true })
+                .select('-email -recipientModel');
+
+            if (!notification) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Notification not found'
+                });
+            }
+
+            if (!notification.readAt) {
+                notification.readAt = new Date();
+                await notification.save();
+            }
+
+            res.json({
+                success: true,
+                message: 'Notification marked as read',
+                data: notification
+            });
+        } catch (error) {
+            console.error('Mark notification read error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating notification'
+            });
+        }
+    }
+
+    // Mark all of the user's notifications as read
+    static async markAllRead(req, res) {
+        try {
+            const result = await Notification.updateMany(
+                { recipient: req.user.id, inApp: true, readAt: null },
+                { $set: { readAt: new Date() } }
+            );
+
+            res.json({
+                success: true,
+                message: `${result.modifiedCount} notifications marked as read`,
+                data: { updated: result.modifiedCount }
+            });
+        } catch (error) {
+            console.error('Mark all notifications read error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating notifications'
+            });
+        }
+    }
+
+    // Delete a notification from the inbox
+    static async deleteNotification(req, res) {
+        try {
+            const notification = await Notification.findOneAndDelete({
+                _id: req.params.id,
+                recipient: req.user.id,
+                inApp: true
+            });
+
+            if (!notification) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Notification not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Notification deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete notification error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting notification'
+            });
+        }
+    }
+
+    // Get the user's channel preferences
+    static async getPreferences(req, res) {
+        try {
+            const preference = await NotificationPreference.findOne({ user: req.user.id });
+
+            res.json({
+                success: true,
+                data: {
+                    channels: preference ? preference.channels : { inApp: true, email: true },
+                    types: preference ? Object.fromEntries(preference.types) : {},
+                    availableTypes: Notification.TYPES
+                }
+            });
+        } catch (error) {
+            console.error('Get notification preferences error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching notification preferences'
+            });
+        }
+    }
+
+    // Update the user's channel preferences; per-type settings override the defaults
+    static async updatePreferences(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { channels, types } = req.body;
+
+            const unknownTypes = Object.keys(types || {}).filter(type => !Notification.TYPES.includes(type));
+            if (unknownTypes.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown notification types: ${unknownTypes.join(', ')}`
+                });
+            }
+
+            const preference = await NotificationPreference.findOne({ user: req.user.id })
+                || new NotificationPreference({ user: req.user.id });
+
+            if (channels) {
+                preference.channels = { ...preference.channels.toObject(), ...channels };
+            }
+
+            for (const [type, setting] of Object.entries(types || {})) {
+                if (setting === null) {
+                    preference.types.delete(type);
+                } else {
+                    const current = preference.types.get(type);
+                    preference.types.set(type, { ...(current ? current.toObject() : preference.channels.toObject()), ...setting });
+                }
+            }
+
+            await preference.save();
+
+            res.json({
+                success: true,
+                message: 'Notification preferences updated successfully',
+                data: {
+                    channels: preference.channels,
+                    types: Object.fromEntries(preference.types)
+                }
+            });
+        } catch (error) {
+            console.error('Update notification preferences error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating notification preferences'
+            });
+        }
+    }
+}
+
+module.exports = NotificationController;
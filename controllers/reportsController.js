@@ -1,20 +1,40 @@
-const { Attendance, Student, Doctor, Group, Department } = require('../models');
+const { Attendance, Student, Doctor, Group, Department, Course, AcademicTerm } = require('../models');
+const { validationResult } = require('express-validator');
+const ReportExportService = require('../services/reportExportService');
+const EligibilityService = require('../services/eligibilityService');
+const PolicyService = require('../services/policyService');
 const mongoose = require('mongoose');
 
 class ReportsController {
     // Get attendance report by student
     static async getStudentAttendanceReport(req, res) {
         try {
-            const { studentId, startDate, endDate } = req.query;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
 
-            if (!studentId) {
+            const { studentId, termId, startDate, endDate, format } = req.query;
+
+            if (!studentId || !mongoose.isValidObjectId(studentId)) {
                 return res.status(400).json({
                     success: false,
                     message: 'Student ID is required'
                 });
             }
 
-            const query = { student: studentId };
+            if (!(await PolicyService.allows(req.scope, 'student', studentId))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This student is outside your departments'
+                });
+            }
+
+            const query = { student: new mongoose.Types.ObjectId(studentId) };
 
             if (startDate || endDate) {
                 query.lectureDate = {};
@@ -22,6 +42,18 @@ class ReportsController {
                 if (endDate) query.lectureDate.$lte = new Date(endDate);
             }
 
+            // Past terms stay reportable after students move to new groups
+            if (termId) {
+                const term = await AcademicTerm.findById(termId);
+                if (!term) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Academic term not found'
+                    });
+                }
+                Object.assign(query, Attendance.termFilter(term));
+            }
+
             const [student, attendanceRecords, stats] = await Promise.all([
                 Student.findById(studentId)
                     .populate('department', 'name code')
@@ -60,20 +92,26 @@ class ReportsController {
             const presentCount = statsObj.present || 0;
             const attendancePercentage = totalLectures > 0 ? (presentCount / totalLectures) * 100 : 0;
 
+            const report = {
+                student,
+                attendanceRecords,
+                statistics: {
+                    total: totalLectures,
+                    present: presentCount,
+                    absent: statsObj.absent || 0,
+                    late: statsObj.late || 0,
+                    excused: statsObj.excused || 0,
+                    attendancePercentage: Math.round(attendancePercentage * 100) / 100
+                }
+            };
+
+            if (ReportExportService.isExportFormat(format)) {
+                return ReportExportService.send(res, format, ReportExportService.studentAttendanceReport(report, { startDate, endDate, user: req.user }));
+            }
+
             res.json({
                 success: true,
-                data: {
-                    student,
-                    attendanceRecords,
-                    statistics: {
-                        total: totalLectures,
-                        present: presentCount,
-                        absent: statsObj.absent || 0,
-                        late: statsObj.late || 0,
-                        excused: statsObj.excused || 0,
-                        attendancePercentage: Math.round(attendancePercentage * 100) / 100
-                    }
-                }
+                data: report
             });
         } catch (error) {
             console.error('Student attendance report error:', error);
@@ -87,16 +125,32 @@ class ReportsController {
     // Get attendance report by group
     static async getGroupAttendanceReport(req, res) {
         try {
-            const { groupId, startDate, endDate } = req.query;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
 
-            if (!groupId) {
+            const { groupId, startDate, endDate, format } = req.query;
+
+            if (!groupId || !mongoose.isValidObjectId(groupId)) {
                 return res.status(400).json({
                     success: false,
                     message: 'Group ID is required'
                 });
             }
 
-            const query = { group: groupId };
+            if (!(await PolicyService.allows(req.scope, 'group', groupId))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This group is outside your departments'
+                });
+            }
+
+            const query = { group: new mongoose.Types.ObjectId(groupId) };
 
             if (startDate || endDate) {
                 query.lectureDate = {};
@@ -133,6 +187,9 @@ class ReportsController {
                             },
                             late: {
                                 $sum: { $cond: [{ $eq: ['$_id.status', 'late'] }, '$count', 0] }
+                            },
+                            excused: {
+                                $sum: { $cond: [{ $eq: ['$_id.status', 'excused'] }, '$count', 0] }
                             }
                         }
                     },
@@ -208,18 +265,24 @@ class ReportsController {
             const presentCount = overallStatsObj.present || 0;
             const groupAttendancePercentage = totalRecords > 0 ? (presentCount / totalRecords) * 100 : 0;
 
+            const report = {
+                group,
+                studentStats,
+                overallStats: {
+                    ...overallStatsObj,
+                    total: totalRecords,
+                    attendancePercentage: Math.round(groupAttendancePercentage * 100) / 100
+                },
+                dailyStats
+            };
+
+            if (ReportExportService.isExportFormat(format)) {
+                return ReportExportService.send(res, format, ReportExportService.groupAttendanceReport(report, { startDate, endDate, user: req.user }));
+            }
+
             res.json({
                 success: true,
-                data: {
-                    group,
-                    studentStats,
-                    overallStats: {
-                        ...overallStatsObj,
-                        total: totalRecords,
-                        attendancePercentage: Math.round(groupAttendancePercentage * 100) / 100
-                    },
-                    dailyStats
-                }
+                data: report
             });
         } catch (error) {
             console.error('Group attendance report error:', error);
@@ -230,13 +293,331 @@ class ReportsController {
         }
     }
 
+    // Get attendance report by course
+    static async getCourseAttendanceReport(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { courseId, groupId, startDate, endDate, format } = req.query;
+
+            if (!courseId || !mongoose.isValidObjectId(courseId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid course ID is required'
+                });
+            }
+
+            if (groupId && !mongoose.isValidObjectId(groupId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid group ID is required'
+                });
+            }
+
+            const query = { course: new mongoose.Types.ObjectId(courseId) };
+
+            if (groupId) query.group = new mongoose.Types.ObjectId(groupId);
+
+            // Doctors only see the groups they teach
+            if (req.user.role === 'doctor') {
+                const doctor = await Doctor.findById(req.user.id).select('assignedGroups');
+                const assignedGroupIds = doctor ? doctor.assignedGroups : [];
+
+                if (groupId && !assignedGroupIds.some(id => id.equals(groupId))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'You are not assigned to this group'
+                    });
+                }
+
+                if (!groupId) query.group = { $in: assignedGroupIds };
+            } else if (req.scope && !req.scope.all) {
+                // Department-scoped admins only see their departments' groups
+                const scopeGroupIds = await PolicyService.scopeGroupIds(req.scope);
+
+                if (groupId && !scopeGroupIds.some(id => id.equals(groupId))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'This group is outside your departments'
+                    });
+                }
+
+                if (!groupId) query.group = { $in: scopeGroupIds };
+            }
+
+            if (startDate || endDate) {
+                query.lectureDate = {};
+                if (startDate) query.lectureDate.$gte = new Date(startDate);
+                if (endDate) query.lectureDate.$lte = new Date(endDate);
+            }
+
+            const statusTotals = {
+                total: { $sum: '$count' },
+                present: {
+                    $sum: { $cond: [{ $eq: ['$_id.status', 'present'] }, '$count', 0] }
+                },
+                absent: {
+                    $sum: { $cond: [{ $eq: ['$_id.status', 'absent'] }, '$count', 0] }
+                },
+                late: {
+                    $sum: { $cond: [{ $eq: ['$_id.status', 'late'] }, '$count', 0] }
+                },
+                excused: {
+                    $sum: { $cond: [{ $eq: ['$_id.status', 'excused'] }, '$count', 0] }
+                }
+            };
+
+            const attendancePercentage = {
+                $round: [{ $multiply: [{ $divide: ['$present', '$total'] }, 100] }, 2]
+            };
+
+            const [course, groupStats, studentStats, overallStats] = await Promise.all([
+                Course.findById(courseId)
+                    .populate('department', 'name code'),
+
+                // Group-wise stats
+                Attendance.aggregate([
+                    { $match: query },
+                    {
+                        $group: {
+                            _id: { group: '$group', status: '$status' },
+                            count: { $sum: 1 }
+                        }
+                    },
+                    {
+                        $group: {
+                            _id: '$_id.group',
+                            ...statusTotals
+                        }
+                    },
+                    {
+                        $lookup: {
+                            from: 'groups',
+                            localField: '_id',
+                            foreignField: '_id',
+                            as: 'groupInfo'
+                        }
+                    },
+                    { $addFields: { attendancePercentage } },
+                    { $project: { 'groupInfo.courses': 0, 'groupInfo.attendancePolicy': 0 } },
+                    { $sort: { attendancePercentage: -1 } }
+                ]),
+
+                // Student-wise stats
+                Attendance.aggregate([
+                    { $match: query },
+                    {
+                        $group: {
+                            _id: { student: '$student', status: '$status' },
+                            count: { $sum: 1 }
+                        }
+                    },
+                    {
+                        $group: {
+                            _id: '$_id.student',
+                            ...statusTotals
+                        }
+                    },
+                    {
+                        $lookup: {
+                            from: 'students',
+                            localField: '_id',
+                            foreignField: '_id',
+                            as: 'studentInfo'
+                        }
+                    },
+                    { $addFields: { attendancePercentage } },
+                    { $project: { 'studentInfo.password': 0, 'studentInfo.qrCode': 0 } },
+                    { $sort: { attendancePercentage: 1 } }
+                ]),
+
+                // Overall course stats
+                Attendance.aggregate([
+                    { $match: query },
+                    {
+                        $group: {
+                            _id: '$status',
+                            count: { $sum: 1 }
+                        }
+                    }
+                ])
+            ]);
+
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            const overallStatsObj = overallStats.reduce((acc, stat) => {
+                acc[stat._id] = stat.count;
+                return acc;
+            }, {});
+
+            const totalRecords = overallStats.reduce((sum, stat) => sum + stat.count, 0);
+            const presentCount = overallStatsObj.present || 0;
+            const courseAttendancePercentage = totalRecords > 0 ? (presentCount / totalRecords) * 100 : 0;
+
+            const report = {
+                course,
+                groupStats,
+                studentStats,
+                overallStats: {
+                    ...overallStatsObj,
+                    total: totalRecords,
+                    attendancePercentage: Math.round(courseAttendancePercentage * 100) / 100
+                }
+            };
+
+            if (ReportExportService.isExportFormat(format)) {
+                return ReportExportService.send(res, format, ReportExportService.courseAttendanceReport(report, { startDate, endDate, user: req.user }));
+            }
+
+            res.json({
+                success: true,
+                data: report
+            });
+        } catch (error) {
+            console.error('Course attendance report error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error generating course attendance report'
+            });
+        }
+    }
+
+    // Get exam eligibility for a course: students at risk of or past the absence threshold
+    static async getEligibilityReport(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { courseId, groupId, termId, status = 'at_risk', format } = req.query;
+
+            const course = await Course.findById(courseId).populate('department', 'name code');
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            let groupIds = groupId ? [groupId] : undefined;
+
+            // Doctors only see the groups they teach
+            if (req.user.role === 'doctor') {
+                const doctor = await Doctor.findById(req.user.id).select('assignedGroups');
+                const assignedGroupIds = doctor ? doctor.assignedGroups : [];
+
+                if (groupId && !assignedGroupIds.some(id => id.equals(groupId))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'You are not assigned to this group'
+                    });
+                }
+
+                if (!groupId) groupIds = assignedGroupIds;
+            } else if (req.scope && !req.scope.all) {
+                // Department-scoped admins only see their departments' groups
+                const scopeGroupIds = await PolicyService.scopeGroupIds(req.scope);
+
+                if (groupId && !scopeGroupIds.some(id => id.equals(groupId))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'This group is outside your departments'
+                    });
+                }
+
+                if (!groupId) groupIds = scopeGroupIds;
+            }
+
+            // Eligibility is decided per term; default to the active one
+            const term = termId ? await AcademicTerm.findById(termId) : await AcademicTerm.findActive();
+            if (termId && !term) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Academic term not found'
+                });
+            }
+
+            const eligibility = await EligibilityService.getCourseEligibility(course, { groupIds, term });
+
+            const students = eligibility.rows.filter(row => {
+                if (status === 'deprived') return row.level === 'deprived';
+                if (status === 'at_risk') return row.level !== 'ok';
+                return true;
+            });
+
+            const report = {
+                course,
+                term: term && { _id: term._id, name: term.name },
+                policy: eligibility.policy,
+                policySources: eligibility.sources,
+                summary: eligibility.summary,
+                students
+            };
+
+            if (ReportExportService.isExportFormat(format)) {
+                return ReportExportService.send(res, format, ReportExportService.eligibilityReport(report, { status, user: req.user }));
+            }
+
+            res.json({
+                success: true,
+                data: report
+            });
+        } catch (error) {
+            console.error('Eligibility report error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error generating eligibility report'
+            });
+        }
+    }
+
     // Get attendance report by doctor
     static async getDoctorAttendanceReport(req, res) {
         try {
-            const { doctorId, startDate, endDate } = req.query;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { doctorId, startDate, endDate, format } = req.query;
             const targetDoctorId = doctorId || req.user.id;
 
-            const query = { doctor: targetDoctorId };
+            if (!mongoose.isValidObjectId(targetDoctorId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid doctor ID is required'
+                });
+            }
+
+            if (!(await PolicyService.allows(req.scope, 'doctor', targetDoctorId))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This doctor is outside your departments'
+                });
+            }
+
+            const query = { doctor: new mongoose.Types.ObjectId(targetDoctorId) };
 
             if (startDate || endDate) {
                 query.lectureDate = {};
@@ -341,17 +722,23 @@ class ReportsController {
 
             const totalRecords = overallStats.reduce((sum, stat) => sum + stat.count, 0);
 
+            const report = {
+                doctor,
+                groupStats,
+                overallStats: {
+                    ...overallStatsObj,
+                    total: totalRecords
+                },
+                monthlyStats
+            };
+
+            if (ReportExportService.isExportFormat(format)) {
+                return ReportExportService.send(res, format, ReportExportService.doctorAttendanceReport(report, { startDate, endDate, user: req.user }));
+            }
+
             res.json({
                 success: true,
-                data: {
-                    doctor,
-                    groupStats,
-                    overallStats: {
-                        ...overallStatsObj,
-                        total: totalRecords
-                    },
-                    monthlyStats
-                }
+                data: report
             });
         } catch (error) {
             console.error('Doctor attendance report error:', error);
@@ -365,7 +752,16 @@ class ReportsController {
     // Get department attendance report
     static async getDepartmentAttendanceReport(req, res) {
         try {
-            const { departmentId, startDate, endDate } = req.query;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { departmentId, startDate, endDate, format } = req.query;
 
             if (!departmentId) {
                 return res.status(400).json({
@@ -374,6 +770,13 @@ class ReportsController {
                 });
             }
 
+            if (!(await PolicyService.allows(req.scope, 'department', departmentId))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This department is outside your departments'
+                });
+            }
+
             // Get all groups in the department
             const groups = await Group.find({ department: departmentId });
             const groupIds = groups.map(group => group._id);
@@ -496,18 +899,24 @@ class ReportsController {
             const presentCount = overallStatsObj.present || 0;
             const departmentAttendancePercentage = totalRecords > 0 ? (presentCount / totalRecords) * 100 : 0;
 
+            const report = {
+                department,
+                groupStats,
+                yearStats,
+                overallStats: {
+                    ...overallStatsObj,
+                    total: totalRecords,
+                    attendancePercentage: Math.round(departmentAttendancePercentage * 100) / 100
+                }
+            };
+
+            if (ReportExportService.isExportFormat(format)) {
+                return ReportExportService.send(res, format, ReportExportService.departmentAttendanceReport(report, { startDate, endDate, user: req.user }));
+            }
+
             res.json({
                 success: true,
-                data: {
-                    department,
-                    groupStats,
-                    yearStats,
-                    overallStats: {
-                        ...overallStatsObj,
-                        total: totalRecords,
-                        attendancePercentage: Math.round(departmentAttendancePercentage * 100) / 100
-                    }
-                }
+                data: report
             });
         } catch (error) {
             console.error('Department attendance report error:', error);
@@ -521,6 +930,21 @@ class ReportsController {
     // Get system overview stats
     static async getSystemOverview(req, res) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { format } = req.query;
+
+            // Department-scoped admins get the overview of their departments only
+            const scopeGroupIds = await PolicyService.scopeGroupIds(req.scope);
+            const attendanceScope = scopeGroupIds ? { group: { $in: scopeGroupIds } } : {};
+
             const [
                 totalStudents,
                 totalDoctors,
@@ -531,15 +955,16 @@ class ReportsController {
                 topPerformingGroups,
                 recentActivity
             ] = await Promise.all([
-                Student.countDocuments({ isActive: true }),
-                Doctor.countDocuments({ isActive: true }),
-                Group.countDocuments(),
-                Department.countDocuments(),
+                Student.countDocuments({ isActive: true, ...PolicyService.scopeFilter(req.scope, { department: 'department', group: 'group' }) }),
+                Doctor.countDocuments({ isActive: true, ...PolicyService.scopeFilter(req.scope, { department: 'department', group: 'assignedGroups' }) }),
+                Group.countDocuments(PolicyService.scopeFilter(req.scope, { department: 'department', group: '_id' })),
+                Department.countDocuments(PolicyService.scopeFilter(req.scope, { department: '_id' })),
 
                 // Today's attendance
                 Attendance.aggregate([
                     {
                         $match: {
+                            ...attendanceScope,
                             lectureDate: {
                                 $gte: new Date().setHours(0, 0, 0, 0),
                                 $lt: new Date().setHours(23, 59, 59, 999)
@@ -558,6 +983,7 @@ class ReportsController {
                 Attendance.aggregate([
                     {
                         $match: {
+                            ...attendanceScope,
                             lectureDate: {
                                 $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
                             }
@@ -573,6 +999,7 @@ class ReportsController {
 
                 // Top performing groups
                 Attendance.aggregate([
+                    { $match: attendanceScope },
                     {
                         $group: {
                             _id: '$group',
@@ -602,7 +1029,7 @@ class ReportsController {
                 ]),
 
                 // Recent activity
-                Attendance.find()
+                Attendance.find(attendanceScope)
                     .populate('student', 'name studentNumber')
                     .populate('group', 'name')
                     .populate('doctor', 'name')
@@ -620,20 +1047,26 @@ class ReportsController {
                 return acc;
             }, {});
 
+            const report = {
+                overview: {
+                    totalStudents,
+                    totalDoctors,
+                    totalGroups,
+                    totalDepartments
+                },
+                todayAttendance: todayStats,
+                weeklyAttendance: weeklyStats,
+                topPerformingGroups,
+                recentActivity
+            };
+
+            if (ReportExportService.isExportFormat(format)) {
+                return ReportExportService.send(res, format, ReportExportService.systemOverviewReport(report, { user: req.user }));
+            }
+
             res.json({
                 success: true,
-                data: {
-                    overview: {
-                        totalStudents,
-                        totalDoctors,
-                        totalGroups,
-                        totalDepartments
-                    },
-                    todayAttendance: todayStats,
-                    weeklyAttendance: weeklyStats,
-                    topPerformingGroups,
-                    recentActivity
-                }
+                data: report
             });
         } catch (error) {
             console.error('System overview error:', error);
@@ -0,0 +1,377 @@
+const { Role, User } = require('../models');
+const { validationResult } = require('express-validator');
+const AuditService = require('../services/auditService');
+const PolicyService = require('../services/policyService');
+
+// Permissions only a super admin may hand out, since they control accounts and roles themselves
+const PRIVILEGED_PERMISSIONS = ['manage_admins', 'manage_roles'];
+
+const grantsPrivileged = permissions => (permissions || []).some(grant => PRIVILEGED_PERMISSIONS.includes(grant.permission));
+
+class RoleController {
+    // Get the permission catalog and the built-in grants of each base role
+    static async getPermissionCatalog(req, res) {
+        res.json({
+            success: true,
+            data: {
+                permissions: Role.PERMISSIONS,
+                scopes: Role.SCOPES,
+                builtIn: PolicyService.BUILT_IN_GRANTS
+            }
+        });
+    }
+
+    // Get all roles with the number of accounts holding each
+    static async getAllRoles(req, res) {
+        try {
+            const { search = '', includeInactive } = req.query;
+
+            const query = {};
+            if (search) query.name = { $regex: search, $options: 'i' };
+            if (includeInactive !== 'true') query.isActive = true;
+
+            const roles = await Role.find(query).sort({ name: 1 });
+
+            const counts = await User.aggregate([
+                { $match: { roles: { $in: roles.map(role => role._id) } } },
+                { $unwind: '$roles' },
+                { $group: { _id: '$roles', count: { $sum: 1 } } }
+            ]);
+            const countsByRole = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+            res.json({
+                success: true,
+                data: roles.map(role => ({
+                    ...role.toObject(),
+                    memberCount: countsByRole.get(role._id.toString()) || 0
+                }))
+            });
+        } catch (error) {
+            console.error('Get roles error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching roles'
+            });
+        }
+    }
+
+    // Get role by ID with the accounts holding it
+    static async getRoleById(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const role = await Role.findById(req.params.id);
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Role not found'
+                });
+            }
+
+            const members = await User.find({ roles: role._id })
+                .select('email role profile profileModel isActive')
+                .populate('profile', 'name');
+
+            res.json({
+                success: true,
+                data: {
+                    ...role.toObject(),
+                    members: members.map(user => ({
+                        id: user.profile && user.profile._id,
+                        userId: user._id,
+                        name: user.profile && user.profile.name,
+                        email: user.email,
+                        role: user.role,
+                        isActive: user.isActive
+                    }))
+                }
+            });
+        } catch (error) {
+            console.error('Get role error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching role'
+            });
+        }
+    }
+
+    // Create new role
+    static async createRole(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { name, description, permissions = [], isActive } = req.body;
+
+            if (grantsPrivileged(permissions) && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only a super admin can grant account or role management'
+                });
+            }
+
+            const existingRole = await Role.findOne({ name: name.trim() });
+            if (existingRole) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A role with this name already exists'
+                });
+            }
+
+            const role = new Role({
+                name,
+                description,
+                permissions,
+                ...(isActive !== undefined && { isActive }),
+                createdBy: req.user.id,
+                updatedBy: req.user.id
+            });
+            await role.save();
+
+            AuditService.track(req, { entityType: 'role', entityId: role._id, after: role });
+
+            res.status(201).json({
+                success: true,
+                message: 'Role created successfully',
+                data: role
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(e => e.message)
+                });
+            }
+
+            console.error('Create role error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error creating role'
+            });
+        }
+    }
+
+    // Update role; changes apply to every holder on their next request
+    static async updateRole(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const role = await Role.findById(req.params.id);
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Role not found'
+                });
+            }
+
+            const { name, description, permissions, isActive } = req.body;
+
+            if ((grantsPrivileged(role.permissions) || grantsPrivileged(permissions)) && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only a super admin can change roles that grant account or role management'
+                });
+            }
+
+            if (name !== undefined) {
+                const existingRole = await Role.findOne({ _id: { $ne: role._id }, name: name.trim() });
+                if (existingRole) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'A role with this name already exists'
+                    });
+                }
+            }
+
+            const before = role.toObject();
+
+            if (name !== undefined) role.name = name;
+            if (description !== undefined) role.description = description;
+            if (permissions !== undefined) role.permissions = permissions;
+            if (isActive !== undefined) role.isActive = isActive;
+            role.updatedBy = req.user.id;
+
+            await role.save();
+
+            AuditService.track(req, { entityType: 'role', entityId: role._id, before, after: role });
+
+            res.json({
+                success: true,
+                message: 'Role updated successfully',
+                data: role
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(e => e.message)
+                });
+            }
+
+            console.error('Update role error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating role'
+            });
+        }
+    }
+
+    // Delete role; refused while assigned, since removing an admin's last role restores full admin access
+    static async deleteRole(req, res) {
+        try {
+            const role = await Role.findById(req.params.id);
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Role not found'
+                });
+            }
+
+            if (grantsPrivileged(role.permissions) && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only a super admin can delete roles that grant account or role management'
+                });
+            }
+
+            const memberCount = await User.countDocuments({ roles: role._id });
+            if (memberCount > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot delete a role assigned to ${memberCount} accounts; unassign or deactivate it instead`
+                });
+            }
+
+            await Role.findByIdAndDelete(role._id);
+
+            AuditService.track(req, { entityType: 'role', entityId: role._id, before: role, after: null });
+
+            res.json({
+                success: true,
+                message: 'Role deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete role error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting role'
+            });
+        }
+    }
+
+    // Replace the custom roles of a doctor or admin account, given its user or profile ID
+    static async setUserRoles(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+            const roleIds = [...new Set(req.body.roles.map(String))];
+
+            const user = await User.findOne({ $or: [{ _id: id }, { profile: id }] })
+                .select('email role profile roles')
+                .populate('profile', 'name');
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Account not found'
+                });
+            }
+
+            if (user._id.equals(req.user.userId)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot change your own roles'
+                });
+            }
+
+            if (!['doctor', 'admin'].includes(user.role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Custom roles can only be assigned to doctor and admin accounts'
+                });
+            }
+
+            if (user.role === 'admin' && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only a super admin can change the roles of admin accounts'
+                });
+            }
+
+            const roles = await Role.find({ _id: { $in: roleIds } });
+            if (roles.length !== roleIds.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'One or more roles do not exist'
+                });
+            }
+
+            if (roles.some(role => grantsPrivileged(role.permissions)) && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only a super admin can assign roles that grant account or role management'
+                });
+            }
+
+            const before = { roles: user.roles };
+            user.roles = roles.map(role => role._id);
+            await user.save();
+
+            AuditService.track(req, { entityType: 'user', entityId: user._id, action: 'update:roles', before, after: { roles: user.roles } });
+
+            res.json({
+                success: true,
+                message: 'Roles updated successfully',
+                data: {
+                    id: user.profile && user.profile._id,
+                    userId: user._id,
+                    name: user.profile && user.profile.name,
+                    email: user.email,
+                    role: user.role,
+                    roles: roles.map(role => ({ _id: role._id, name: role.name, isActive: role.isActive }))
+                }
+            });
+        } catch (error) {
+            console.error('Set user roles error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating roles'
+            });
+        }
+    }
+}
+
+module.exports = RoleController;
@@ -0,0 +1,344 @@
+const { ScheduleSlot, Group, Doctor, AcademicTerm } = require('../models');
+const { validationResult } = require('express-validator');
+
+class ScheduleController {
+    // Get weekly schedule of a group
+    static async getGroupSchedule(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const group = await Group.findById(req.params.id).select('name code');
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group not found'
+                });
+            }
+
+            const slots = await ScheduleController.findSlots({ group: group._id }, req.query);
+
+            res.json({
+                success: true,
+                data: slots
+            });
+        } catch (error) {
+            console.error('Get group schedule error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching group schedule'
+            });
+        }
+    }
+
+    // Get weekly schedule of a doctor
+    static async getDoctorSchedule(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            if (req.user.role === 'doctor' && req.user.id.toString() !== req.params.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Can only access your own schedule'
+                });
+            }
+
+            const doctor = await Doctor.findById(req.params.id).select('name');
+            if (!doctor) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Doctor not found'
+                });
+            }
+
+            const slots = await ScheduleController.findSlots({ doctor: doctor._id }, req.query);
+
+            res.json({
+                success: true,
+                data: slots
+            });
+        } catch (error) {
+            console.error('Get doctor schedule error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching doctor schedule'
+            });
+        }
+    }
+
+    // Create a slot in a group's schedule
+    static async createGroupSlot(req, res) {
+        return ScheduleController.createSlot(req, res, { ...req.body, group: req.params.id });
+    }
+
+    // Create a slot in a doctor's schedule
+    static async createDoctorSlot(req, res) {
+        return ScheduleController.createSlot(req, res, { ...req.body, doctor: req.params.id });
+    }
+
+    // Update a slot in a group's schedule
+    static async updateGroupSlot(req, res) {
+        return ScheduleController.updateSlot(req, res, { group: req.params.id });
+    }
+
+    // Update a slot in a doctor's schedule
+    static async updateDoctorSlot(req, res) {
+        return ScheduleController.updateSlot(req, res, { doctor: req.params.id });
+    }
+
+    // Delete a slot from a group's schedule
+    static async deleteGroupSlot(req, res) {
+        return ScheduleController.deleteSlot(req, res, { group: req.params.id });
+    }
+
+    // Delete a slot from a doctor's schedule
+    static async deleteDoctorSlot(req, res) {
+        return ScheduleController.deleteSlot(req, res, { doctor: req.params.id });
+    }
+
+    static findSlots(filter, { term, weekday, includeInactive }) {
+        const query = { ...filter };
+
+        if (term) query.term = term;
+        if (weekday !== undefined && weekday !== '') query.weekday = parseInt(weekday);
+        if (includeInactive !== 'true') query.isActive = true;
+
+        return ScheduleSlot.find(query)
+            .populate('group', 'name code')
+            .populate('doctor', 'name profile.title')
+            .populate('course', 'code title')
+            .populate('term', 'name')
+            .sort({ weekday: 1, startTime: 1 });
+    }
+
+    static async createSlot(req, res, data) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const slot = new ScheduleSlot({
+                group: data.group,
+                doctor: data.doctor,
+                course: data.course,
+                subject: data.subject,
+                weekday: data.weekday,
+                startTime: data.startTime,
+                endTime: data.endTime,
+                room: data.room,
+                term: data.term,
+                gracePeriodMinutes: data.gracePeriodMinutes,
+                cutoffMinutes: data.cutoffMinutes
+            });
+
+            const problem = await ScheduleController.checkSlot(slot);
+            if (problem) {
+                return res.status(problem.status).json({
+                    success: false,
+                    message: problem.message,
+                    ...(problem.clashes && { clashes: problem.clashes })
+                });
+            }
+
+            await slot.save();
+
+            const populatedSlot = await ScheduleSlot.findById(slot._id)
+                .populate('group', 'name code')
+                .populate('doctor', 'name profile.title')
+                .populate('course', 'code title')
+                .populate('term', 'name');
+
+            res.status(201).json({
+                success: true,
+                message: 'Schedule slot created successfully',
+                data: populatedSlot
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(e => e.message)
+                });
+            }
+
+            console.error('Create schedule slot error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error creating schedule slot'
+            });
+        }
+    }
+
+    static async updateSlot(req, res, owner) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const slot = await ScheduleSlot.findOne({ _id: req.params.slotId, ...owner });
+            if (!slot) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Schedule slot not found'
+                });
+            }
+
+            const fields = [
+                'group', 'doctor', 'course', 'subject', 'weekday', 'startTime', 'endTime',
+                'room', 'term', 'gracePeriodMinutes', 'cutoffMinutes', 'isActive'
+            ];
+            for (const field of fields) {
+                if (req.body[field] !== undefined) slot[field] = req.body[field];
+            }
+
+            const problem = await ScheduleController.checkSlot(slot);
+            if (problem) {
+                return res.status(problem.status).json({
+                    success: false,
+                    message: problem.message,
+                    ...(problem.clashes && { clashes: problem.clashes })
+                });
+            }
+
+            await slot.save();
+
+            const populatedSlot = await ScheduleSlot.findById(slot._id)
+                .populate('group', 'name code')
+                .populate('doctor', 'name profile.title')
+                .populate('course', 'code title')
+                .populate('term', 'name');
+
+            res.json({
+                success: true,
+                message: 'Schedule slot updated successfully',
+                data: populatedSlot
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: Object.values(error.errors).map(e => e.message)
+                });
+            }
+
+            console.error('Update schedule slot error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating schedule slot'
+            });
+        }
+    }
+
+    static async deleteSlot(req, res, owner) {
+        try {
+            const slot = await ScheduleSlot.findOneAndDelete({ _id: req.params.slotId, ...owner });
+
+            if (!slot) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Schedule slot not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Schedule slot deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete schedule slot error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting schedule slot'
+            });
+        }
+    }
+
+    // Check references and clashes for a slot; returns a problem description or null
+    static async checkSlot(slot) {
+        const [group, doctor, term] = await Promise.all([
+            Group.findById(slot.group).select('courses isArchived term'),
+            Doctor.findById(slot.doctor).select('assignedGroups'),
+            AcademicTerm.exists({ _id: slot.term })
+        ]);
+
+        if (!group) {
+            return { status: 404, message: 'Group not found' };
+        }
+
+        if (group.isArchived && slot.isActive) {
+            return { status: 400, message: 'Group is archived' };
+        }
+
+        if (!doctor) {
+            return { status: 404, message: 'Doctor not found' };
+        }
+
+        if (!doctor.assignedGroups.includes(slot.group)) {
+            return { status: 400, message: 'Doctor is not assigned to this group' };
+        }
+
+        if (!term) {
+            return { status: 404, message: 'Academic term not found' };
+        }
+
+        // Groups belong to one term; slots of groups from before terms existed may use any term
+        if (group.term && !group.term.equals(slot.term)) {
+            return { status: 400, message: 'Term does not match the group\'s term' };
+        }
+
+        if (slot.course && !group.courses.some(entry => entry.course.equals(slot.course))) {
+            return { status: 400, message: 'Course is not assigned to this group' };
+        }
+
+        await slot.validate();
+
+        if (!slot.isActive) {
+            return null;
+        }
+
+        const clashes = await ScheduleSlot.findClashes(slot);
+        if (clashes.length > 0) {
+            return {
+                status: 409,
+                message: 'Schedule slot clashes with existing slots',
+                clashes: clashes.map(clash => ({
+                    slot: clash,
+                    conflicts: [
+                        clash.group && clash.group._id.equals(slot.group) && 'group',
+                        clash.doctor && clash.doctor._id.equals(slot.doctor) && 'doctor',
+                        slot.room && clash.room === slot.room && 'room'
+                    ].filter(Boolean)
+                }))
+            };
+        }
+
+        return null;
+    }
+}
+
+module.exports = ScheduleController;
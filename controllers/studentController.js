@@ -1,7 +1,15 @@
+const mongoose = require('mongoose');
 const { Student, Group, Department, Attendance } = require('../models');
 const { validationResult } = require('express-validator');
 const QRService = require('../services/qrService');
-const { v4: uuidv4 } = require('uuid');
+const SpreadsheetService = require('../services/spreadsheetService');
+const StudentImportService = require('../services/studentImportService');
+const AuditService = require('../services/auditService');
+const AccountService = require('../services/accountService');
+const PolicyService = require('../services/policyService');
+const NotificationService = require('../services/notificationService');
+const AttendanceAuditService = require('../services/attendanceAuditService');
+const { runInTransaction } = require('../utils/transaction');
 
 class StudentController {
     // Get all students
@@ -23,6 +31,9 @@ class StudentController {
             if (group) query.group = group;
             if (year) query.year = parseInt(year);
 
+            // Department-scoped admins and custom roles only list what is within reach
+            PolicyService.applyScope(query, req.scope, { department: 'department', group: 'group' });
+
             const students = await Student.find(query)
                 .populate('department', 'name code')
                 .populate('group', 'name code')
@@ -93,36 +104,31 @@ class StudentController {
 
             const { name, email, password, year, department, group, profile = {} } = req.body;
 
-            // Check if student already exists
-            const existingStudent = await Student.findOne({ email });
-            if (existingStudent) {
+            // Check if the email already has an account
+            if (await AccountService.isEmailTaken(email)) {
                 return res.status(409).json({
                     success: false,
-                    message: 'Student with this email already exists'
+                    message: 'An account with this email already exists'
                 });
             }
 
             // Generate unique student number
             const studentNumber = `STU${Date.now()}`;
 
-            // Create student first without QR code
-            const student = new Student({
+            // The QR code embeds the student ID, so the ID is chosen up front
+            const studentId = new mongoose.Types.ObjectId();
+
+            const { profile: student } = await AccountService.createAccount('student', {
+                _id: studentId,
                 name,
                 email,
-                password,
                 studentNumber,
+                qrCode: QRService.generateStudentQRData(studentId, studentNumber), // Store JSON data, not base64 image
                 year,
                 department,
                 group,
                 profile
-            });
-
-            await student.save();
-
-            // Generate QR code with actual student ID
-            const qrData = QRService.generateStudentQRData(student._id, studentNumber);
-            student.qrCode = qrData; // Store JSON data, not base64 image
-            await student.save();
+            }, password);
 
             // Populate and return
             const populatedStudent = await Student.findById(student._id)
@@ -130,6 +136,11 @@ class StudentController {
                 .populate('group', 'name code')
                 .select('-password -qrCode');
 
+            AuditService.track(req, { entityType: 'student', entityId: student._id, after: populatedStudent });
+
+            NotificationService.accountCreated(student, 'student')
+                .catch(error => console.error('Account notification error:', error));
+
             res.status(201).json({
                 success: true,
                 message: 'Student created successfully',
@@ -144,6 +155,102 @@ class StudentController {
         }
     }
 
+    // Import students in bulk from a CSV or XLSX file; preview validates without saving
+    static async importStudents(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A .csv or .xlsx file is required'
+                });
+            }
+
+            const preview = req.query.preview === 'true' || req.body.preview === 'true';
+
+            let sheet;
+            try {
+                sheet = await SpreadsheetService.readRows(req.file);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            const { mapping, missing } = StudentImportService.mapColumns(sheet.headers);
+            if (missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Missing required columns: ${missing.join(', ')}`,
+                    data: { expectedColumns: StudentImportService.getTemplateHeaders() }
+                });
+            }
+
+            if (sheet.rows.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The uploaded file has no student rows'
+                });
+            }
+
+            const records = await StudentImportService.validateRows(sheet.rows, mapping);
+            const validRecords = records.filter(record => record.errors.length === 0);
+            const created = preview ? [] : await StudentImportService.createStudents(validRecords);
+            const outcomes = new Map(created.map(record => [record.rowNumber, record]));
+
+            const rows = records.map(record => {
+                const outcome = outcomes.get(record.rowNumber);
+                let status = record.errors.length > 0 ? 'invalid' : 'valid';
+                if (outcome) status = outcome.failed ? 'failed' : 'created';
+
+                return {
+                    row: record.rowNumber,
+                    name: record.name,
+                    email: record.email,
+                    studentNumber: record.studentNumber,
+                    status,
+                    errors: outcome ? outcome.errors || [] : record.errors,
+                    ...(outcome && outcome.studentId && { studentId: outcome.studentId }),
+                    ...(outcome && outcome.setupLinkSent && { setupLinkSent: true })
+                };
+            });
+
+            const count = status => rows.filter(row => row.status === status).length;
+            const summary = {
+                total: rows.length,
+                valid: validRecords.length,
+                invalid: count('invalid'),
+                created: count('created'),
+                failed: count('failed')
+            };
+
+            res.status(preview ? 200 : 201).json({
+                success: true,
+                message: preview
+                    ? `${summary.valid} of ${summary.total} rows are valid; no students were created`
+                    : `Imported ${summary.created} of ${summary.total} students`,
+                data: {
+                    preview,
+                    summary,
+                    rows
+                }
+            });
+        } catch (error) {
+            console.error('Import students error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error importing students'
+            });
+        }
+    }
+
+    // Download an empty CSV template for student imports
+    static async getImportTemplate(req, res) {
+        res.set('Content-Type', 'text/csv');
+        res.set('Content-Disposition', 'attachment; filename="students-import-template.csv"');
+        res.send(`${StudentImportService.getTemplateHeaders().join(',')}\n`);
+    }
+
     // Update student
     static async updateStudent(req, res) {
         try {
@@ -158,18 +265,11 @@ class StudentController {
 
             const { name, email, year, department, group, profile, isActive } = req.body;
 
-            // Check if another student exists with the same email
-            const existingStudent = await Student.findOne({
-                $and: [
-                    { _id: { $ne: req.params.id } },
-                    { email }
-                ]
-            });
-
-            if (existingStudent) {
+            // Check if another account uses the same email
+            if (email && await AccountService.isEmailTaken(email, { exceptProfile: req.params.id })) {
                 return res.status(409).json({
                     success: false,
-                    message: 'Another student with this email already exists'
+                    message: 'Another account with this email already exists'
                 });
             }
 
@@ -183,6 +283,8 @@ class StudentController {
                 ...(isActive !== undefined && { isActive })
             };
 
+            const previous = await Student.findById(req.params.id).select('-password -qrCode');
+
             const student = await Student.findByIdAndUpdate(
                 req.params.id,
                 updateData,
@@ -199,6 +301,12 @@ class StudentController {
                 });
             }
 
+            if (previous.email !== student.email) {
+                await AccountService.syncEmail(student);
+            }
+
+            AuditService.track(req, { entityType: 'student', entityId: student._id, before: previous, after: student });
+
             res.json({
                 success: true,
                 message: 'Student updated successfully',
@@ -225,10 +333,31 @@ class StudentController {
                 });
             }
 
-            // Delete associated attendance records
-            await Attendance.deleteMany({ student: req.params.id });
+            // Soft delete the student's attendance like a manual delete, so it is audited and can be restored
+            await runInTransaction(async (dbSession) => {
+                const records = await Attendance.find({ student: student._id }).session(dbSession);
+                const deletedAt = new Date();
+
+                await Attendance.updateMany(
+                    { _id: { $in: records.map(record => record._id) } },
+                    { $set: { isDeleted: true, deletedAt, deletedBy: req.user.id } },
+                    { session: dbSession }
+                );
+
+                await AttendanceAuditService.logMany('delete', records.map(record => ({
+                    before: record,
+                    after: { ...record.toObject({ depopulate: true, virtuals: false }), isDeleted: true }
+                })), {
+                    ...AttendanceAuditService.actorFromRequest(req, 'student_delete'),
+                    reason: 'Student deleted'
+                }, dbSession);
+
+                await Student.deleteOne({ _id: student._id }, { session: dbSession });
+            });
+
+            await AccountService.deleteAccount(student._id);
 
-            await Student.findByIdAndDelete(req.params.id);
+            AuditService.track(req, { entityType: 'student', entityId: student._id, before: student, after: null });
 
             res.json({
                 success: true,
@@ -263,16 +392,19 @@ class StudentController {
                 });
             }
 
-            // Generate QR code image
-            const qrCodeImage = await QRService.generateQRCodeBase64(student.qrCode);
+            // Generate the current rotating QR code
+            const qrCode = await QRService.generateRotatingStudentQRCode(student._id, student.studentNumber);
 
+            res.set('Cache-Control', 'no-store');
             res.json({
                 success: true,
                 data: {
                     studentName: student.name,
                     studentNumber: student.studentNumber,
-                    qrCodeData: student.qrCode,
-                    qrCodeImage: qrCodeImage
+                    qrCodeData: qrCode.data,
+                    qrCodeImage: qrCode.image,
+                    expiresAt: qrCode.expiresAt,
+                    refreshInterval: qrCode.refreshInterval
                 }
             });
         } catch (error) {
@@ -352,10 +484,10 @@ class StudentController {
         }
     }
 
-    // Get current student's QR code
+    // Get current student's rotating QR code
     static async getMyQRCode(req, res) {
         try {
-            const student = await Student.findById(req.user.id).select('qrCode studentNumber name');
+            const student = await Student.findById(req.user.id).select('studentNumber name isActive');
 
             if (!student) {
                 return res.status(404).json({
@@ -364,62 +496,20 @@ class StudentController {
                 });
             }
 
-            let qrCodeData = student.qrCode;
-            let qrCodeImage;
-
-            // Check if qrCode is base64 image or JSON data
-            if (student.qrCode && student.qrCode.startsWith('data:image/')) {
-                // It's a base64 image, extract the data from it
-                // This is for backwards compatibility
-                qrCodeData = JSON.stringify({
-                    type: 'student_attendance',
-                    studentId: student._id,
-                    studentNumber: student.studentNumber,
-                    generatedAt: Date.now(),
-                    uniqueId: uuidv4()
-                });
-                qrCodeImage = student.qrCode;
-            } else {
-                // It's JSON data (preferred format)
-                qrCodeData = student.qrCode;
-
-                // Parse and validate the JSON data
-                try {
-                    const parsedData = JSON.parse(qrCodeData);
-
-                    // If studentId is null or missing, regenerate the QR code data
-                    if (!parsedData.studentId || parsedData.studentId === 'temp_id') {
-                        qrCodeData = QRService.generateStudentQRData(student._id, student.studentNumber);
-
-                        // Update the database with correct QR code data
-                        await Student.findByIdAndUpdate(student._id, { qrCode: qrCodeData });
-                    }
-                } catch (parseError) {
-                    // If parsing fails, generate new QR code data
-                    qrCodeData = QRService.generateStudentQRData(student._id, student.studentNumber);
-                    await Student.findByIdAndUpdate(student._id, { qrCode: qrCodeData });
-                }
-
-                // Generate the base64 image from the JSON data
-                qrCodeImage = await QRService.generateQRCodeBase64(qrCodeData);
-            }
+            const qrCode = await QRService.generateRotatingStudentQRCode(student._id, student.studentNumber);
 
+            res.set('Cache-Control', 'no-store');
             res.json({
                 success: true,
                 data: {
                     studentName: student.name,
                     studentNumber: student.studentNumber,
-                    qrCodeData: qrCodeData,
-                    qrCodeImage: qrCodeImage
+                    qrCodeData: qrCode.data,
+                    qrCodeImage: qrCode.image,
+                    expiresAt: qrCode.expiresAt,
+                    refreshInterval: qrCode.refreshInterval
                 }
             });
-
-            // Debug logging
-            console.log('QR Code Response for student:', student.studentNumber);
-            console.log('qrCodeData type:', typeof qrCodeData);
-            console.log('qrCodeData starts with:', qrCodeData.substring(0, 50));
-            console.log('qrCodeImage type:', typeof qrCodeImage);
-            console.log('qrCodeImage starts with:', qrCodeImage.substring(0, 50));
         } catch (error) {
             console.error('Get my QR code error:', error);
             res.status(500).json({
@@ -446,8 +536,11 @@ class StudentController {
 
             // Get recent attendance records
             const attendance = await Attendance.find({ student: req.params.id })
-                .populate('session', 'subject date startTime endTime')
-                .populate('session.doctor', 'name')
+                .populate({
+                    path: 'session',
+                    select: 'subject startTime endTime room lectureNumber doctor',
+                    populate: { path: 'doctor', select: 'name' }
+                })
                 .sort({ createdAt: -1 })
                 .limit(10);
 
@@ -0,0 +1,342 @@
+const { User, SecurityPolicy } = require('../models');
+const { validationResult } = require('express-validator');
+const TwoFactorService = require('../services/twoFactorService');
+const AuditService = require('../services/auditService');
+
+class TwoFactorController {
+    // Get the two-factor state of the signed-in account
+    static async getStatus(req, res) {
+        try {
+            const status = await TwoFactorService.getStatus(req.user.userId, req.user.role);
+
+            res.json({
+                success: true,
+                data: status
+            });
+        } catch (error) {
+            console.error('Get two-factor status error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching two-factor status'
+            });
+        }
+    }
+
+    // Issue a new secret to scan; it takes effect once confirmed with a code
+    static async startSetup(req, res) {
+        try {
+            const user = await User.findById(req.user.userId).select('twoFactor.enabled');
+
+            if (user.twoFactor.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already enabled'
+                });
+            }
+
+            const enrollment = await TwoFactorService.startEnrollment(user._id);
+
+            res.json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app, then confirm with a code',
+                data: enrollment
+            });
+        } catch (error) {
+            console.error('Start two-factor setup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error starting two-factor setup'
+            });
+        }
+    }
+
+    // Confirm setup with a code; the recovery codes are returned only here
+    static async enable(req, res) {
+        try {
+            const user = await User.findById(req.user.userId).select('twoFactor.enabled');
+
+            if (user.twoFactor.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already enabled'
+                });
+            }
+
+            const recoveryCodes = await TwoFactorService.confirmEnrollment(user._id, req.body.code);
+
+            if (!recoveryCodes) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid verification code, or no setup in progress'
+                });
+            }
+
+            AuditService.track(req, {
+                entityType: 'user',
+                entityId: user._id,
+                action: 'update:two-factor-enable',
+                before: { twoFactorEnabled: false },
+                after: { twoFactorEnabled: true }
+            });
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication enabled; store the recovery codes somewhere safe',
+                data: { recoveryCodes }
+            });
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error enabling two-factor authentication'
+            });
+        }
+    }
+
+    // Turn two-factor off; needs the password and a current code, and is refused where the policy requires it
+    static async disable(req, res) {
+        try {
+            const { password, code } = req.body;
+
+            if (await TwoFactorService.isRequired(req.user.role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Two-factor authentication is required for your role'
+                });
+            }
+
+            const user = await User.findById(req.user.userId);
+
+            if (!user.twoFactor.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            if (!await user.comparePassword(password)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Password is incorrect'
+                });
+            }
+
+            const result = await TwoFactorService.verify(user._id, { code });
+            if (!result.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid verification code'
+                });
+            }
+
+            await TwoFactorService.disable(user._id);
+
+            AuditService.track(req, {
+                entityType: 'user',
+                entityId: user._id,
+                action: 'update:two-factor-disable',
+                before: { twoFactorEnabled: true },
+                after: { twoFactorEnabled: false }
+            });
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error disabling two-factor authentication'
+            });
+        }
+    }
+
+    // Replace the recovery codes after checking a current code
+    static async regenerateRecoveryCodes(req, res) {
+        try {
+            const result = await TwoFactorService.verify(req.user.userId, { code: req.body.code });
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid verification code, or two-factor authentication is not enabled'
+                });
+            }
+
+            const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.userId);
+
+            res.json({
+                success: true,
+                message: 'New recovery codes generated; the previous ones no longer work',
+                data: { recoveryCodes }
+            });
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error generating recovery codes'
+            });
+        }
+    }
+
+    // Get the roles two-factor is required for, with how many of their accounts are enrolled
+    static async getPolicy(req, res) {
+        try {
+            const policy = await SecurityPolicy.getCurrent();
+
+            const counts = await User.aggregate([
+                { $match: { role: { $in: SecurityPolicy.TWO_FACTOR_ROLES }, isActive: true } },
+                {
+                    $group: {
+                        _id: '$role',
+                        total: { $sum: 1 },
+                        enrolled: { $sum: { $cond: ['$twoFactor.enabled', 1, 0] } }
+                    }
+                }
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+                    supportedRoles: SecurityPolicy.TWO_FACTOR_ROLES,
+                    enrollment: SecurityPolicy.TWO_FACTOR_ROLES.map(role => {
+                        const entry = counts.find(count => count._id === role);
+                        return { role, total: entry ? entry.total : 0, enrolled: entry ? entry.enrolled : 0 };
+                    }),
+                    updatedAt: policy.updatedAt,
+                    updatedBy: policy.updatedBy
+                }
+            });
+        } catch (error) {
+            console.error('Get security policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching security policy'
+            });
+        }
+    }
+
+    // Set the roles two-factor is required for; unenrolled accounts must set it up at their next login
+    static async updatePolicy(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const roles = [...new Set(req.body.twoFactorRequiredRoles)];
+
+            let policy = await SecurityPolicy.findOne();
+            const before = policy ? { twoFactorRequiredRoles: [...policy.twoFactorRequiredRoles] } : null;
+
+            if (!policy) policy = new SecurityPolicy();
+            policy.twoFactorRequiredRoles = roles;
+            policy.updatedBy = req.user.id;
+            await policy.save();
+
+            AuditService.track(req, {
+                entityType: 'security_policy',
+                entityId: policy._id,
+                action: before ? 'update' : 'create',
+                before,
+                after: { twoFactorRequiredRoles: policy.twoFactorRequiredRoles }
+            });
+
+            res.json({
+                success: true,
+                message: 'Security policy updated successfully',
+                data: policy
+            });
+        } catch (error) {
+            console.error('Update security policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating security policy'
+            });
+        }
+    }
+
+    // Remove the two-factor enrollment of an account that lost its device, given its user or profile ID
+    static async resetForUser(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const { id } = req.params;
+
+            const user = await User.findOne({ $or: [{ _id: id }, { profile: id }] })
+                .select('email role profile twoFactor.enabled')
+                .populate('profile', 'name');
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Account not found'
+                });
+            }
+
+            if (user._id.equals(req.user.userId)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Use your own two-factor settings to change your enrollment'
+                });
+            }
+
+            if (['admin', 'super_admin'].includes(user.role) && req.user.role !== 'super_admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only a super admin can reset two-factor for admin accounts'
+                });
+            }
+
+            if (!user.twoFactor.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled for this account'
+                });
+            }
+
+            await TwoFactorService.disable(user._id);
+
+            AuditService.track(req, {
+                entityType: 'user',
+                entityId: user._id,
+                action: 'update:two-factor-reset',
+                before: { twoFactorEnabled: true },
+                after: { twoFactorEnabled: false }
+            });
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication reset; the account must enroll again if its role requires it',
+                data: {
+                    id: user.profile && user.profile._id,
+                    userId: user._id,
+                    name: user.profile && user.profile.name,
+                    email: user.email,
+                    role: user.role
+                }
+            });
+        } catch (error) {
+            console.error('Reset two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error resetting two-factor authentication'
+            });
+        }
+    }
+}
+
+module.exports = TwoFactorController;
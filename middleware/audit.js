@@ -0,0 +1,27 @@
+const AuditService = require('../services/auditService');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Personal state of the caller, not system data; paths are relative to /api
+const UNAUDITED_PATHS = ['/notifications'];
+
+// Record every authenticated mutating request in the audit log once the response is sent.
+// Controllers add the target entity and before/after state with AuditService.track().
+const auditRequests = (req, res, next) => {
+    if (!MUTATING_METHODS.includes(req.method)) return next();
+    if (UNAUDITED_PATHS.some(prefix => req.path.startsWith(prefix))) return next();
+
+    res.on('finish', () => {
+        // Unauthenticated requests (login, public endpoints) have no actor to record
+        if (!req.user) return;
+
+        AuditService.recordRequest(req, res)
+            .catch(error => console.error('Audit log error:', error));
+    });
+
+    next();
+};
+
+module.exports = {
+    auditRequests
+};
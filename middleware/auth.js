@@ -1,5 +1,21 @@
 const jwt = require('jsonwebtoken');
-const { Student, Doctor, Admin } = require('../models');
+const { Doctor } = require('../models');
+const AuthService = require('../services/authService');
+const SessionService = require('../services/sessionService');
+const AccountService = require('../services/accountService');
+const PolicyService = require('../services/policyService');
+
+// req.user for a login identity; `id` is the profile ID the rest of the API works with
+const buildRequestUser = (user, decoded) => ({
+    id: user.profile._id,
+    userId: user._id,
+    role: user.role,
+    email: user.email,
+    name: user.profile.name,
+    permissions: user.profile.permissions || [],
+    roles: user.roles || [],
+    sessionId: decoded.sid
+});
 
 const authenticateToken = async (req, res, next) => {
     // Get token from Authorization header or cookies
@@ -20,39 +36,31 @@ const authenticateToken = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
         // Verify user still exists and is active
-        let user = null;
-        switch (decoded.role) {
-            case 'student':
-                user = await Student.findById(decoded.id).select('-password');
-                break;
-            case 'doctor':
-                user = await Doctor.findById(decoded.id).select('-password');
-                break;
-            case 'admin':
-            case 'super_admin':
-                user = await Admin.findById(decoded.id).select('-password');
-                break;
-            default:
-                return res.status(403).json({
-                    success: false,
-                    message: 'Invalid user role'
-                });
-        }
+        const user = await AccountService.findForToken(decoded);
 
-        if (!user || !user.isActive) {
+        if (!AccountService.isUsable(user)) {
             return res.status(401).json({
                 success: false,
                 message: 'User not found or inactive'
             });
         }
 
-        req.user = {
-            id: user._id,
-            role: decoded.role,
-            email: user.email,
-            name: user.name,
-            permissions: user.permissions || []
-        };
+        if (AuthService.isTokenRevoked(decoded, user)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired after a password reset; please log in again'
+            });
+        }
+
+        // Tokens from before server-side sessions carry no session ID and stay valid until they expire
+        if (decoded.sid && !(await SessionService.isActive(decoded.sid))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been signed out'
+            });
+        }
+
+        req.user = buildRequestUser(user, decoded);
 
         next();
     } catch (error) {
@@ -81,28 +89,11 @@ const optionalAuth = async (req, res, next) => {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-            let user = null;
-            switch (decoded.role) {
-                case 'student':
-                    user = await Student.findById(decoded.id).select('-password');
-                    break;
-                case 'doctor':
-                    user = await Doctor.findById(decoded.id).select('-password');
-                    break;
-                case 'admin':
-                case 'super_admin':
-                    user = await Admin.findById(decoded.id).select('-password');
-                    break;
-            }
+            const user = await AccountService.findForToken(decoded);
+            const sessionActive = !decoded.sid || await SessionService.isActive(decoded.sid);
 
-            if (user && user.isActive) {
-                req.user = {
-                    id: user._id,
-                    role: decoded.role,
-                    email: user.email,
-                    name: user.name,
-                    permissions: user.permissions || []
-                };
+            if (AccountService.isUsable(user) && sessionActive && !AuthService.isTokenRevoked(decoded, user)) {
+                req.user = buildRequestUser(user, decoded);
             } else {
                 req.user = null;
             }
@@ -164,6 +155,67 @@ const requirePermission = (permission) => {
     };
 };
 
+// Policy authorization: requires a permission from the user's built-in or custom roles and,
+// with `resource`, that the targeted department, group, student or doctor is within its scope.
+// `requireAll` admits only grants without department or group limits, for faculty-wide actions.
+// `roles` lets base roles through without a grant when the controller limits them to their own data.
+// The resolved scope is left on req.scope for listings to filter by.
+const authorize = (permission, { resource, param = 'id', requireAll = false, roles = [] } = {}) => {
+    const resources = [].concat(resource || []);
+
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        try {
+            const scope = await PolicyService.resolveScope(req, permission);
+
+            if (!scope) {
+                if (roles.includes(req.user.role)) {
+                    return next();
+                }
+
+                return res.status(403).json({
+                    success: false,
+                    message: `Permission '${permission}' required`
+                });
+            }
+
+            if (requireAll && !scope.all) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Permission '${permission}' without department or group limits required`
+                });
+            }
+
+            for (const name of resources) {
+                const target = await PolicyService.resolveTarget(name, req, param);
+
+                // Missing resources are left for the controller to report
+                if (target && !PolicyService.isInScope(scope, target)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: `Permission '${permission}' does not extend to this ${name === 'body' ? 'department or group' : name}`
+                    });
+                }
+            }
+
+            req.scope = scope;
+            next();
+        } catch (error) {
+            console.error('Authorization error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error checking permissions'
+            });
+        }
+    };
+};
+
 // Check if user can access specific resource
 const requireResourceAccess = (resourceType) => {
     return async (req, res, next) => {
@@ -220,5 +272,6 @@ module.exports = {
     optionalAuth,
     requireRole,
     requirePermission,
+    authorize,
     requireResourceAccess
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { IdempotencyKey } = require('../models');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_KEY_LENGTH = 255;
+
+// Replay the stored response when a request is retried with the same Idempotency-Key header.
+// Requests without the header are processed normally.
+const idempotent = (scope) => {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key) return next();
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Idempotency key must not exceed ${MAX_KEY_LENGTH} characters`
+            });
+        }
+
+        const requestHash = crypto
+            .createHash('sha256')
+            .update(JSON.stringify(req.body || {}))
+            .digest('hex');
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                key,
+                scope,
+                user: req.user.id,
+                requestHash,
+                expiresAt: new Date(Date.now() + KEY_TTL_MS)
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                console.error('Idempotency key error:', error);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Error processing idempotency key'
+                });
+            }
+
+            const existing = await IdempotencyKey.findOne({ key, scope, user: req.user.id });
+
+            if (!existing || existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Idempotency key was already used with a different request'
+                });
+            }
+
+            if (existing.status !== 'completed') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A request with this idempotency key is still being processed'
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response.statusCode).json(existing.response.body);
+        }
+
+        // Remember the outcome; server errors release the key so the request can be retried
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const saved = res.statusCode >= 500
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    { status: 'completed', response: { statusCode: res.statusCode, body } }
+                );
+
+            saved.catch(error => console.error('Idempotency key save error:', error));
+            return json(body);
+        };
+
+        next();
+    };
+};
+
+module.exports = {
+    idempotent
+};
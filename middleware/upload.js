@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const SPREADSHEET_TYPES = {
+    '.csv': ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'],
+    '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream']
+};
+
+const DOCUMENT_TYPES = {
+    '.pdf': ['application/pdf'],
+    '.jpg': ['image/jpeg'],
+    '.jpeg': ['image/jpeg'],
+    '.png': ['image/png']
+};
+
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Root directory for stored uploads
+const getUploadDir = (...segments) => path.join(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'), ...segments);
+
+// Run a multer handler and answer upload errors with a JSON 400
+const handleUpload = (upload) => {
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (!err) return next();
+
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? 'Uploaded file is too large'
+                : err.message;
+
+            return res.status(400).json({
+                success: false,
+                message
+            });
+        });
+    };
+};
+
+// Accept a single CSV or XLSX file, kept in memory for parsing
+const uploadSpreadsheet = (fieldName = 'file') => handleUpload(multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SPREADSHEET_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        const mimeTypes = SPREADSHEET_TYPES[extension];
+
+        if (!mimeTypes || !mimeTypes.includes(file.mimetype)) {
+            return cb(new Error('Only .csv and .xlsx files are allowed'));
+        }
+
+        cb(null, true);
+    }
+}).single(fieldName));
+
+// Accept up to `maxFiles` PDF or image documents, stored on disk under uploads/<folder>
+const uploadDocuments = (folder, fieldName = 'documents', maxFiles = 3) => {
+    const directory = getUploadDir(folder);
+
+    return handleUpload(multer({
+        storage: multer.diskStorage({
+            destination: (req, file, cb) => {
+                fs.mkdir(directory, { recursive: true }, err => cb(err, directory));
+            },
+            filename: (req, file, cb) => {
+                const extension = path.extname(file.originalname).toLowerCase();
+                cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`);
+            }
+        }),
+        limits: { fileSize: MAX_DOCUMENT_SIZE, files: maxFiles },
+        fileFilter: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+            const mimeTypes = DOCUMENT_TYPES[extension];
+
+            if (!mimeTypes || !mimeTypes.includes(file.mimetype)) {
+                return cb(new Error('Only .pdf, .jpg and .png files are allowed'));
+            }
+
+            cb(null, true);
+        }
+    }).array(fieldName, maxFiles));
+};
+
+module.exports = {
+    getUploadDir,
+    handleUpload,
+    uploadSpreadsheet,
+    uploadDocuments
+};
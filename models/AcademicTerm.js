@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const academicTermSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+    },
+    startDate: {
+        type: Date,
+        required: true,
+    },
+    endDate: {
+        type: Date,
+        required: true,
+    },
+    isActive: {
+        type: Boolean,
+        default: false,
+    },
+    // Set once students have been promoted into this term
+    promotion: {
+        fromTerm: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AcademicTerm',
+        },
+        completedAt: Date,
+        completedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        promoted: Number,
+        graduated: Number,
+        groupsArchived: Number,
+    },
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for groups taught in this term
+academicTermSchema.virtual('groups', {
+    ref: 'Group',
+    localField: '_id',
+    foreignField: 'term',
+});
+
+// Only one term can be active at a time
+academicTermSchema.index(
+    { isActive: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+academicTermSchema.index({ startDate: 1, endDate: 1 });
+
+academicTermSchema.pre('validate', function (next) {
+    if (this.startDate && this.endDate && this.startDate >= this.endDate) {
+        this.invalidate('endDate', 'End date must be after start date');
+    }
+    next();
+});
+
+// Currently active term
+academicTermSchema.statics.findActive = function () {
+    return this.findOne({ isActive: true });
+};
+
+// Term whose dates cover the given day
+academicTermSchema.statics.findForDate = function (date = new Date()) {
+    return this.findOne({ startDate: { $lte: date }, endDate: { $gte: date } }).sort({ startDate: -1 });
+};
+
+// Make this term the only active one, optionally inside a transaction
+academicTermSchema.methods.activate = async function (session = null) {
+    await this.constructor.updateMany({ _id: { $ne: this._id }, isActive: true }, { isActive: false }, { session });
+    this.isActive = true;
+    return this.save({ session });
+};
+
+module.exports = mongoose.model('AcademicTerm', academicTermSchema);
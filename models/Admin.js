@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const { PERMISSIONS } = require('./permissions');
 
 const adminSchema = new mongoose.Schema({
     name: {
@@ -14,10 +14,12 @@ const adminSchema = new mongoose.Schema({
         lowercase: true,
         trim: true,
     },
-    password: {
-        type: String,
-        required: true,
-        minlength: 6,
+    // Login identity holding the credentials
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        unique: true,
+        sparse: true,
     },
     profile: {
         avatar: String,
@@ -28,17 +30,15 @@ const adminSchema = new mongoose.Schema({
         default: 'admin',
         enum: ['admin', 'super_admin'],
     },
+    // Limits an admin to these of the built-in admin grants; empty means all of them. Ignored for super admins.
     permissions: [{
         type: String,
-        enum: [
-            'manage_departments',
-            'manage_groups',
-            'manage_students',
-            'manage_doctors',
-            'manage_admins',
-            'view_reports',
-            'manage_attendance'
-        ],
+        enum: PERMISSIONS,
+    }],
+    // Departments an admin is limited to; empty means every department. Ignored for super admins.
+    departments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
     }],
     isActive: {
         type: Boolean,
@@ -48,6 +48,7 @@ const adminSchema = new mongoose.Schema({
     timestamps: true,
     toJSON: {
         virtuals: true,
+        // Profiles not yet migrated to User may still carry a password hash
         transform: function (doc, ret) {
             delete ret.password;
             return ret;
@@ -56,18 +57,4 @@ const adminSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
-// Hash password before saving
-adminSchema.pre('save', async function (next) {
-    if (!this.isModified('password')) return next();
-
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-});
-
-// Compare password method
-adminSchema.methods.comparePassword = async function (candidatePassword) {
-    return await bcrypt.compare(candidatePassword, this.password);
-};
-
 module.exports = mongoose.model('Admin', adminSchema);
\ No newline at end of file
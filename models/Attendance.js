@@ -16,6 +16,19 @@ const attendanceSchema = new mongoose.Schema({
         ref: 'Doctor',
         required: true,
     },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LectureSession',
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+    },
+    // Academic term of the group when the record was taken
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+    },
     lectureDate: {
         type: Date,
         required: true,
@@ -30,20 +43,60 @@ const attendanceSchema = new mongoose.Schema({
         type: Date,
         default: Date.now,
     },
+    // When the QR code was scanned; earlier than recordedAt for scans synced from offline devices
+    scannedAt: {
+        type: Date,
+    },
     recordedBy: {
         type: String,
-        enum: ['qr_scan', 'manual', 'admin'],
+        enum: ['qr_scan', 'manual', 'admin', 'system'],
         default: 'qr_scan',
     },
     notes: {
         type: String,
         trim: true,
     },
+    // Approved excuse request that changed this absence to excused
+    excuseRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ExcuseRequest',
+    },
     lectureDetails: {
         subject: String,
         lectureNumber: Number,
         duration: Number, // in minutes
     },
+    checkIn: {
+        latitude: Number,
+        longitude: Number,
+        accuracy: Number, // in meters, as reported by the device
+        distanceMeters: Number,
+        ipAddress: String,
+    },
+    // Set for scans captured without connectivity and synced later
+    offlineCapture: {
+        deviceId: String,
+        idempotencyKey: String,
+        syncedAt: Date,
+    },
+    isSuspicious: {
+        type: Boolean,
+        default: false,
+    },
+    suspiciousReasons: [{
+        type: String,
+    }],
+    // Deleted records are kept so they can be restored; see excludeDeleted below
+    isDeleted: {
+        type: Boolean,
+        default: false,
+    },
+    deletedAt: {
+        type: Date,
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -57,13 +110,101 @@ attendanceSchema.index({
     lectureDate: 1
 }, {
     unique: true,
-    partialFilterExpression: { status: { $ne: 'absent' } }
+    partialFilterExpression: { status: { $ne: 'absent' }, isDeleted: false }
+});
+
+// One attendance record per student in a lecture session
+attendanceSchema.index({
+    session: 1,
+    student: 1
+}, {
+    unique: true,
+    partialFilterExpression: { session: { $exists: true }, isDeleted: false }
+});
+
+// Each offline scan is synced at most once per device
+attendanceSchema.index({
+    'offlineCapture.deviceId': 1,
+    'offlineCapture.idempotencyKey': 1
+}, {
+    unique: true,
+    partialFilterExpression: { 'offlineCapture.idempotencyKey': { $exists: true } }
 });
 
 // Index for efficient queries
 attendanceSchema.index({ group: 1, lectureDate: -1 });
 attendanceSchema.index({ student: 1, lectureDate: -1 });
 attendanceSchema.index({ doctor: 1, lectureDate: -1 });
+attendanceSchema.index({ course: 1, group: 1, lectureDate: -1 });
+attendanceSchema.index({ group: 1, isSuspicious: 1, lectureDate: -1 });
+attendanceSchema.index({ term: 1, student: 1, lectureDate: -1 });
+
+// Hide soft-deleted records from queries unless the filter mentions isDeleted
+// or the query is run with { withDeleted: true }
+function excludeDeleted() {
+    if (this.getOptions().withDeleted || this.getFilter().isDeleted !== undefined) return;
+    this.where({ isDeleted: { $ne: true } });
+}
+
+attendanceSchema.pre([
+    'find',
+    'findOne',
+    'countDocuments',
+    'distinct',
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate'
+], excludeDeleted);
+
+attendanceSchema.pre('aggregate', function () {
+    const [first] = this.pipeline();
+    if (first && first.$match && first.$match.isDeleted !== undefined) return;
+    this.pipeline().unshift({ $match: { isDeleted: { $ne: true } } });
+});
+
+// Stamp new records with the term of their group
+attendanceSchema.pre('save', async function (next) {
+    if (this.isNew && !this.term && this.group) {
+        const group = await mongoose.model('Group').findById(this.group).select('term');
+        if (group && group.term) this.term = group.term;
+    }
+    next();
+});
+
+// Query condition for a term; records taken before terms existed match by date
+attendanceSchema.statics.termFilter = function (term) {
+    return {
+        $or: [
+            { term: term._id },
+            { term: null, lectureDate: { $gte: term.startDate, $lte: term.endDate } }
+        ]
+    };
+};
+
+// Find an existing record for a student, keyed by lecture session when known,
+// by the scheduled lecture start when `exactDate` is set, and by calendar day otherwise
+attendanceSchema.statics.findExistingRecord = function ({ student, group, session, lectureDate, exactDate = false }) {
+    if (session) {
+        return this.findOne({ student, session });
+    }
+
+    if (exactDate) {
+        return this.findOne({ student, group, lectureDate: new Date(lectureDate) });
+    }
+
+    const date = new Date(lectureDate);
+    const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59);
+
+    return this.findOne({
+        student,
+        group,
+        lectureDate: {
+            $gte: startOfDay,
+            $lte: endOfDay
+        }
+    });
+};
 
 // Static method to get attendance statistics
 attendanceSchema.statics.getAttendanceStats = async function (filters = {}) {
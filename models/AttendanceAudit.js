@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const attendanceAuditSchema = new mongoose.Schema({
+    attendance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attendance',
+        required: true,
+    },
+    // Copied from the record so the log can be searched without joining
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore'],
+        required: true,
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    role: {
+        type: String,
+        enum: ['student', 'doctor', 'admin', 'super_admin', 'system'],
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    changedFields: [{
+        type: String,
+    }],
+    reason: {
+        type: String,
+        trim: true,
+    },
+    source: {
+        type: String,
+        trim: true,
+    },
+    ipAddress: {
+        type: String,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+attendanceAuditSchema.index({ attendance: 1, createdAt: 1 });
+attendanceAuditSchema.index({ actor: 1, createdAt: -1 });
+attendanceAuditSchema.index({ student: 1, createdAt: -1 });
+attendanceAuditSchema.index({ group: 1, createdAt: -1 });
+attendanceAuditSchema.index({ action: 1, createdAt: -1 });
+
+// Audit entries are append-only
+const rejectChange = function (next) {
+    next(new Error('Attendance audit entries cannot be modified or deleted'));
+};
+
+attendanceAuditSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectChange(next);
+    next();
+});
+
+attendanceAuditSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], rejectChange);
+
+module.exports = mongoose.model('AttendanceAudit', attendanceAuditSchema);
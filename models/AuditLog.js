@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    actorRole: {
+        type: String,
+        enum: ['student', 'doctor', 'admin', 'super_admin'],
+    },
+    actorName: {
+        type: String,
+    },
+    action: {
+        type: String,
+        required: true,
+    },
+    entityType: {
+        type: String,
+        required: true,
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    // Field-level changes: { field: { from, to } }
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    request: {
+        method: String,
+        path: String,
+        body: mongoose.Schema.Types.Mixed,
+        ipAddress: String,
+        userAgent: String,
+    },
+    statusCode: {
+        type: Number,
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'failure'],
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Audit entries are append-only
+const rejectChange = function (next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectChange(next);
+    next();
+});
+
+auditLogSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const eligibilityPolicySchema = require('./eligibilityPolicySchema');
+
+const courseSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        maxlength: 20,
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+        trim: true,
+    },
+    creditHours: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 12,
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        required: true,
+    },
+    year: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 6,
+    },
+    semester: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 2,
+    },
+    eligibilityPolicy: {
+        type: eligibilityPolicySchema,
+        default: () => ({}),
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for groups taking this course
+courseSchema.virtual('groups', {
+    ref: 'Group',
+    localField: '_id',
+    foreignField: 'courses.course',
+});
+
+courseSchema.index({ department: 1, year: 1, semester: 1 });
+
+module.exports = mongoose.model('Course', courseSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const attendancePolicySchema = require('./attendancePolicySchema');
+const eligibilityPolicySchema = require('./eligibilityPolicySchema');
 
 const departmentSchema = new mongoose.Schema({
     name: {
@@ -18,6 +20,41 @@ const departmentSchema = new mongoose.Schema({
         type: String,
         trim: true,
     },
+    attendancePolicy: {
+        type: attendancePolicySchema,
+        default: () => ({}),
+    },
+    eligibilityPolicy: {
+        type: eligibilityPolicySchema,
+        default: () => ({}),
+    },
+    latenessPolicy: {
+        // Minutes after lecture start during which a scan still counts as present
+        gracePeriodMinutes: {
+            type: Number,
+            min: 0,
+            max: 180,
+            default: 10,
+        },
+        // Minutes after lecture start after which scans are no longer accepted as attendance
+        cutoffMinutes: {
+            type: Number,
+            min: 0,
+            max: 600,
+            default: null,
+        },
+        cutoffAction: {
+            type: String,
+            enum: ['reject', 'absent'],
+            default: 'reject',
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        updatedAt: {
+            type: Date,
+        },
+    },
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Lets a student sit a course's final exam despite exceeding the absence threshold
+const deprivationOverrideSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true,
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true,
+    },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        default: null,
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000,
+    },
+    // Absence percentage when the override was granted
+    absencePercentage: {
+        type: Number,
+    },
+    grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    revokedAt: {
+        type: Date,
+    },
+    revokeReason: {
+        type: String,
+        trim: true,
+    },
+}, {
+    timestamps: true
+});
+
+// One active override per student, course and term
+deprivationOverrideSchema.index({ student: 1, course: 1, term: 1 }, {
+    unique: true,
+    partialFilterExpression: { isActive: true }
+});
+deprivationOverrideSchema.index({ course: 1, term: 1, isActive: 1 });
+
+module.exports = mongoose.model('DeprivationOverride', deprivationOverrideSchema);
@@ -1,5 +1,4 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 
 const doctorSchema = new mongoose.Schema({
     name: {
@@ -14,10 +13,12 @@ const doctorSchema = new mongoose.Schema({
         lowercase: true,
         trim: true,
     },
-    password: {
-        type: String,
-        required: true,
-        minlength: 6,
+    // Login identity holding the credentials
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        unique: true,
+        sparse: true,
     },
     department: {
         type: mongoose.Schema.Types.ObjectId,
@@ -52,6 +53,7 @@ const doctorSchema = new mongoose.Schema({
     timestamps: true,
     toJSON: {
         virtuals: true,
+        // Profiles not yet migrated to User may still carry a password hash
         transform: function (doc, ret) {
             delete ret.password;
             return ret;
@@ -67,18 +69,4 @@ doctorSchema.virtual('attendanceRecords', {
     foreignField: 'doctor',
 });
 
-// Hash password before saving
-doctorSchema.pre('save', async function (next) {
-    if (!this.isModified('password')) return next();
-
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-});
-
-// Compare password method
-doctorSchema.methods.comparePassword = async function (candidatePassword) {
-    return await bcrypt.compare(candidatePassword, this.password);
-};
-
 module.exports = mongoose.model('Doctor', doctorSchema);
\ No newline at end of file
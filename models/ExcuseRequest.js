@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const excuseAttachmentSchema = new mongoose.Schema({
+    originalName: String,
+    filename: String,
+    mimeType: String,
+    size: Number,
+}, { _id: true });
+
+const excuseHistorySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['submitted', 'approved', 'rejected', 'cancelled'],
+        required: true,
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: ['student', 'doctor', 'admin', 'super_admin'],
+    },
+    comment: {
+        type: String,
+        trim: true,
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+const excuseRequestSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true,
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000,
+    },
+    startDate: {
+        type: Date,
+        required: true,
+    },
+    endDate: {
+        type: Date,
+        required: true,
+    },
+    attachments: [excuseAttachmentSchema],
+    // Absences the request covers, with the status each had before approval
+    records: [{
+        attendance: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attendance',
+            required: true,
+        },
+        previousStatus: String,
+        _id: false,
+    }],
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        default: 'pending',
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    reviewedAt: {
+        type: Date,
+    },
+    reviewComment: {
+        type: String,
+        trim: true,
+    },
+    history: [excuseHistorySchema],
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+excuseRequestSchema.index({ status: 1, group: 1, createdAt: 1 });
+excuseRequestSchema.index({ student: 1, createdAt: -1 });
+excuseRequestSchema.index({ 'records.attendance': 1, status: 1 });
+
+// End date must not precede the start date
+excuseRequestSchema.pre('validate', function (next) {
+    if (this.startDate && this.endDate && this.endDate < this.startDate) {
+        this.invalidate('endDate', 'End date must not be before the start date');
+    }
+    next();
+});
+
+module.exports = mongoose.model('ExcuseRequest', excuseRequestSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const attendancePolicySchema = require('./attendancePolicySchema');
 
 const groupSchema = new mongoose.Schema({
     name: {
@@ -34,6 +35,33 @@ const groupSchema = new mongoose.Schema({
         default: 30,
         min: 1,
     },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+    },
+    // Archived groups belong to a past term and no longer take attendance
+    isArchived: {
+        type: Boolean,
+        default: false,
+    },
+    archivedAt: Date,
+    // Courses taught to this group and the doctor responsible for each
+    courses: [{
+        _id: false,
+        course: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course',
+            required: true,
+        },
+        doctor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doctor',
+        },
+    }],
+    attendancePolicy: {
+        type: attendancePolicySchema,
+        default: () => ({}),
+    },
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -54,7 +82,11 @@ groupSchema.virtual('assignedDoctors', {
     foreignField: 'assignedGroups',
 });
 
-// Index for unique group per department and year
-groupSchema.index({ name: 1, department: 1, year: 1 }, { unique: true });
+groupSchema.index({ 'courses.course': 1 });
+
+groupSchema.index({ term: 1, isArchived: 1 });
+
+// Index for unique group per department, year and term
+groupSchema.index({ name: 1, department: 1, year: 1, term: 1 }, { unique: true });
 
 module.exports = mongoose.model('Group', groupSchema);
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+    },
+    // Endpoint the key was used on, so the same key can be reused elsewhere
+    scope: {
+        type: String,
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    // Hash of the request body; a retry must send the same payload
+    requestHash: {
+        type: String,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing',
+    },
+    response: {
+        statusCode: Number,
+        body: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1, user: 1 }, { unique: true });
+
+// Keys are only kept for the retry window
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
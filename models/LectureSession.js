@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const lectureSessionSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: true,
+    },
+    scheduleSlot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScheduleSlot',
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+    },
+    subject: {
+        type: String,
+        trim: true,
+    },
+    startTime: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+    endTime: {
+        type: Date,
+    },
+    room: {
+        type: String,
+        trim: true,
+    },
+    lectureNumber: {
+        type: Number,
+        min: 1,
+    },
+    // Per-lecture overrides of the department lateness policy
+    gracePeriodMinutes: {
+        type: Number,
+        min: 0,
+        max: 180,
+    },
+    cutoffMinutes: {
+        type: Number,
+        min: 0,
+        max: 600,
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open',
+    },
+    openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    closedAt: {
+        type: Date,
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for attendance records taken in this session
+lectureSessionSchema.virtual('attendanceRecords', {
+    ref: 'Attendance',
+    localField: '_id',
+    foreignField: 'session',
+});
+
+lectureSessionSchema.index({ group: 1, startTime: -1 });
+lectureSessionSchema.index({ doctor: 1, status: 1, startTime: -1 });
+
+module.exports = mongoose.model('LectureSession', lectureSessionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A failed login or second-step code, kept for lockout administration and incident review
+const loginAttemptSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    // Unset when the email matches no account
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    reason: {
+        type: String,
+        required: true,
+        enum: ['unknown_email', 'wrong_password', 'wrong_two_factor_code', 'account_locked', 'account_inactive'],
+    },
+    // Whether this attempt locked the account
+    lockedAccount: {
+        type: Boolean,
+        default: false,
+    },
+    ipAddress: String,
+    userAgent: String,
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Kept for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
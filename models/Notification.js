@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+    'absence_warning',
+    'deprivation',
+    'excuse_decision',
+    'account_created',
+    'password_reset',
+    'system',
+];
+
+// A message to one user, shown in their in-app inbox and optionally emailed
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'recipientModel',
+    },
+    recipientModel: {
+        type: String,
+        required: true,
+        enum: ['Student', 'Doctor', 'Admin'],
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: NOTIFICATION_TYPES,
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200,
+    },
+    message: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000,
+    },
+    // Entity the notification is about, e.g. { course, level } for an absence warning
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    // False when the recipient turned the in-app channel off; the entry only tracks the email
+    inApp: {
+        type: Boolean,
+        default: true,
+    },
+    readAt: {
+        type: Date,
+        default: null,
+    },
+    email: {
+        status: {
+            type: String,
+            enum: ['pending', 'sent', 'failed', 'skipped'],
+            default: 'skipped',
+        },
+        to: String,
+        sentAt: Date,
+        error: String,
+    },
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, inApp: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, type: 1, 'data.key': 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const channelSchema = new mongoose.Schema({
+    inApp: {
+        type: Boolean,
+        default: true,
+    },
+    email: {
+        type: Boolean,
+        default: true,
+    },
+}, { _id: false });
+
+// Per-user channel preferences; a missing document means every channel is on
+const notificationPreferenceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true,
+    },
+    // Defaults for every notification type
+    channels: {
+        type: channelSchema,
+        default: () => ({}),
+    },
+    // Per-type settings overriding the defaults, keyed by notification type
+    types: {
+        type: Map,
+        of: channelSchema,
+        default: () => new Map(),
+    },
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Single-use password reset token; only the SHA-256 hash of the emailed token is stored
+const passwordResetTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+    requestedIp: String,
+}, {
+    timestamps: true
+});
+
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, SCOPES } = require('./permissions');
+
+// Admin-defined role such as "Department coordinator" or "Registrar", assigned to staff accounts
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+        trim: true,
+    },
+    permissions: [{
+        _id: false,
+        permission: {
+            type: String,
+            required: true,
+            enum: PERMISSIONS,
+        },
+        scope: {
+            type: String,
+            enum: SCOPES,
+            default: 'all',
+        },
+    }],
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+    },
+}, {
+    timestamps: true,
+});
+
+// A permission may be granted once per role
+roleSchema.path('permissions').validate(function (permissions) {
+    const names = permissions.map(grant => grant.permission);
+    return new Set(names).size === names.length;
+}, 'Each permission may only appear once in a role');
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('Role', roleSchema);
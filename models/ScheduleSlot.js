@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const scheduleSlotSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true,
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: true,
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+    },
+    subject: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // 0 = Sunday ... 6 = Saturday, matching Date#getDay()
+    weekday: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6,
+    },
+    startTime: {
+        type: String,
+        required: true,
+        match: TIME_PATTERN, // HH:mm, server local time
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: TIME_PATTERN,
+    },
+    room: {
+        type: String,
+        trim: true,
+    },
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        required: true,
+    },
+    // Per-slot overrides of the department lateness policy
+    gracePeriodMinutes: {
+        type: Number,
+        min: 0,
+        max: 180,
+    },
+    cutoffMinutes: {
+        type: Number,
+        min: 0,
+        max: 600,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+scheduleSlotSchema.index({ group: 1, weekday: 1, startTime: 1 });
+scheduleSlotSchema.index({ doctor: 1, weekday: 1, startTime: 1 });
+scheduleSlotSchema.index({ room: 1, weekday: 1, startTime: 1 });
+
+scheduleSlotSchema.pre('validate', function (next) {
+    if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+        this.invalidate('endTime', 'End time must be after start time');
+    }
+    next();
+});
+
+// Start of this slot on the given calendar day
+scheduleSlotSchema.methods.startsAt = function (date = new Date()) {
+    const [hours, minutes] = this.startTime.split(':').map(Number);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+};
+
+// End of this slot on the given calendar day
+scheduleSlotSchema.methods.endsAt = function (date = new Date()) {
+    const [hours, minutes] = this.endTime.split(':').map(Number);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+};
+
+// Active slots that overlap the given slot and share its room, doctor or group
+scheduleSlotSchema.statics.findClashes = function ({ _id, group, doctor, room, weekday, startTime, endTime, term }) {
+    const sharedResources = [{ group }, { doctor }];
+    if (room) sharedResources.push({ room });
+
+    const query = {
+        weekday,
+        term,
+        isActive: true,
+        // HH:mm strings compare correctly as text
+        startTime: { $lt: endTime },
+        endTime: { $gt: startTime },
+        $or: sharedResources
+    };
+
+    if (_id) query._id = { $ne: _id };
+
+    return this.find(query)
+        .populate('group', 'name code')
+        .populate('doctor', 'name');
+};
+
+// Slot in progress (or about to start) for a group or doctor at the given time
+scheduleSlotSchema.statics.findCurrent = function (filter, at = new Date(), earlyMinutes = 15) {
+    const pad = value => String(value).padStart(2, '0');
+    const toTime = date => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    const soon = new Date(at.getTime() + earlyMinutes * 60000);
+
+    return this.findOne({
+        ...filter,
+        isActive: true,
+        weekday: at.getDay(),
+        startTime: { $lte: soon.getDate() === at.getDate() ? toTime(soon) : '23:59' },
+        endTime: { $gt: toTime(at) }
+    }).sort({ startTime: 1 });
+};
+
+module.exports = mongoose.model('ScheduleSlot', scheduleSlotSchema);
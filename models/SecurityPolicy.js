@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Roles that may enroll in two-factor authentication
+const TWO_FACTOR_ROLES = ['doctor', 'admin', 'super_admin'];
+
+// Faculty-wide security settings; a single document
+const securityPolicySchema = new mongoose.Schema({
+    // Roles that must complete two-factor enrollment before they can sign in
+    twoFactorRequiredRoles: [{
+        type: String,
+        enum: TWO_FACTOR_ROLES,
+    }],
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+    },
+}, {
+    timestamps: true
+});
+
+// The current policy, or the defaults when none has been saved
+securityPolicySchema.statics.getCurrent = async function () {
+    return (await this.findOne()) || new this({ twoFactorRequiredRoles: [] });
+};
+
+securityPolicySchema.statics.TWO_FACTOR_ROLES = TWO_FACTOR_ROLES;
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -1,5 +1,4 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 
 const studentSchema = new mongoose.Schema({
     name: {
@@ -14,10 +13,12 @@ const studentSchema = new mongoose.Schema({
         lowercase: true,
         trim: true,
     },
-    password: {
-        type: String,
-        required: true,
-        minlength: 6,
+    // Login identity holding the credentials
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        unique: true,
+        sparse: true,
     },
     studentNumber: {
         type: String,
@@ -62,10 +63,25 @@ const studentSchema = new mongoose.Schema({
         type: Boolean,
         default: true,
     },
+    // Group and year held in each past term, recorded on promotion
+    academicHistory: [{
+        _id: false,
+        term: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AcademicTerm',
+        },
+        group: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Group',
+        },
+        year: Number,
+    }],
+    graduatedAt: Date,
 }, {
     timestamps: true,
     toJSON: {
         virtuals: true,
+        // Profiles not yet migrated to User may still carry a password hash
         transform: function (doc, ret) {
             delete ret.password;
             return ret;
@@ -81,18 +97,4 @@ studentSchema.virtual('attendanceRecords', {
     foreignField: 'student',
 });
 
-// Hash password before saving
-studentSchema.pre('save', async function (next) {
-    if (!this.isModified('password')) return next();
-
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-});
-
-// Compare password method
-studentSchema.methods.comparePassword = async function (candidatePassword) {
-    return await bcrypt.compare(candidatePassword, this.password);
-};
-
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Second login step after a correct password: either a code check for an enrolled account or
+// enrollment for an account whose role requires two-factor. Only the token's SHA-256 hash is stored.
+const twoFactorChallengeSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['verify', 'setup'],
+    },
+    rememberMe: {
+        type: Boolean,
+        default: false,
+    },
+    // Wrong codes entered against this challenge
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+    ipAddress: String,
+}, {
+    timestamps: true
+});
+
+// Expired challenges are removed by MongoDB
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+twoFactorChallengeSchema.index({ user: 1, usedAt: 1 });
+
+module.exports = mongoose.model('TwoFactorChallenge', twoFactorChallengeSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const usedQRTokenSchema = new mongoose.Schema({
+    fingerprint: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true,
+    },
+    step: {
+        type: Number,
+        required: true,
+    },
+    usedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true
+});
+
+// Used tokens only need to be remembered until they would have expired anyway
+usedQRTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedQRToken', usedQRTokenSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const loginSecurityFields = require('./loginSecurityFields');
+const twoFactorFields = require('./twoFactorFields');
+
+// Profile model holding the domain data of each role. Register new roles here
+// (or with User.registerProfile) to give them a login identity.
+const PROFILE_MODELS = {
+    student: 'Student',
+    doctor: 'Doctor',
+    admin: 'Admin',
+    super_admin: 'Admin',
+};
+
+// Login identity: one per person, whatever their role. Credentials, account status
+// and lockout live here; names, groups and permissions stay on the profile.
+const userSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+    },
+    password: {
+        type: String,
+        required: true,
+        minlength: 6,
+    },
+    role: {
+        type: String,
+        required: true,
+        validate: {
+            validator: role => Object.prototype.hasOwnProperty.call(PROFILE_MODELS, role),
+            message: props => `${props.value} is not a registered role`,
+        },
+    },
+    profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true,
+        refPath: 'profileModel',
+    },
+    profileModel: {
+        type: String,
+        required: true,
+    },
+    // Custom roles; for admins they replace the built-in admin grants
+    roles: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role',
+    }],
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    // Tokens issued before this time are rejected (set on password reset)
+    passwordChangedAt: Date,
+    // Set while the account's password was never chosen by its owner (imported or reset by an
+    // administrator); cleared once they set one through the emailed link
+    mustChangePassword: {
+        type: Boolean,
+        default: false,
+    },
+    ...loginSecurityFields,
+    ...twoFactorFields,
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.password;
+            if (ret.twoFactor) {
+                delete ret.twoFactor.secret;
+                delete ret.twoFactor.pendingSecret;
+                delete ret.twoFactor.lastUsedStep;
+                delete ret.twoFactor.recoveryCodes;
+            }
+            return ret;
+        }
+    }
+});
+
+// The profile model follows the role
+userSchema.pre('validate', function (next) {
+    if (this.isModified('role') || !this.profileModel) {
+        this.profileModel = PROFILE_MODELS[this.role];
+    }
+    next();
+});
+
+// Hash password before saving
+userSchema.pre('save', async function (next) {
+    if (!this.isModified('password')) return next();
+
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+});
+
+// Compare password method
+userSchema.methods.comparePassword = async function (candidatePassword) {
+    return await bcrypt.compare(candidatePassword, this.password);
+};
+
+userSchema.statics.PROFILE_MODELS = PROFILE_MODELS;
+
+// Add a role backed by its own profile model
+userSchema.statics.registerProfile = function (role, modelName) {
+    PROFILE_MODELS[role] = modelName;
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each login starts a session whose refresh token is rotated on every use;
+// only the hash of the current refresh token is stored.
+const userSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    role: {
+        type: String,
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+    },
+    // Number of rotations so far
+    generation: {
+        type: Number,
+        default: 0,
+    },
+    rememberMe: {
+        type: Boolean,
+        default: false,
+    },
+    ipAddress: String,
+    userAgent: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lastUsedIp: String,
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'user', 'reuse_detected', 'password_reset', 'account_removed', 'account_deactivated'],
+    },
+}, {
+    timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userSessionSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Where attendance may be checked in from. Shared by Department and Group;
+// a scan passes when it satisfies any configured check (geofence or network).
+const attendancePolicySchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: false,
+    },
+    location: {
+        latitude: {
+            type: Number,
+            min: -90,
+            max: 90,
+        },
+        longitude: {
+            type: Number,
+            min: -180,
+            max: 180,
+        },
+        radiusMeters: {
+            type: Number,
+            min: 10,
+            max: 50000,
+        },
+    },
+    allowedNetworks: [{
+        type: String,
+        trim: true,
+    }],
+    enforcement: {
+        type: String,
+        enum: ['reject', 'flag'],
+        default: 'flag',
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    updatedAt: {
+        type: Date,
+    },
+}, { _id: false });
+
+module.exports = attendancePolicySchema;
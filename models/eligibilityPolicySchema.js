@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Absence thresholds for exam eligibility, as a percentage of a course's lectures.
+// Shared by Department and Course; unset fields on a course fall back to its department.
+const eligibilityPolicySchema = new mongoose.Schema({
+    // Absence percentages at which students are warned, e.g. [10, 20]
+    warningLevels: {
+        type: [{
+            type: Number,
+            min: 1,
+            max: 100,
+        }],
+        default: undefined,
+    },
+    // Absence percentage above which students are barred from the final exam
+    deprivationPercent: {
+        type: Number,
+        min: 1,
+        max: 100,
+    },
+    // Whether excused absences count towards the thresholds
+    countExcused: {
+        type: Boolean,
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    updatedAt: {
+        type: Date,
+    },
+}, { _id: false });
+
+module.exports = eligibilityPolicySchema;
@@ -1,15 +1,53 @@
+const User = require('./User');
+const Role = require('./Role');
 const Department = require('./Department');
 const Group = require('./Group');
 const Student = require('./Student');
 const Doctor = require('./Doctor');
 const Admin = require('./Admin');
 const Attendance = require('./Attendance');
+const UsedQRToken = require('./UsedQRToken');
+const LectureSession = require('./LectureSession');
+const ScheduleSlot = require('./ScheduleSlot');
+const Course = require('./Course');
+const AcademicTerm = require('./AcademicTerm');
+const IdempotencyKey = require('./IdempotencyKey');
+const ExcuseRequest = require('./ExcuseRequest');
+const AttendanceAudit = require('./AttendanceAudit');
+const AuditLog = require('./AuditLog');
+const DeprivationOverride = require('./DeprivationOverride');
+const Notification = require('./Notification');
+const NotificationPreference = require('./NotificationPreference');
+const PasswordResetToken = require('./PasswordResetToken');
+const UserSession = require('./UserSession');
+const LoginAttempt = require('./LoginAttempt');
+const TwoFactorChallenge = require('./TwoFactorChallenge');
+const SecurityPolicy = require('./SecurityPolicy');
 
 module.exports = {
+    User,
+    Role,
     Department,
     Group,
     Student,
     Doctor,
     Admin,
     Attendance,
+    UsedQRToken,
+    LectureSession,
+    ScheduleSlot,
+    Course,
+    AcademicTerm,
+    IdempotencyKey,
+    ExcuseRequest,
+    AttendanceAudit,
+    AuditLog,
+    DeprivationOverride,
+    Notification,
+    NotificationPreference,
+    PasswordResetToken,
+    UserSession,
+    LoginAttempt,
+    TwoFactorChallenge,
+    SecurityPolicy,
 };
\ No newline at end of file
@@ -0,0 +1,17 @@
+// Login lockout state, kept on the User login identity
+const loginSecurityFields = {
+    // Failed logins since the last success or lockout
+    loginAttempts: {
+        type: Number,
+        default: 0,
+    },
+    lockUntil: Date,
+    // Lockouts since the last successful login; each one doubles the next lock
+    lockoutCount: {
+        type: Number,
+        default: 0,
+    },
+    lastLoginAt: Date,
+};
+
+module.exports = loginSecurityFields;
@@ -0,0 +1,20 @@
+// Permissions that roles are composed of. The original seven admin permissions keep their names.
+const PERMISSIONS = [
+    'manage_departments',
+    'view_groups',
+    'manage_groups',
+    'view_students',
+    'manage_students',
+    'view_doctors',
+    'manage_doctors',
+    'manage_admins',
+    'manage_roles',
+    'view_attendance',
+    'manage_attendance',
+    'view_reports',
+];
+
+// How far a granted permission reaches: everything, the holder's own department, or their own groups
+const SCOPES = ['all', 'department', 'groups'];
+
+module.exports = { PERMISSIONS, SCOPES };
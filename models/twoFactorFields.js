@@ -0,0 +1,35 @@
+// TOTP two-factor state of a login identity. Secrets are stored encrypted and recovery codes
+// hashed; neither is selected unless asked for.
+const twoFactorFields = {
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        secret: {
+            type: String,
+            select: false,
+        },
+        // Secret issued by an enrollment that has not been confirmed with a code yet
+        pendingSecret: {
+            type: String,
+            select: false,
+        },
+        enabledAt: Date,
+        // Time step of the last accepted code, so a code cannot be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false,
+        },
+        recoveryCodes: {
+            type: [{
+                _id: false,
+                hash: String,
+                usedAt: Date,
+            }],
+            select: false,
+        },
+    },
+};
+
+module.exports = twoFactorFields;
@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const AuditController = require('../controllers/auditController');
+const LockoutController = require('../controllers/lockoutController');
+const RoleController = require('../controllers/roleController');
+const TwoFactorController = require('../controllers/twoFactorController');
+const { SecurityPolicy } = require('../models');
+const { PERMISSIONS, SCOPES } = require('../models/permissions');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const auditSearchValidation = [
+    query('actorId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid actor ID is required'),
+    query('actorRole')
+        .optional()
+        .isIn(['student', 'doctor', 'admin', 'super_admin'])
+        .withMessage('Actor role must be one of: student, doctor, admin, super_admin'),
+    query('entityType')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Entity type must not exceed 50 characters'),
+    query('entityId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid entity ID is required'),
+    query('action')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Action must not exceed 100 characters'),
+    query('outcome')
+        .optional()
+        .isIn(['success', 'failure'])
+        .withMessage('Outcome must be success or failure'),
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Start date must be a valid date'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('End date must be a valid date')
+];
+
+const loginAttemptSearchValidation = [
+    query('email')
+        .optional()
+        .isEmail()
+        .withMessage('Please provide a valid email'),
+    query('userId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid user ID is required'),
+    query('ipAddress')
+        .optional()
+        .isIP()
+        .withMessage('Valid IP address is required'),
+    query('reason')
+        .optional()
+        .isIn(['unknown_email', 'wrong_password', 'wrong_two_factor_code', 'account_locked', 'account_inactive'])
+        .withMessage('Reason must be one of: unknown_email, wrong_password, wrong_two_factor_code, account_locked, account_inactive'),
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Start date must be a valid date'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('End date must be a valid date')
+];
+
+const roleValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Role name must be between 2 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description must not exceed 500 characters'),
+    body('permissions')
+        .optional()
+        .isArray()
+        .withMessage('Permissions must be an array'),
+    body('permissions.*.permission')
+        .isIn(PERMISSIONS)
+        .withMessage(`Permission must be one of: ${PERMISSIONS.join(', ')}`),
+    body('permissions.*.scope')
+        .optional()
+        .isIn(SCOPES)
+        .withMessage(`Scope must be one of: ${SCOPES.join(', ')}`),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean()
+];
+
+const roleUpdateValidation = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid role ID is required'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Role name must be between 2 and 100 characters'),
+    ...roleValidation.slice(1)
+];
+
+// Routes
+
+router.get('/audit',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    auditSearchValidation,
+    AuditController.searchAuditLog
+);
+
+router.get('/audit/:id',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    AuditController.getAuditEntry
+);
+
+// Account lockouts
+router.get('/lockouts',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    LockoutController.getLockedAccounts
+);
+
+router.post('/lockouts/:id/unlock',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Valid user ID is required')
+    ],
+    LockoutController.unlockAccount
+);
+
+// Custom roles
+router.get('/roles/permissions',
+    authenticateToken,
+    authorize('manage_roles'),
+    RoleController.getPermissionCatalog
+);
+
+router.get('/roles',
+    authenticateToken,
+    authorize('manage_roles'),
+    RoleController.getAllRoles
+);
+
+router.get('/roles/:id',
+    authenticateToken,
+    authorize('manage_roles'),
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Valid role ID is required')
+    ],
+    RoleController.getRoleById
+);
+
+router.post('/roles',
+    authenticateToken,
+    authorize('manage_roles'),
+    roleValidation,
+    RoleController.createRole
+);
+
+router.put('/roles/:id',
+    authenticateToken,
+    authorize('manage_roles'),
+    roleUpdateValidation,
+    RoleController.updateRole
+);
+
+router.delete('/roles/:id',
+    authenticateToken,
+    authorize('manage_roles'),
+    RoleController.deleteRole
+);
+
+router.put('/users/:id/roles',
+    authenticateToken,
+    authorize('manage_roles'),
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Valid user ID is required'),
+        body('roles')
+            .isArray()
+            .withMessage('Roles must be an array'),
+        body('roles.*')
+            .isMongoId()
+            .withMessage('Each role ID must be valid')
+    ],
+    RoleController.setUserRoles
+);
+
+// Two-factor policy and resets
+router.get('/security/two-factor-policy',
+    authenticateToken,
+    authorize('manage_admins'),
+    TwoFactorController.getPolicy
+);
+
+router.put('/security/two-factor-policy',
+    authenticateToken,
+    authorize('manage_admins'),
+    [
+        body('twoFactorRequiredRoles')
+            .isArray()
+            .withMessage('Required roles must be an array'),
+        body('twoFactorRequiredRoles.*')
+            .isIn(SecurityPolicy.TWO_FACTOR_ROLES)
+            .withMessage(`Each role must be one of: ${SecurityPolicy.TWO_FACTOR_ROLES.join(', ')}`)
+    ],
+    TwoFactorController.updatePolicy
+);
+
+router.post('/users/:id/two-factor/reset',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    [
+        param('id')
+            .isMongoId()
+            .withMessage('Valid user ID is required')
+    ],
+    TwoFactorController.resetForUser
+);
+
+router.get('/login-attempts',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    loginAttemptSearchValidation,
+    LockoutController.getLoginAttempts
+);
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const AdminController = require('../controllers/adminController');
+const { PERMISSIONS } = require('../models/permissions');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const idValidation = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid admin ID is required')
+];
+
+const permissionsValidation = [
+    body('permissions')
+        .optional()
+        .isArray()
+        .withMessage('Permissions must be an array'),
+    body('permissions.*')
+        .isIn(PERMISSIONS)
+        .withMessage(`Each permission must be one of: ${PERMISSIONS.join(', ')}`)
+];
+
+const adminValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Admin name must be between 2 and 100 characters'),
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long'),
+    body('role')
+        .optional()
+        .isIn(['admin', 'super_admin'])
+        .withMessage('Role must be admin or super_admin'),
+    ...permissionsValidation,
+    body('departments')
+        .optional()
+        .isArray()
+        .withMessage('Departments must be an array'),
+    body('departments.*')
+        .isMongoId()
+        .withMessage('Each department ID must be valid')
+];
+
+const updateAdminValidation = [
+    ...idValidation,
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Admin name must be between 2 and 100 characters'),
+    body('email')
+        .optional()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Valid email is required'),
+    body('role')
+        .optional()
+        .isIn(['admin', 'super_admin'])
+        .withMessage('Role must be admin or super_admin')
+];
+
+// Routes; every admin account route is for super admins only
+
+router.get('/',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    [
+        query('role')
+            .optional()
+            .isIn(['admin', 'super_admin'])
+            .withMessage('Role must be admin or super_admin'),
+        query('isActive')
+            .optional()
+            .isIn(['true', 'false'])
+            .withMessage('isActive must be true or false')
+    ],
+    AdminController.getAllAdmins
+);
+
+router.get('/:id',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    idValidation,
+    AdminController.getAdminById
+);
+
+router.post('/',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    adminValidation,
+    AdminController.createAdmin
+);
+
+router.put('/:id',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    updateAdminValidation,
+    AdminController.updateAdmin
+);
+
+router.put('/:id/permissions',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    [
+        ...idValidation,
+        body('permissions')
+            .isArray()
+            .withMessage('Permissions must be an array'),
+        body('permissions.*')
+            .isIn(PERMISSIONS)
+            .withMessage(`Each permission must be one of: ${PERMISSIONS.join(', ')}`)
+    ],
+    AdminController.updatePermissions
+);
+
+router.patch('/:id/status',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    [
+        ...idValidation,
+        body('isActive')
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+            .toBoolean()
+    ],
+    AdminController.updateStatus
+);
+
+router.post('/:id/reset-password',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    idValidation,
+    AdminController.forcePasswordReset
+);
+
+router.put('/:id/departments',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    [
+        ...idValidation,
+        body('departments')
+            .isArray()
+            .withMessage('Departments must be an array'),
+        body('departments.*')
+            .isMongoId()
+            .withMessage('Each department ID must be valid')
+    ],
+    AdminController.updateDepartments
+);
+
+router.delete('/:id',
+    authenticateToken,
+    requireRole('super_admin'),
+    authorize('manage_admins'),
+    idValidation,
+    AdminController.deleteAdmin
+);
+
+module.exports = router;
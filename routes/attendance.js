@@ -1,7 +1,9 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const AttendanceController = require('../controllers/attendanceController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const LectureSessionController = require('../controllers/lectureSessionController');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -16,7 +18,16 @@ const recordAttendanceValidation = [
     body('status')
         .isIn(['present', 'absent', 'late', 'excused'])
         .withMessage('Status must be one of: present, absent, late, excused'),
+    body('sessionId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid session ID is required'),
+    body('courseId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
     body('lectureDate')
+        .if(body('sessionId').not().exists())
         .isISO8601()
         .withMessage('Valid lecture date is required'),
     body('notes')
@@ -32,25 +43,154 @@ const scanQRValidation = [
         .withMessage('QR data is required'),
     body('groupId')
         .isMongoId()
-        .withMessage('Valid group ID is required')
+        .withMessage('Valid group ID is required'),
+    body('sessionId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid session ID is required'),
+    body('courseId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid course ID is required')
+];
+
+const offlineSyncValidation = [
+    body('scans')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Scans must be an array of 1 to 500 entries'),
+    body('scans.*.idempotencyKey')
+        .isString()
+        .trim()
+        .isLength({ min: 8, max: 100 })
+        .withMessage('Idempotency key must be between 8 and 100 characters'),
+    body('scans.*.deviceId')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Device ID is required for each scan'),
+    body('scans.*.scannedAt')
+        .isISO8601()
+        .withMessage('Valid scan time is required for each scan'),
+    body('scans.*.qrData')
+        .notEmpty()
+        .withMessage('QR data is required for each scan'),
+    body('scans.*.groupId')
+        .isMongoId()
+        .withMessage('Valid group ID is required for each scan'),
+    body('scans.*.sessionId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid session ID is required'),
+    body('scans.*.courseId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid course ID is required')
+];
+
+const openSessionValidation = [
+    body('groupId')
+        .isMongoId()
+        .withMessage('Valid group ID is required'),
+    body('doctorId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid doctor ID is required'),
+    body('courseId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
+    body('subject')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Subject must not exceed 200 characters'),
+    body('startTime')
+        .optional()
+        .isISO8601()
+        .withMessage('Start time must be a valid date'),
+    body('endTime')
+        .optional()
+        .isISO8601()
+        .withMessage('End time must be a valid date'),
+    body('room')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Room must not exceed 50 characters'),
+    body('lectureNumber')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Lecture number must be a positive integer'),
+    body('gracePeriodMinutes')
+        .optional()
+        .isInt({ min: 0, max: 180 })
+        .withMessage('Grace period must be between 0 and 180 minutes'),
+    body('cutoffMinutes')
+        .optional()
+        .isInt({ min: 0, max: 600 })
+        .withMessage('Cutoff must be between 0 and 600 minutes')
 ];
 
 const bulkAttendanceValidation = [
     body('groupId')
         .isMongoId()
         .withMessage('Valid group ID is required'),
+    body('courseId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid course ID is required'),
     body('lectureDate')
         .isISO8601()
         .withMessage('Valid lecture date is required'),
     body('attendanceList')
-        .isArray()
-        .withMessage('Attendance list must be an array'),
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Attendance list must be an array of 1 to 500 entries'),
     body('attendanceList.*.studentId')
         .isMongoId()
         .withMessage('Valid student ID is required for each entry'),
     body('attendanceList.*.status')
         .isIn(['present', 'absent', 'late', 'excused'])
-        .withMessage('Valid status is required for each entry')
+        .withMessage('Valid status is required for each entry'),
+    body('attendanceList.*.notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes must not exceed 500 characters'),
+    body('mode')
+        .optional()
+        .isIn(['insert', 'upsert'])
+        .withMessage('Mode must be insert or upsert')
+];
+
+const auditSearchValidation = [
+    query('attendanceId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid attendance ID is required'),
+    query('studentId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid student ID is required'),
+    query('groupId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid group ID is required'),
+    query('actorId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid actor ID is required'),
+    query('action')
+        .optional()
+        .isIn(['create', 'update', 'delete', 'restore'])
+        .withMessage('Action must be one of: create, update, delete, restore'),
+    query('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Start date must be a valid date'),
+    query('endDate')
+        .optional()
+        .isISO8601()
+        .withMessage('End date must be a valid date')
 ];
 
 // Routes
@@ -58,15 +198,67 @@ const bulkAttendanceValidation = [
 // QR Code scanning
 router.post('/scan',
     authenticateToken,
-    requireRole('doctor', 'admin', 'super_admin'),
+    authorize('manage_attendance', { resource: 'body' }),
     scanQRValidation,
     AttendanceController.scanQRCode
 );
 
+// Batched sync of scans captured offline
+router.post('/scan/sync',
+    authenticateToken,
+    authorize('manage_attendance', { resource: 'body' }),
+    offlineSyncValidation,
+    AttendanceController.syncOfflineScans
+);
+
+// Lecture sessions
+router.post('/sessions',
+    authenticateToken,
+    authorize('manage_attendance', { resource: 'body' }),
+    openSessionValidation,
+    LectureSessionController.openSession
+);
+
+router.get('/sessions',
+    authenticateToken,
+    authorize('view_attendance'),
+    LectureSessionController.getSessions
+);
+
+// Student check-in by scanning a session QR code
+router.post('/sessions/check-in',
+    authenticateToken,
+    requireRole('student'),
+    [
+        body('qrData')
+            .notEmpty()
+            .withMessage('QR data is required')
+    ],
+    LectureSessionController.checkIn
+);
+
+router.get('/sessions/:id',
+    authenticateToken,
+    authorize('view_attendance', { resource: 'session' }),
+    LectureSessionController.getSessionById
+);
+
+router.get('/sessions/:id/qr-code',
+    authenticateToken,
+    authorize('manage_attendance', { resource: 'session' }),
+    LectureSessionController.getSessionQRCode
+);
+
+router.post('/sessions/:id/close',
+    authenticateToken,
+    authorize('manage_attendance', { resource: 'session' }),
+    LectureSessionController.closeSession
+);
+
 // Manual attendance recording
 router.post('/record',
     authenticateToken,
-    requireRole('doctor', 'admin', 'super_admin'),
+    authorize('manage_attendance', { resource: 'body' }),
     recordAttendanceValidation,
     AttendanceController.recordAttendance
 );
@@ -74,21 +266,32 @@ router.post('/record',
 // Bulk attendance recording
 router.post('/bulk-record',
     authenticateToken,
-    requireRole('doctor', 'admin', 'super_admin'),
+    authorize('manage_attendance', { resource: 'body' }),
+    idempotent('attendance.bulk-record'),
     bulkAttendanceValidation,
     AttendanceController.bulkRecordAttendance
 );
 
+// Search the attendance audit log
+router.get('/audit',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('view_attendance'),
+    auditSearchValidation,
+    AttendanceController.searchAuditLog
+);
+
 // Get attendance records
 router.get('/',
     authenticateToken,
+    authorize('view_attendance', { roles: ['student'] }),
     AttendanceController.getAttendanceRecords
 );
 
 // Update attendance record
 router.put('/:id',
     authenticateToken,
-    requireRole('doctor', 'admin', 'super_admin'),
+    authorize('manage_attendance', { resource: 'attendance' }),
     [
         body('status')
             .optional()
@@ -98,21 +301,40 @@ router.put('/:id',
             .optional()
             .trim()
             .isLength({ max: 500 })
-            .withMessage('Notes must not exceed 500 characters')
+            .withMessage('Notes must not exceed 500 characters'),
+        body('reason')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Reason must not exceed 500 characters')
     ],
     AttendanceController.updateAttendance
 );
 
-// Delete attendance record
+// Delete attendance record (kept as deleted and restorable)
 router.delete('/:id',
     authenticateToken,
-    requireRole('doctor', 'admin', 'super_admin'),
+    authorize('manage_attendance', { resource: 'attendance' }),
     AttendanceController.deleteAttendance
 );
 
+router.post('/:id/restore',
+    authenticateToken,
+    authorize('manage_attendance', { resource: 'attendance' }),
+    AttendanceController.restoreAttendance
+);
+
+// Change history of an attendance record
+router.get('/:id/history',
+    authenticateToken,
+    authorize('view_attendance', { resource: 'attendance' }),
+    AttendanceController.getAttendanceHistory
+);
+
 // Get attendance statistics
 router.get('/stats',
     authenticateToken,
+    authorize('view_attendance', { roles: ['student'] }),
     AttendanceController.getAttendanceStats
 );
 
@@ -1,10 +1,17 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
-const { Student, Doctor, Admin } = require('../models');
+const mongoose = require('mongoose');
+const { User } = require('../models');
 const AuthService = require('../services/authService');
+const AccountService = require('../services/accountService');
 const QRService = require('../services/qrService');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const NotificationService = require('../services/notificationService');
+const PasswordResetService = require('../services/passwordResetService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const TwoFactorController = require('../controllers/twoFactorController');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 /* 
@@ -19,6 +26,18 @@ const authLimiter = rateLimit({
     legacyHeaders: false,
 });
  */
+// Password reset requests send email, so they are limited per IP even while login limiting is off
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5,
+    message: {
+        success: false,
+        message: 'Too many password reset requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Validation middleware
 const registerValidation = [
     body('email')
@@ -63,7 +82,78 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
-// Register endpoint (Admin only for creating users)
+const challengeValidation = [
+    body('challengeToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+];
+
+const codeValidation = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+];
+
+const secondStepValidation = [
+    ...challengeValidation,
+    body('code')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 10, max: 20 })
+        .withMessage('Invalid recovery code'),
+    body()
+        .custom(value => Boolean(value.code || value.recoveryCode))
+        .withMessage('Either code or recoveryCode is required'),
+];
+
+// Start a session for a user who has passed every login step, set its cookies and build the response
+const completeLogin = async (req, res, user, rememberMe) => {
+    // Start a server-side session for this device
+    const { session, refreshToken } = await SessionService.startSession(user, {
+        rememberMe,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    });
+
+    // Create authentication response
+    const authResponse = AuthService.createAuthResponse(user, {
+        sessionId: session._id,
+        refreshToken
+    });
+
+    // Set secure cookies
+    const cookieOptions = AuthService.getCookieOptions(rememberMe);
+    res.cookie('token', authResponse.token, cookieOptions);
+    res.cookie('refreshToken', refreshToken, AuthService.getRefreshCookieOptions(rememberMe));
+
+    return authResponse;
+};
+
+// Account behind an open second-step challenge, or an error response to send
+const loadChallengeUser = async (req, purpose) => {
+    const challenge = await TwoFactorService.findChallenge(req.body.challengeToken, purpose);
+    if (!challenge) {
+        return { status: 401, message: 'Invalid or expired login challenge; please sign in again' };
+    }
+
+    const user = await User.findById(challenge.user).populate('profile');
+    if (!AccountService.isUsable(user)) {
+        return { status: 401, message: 'Account is deactivated' };
+    }
+    if (AuthService.isAccountLocked(user)) {
+        return { status: 423, message: 'Account is temporarily locked due to multiple failed login attempts', lockedUntil: user.lockUntil };
+    }
+
+    return { challenge, user };
+};
+
+// Register endpoint (Admin only for creating student and doctor users)
 router.post('/register',
    /*  authLimiter, */
     authenticateToken,
@@ -74,59 +164,52 @@ router.post('/register',
         try {
             const { email, password, name, role, additionalData = {} } = req.body;
 
-            // Check if user already exists in any collection
-            const existingStudent = await Student.findOne({ email });
-            const existingDoctor = await Doctor.findOne({ email });
-            const existingAdmin = await Admin.findOne({ email });
+            // Admin accounts carry permissions and department limits only a super admin may grant
+            if (role === 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Admin accounts are created by a super admin through /api/admins'
+                });
+            }
 
-            if (existingStudent || existingDoctor || existingAdmin) {
+            // One login identity per email, whatever the role
+            if (await AccountService.isEmailTaken(email)) {
                 return res.status(409).json({
                     success: false,
                     message: 'User already exists with this email'
                 });
             }
 
-            let newUser;
+            let profileData;
 
             switch (role) {
-                case 'student':
+                case 'student': {
                     // Generate unique student number and QR code
+                    const _id = new mongoose.Types.ObjectId();
                     const studentNumber = `STU${Date.now()}`;
-                    const qrData = QRService.generateStudentQRData(null, studentNumber);
 
-                    newUser = new Student({
+                    profileData = {
+                        _id,
                         email,
-                        password,
                         name,
                         studentNumber,
-                        qrCode: qrData,
+                        qrCode: QRService.generateStudentQRData(_id, studentNumber),
                         year: additionalData.year || 1,
                         department: additionalData.department,
                         group: additionalData.group,
                         profile: additionalData.profile || {}
-                    });
+                    };
                     break;
+                }
 
                 case 'doctor':
-                    newUser = new Doctor({
+                    profileData = {
                         email,
-                        password,
                         name,
                         department: additionalData.department,
                         assignedGroups: additionalData.assignedGroups || [],
                         profile: additionalData.profile || {}
-                    });
-                    break;
-
-                case 'admin':
-                    newUser = new Admin({
-                        email,
-                        password,
-                        name,
-                        role: additionalData.adminRole || 'admin',
-                        permissions: additionalData.permissions || [],
-                        profile: additionalData.profile || {}
-                    });
+                    };
                     break;
 
                 default:
@@ -136,14 +219,10 @@ router.post('/register',
                     });
             }
 
-            await newUser.save();
+            const { profile: newUser } = await AccountService.createAccount(role, profileData, password);
 
-            // Update QR code with actual student ID for students
-            if (role === 'student') {
-                const updatedQrData = QRService.generateStudentQRData(newUser._id, newUser.studentNumber);
-                newUser.qrCode = updatedQrData;
-                await newUser.save();
-            }
+            NotificationService.accountCreated(newUser, role)
+                .catch(error => console.error('Account notification error:', error));
 
             res.status(201).json({
                 success: true,
@@ -152,12 +231,19 @@ router.post('/register',
                     id: newUser._id,
                     name: newUser.name,
                     email: newUser.email,
-                    role: role,
+                    role,
                     ...(role === 'student' && { studentNumber: newUser.studentNumber }),
                 }
             });
 
         } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'User already exists with this email'
+                });
+            }
+
             console.error('Registration error:', error);
             res.status(500).json({
                 success: false,
@@ -177,37 +263,11 @@ router.post('/login',
         try {
             const { email, password, rememberMe = false } = req.body;
 
-            // Find user in all collections
-            let user = null;
-            let userRole = null;
-            let userModel = null;
-
-            // Check Student collection
-            user = await Student.findOne({ email });
-            if (user) {
-                userRole = 'student';
-                userModel = Student;
-            }
-
-            // Check Doctor collection if not found
-            if (!user) {
-                user = await Doctor.findOne({ email });
-                if (user) {
-                    userRole = 'doctor';
-                    userModel = Doctor;
-                }
-            }
-
-            // Check Admin collection if still not found
-            if (!user) {
-                user = await Admin.findOne({ email });
-                if (user) {
-                    userRole = user.role; // admin or super_admin
-                    userModel = Admin;
-                }
-            }
+            // One login identity per email, whatever the role
+            const user = await AccountService.findByEmail(email);
 
-            if (!user) {
+            if (!user || !user.profile) {
+                await AuthService.recordFailedLogin(req, { email, reason: 'unknown_email' });
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid email or password'
@@ -216,14 +276,18 @@ router.post('/login',
 
             // Check if account is locked
             if (AuthService.isAccountLocked(user)) {
+                await AuthService.recordFailedLogin(req, { email, user, reason: 'account_locked' });
+                res.set('Retry-After', Math.ceil((user.lockUntil - Date.now()) / 1000));
                 return res.status(423).json({
                     success: false,
-                    message: 'Account is temporarily locked due to multiple failed login attempts'
+                    message: 'Account is temporarily locked due to multiple failed login attempts',
+                    lockedUntil: user.lockUntil
                 });
             }
 
             // Check if account is active
-            if (!user.isActive) {
+            if (!AccountService.isUsable(user)) {
+                await AuthService.recordFailedLogin(req, { email, user, reason: 'account_inactive' });
                 return res.status(401).json({
                     success: false,
                     message: 'Account is deactivated'
@@ -234,24 +298,57 @@ router.post('/login',
             const isValidPassword = await user.comparePassword(password);
 
             if (!isValidPassword) {
-                await AuthService.handleFailedLogin(userModel, user._id);
+                const lockedUntil = await AuthService.handleFailedLogin(user._id);
+                await AuthService.recordFailedLogin(req, {
+                    email,
+                    user,
+                    reason: 'wrong_password',
+                    lockedAccount: Boolean(lockedUntil)
+                });
+
+                if (lockedUntil) {
+                    res.set('Retry-After', Math.ceil((lockedUntil - Date.now()) / 1000));
+                    return res.status(423).json({
+                        success: false,
+                        message: 'Too many failed login attempts; the account is temporarily locked',
+                        lockedUntil
+                    });
+                }
+
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid email or password'
                 });
             }
 
-            // Handle successful login
-            await AuthService.handleSuccessfulLogin(userModel, user._id);
+            // Enrolled accounts confirm with a code before a session is started
+            if (user.twoFactor && user.twoFactor.enabled) {
+                const challenge = await TwoFactorService.createChallenge(user, 'verify', { rememberMe, ipAddress: req.ip });
+                return res.json({
+                    success: true,
+                    message: 'Enter the code from your authenticator app',
+                    twoFactorRequired: true,
+                    challengeToken: challenge.token,
+                    expiresAt: challenge.expiresAt
+                });
+            }
 
-            // Create authentication response
-            const authResponse = AuthService.createAuthResponse(user, userRole);
+            // Roles the security policy covers must enroll before their first session
+            if (await TwoFactorService.isRequired(user.role)) {
+                const challenge = await TwoFactorService.createChallenge(user, 'setup', { rememberMe, ipAddress: req.ip });
+                return res.json({
+                    success: true,
+                    message: 'Two-factor authentication must be set up before signing in',
+                    twoFactorSetupRequired: true,
+                    challengeToken: challenge.token,
+                    expiresAt: challenge.expiresAt
+                });
+            }
 
-            // Set secure cookie
-            const cookieOptions = AuthService.getCookieOptions(rememberMe);
-            res.cookie('token', authResponse.token, cookieOptions);
+            // Handle successful login
+            await AuthService.handleSuccessfulLogin(user._id);
 
-            res.json(authResponse);
+            res.json(await completeLogin(req, res, user, rememberMe));
 
         } catch (error) {
             console.error('Login error:', error);
@@ -264,38 +361,220 @@ router.post('/login',
     }
 );
 
-// Logout endpoint
-router.post('/logout', (req, res) => {
-    res.clearCookie('token');
-    res.json({
-        success: true,
-        message: 'Logged out successfully'
-    });
+// Second login step: check the authenticator or recovery code of an enrolled account
+router.post('/2fa/login/verify',
+    secondStepValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { challenge, user, ...failure } = await loadChallengeUser(req, 'verify');
+            if (!challenge) {
+                const { status, ...rest } = failure;
+                return res.status(status).json({ success: false, ...rest });
+            }
+
+            const { code, recoveryCode } = req.body;
+            const result = await TwoFactorService.verify(user._id, { code, recoveryCode });
+
+            // Wrong codes count towards the same lockout as wrong passwords
+            if (!result.valid) {
+                await TwoFactorService.recordChallengeFailure(challenge);
+                const lockedUntil = await AuthService.handleFailedLogin(user._id);
+                await AuthService.recordFailedLogin(req, {
+                    email: user.email,
+                    user,
+                    reason: 'wrong_two_factor_code',
+                    lockedAccount: Boolean(lockedUntil)
+                });
+
+                if (lockedUntil) {
+                    res.set('Retry-After', Math.ceil((lockedUntil - Date.now()) / 1000));
+                    return res.status(423).json({
+                        success: false,
+                        message: 'Too many failed login attempts; the account is temporarily locked',
+                        lockedUntil
+                    });
+                }
+
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid verification code'
+                });
+            }
+
+            if (!await TwoFactorService.consumeChallenge(challenge)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired login challenge; please sign in again'
+                });
+            }
+
+            await AuthService.handleSuccessfulLogin(user._id);
+
+            const authResponse = await completeLogin(req, res, user, challenge.rememberMe);
+            if (result.usedRecoveryCode) {
+                authResponse.message = 'Login successful with a recovery code; consider generating new codes';
+            }
+
+            res.json(authResponse);
+
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+);
+
+// Enrollment during login, for accounts the security policy requires two-factor for
+router.post('/2fa/login/setup',
+    challengeValidation,
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { challenge, user, ...failure } = await loadChallengeUser(req, 'setup');
+            if (!challenge) {
+                const { status, ...rest } = failure;
+                return res.status(status).json({ success: false, ...rest });
+            }
+
+            const enrollment = await TwoFactorService.startEnrollment(user._id);
+
+            res.json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app, then confirm with a code',
+                data: enrollment
+            });
+
+        } catch (error) {
+            console.error('Two-factor login setup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+);
+
+// Confirm enrollment during login; signs the user in and returns the recovery codes once
+router.post('/2fa/login/enable',
+    [...challengeValidation, ...codeValidation],
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const { challenge, user, ...failure } = await loadChallengeUser(req, 'setup');
+            if (!challenge) {
+                const { status, ...rest } = failure;
+                return res.status(status).json({ success: false, ...rest });
+            }
+
+            const recoveryCodes = await TwoFactorService.confirmEnrollment(user._id, req.body.code);
+
+            if (!recoveryCodes) {
+                await TwoFactorService.recordChallengeFailure(challenge);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid verification code; start the setup again if the code keeps failing'
+                });
+            }
+
+            if (!await TwoFactorService.consumeChallenge(challenge)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired login challenge; please sign in again'
+                });
+            }
+
+            await AuthService.handleSuccessfulLogin(user._id);
+
+            const authResponse = await completeLogin(req, res, user, challenge.rememberMe);
+            authResponse.recoveryCodes = recoveryCodes;
+
+            res.json(authResponse);
+
+        } catch (error) {
+            console.error('Two-factor login enable error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+);
+
+// Two-factor status and management for the signed-in doctor or admin
+router.get('/2fa', authenticateToken, TwoFactorController.getStatus);
+
+router.post('/2fa/setup',
+    authenticateToken,
+    requireRole('doctor', 'admin', 'super_admin'),
+    TwoFactorController.startSetup
+);
+
+router.post('/2fa/enable',
+    authenticateToken,
+    requireRole('doctor', 'admin', 'super_admin'),
+    codeValidation,
+    handleValidationErrors,
+    TwoFactorController.enable
+);
+
+router.post('/2fa/disable',
+    authenticateToken,
+    requireRole('doctor', 'admin', 'super_admin'),
+    [
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required'),
+        ...codeValidation
+    ],
+    handleValidationErrors,
+    TwoFactorController.disable
+);
+
+router.post('/2fa/recovery-codes',
+    authenticateToken,
+    requireRole('doctor', 'admin', 'super_admin'),
+    codeValidation,
+    handleValidationErrors,
+    TwoFactorController.regenerateRecoveryCodes
+);
+
+// Logout endpoint; ends the server-side session of the presented tokens
+router.post('/logout', optionalAuth, async (req, res) => {
+    try {
+        const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+
+        if (refreshToken) {
+            await SessionService.revokeByRefreshToken(refreshToken, 'logout');
+        }
+        if (req.user && req.user.sessionId) {
+            await SessionService.revoke({ _id: req.user.sessionId }, 'logout');
+        }
+
+        res.clearCookie('token');
+        res.clearCookie('refreshToken', { path: '/api/auth' });
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
 });
 
 // Get current user profile
 router.get('/me', authenticateToken, async (req, res) => {
     try {
-        let user = null;
-
-        switch (req.user.role) {
-            case 'student':
-                user = await Student.findById(req.user.id)
-                    .populate('department', 'name code')
-                    .populate('group', 'name code')
-                    .select('-password');
-                break;
-            case 'doctor':
-                user = await Doctor.findById(req.user.id)
-                    .populate('department', 'name code')
-                    .populate('assignedGroups', 'name code')
-                    .select('-password');
-                break;
-            case 'admin':
-            case 'super_admin':
-                user = await Admin.findById(req.user.id).select('-password');
-                break;
-        }
+        const account = await AccountService.findWithProfile(req.user.userId, req.user.role);
+        const user = account && account.profile;
 
         if (!user) {
             return res.status(404).json({
@@ -330,20 +609,7 @@ router.post('/change-password',
         try {
             const { currentPassword, newPassword } = req.body;
 
-            let user = null;
-
-            switch (req.user.role) {
-                case 'student':
-                    user = await Student.findById(req.user.id);
-                    break;
-                case 'doctor':
-                    user = await Doctor.findById(req.user.id);
-                    break;
-                case 'admin':
-                case 'super_admin':
-                    user = await Admin.findById(req.user.id);
-                    break;
-            }
+            const user = await User.findById(req.user.userId);
 
             if (!user) {
                 return res.status(404).json({
@@ -380,7 +646,80 @@ router.post('/change-password',
     }
 );
 
-// Refresh token endpoint
+// Request a password reset link by email
+router.post('/forgot-password',
+    passwordResetLimiter,
+    [
+        body('email')
+            .isEmail()
+            .normalizeEmail()
+            .withMessage('Please provide a valid email')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            // Not awaited: the lookup and the mail only happen for registered emails,
+            // so waiting for them would let response times reveal which accounts exist
+            PasswordResetService.requestReset(req.body.email, { ipAddress: req.ip })
+                .catch(error => console.error('Password reset request error:', error));
+
+            // Same answer whether or not the account exists
+            res.json({
+                success: true,
+                message: 'If an account exists for this email, a password reset link has been sent'
+            });
+
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+);
+
+// Set a new password with a reset token; signs out every existing session
+router.post('/reset-password',
+    passwordResetLimiter,
+    [
+        body('token')
+            .isHexadecimal()
+            .isLength({ min: 64, max: 64 })
+            .withMessage('Valid reset token is required'),
+        body('newPassword')
+            .isLength({ min: 6 })
+            .withMessage('New password must be at least 6 characters long')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        try {
+            const result = await PasswordResetService.resetPassword(req.body.token, req.body.newPassword);
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            res.clearCookie('token');
+            res.json({
+                success: true,
+                message: 'Password has been reset; please log in with your new password'
+            });
+
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+);
+
+// Refresh token endpoint; every refresh token works once and is replaced by a new one
 router.post('/refresh-token', async (req, res) => {
     try {
         const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
@@ -392,37 +731,135 @@ router.post('/refresh-token', async (req, res) => {
             });
         }
 
-        const decoded = AuthService.verifyToken(refreshToken);
+        const result = await SessionService.rotate(refreshToken, { ipAddress: req.ip });
 
-        // Find user and generate new tokens
-        let user = null;
-        switch (decoded.role) {
-            case 'student':
-                user = await Student.findById(decoded.id).select('-password');
-                break;
-            case 'doctor':
-                user = await Doctor.findById(decoded.id).select('-password');
-                break;
-            case 'admin':
-            case 'super_admin':
-                user = await Admin.findById(decoded.id).select('-password');
-                break;
+        if (result.error) {
+            res.clearCookie('token');
+            res.clearCookie('refreshToken', { path: '/api/auth' });
+            return res.status(result.status).json({
+                success: false,
+                message: result.error
+            });
         }
 
-        if (!user || !user.isActive) {
+        const { session } = result;
+
+        // Find user and generate new tokens
+        const user = await User.findById(session.user).populate('profile');
+
+        if (!AccountService.isUsable(user)) {
+            await SessionService.revoke({ _id: session._id }, 'logout');
             return res.status(401).json({
                 success: false,
                 message: 'Invalid refresh token'
             });
         }
 
-        const authResponse = AuthService.createAuthResponse(user, decoded.role);
+        const authResponse = AuthService.createAuthResponse(user, {
+            sessionId: session._id,
+            refreshToken: result.refreshToken
+        });
+
+        res.cookie('token', authResponse.token, AuthService.getCookieOptions(session.rememberMe));
+        res.cookie('refreshToken', result.refreshToken, AuthService.getRefreshCookieOptions(session.rememberMe));
         res.json(authResponse);
 
     } catch (error) {
-        res.status(401).json({
+        console.error('Refresh token error:', error);
+        res.status(500).json({
             success: false,
-            message: 'Invalid refresh token'
+            message: 'Internal server error'
+        });
+    }
+});
+
+// List the user's signed-in devices
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await SessionService.listActive(req.user.userId);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                ...session.toObject(),
+                current: Boolean(req.user.sessionId) && session._id.equals(req.user.sessionId)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Sign out every other device (or every device with ?includeCurrent=true)
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const includeCurrent = req.query.includeCurrent === 'true';
+        const filter = { user: req.user.userId };
+        if (!includeCurrent && req.user.sessionId) {
+            filter._id = { $ne: req.user.sessionId };
+        }
+
+        const revoked = await SessionService.revoke(filter, 'user');
+
+        if (includeCurrent) {
+            res.clearCookie('token');
+            res.clearCookie('refreshToken', { path: '/api/auth' });
+        }
+
+        res.json({
+            success: true,
+            message: `${revoked} sessions signed out`,
+            data: { revoked }
+        });
+
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const revoked = await SessionService.revoke({ _id: req.params.id, user: req.user.userId }, 'user');
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (req.user.sessionId && String(req.user.sessionId) === req.params.id) {
+            res.clearCookie('token');
+            res.clearCookie('refreshToken', { path: '/api/auth' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Session signed out successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
         });
     }
 });
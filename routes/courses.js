@@ -0,0 +1,185 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const CourseController = require('../controllers/courseController');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const courseValidation = [
+    body('code')
+        .trim()
+        .isLength({ min: 2, max: 20 })
+        .withMessage('Course code must be between 2 and 20 characters'),
+    body('title')
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Course title must be between 2 and 200 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Description must not exceed 1000 characters'),
+    body('creditHours')
+        .isInt({ min: 0, max: 12 })
+        .withMessage('Credit hours must be between 0 and 12'),
+    body('department')
+        .isMongoId()
+        .withMessage('Valid department ID is required'),
+    body('year')
+        .isInt({ min: 1, max: 6 })
+        .withMessage('Year must be between 1 and 6'),
+    body('semester')
+        .isInt({ min: 1, max: 2 })
+        .withMessage('Semester must be 1 or 2')
+];
+
+const assignGroupValidation = [
+    body('groupId')
+        .isMongoId()
+        .withMessage('Valid group ID is required'),
+    body('doctorId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid doctor ID is required')
+];
+
+const eligibilityPolicyValidation = [
+    body('deprivationPercent')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Deprivation percentage must be between 1 and 100')
+        .toInt(),
+    body('warningLevels')
+        .optional({ values: 'null' })
+        .isArray({ max: 5 })
+        .withMessage('Warning levels must be an array of at most 5 percentages'),
+    body('warningLevels.*')
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Each warning level must be between 1 and 100'),
+    body('countExcused')
+        .optional({ values: 'null' })
+        .isBoolean()
+        .withMessage('Count excused must be a boolean')
+        .toBoolean()
+];
+
+const deprivationOverrideValidation = [
+    body('studentId')
+        .isMongoId()
+        .withMessage('Valid student ID is required'),
+    body('termId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid academic term ID is required'),
+    body('reason')
+        .trim()
+        .isLength({ min: 5, max: 1000 })
+        .withMessage('Reason must be between 5 and 1000 characters')
+];
+
+// Routes
+router.get('/',
+    authenticateToken,
+    CourseController.getAllCourses
+);
+
+router.get('/:id',
+    authenticateToken,
+    CourseController.getCourseById
+);
+
+router.post('/',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: 'body' }),
+    courseValidation,
+    CourseController.createCourse
+);
+
+router.put('/:id',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: ['course', 'body'] }),
+    courseValidation,
+    CourseController.updateCourse
+);
+
+router.delete('/:id',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: 'course' }),
+    CourseController.deleteCourse
+);
+
+router.post('/:id/groups',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: 'course' }),
+    assignGroupValidation,
+    CourseController.assignToGroup
+);
+
+router.delete('/:id/groups/:groupId',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: 'course' }),
+    CourseController.unassignFromGroup
+);
+
+// Exam eligibility thresholds
+router.get('/:id/eligibility-policy',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: 'course' }),
+    CourseController.getEligibilityPolicy
+);
+
+router.put('/:id/eligibility-policy',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: 'course' }),
+    eligibilityPolicyValidation,
+    CourseController.updateEligibilityPolicy
+);
+
+// Deprivation overrides
+router.get('/:id/deprivation-overrides',
+    authenticateToken,
+    requireRole('admin', 'super_admin', 'doctor'),
+    authorize('view_reports', { resource: 'course' }),
+    [
+        query('termId')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid academic term ID is required'),
+        query('includeRevoked')
+            .optional()
+            .isBoolean()
+            .withMessage('Include revoked must be a boolean')
+    ],
+    CourseController.getDeprivationOverrides
+);
+
+router.post('/:id/deprivation-overrides',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_attendance', { resource: 'course' }),
+    deprivationOverrideValidation,
+    CourseController.createDeprivationOverride
+);
+
+router.post('/:id/deprivation-overrides/:overrideId/revoke',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_attendance', { resource: 'course' }),
+    [
+        body('reason')
+            .trim()
+            .isLength({ min: 5, max: 500 })
+            .withMessage('Reason must be between 5 and 500 characters')
+    ],
+    CourseController.revokeDeprivationOverride
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const DepartmentController = require('../controllers/departmentController');
-const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
+const { attendancePolicyValidation } = require('../utils/validators');
+const { authenticateToken, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -24,6 +25,41 @@ const departmentValidation = [
         .withMessage('Description must not exceed 500 characters')
 ];
 
+const latenessPolicyValidation = [
+    body('gracePeriodMinutes')
+        .isInt({ min: 0, max: 180 })
+        .withMessage('Grace period must be between 0 and 180 minutes')
+        .toInt(),
+    body('cutoffMinutes')
+        .optional({ values: 'null' })
+        .isInt({ min: 0, max: 600 })
+        .withMessage('Cutoff must be between 0 and 600 minutes')
+        .toInt(),
+    body('cutoffAction')
+        .optional()
+        .isIn(['reject', 'absent'])
+        .withMessage('Cutoff action must be one of: reject, absent')
+];
+
+const eligibilityPolicyValidation = [
+    body('deprivationPercent')
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Deprivation percentage must be between 1 and 100')
+        .toInt(),
+    body('warningLevels')
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage('Warning levels must be an array of at most 5 percentages'),
+    body('warningLevels.*')
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Each warning level must be between 1 and 100'),
+    body('countExcused')
+        .optional()
+        .isBoolean()
+        .withMessage('Count excused must be a boolean')
+        .toBoolean()
+];
+
 // Routes
 router.get('/',
     authenticateToken,
@@ -37,21 +73,21 @@ router.get('/:id',
 
 router.post('/',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { requireAll: true }),
     departmentValidation,
     DepartmentController.createDepartment
 );
 
 router.put('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: 'department' }),
     departmentValidation,
     DepartmentController.updateDepartment
 );
 
 router.delete('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { resource: 'department' }),
     DepartmentController.deleteDepartment
 );
 
@@ -60,4 +96,59 @@ router.get('/:id/stats',
     DepartmentController.getDepartmentStats
 );
 
+router.get('/:id/qr-cards',
+    authenticateToken,
+    authorize('manage_departments', { resource: 'department' }),
+    query('format')
+        .optional()
+        .isIn(['pdf', 'zip'])
+        .withMessage('Format must be pdf or zip'),
+    DepartmentController.getQRCards
+);
+
+router.get('/:id/attendance-policy',
+    authenticateToken,
+    authorize('manage_departments', { resource: 'department' }),
+    DepartmentController.getAttendancePolicy
+);
+
+router.put('/:id/attendance-policy',
+    authenticateToken,
+    authorize('manage_departments', { resource: 'department' }),
+    attendancePolicyValidation,
+    DepartmentController.updateAttendancePolicy
+);
+
+router.get('/:id/attendance-policy/audit',
+    authenticateToken,
+    authorize('manage_departments', { resource: 'department' }),
+    DepartmentController.getAttendancePolicyAudit
+);
+
+router.get('/:id/lateness-policy',
+    authenticateToken,
+    authorize('manage_departments', { resource: 'department' }),
+    DepartmentController.getLatenessPolicy
+);
+
+router.put('/:id/lateness-policy',
+    authenticateToken,
+    authorize('manage_departments', { resource: 'department' }),
+    latenessPolicyValidation,
+    DepartmentController.updateLatenessPolicy
+);
+
+router.get('/:id/eligibility-policy',
+    authenticateToken,
+    authorize('manage_departments', { resource: 'department' }),
+    DepartmentController.getEligibilityPolicy
+);
+
+router.put('/:id/eligibility-policy',
+    authenticateToken,
+    authorize('manage_departments', { resource: 'department' }),
+    eligibilityPolicyValidation,
+    DepartmentController.updateEligibilityPolicy
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,9 @@
 const express = require('express');
 const { body } = require('express-validator');
 const DoctorController = require('../controllers/doctorController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const ScheduleController = require('../controllers/scheduleController');
+const { scheduleSlotValidation, scheduleQueryValidation } = require('../utils/validators');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -55,7 +57,7 @@ const updateDoctorValidation = [
 // Routes
 router.get('/',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('view_doctors'),
     DoctorController.getAllDoctors
 );
 
@@ -67,33 +69,33 @@ router.get('/dashboard',
 
 router.get('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin', 'doctor'),
+    authorize('view_doctors', { resource: 'doctor', roles: ['doctor'] }),
     DoctorController.getDoctorById
 );
 
 router.post('/',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_doctors', { resource: 'body' }),
     doctorValidation,
     DoctorController.createDoctor
 );
 
 router.put('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_doctors', { resource: ['doctor', 'body'] }),
     updateDoctorValidation,
     DoctorController.updateDoctor
 );
 
 router.delete('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_doctors', { resource: 'doctor' }),
     DoctorController.deleteDoctor
 );
 
 router.post('/:id/assign-groups',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_doctors', { resource: ['doctor', 'body'] }),
     [
         body('groupIds')
             .isArray()
@@ -107,8 +109,52 @@ router.post('/:id/assign-groups',
 
 router.get('/:doctorId?/attendance',
     authenticateToken,
-    requireRole('admin', 'super_admin', 'doctor'),
+    authorize('view_attendance', { resource: 'doctor', param: 'doctorId' }),
     DoctorController.getDoctorAttendance
 );
 
+// Weekly schedule
+router.get('/:id/schedule',
+    authenticateToken,
+    authorize('view_doctors', { resource: 'doctor', roles: ['doctor'] }),
+    scheduleQueryValidation,
+    ScheduleController.getDoctorSchedule
+);
+
+router.post('/:id/schedule',
+    authenticateToken,
+    authorize('manage_doctors', { resource: 'doctor' }),
+    [
+        ...scheduleSlotValidation(),
+        body('group')
+            .isMongoId()
+            .withMessage('Valid group ID is required')
+    ],
+    ScheduleController.createDoctorSlot
+);
+
+router.put('/:id/schedule/:slotId',
+    authenticateToken,
+    authorize('manage_doctors', { resource: 'doctor' }),
+    [
+        ...scheduleSlotValidation(false),
+        body('group')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid group ID is required'),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+            .toBoolean()
+    ],
+    ScheduleController.updateDoctorSlot
+);
+
+router.delete('/:id/schedule/:slotId',
+    authenticateToken,
+    authorize('manage_doctors', { resource: 'doctor' }),
+    ScheduleController.deleteDoctorSlot
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,95 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const ExcuseController = require('../controllers/excuseController');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
+const { uploadDocuments } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Validation rules
+const submitExcuseValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 5, max: 1000 })
+        .withMessage('Reason must be between 5 and 1000 characters'),
+    body('startDate')
+        .isISO8601()
+        .withMessage('Valid start date is required'),
+    body('endDate')
+        .isISO8601()
+        .withMessage('Valid end date is required')
+];
+
+const reviewExcuseValidation = [
+    body('decision')
+        .isIn(['approve', 'reject'])
+        .withMessage('Decision must be approve or reject'),
+    body('comment')
+        .if(body('decision').equals('reject'))
+        .trim()
+        .notEmpty()
+        .withMessage('A comment is required when rejecting an excuse'),
+    body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Comment must not exceed 1000 characters')
+];
+
+// Routes
+
+router.post('/',
+    authenticateToken,
+    requireRole('student'),
+    uploadDocuments('excuses'),
+    submitExcuseValidation,
+    ExcuseController.submitExcuse
+);
+
+router.get('/',
+    authenticateToken,
+    authorize('view_attendance', { roles: ['student'] }),
+    [
+        query('status')
+            .optional()
+            .isIn(['pending', 'approved', 'rejected', 'cancelled'])
+            .withMessage('Status must be one of: pending, approved, rejected, cancelled'),
+        query('group')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid group ID is required'),
+        query('student')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid student ID is required')
+    ],
+    ExcuseController.getExcuseRequests
+);
+
+router.get('/:id',
+    authenticateToken,
+    authorize('view_attendance', { resource: 'excuse', roles: ['student'] }),
+    ExcuseController.getExcuseRequestById
+);
+
+router.get('/:id/attachments/:attachmentId',
+    authenticateToken,
+    authorize('view_attendance', { resource: 'excuse', roles: ['student'] }),
+    ExcuseController.downloadAttachment
+);
+
+router.post('/:id/review',
+    authenticateToken,
+    requireRole('doctor', 'admin', 'super_admin'),
+    authorize('manage_attendance', { resource: 'excuse' }),
+    reviewExcuseValidation,
+    ExcuseController.reviewExcuse
+);
+
+router.post('/:id/cancel',
+    authenticateToken,
+    requireRole('student'),
+    ExcuseController.cancelExcuse
+);
+
+module.exports = router;
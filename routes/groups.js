@@ -1,7 +1,9 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const GroupController = require('../controllers/groupController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const ScheduleController = require('../controllers/scheduleController');
+const { attendancePolicyValidation, scheduleSlotValidation, scheduleQueryValidation } = require('../utils/validators');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -27,12 +29,17 @@ const groupValidation = [
     body('capacity')
         .optional()
         .isInt({ min: 1, max: 100 })
-        .withMessage('Capacity must be between 1 and 100')
+        .withMessage('Capacity must be between 1 and 100'),
+    body('term')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid academic term ID is required')
 ];
 
 // Routes
 router.get('/',
     authenticateToken,
+    authorize('view_groups'),
     GroupController.getAllGroups
 );
 router.get('/my-groups',
@@ -48,32 +55,107 @@ router.get('/doctor/:doctorId?',
 
 router.get('/:id',
     authenticateToken,
+    authorize('view_groups', { resource: 'group' }),
     GroupController.getGroupById
 );
 
 router.post('/',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_groups', { resource: 'body' }),
     groupValidation,
     GroupController.createGroup
 );
 
 router.put('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_groups', { resource: ['group', 'body'] }),
     groupValidation,
     GroupController.updateGroup
 );
 
 router.delete('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_groups', { resource: 'group' }),
     GroupController.deleteGroup
 );
 
 router.get('/:id/stats',
     authenticateToken,
+    authorize('view_groups', { resource: 'group' }),
     GroupController.getGroupStats
 );
 
+router.get('/:id/qr-cards',
+    authenticateToken,
+    authorize('manage_groups', { resource: 'group' }),
+    query('format')
+        .optional()
+        .isIn(['pdf', 'zip'])
+        .withMessage('Format must be pdf or zip'),
+    GroupController.getQRCards
+);
+
+router.get('/:id/attendance-policy',
+    authenticateToken,
+    authorize('manage_groups', { resource: 'group' }),
+    GroupController.getAttendancePolicy
+);
+
+router.put('/:id/attendance-policy',
+    authenticateToken,
+    authorize('manage_groups', { resource: 'group' }),
+    attendancePolicyValidation,
+    GroupController.updateAttendancePolicy
+);
+
+router.get('/:id/attendance-policy/audit',
+    authenticateToken,
+    authorize('manage_groups', { resource: 'group' }),
+    GroupController.getAttendancePolicyAudit
+);
+
+// Weekly schedule
+router.get('/:id/schedule',
+    authenticateToken,
+    authorize('view_groups', { resource: 'group' }),
+    scheduleQueryValidation,
+    ScheduleController.getGroupSchedule
+);
+
+router.post('/:id/schedule',
+    authenticateToken,
+    authorize('manage_groups', { resource: 'group' }),
+    [
+        ...scheduleSlotValidation(),
+        body('doctor')
+            .isMongoId()
+            .withMessage('Valid doctor ID is required')
+    ],
+    ScheduleController.createGroupSlot
+);
+
+router.put('/:id/schedule/:slotId',
+    authenticateToken,
+    authorize('manage_groups', { resource: 'group' }),
+    [
+        ...scheduleSlotValidation(false),
+        body('doctor')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid doctor ID is required'),
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+            .toBoolean()
+    ],
+    ScheduleController.updateGroupSlot
+);
+
+router.delete('/:id/schedule/:slotId',
+    authenticateToken,
+    authorize('manage_groups', { resource: 'group' }),
+    ScheduleController.deleteGroupSlot
+);
+
 module.exports = router;
\ No newline at end of file
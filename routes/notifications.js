@@ -0,0 +1,86 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const NotificationController = require('../controllers/notificationController');
+const { Notification } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const listValidation = [
+    query('unread')
+        .optional()
+        .isBoolean()
+        .withMessage('Unread must be a boolean'),
+    query('type')
+        .optional()
+        .isIn(Notification.TYPES)
+        .withMessage(`Type must be one of: ${Notification.TYPES.join(', ')}`)
+];
+
+const preferencesValidation = [
+    body('channels')
+        .optional()
+        .isObject()
+        .withMessage('Channels must be an object'),
+    body('channels.inApp')
+        .optional()
+        .isBoolean()
+        .withMessage('In-app channel must be a boolean'),
+    body('channels.email')
+        .optional()
+        .isBoolean()
+        .withMessage('Email channel must be a boolean'),
+    body('types')
+        .optional()
+        .isObject()
+        .withMessage('Types must be an object keyed by notification type'),
+    body('types.*.inApp')
+        .optional()
+        .isBoolean()
+        .withMessage('In-app channel must be a boolean'),
+    body('types.*.email')
+        .optional()
+        .isBoolean()
+        .withMessage('Email channel must be a boolean')
+];
+
+// Routes
+router.get('/',
+    authenticateToken,
+    listValidation,
+    NotificationController.getNotifications
+);
+
+router.get('/unread-count',
+    authenticateToken,
+    NotificationController.getUnreadCount
+);
+
+router.get('/preferences',
+    authenticateToken,
+    NotificationController.getPreferences
+);
+
+router.put('/preferences',
+    authenticateToken,
+    preferencesValidation,
+    NotificationController.updatePreferences
+);
+
+router.put('/read-all',
+    authenticateToken,
+    NotificationController.markAllRead
+);
+
+router.put('/:id/read',
+    authenticateToken,
+    NotificationController.markRead
+);
+
+router.delete('/:id',
+    authenticateToken,
+    NotificationController.deleteNotification
+);
+
+module.exports = router;
@@ -1,34 +1,46 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { Notification } = require('../models');
 
 const router = express.Router();
 
 // Protected route example - Dashboard data
-router.get('/dashboard', authenticateToken, (req, res) => {
-    res.json({
-        success: true,
-        message: 'Welcome to your dashboard',
-        data: {
-            user: {
-                id: req.user.id,
-                email: req.user.email,
-                name: req.user.name
-            },
-            stats: {
-                totalLogins: Math.floor(Math.random() * 100),
-                lastActivity: new Date().toISOString(),
-                accountStatus: 'active'
-            },
-            notifications: [
-                {
-                    id: 1,
-                    message: 'Welcome to Sadat System!',
-                    type: 'info',
-                    timestamp: new Date().toISOString()
-                }
-            ]
-        }
-    });
+router.get('/dashboard', authenticateToken, async (req, res) => {
+    try {
+        const inbox = { recipient: req.user.id, inApp: true, readAt: null };
+        const [notifications, unreadNotifications] = await Promise.all([
+            Notification.find(inbox)
+                .select('type title message data createdAt')
+                .sort({ createdAt: -1 })
+                .limit(5),
+            Notification.countDocuments(inbox)
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Welcome to your dashboard',
+            data: {
+                user: {
+                    id: req.user.id,
+                    email: req.user.email,
+                    name: req.user.name
+                },
+                stats: {
+                    totalLogins: Math.floor(Math.random() * 100),
+                    lastActivity: new Date().toISOString(),
+                    accountStatus: 'active'
+                },
+                unreadNotifications,
+                notifications
+            }
+        });
+    } catch (error) {
+        console.error('Dashboard error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching dashboard'
+        });
+    }
 });
 
 // Protected route example - User data
@@ -1,34 +1,81 @@
 const express = require('express');
+const { query } = require('express-validator');
 const ReportsController = require('../controllers/reportsController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Reports answer with JSON unless an export format is requested
+const reportFormatValidation = [
+    query('format')
+        .optional()
+        .isIn(['json', 'csv', 'xlsx', 'pdf'])
+        .withMessage('Format must be one of: json, csv, xlsx, pdf')
+];
+
 // Student attendance report
 router.get('/student-attendance',
     authenticateToken,
-    requireRole('admin', 'super_admin', 'doctor', 'student'),
+    authorize('view_reports', { roles: ['student'] }),
+    reportFormatValidation,
     ReportsController.getStudentAttendanceReport
 );
 
 // Group attendance report
 router.get('/group-attendance',
     authenticateToken,
-    requireRole('admin', 'super_admin', 'doctor'),
+    authorize('view_reports'),
+    reportFormatValidation,
     ReportsController.getGroupAttendanceReport
 );
 
 // Doctor attendance report
 router.get('/doctor-attendance',
     authenticateToken,
-    requireRole('admin', 'super_admin', 'doctor'),
+    authorize('view_reports'),
+    reportFormatValidation,
     ReportsController.getDoctorAttendanceReport
 );
 
+// Course attendance report
+router.get('/course-attendance',
+    authenticateToken,
+    authorize('view_reports'),
+    reportFormatValidation,
+    ReportsController.getCourseAttendanceReport
+);
+
+// Exam eligibility (deprivation) list for a course
+router.get('/eligibility',
+    authenticateToken,
+    authorize('view_reports'),
+    reportFormatValidation,
+    [
+        query('courseId')
+            .isMongoId()
+            .withMessage('Valid course ID is required'),
+        query('groupId')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid group ID is required'),
+        query('termId')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid academic term ID is required'),
+        query('status')
+            .optional()
+            .isIn(['all', 'at_risk', 'deprived'])
+            .withMessage('Status must be one of: all, at_risk, deprived')
+    ],
+    ReportsController.getEligibilityReport
+);
+
 // Department attendance report
 router.get('/department-attendance',
     authenticateToken,
     requireRole('admin', 'super_admin'),
+    authorize('view_reports'),
+    reportFormatValidation,
     ReportsController.getDepartmentAttendanceReport
 );
 
@@ -36,6 +83,8 @@ router.get('/department-attendance',
 router.get('/overview',
     authenticateToken,
     requireRole('admin', 'super_admin'),
+    authorize('view_reports'),
+    reportFormatValidation,
     ReportsController.getSystemOverview
 );
 
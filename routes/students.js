@@ -1,7 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const StudentController = require('../controllers/studentController');
-const { authenticateToken, requireRole, requireResourceAccess } = require('../middleware/auth');
+const { authenticateToken, requireRole, authorize, requireResourceAccess } = require('../middleware/auth');
+const { uploadSpreadsheet } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -59,10 +60,24 @@ router.get('/my-qr-code',
 
 router.get('/',
     authenticateToken,
-    requireRole('admin', 'super_admin', 'doctor'),
+    authorize('view_students'),
     StudentController.getAllStudents
 );
 
+router.get('/import/template',
+    authenticateToken,
+    authorize('manage_students'),
+    StudentController.getImportTemplate
+);
+
+router.post('/import',
+    authenticateToken,
+    // Imports span departments
+    authorize('manage_students', { requireAll: true }),
+    uploadSpreadsheet('file'),
+    StudentController.importStudents
+);
+
 router.get('/:id',
     authenticateToken,
     requireResourceAccess('student'),
@@ -71,27 +86,27 @@ router.get('/:id',
 
 router.get('/:id/profile',
     authenticateToken,
-    requireRole('admin', 'super_admin', 'doctor'),
+    authorize('view_students', { resource: 'student' }),
     StudentController.getStudentProfile
 );
 
 router.post('/',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_students', { resource: 'body' }),
     studentValidation,
     StudentController.createStudent
 );
 
 router.put('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_students', { resource: ['student', 'body'] }),
     updateStudentValidation,
     StudentController.updateStudent
 );
 
 router.delete('/:id',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_students', { resource: 'student' }),
     StudentController.deleteStudent
 );
 
@@ -109,7 +124,7 @@ router.get('/my-qr-code',
 
 router.post('/:id/regenerate-qr',
     authenticateToken,
-    requireRole('admin', 'super_admin'),
+    authorize('manage_students', { resource: 'student' }),
     StudentController.regenerateQRCode
 );
 
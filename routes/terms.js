@@ -0,0 +1,116 @@
+const express = require('express');
+const { body } = require('express-validator');
+const AcademicTermController = require('../controllers/academicTermController');
+const { authenticateToken, requireRole, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const termValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Term name must be between 2 and 100 characters'),
+    body('startDate')
+        .isISO8601()
+        .withMessage('Valid start date is required'),
+    body('endDate')
+        .isISO8601()
+        .withMessage('Valid end date is required'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean()
+];
+
+const promotionValidation = [
+    body('sourceTermId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid source term ID is required'),
+    body('mappings')
+        .optional()
+        .isArray()
+        .withMessage('Mappings must be an array'),
+    body('mappings.*.fromGroupId')
+        .isMongoId()
+        .withMessage('Valid source group ID is required for each mapping'),
+    body('mappings.*.toGroupId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Target group ID must be a valid ID or null to graduate'),
+    body('advanceYear')
+        .optional()
+        .isBoolean()
+        .withMessage('advanceYear must be a boolean')
+        .toBoolean(),
+    body('activate')
+        .optional()
+        .isBoolean()
+        .withMessage('activate must be a boolean')
+        .toBoolean(),
+    body('dryRun')
+        .optional()
+        .isBoolean()
+        .withMessage('dryRun must be a boolean')
+        .toBoolean()
+];
+
+// Routes
+router.get('/',
+    authenticateToken,
+    AcademicTermController.getAllTerms
+);
+
+router.get('/active',
+    authenticateToken,
+    AcademicTermController.getActiveTerm
+);
+
+router.get('/:id',
+    authenticateToken,
+    AcademicTermController.getTermById
+);
+
+router.post('/',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    // Terms apply to every department, so department-scoped grants cannot change them
+    authorize('manage_departments', { requireAll: true }),
+    termValidation,
+    AcademicTermController.createTerm
+);
+
+router.put('/:id',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { requireAll: true }),
+    termValidation,
+    AcademicTermController.updateTerm
+);
+
+router.delete('/:id',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { requireAll: true }),
+    AcademicTermController.deleteTerm
+);
+
+router.post('/:id/activate',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    authorize('manage_departments', { requireAll: true }),
+    AcademicTermController.activateTerm
+);
+
+router.post('/:id/promote',
+    authenticateToken,
+    requireRole('admin', 'super_admin'),
+    // Promotion moves students and archives groups in every department
+    authorize('manage_students', { requireAll: true }),
+    promotionValidation,
+    AcademicTermController.promoteStudents
+);
+
+module.exports = router;
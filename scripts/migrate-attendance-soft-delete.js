@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { Attendance } = require('../models');
+
+// Mark existing attendance records as not deleted and rebuild the unique indexes,
+// which now only cover records that are not deleted
+async function migrateAttendanceSoftDelete() {
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to database');
+
+        const result = await Attendance.collection.updateMany(
+            { isDeleted: { $exists: false } },
+            { $set: { isDeleted: false } }
+        );
+        console.log(`Backfilled ${result.modifiedCount} attendance records`);
+
+        const dropped = await Attendance.syncIndexes();
+        console.log(`Indexes synced${dropped.length > 0 ? `, rebuilt: ${dropped.join(', ')}` : ''}`);
+
+    } catch (error) {
+        console.error('Script error:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from database');
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    migrateAttendanceSoftDelete()
+        .then(() => {
+            console.log('Script completed');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Script failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateAttendanceSoftDelete;
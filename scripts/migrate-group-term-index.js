@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { Group } = require('../models');
+
+// Replace the old unique index on name, department and year with the one that includes the term,
+// so next term's groups can reuse this term's names
+async function migrateGroupTermIndex() {
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to database');
+
+        const dropped = await Group.syncIndexes();
+        console.log(`Indexes synced${dropped.length > 0 ? `, dropped: ${dropped.join(', ')}` : ''}`);
+
+    } catch (error) {
+        console.error('Script error:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from database');
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    migrateGroupTermIndex()
+        .then(() => {
+            console.log('Script completed');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Script failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateGroupTermIndex;
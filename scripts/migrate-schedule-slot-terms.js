@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { ScheduleSlot, AcademicTerm } = require('../models');
+
+// Schedule slots used to name their term in free text; point them at the academic term of that name.
+// Slots whose text matches no term are listed and left for an administrator to fix.
+async function migrateScheduleSlotTerms() {
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to database');
+
+        const names = await ScheduleSlot.collection.distinct('term', { term: { $type: 'string' } });
+        const terms = await AcademicTerm.find({}).select('name');
+        const termsByName = new Map(terms.map(term => [term.name.trim().toLowerCase(), term._id]));
+
+        for (const name of names) {
+            const termId = termsByName.get(name.trim().toLowerCase());
+            if (!termId) {
+                const slots = await ScheduleSlot.collection.find({ term: name }).project({ _id: 1 }).toArray();
+                console.log(`No academic term named "${name}"; ${slots.length} slots left unchanged: ` +
+                    slots.map(slot => slot._id).join(', '));
+                continue;
+            }
+
+            const result = await ScheduleSlot.collection.updateMany({ term: name }, { $set: { term: termId } });
+            console.log(`Linked ${result.modifiedCount} slots to term "${name}"`);
+        }
+
+    } catch (error) {
+        console.error('Script error:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from database');
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    migrateScheduleSlotTerms()
+        .then(() => {
+            console.log('Script completed');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Script failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateScheduleSlotTerms;
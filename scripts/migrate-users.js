@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { User, Student, Doctor, Admin, UserSession, PasswordResetToken, LoginAttempt } = require('../models');
+
+// Credential and lockout fields that move from the profiles to User
+const CREDENTIAL_FIELDS = ['password', 'passwordChangedAt', 'loginAttempts', 'lockUntil', 'lockoutCount', 'lastLoginAt'];
+
+// Profiles in the order login used to search them, so the account that could sign in keeps the email
+const PROFILES = [
+    { model: Student, role: () => 'student' },
+    { model: Doctor, role: () => 'doctor' },
+    { model: Admin, role: profile => profile.role || 'admin' }
+];
+
+// Create a User for every profile that still carries its own credentials, link the two,
+// and point sessions, reset tokens and login attempts at the new User.
+// Pass --dry-run to report what would change without writing.
+async function migrateUsers({ dryRun = process.argv.includes('--dry-run') } = {}) {
+    try {
+        // Connect to database
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log(`Connected to database${dryRun ? ' (dry run)' : ''}`);
+
+        const userIdsByProfile = new Map();
+        const claimedEmails = new Map();
+        const collisions = [];
+        let created = 0;
+
+        for (const { model, role } of PROFILES) {
+            // Raw documents: the profile schemas no longer declare the credential fields
+            const profiles = await model.collection
+                .find({ user: { $exists: false }, password: { $exists: true } })
+                .toArray();
+
+            for (const profile of profiles) {
+                const email = String(profile.email).toLowerCase().trim();
+                const existing = claimedEmails.get(email) || await User.findOne({ email }).select('profile profileModel');
+
+                if (existing) {
+                    collisions.push({ email, profile: profile._id, profileModel: model.modelName, keptProfile: existing.profile, keptModel: existing.profileModel });
+                    continue;
+                }
+
+                const user = {
+                    _id: new mongoose.Types.ObjectId(),
+                    email,
+                    role: role(profile),
+                    profile: profile._id,
+                    profileModel: User.PROFILE_MODELS[role(profile)],
+                    isActive: profile.isActive !== false,
+                    createdAt: profile.createdAt || new Date(),
+                    updatedAt: new Date()
+                };
+                for (const field of CREDENTIAL_FIELDS) {
+                    if (profile[field] !== undefined) user[field] = profile[field];
+                }
+
+                userIdsByProfile.set(profile._id.toString(), user._id);
+                claimedEmails.set(email, { profile: profile._id, profileModel: user.profileModel });
+                created++;
+
+                if (dryRun) continue;
+
+                // Inserted directly so the existing password hash is not hashed again
+                await User.collection.insertOne(user);
+
+                const unset = Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, '']));
+                await model.collection.updateOne({ _id: profile._id }, { $set: { user: user._id }, $unset: unset });
+            }
+        }
+
+        console.log(`${dryRun ? 'Would create' : 'Created'} ${created} users`);
+
+        // Sessions, reset tokens and login attempts referenced the profile
+        for (const model of [UserSession, PasswordResetToken, LoginAttempt]) {
+            let relinked = 0;
+            for (const [profileId, userId] of userIdsByProfile) {
+                if (dryRun) {
+                    relinked += await model.collection.countDocuments({ user: new mongoose.Types.ObjectId(profileId) });
+                    continue;
+                }
+
+                const result = await model.collection.updateMany(
+                    { user: new mongoose.Types.ObjectId(profileId) },
+                    { $set: { user: userId }, $unset: { userModel: '' } }
+                );
+                relinked += result.modifiedCount;
+            }
+            console.log(`${dryRun ? 'Would relink' : 'Relinked'} ${relinked} ${model.collection.collectionName}`);
+        }
+
+        if (collisions.length > 0) {
+            console.log(`\n${collisions.length} profiles share an email with an earlier account and were left without a login:`);
+            for (const collision of collisions) {
+                console.log(`   ${collision.email}: ${collision.profileModel} ${collision.profile} (kept ${collision.keptModel} ${collision.keptProfile})`);
+            }
+        }
+
+    } catch (error) {
+        console.error('Script error:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from database');
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    migrateUsers()
+        .then(() => {
+            console.log('Script completed');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Script failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateUsers;
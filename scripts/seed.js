@@ -1,7 +1,8 @@
 const mongoose = require('mongoose');
 const { connectMongoDB } = require('../config/database');
-const { Department, Group, Student, Doctor, Admin } = require('../models');
+const { Department, Group, User, Student, Doctor, Admin } = require('../models');
 const QRService = require('../services/qrService');
+const AccountService = require('../services/accountService');
 
 const seedData = async () => {
     try {
@@ -14,6 +15,7 @@ const seedData = async () => {
         await Promise.all([
             Department.deleteMany({}),
             Group.deleteMany({}),
+            User.deleteMany({}),
             Student.deleteMany({}),
             Doctor.deleteMany({}),
             Admin.deleteMany({})
@@ -68,10 +70,9 @@ const seedData = async () => {
         console.log('👥 Created groups');
 
         // Create Admin
-        const admin = new Admin({
+        await AccountService.createAccount('super_admin', {
             name: 'System Administrator',
             email: 'admin@university.edu',
-            password: 'admin123',
             role: 'super_admin',
             permissions: [
                 'manage_departments',
@@ -82,9 +83,7 @@ const seedData = async () => {
                 'view_reports',
                 'manage_attendance'
             ]
-        });
-
-        await admin.save();
+        }, 'admin123');
         console.log('👑 Created admin user');
 
         // Create Doctors
@@ -103,10 +102,9 @@ const seedData = async () => {
                 .slice(0, 3)
                 .map(group => group._id);
 
-            const doctor = new Doctor({
+            const { profile: doctor } = await AccountService.createAccount('doctor', {
                 name: doctorNames[i],
                 email: `doctor${i + 1}@university.edu`,
-                password: 'doctor123',
                 department: dept._id,
                 assignedGroups: assignedGroups,
                 profile: {
@@ -115,9 +113,8 @@ const seedData = async () => {
                     phone: `+20100000${1000 + i}`,
                     officeHours: 'Sunday-Thursday: 10:00-12:00'
                 }
-            });
+            }, 'doctor123');
 
-            await doctor.save();
             doctors.push(doctor);
         }
 
@@ -149,10 +146,9 @@ const seedData = async () => {
                 const qrData = QRService.generateStudentQRData(null, studentNumber);
 
                 // Create student with QR code
-                const student = new Student({
+                const { profile: student } = await AccountService.createAccount('student', {
                     name: name,
                     email: `student${studentCounter}@university.edu`,
-                    password: 'student123',
                     studentNumber: studentNumber,
                     year: group.year,
                     department: group.department,
@@ -163,9 +159,8 @@ const seedData = async () => {
                         nationalId: `${29000000000 + studentCounter}`
                     },
                     qrCode: qrData
-                });
+                }, 'student123');
 
-                await student.save();
                 students.push(student);
                 studentCounter++;
 
@@ -18,10 +18,25 @@ const studentRoutes = require('./routes/students');
 const doctorRoutes = require('./routes/doctors');
 const attendanceRoutes = require('./routes/attendance');
 const reportRoutes = require('./routes/reports');
+const courseRoutes = require('./routes/courses');
+const termRoutes = require('./routes/terms');
+const excuseRoutes = require('./routes/excuses');
+const adminRoutes = require('./routes/admin');
+const adminsRoutes = require('./routes/admins');
+const notificationRoutes = require('./routes/notifications');
+const { auditRequests } = require('./middleware/audit');
+const MailService = require('./services/mailService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Trust reverse proxy headers so req.ip reflects the client address
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    const hops = parseInt(trustProxy);
+    app.set('trust proxy', trustProxy === 'true' ? true : Number.isNaN(hops) ? trustProxy : hops);
+}
+
 // Connect to MongoDB
 connectMongoDB();
 testConnection();
@@ -108,6 +123,9 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Audit trail of every mutating API request
+app.use('/api', auditRequests);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/protected', protectedRoutes);
@@ -117,6 +135,12 @@ app.use('/api/students', studentRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/excuses', excuseRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/admins', adminsRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -131,6 +155,13 @@ app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🌐 CORS origin: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+
+    // Report a missing mail setup now rather than on the first password reset
+    try {
+        MailService.getTransport();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+    }
 });
 
 module.exports = app;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { User } = require('../models');
+const SessionService = require('./sessionService');
+
+// Profile fields populated for /api/auth/me, by role
+const PROFILE_POPULATE = {
+    student: [
+        { path: 'department', select: 'name code' },
+        { path: 'group', select: 'name code' }
+    ],
+    doctor: [
+        { path: 'department', select: 'name code' },
+        { path: 'assignedGroups', select: 'name code' }
+    ]
+};
+
+class AccountService {
+    static normalizeEmail(email) {
+        return String(email).toLowerCase().trim();
+    }
+
+    // Whether a login identity and its profile may still use the system
+    static isUsable(user) {
+        return Boolean(user && user.isActive && user.profile && user.profile.isActive);
+    }
+
+    // Whether an email already belongs to a login identity, optionally ignoring one profile's own
+    static async isEmailTaken(email, { exceptProfile } = {}) {
+        const query = { email: this.normalizeEmail(email) };
+        if (exceptProfile) query.profile = { $ne: exceptProfile };
+        return Boolean(await User.exists(query));
+    }
+
+    // Create a profile and its login identity. Both are validated before either is written,
+    // and the profile is removed again if the identity cannot be saved. `userData` sets extra
+    // login identity fields such as `mustChangePassword`.
+    static async createAccount(role, profileData, password, userData = {}) {
+        const modelName = User.PROFILE_MODELS[role];
+        if (!modelName) {
+            throw new Error(`No profile model registered for role ${role}`);
+        }
+
+        const ProfileModel = mongoose.model(modelName);
+        const profile = new ProfileModel({ _id: new mongoose.Types.ObjectId(), ...profileData });
+        const user = new User({ ...userData, email: profile.email, password, role, profile: profile._id });
+        profile.user = user._id;
+
+        await Promise.all([profile.validate(), user.validate()]);
+
+        await profile.save();
+        try {
+            await user.save();
+        } catch (error) {
+            await ProfileModel.deleteOne({ _id: profile._id });
+            throw error;
+        }
+
+        return { user, profile };
+    }
+
+    // Login identity of a profile
+    static async findByProfile(profileId) {
+        return User.findOne({ profile: profileId });
+    }
+
+    // Login identity for an email, with its profile
+    static async findByEmail(email) {
+        return User.findOne({ email: this.normalizeEmail(email) }).populate('profile');
+    }
+
+    // Login identity for a verified access token. Tokens issued before the User collection
+    // carry only the profile ID.
+    static async findForToken(decoded) {
+        const query = decoded.uid ? User.findById(decoded.uid) : User.findOne({ profile: decoded.id });
+        return query.populate({ path: 'profile', select: '-password' });
+    }
+
+    // Login identity with the profile populated for display
+    static async findWithProfile(userId, role) {
+        return User.findById(userId).populate({
+            path: 'profile',
+            select: '-password',
+            populate: PROFILE_POPULATE[role] || []
+        });
+    }
+
+    // Keep the login email in step with a profile whose email changed
+    static async syncEmail(profile) {
+        await User.updateOne({ profile: profile._id }, { $set: { email: profile.email } });
+    }
+
+    // Remove the login identity of a deleted profile and sign it out everywhere
+    static async deleteAccount(profileId) {
+        const user = await User.findOneAndDelete({ profile: profileId });
+        if (user) {
+            await SessionService.revoke({ user: user._id }, 'account_removed');
+        }
+        return user;
+    }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,95 @@
+const { AttendanceAudit } = require('../models');
+
+// Fields whose changes are captured in the audit log
+const TRACKED_FIELDS = [
+    'student',
+    'group',
+    'doctor',
+    'session',
+    'course',
+    'lectureDate',
+    'status',
+    'recordedBy',
+    'notes',
+    'lectureDetails',
+    'excuseRequest',
+    'isSuspicious',
+    'isDeleted'
+];
+
+class AttendanceAuditService {
+    // Actor details for a request: who, in which role, from where
+    static actorFromRequest(req, source) {
+        return {
+            actor: req.user && req.user.id,
+            role: req.user ? req.user.role : 'system',
+            ipAddress: req.ip,
+            source
+        };
+    }
+
+    // Plain copy of the tracked fields of a record (document or plain object)
+    static snapshot(record) {
+        if (!record) return null;
+
+        const source = typeof record.toObject === 'function' ? record.toObject({ depopulate: true, virtuals: false }) : record;
+        const snapshot = {};
+
+        for (const field of TRACKED_FIELDS) {
+            if (source[field] !== undefined) {
+                snapshot[field] = source[field];
+            }
+        }
+
+        return snapshot;
+    }
+
+    // Tracked fields whose values differ between two snapshots
+    static diff(before, after) {
+        return TRACKED_FIELDS.filter(field => {
+            const oldValue = before ? before[field] : undefined;
+            const newValue = after ? after[field] : undefined;
+            return JSON.stringify(oldValue) !== JSON.stringify(newValue);
+        });
+    }
+
+    // Build an audit entry for one change
+    static buildEntry(action, { before = null, after = null }, context = {}) {
+        const beforeSnapshot = this.snapshot(before);
+        const afterSnapshot = this.snapshot(after);
+        const record = after || before;
+
+        return {
+            attendance: record._id,
+            student: record.student && (record.student._id || record.student),
+            group: record.group && (record.group._id || record.group),
+            action,
+            actor: context.actor,
+            role: context.role,
+            before: beforeSnapshot,
+            after: afterSnapshot,
+            changedFields: this.diff(beforeSnapshot, afterSnapshot),
+            reason: context.reason,
+            source: context.source,
+            ipAddress: context.ipAddress
+        };
+    }
+
+    // Append one audit entry
+    static async log(action, change, context = {}, dbSession = null) {
+        const [entry] = await AttendanceAudit.create([this.buildEntry(action, change, context)], { session: dbSession });
+        return entry;
+    }
+
+    // Append entries for several changes made by one action
+    static async logMany(action, changes, context = {}, dbSession = null) {
+        if (changes.length === 0) return [];
+
+        return AttendanceAudit.insertMany(
+            changes.map(change => this.buildEntry(action, change, context)),
+            { session: dbSession }
+        );
+    }
+}
+
+module.exports = AttendanceAuditService;
@@ -0,0 +1,296 @@
+const net = require('net');
+const { Group, Department } = require('../models');
+
+const EARTH_RADIUS_METERS = 6371000;
+
+class AttendancePolicyService {
+    // Resolve the policy that applies to a group (group policy overrides department policy)
+    static async resolvePolicy(groupId) {
+        const group = await Group.findById(groupId).select('department attendancePolicy');
+        if (!group) return null;
+
+        if (group.attendancePolicy && group.attendancePolicy.enabled) {
+            return { policy: group.attendancePolicy, source: 'group', sourceId: group._id };
+        }
+
+        const department = await Department.findById(group.department).select('attendancePolicy');
+        if (department && department.attendancePolicy && department.attendancePolicy.enabled) {
+            return { policy: department.attendancePolicy, source: 'department', sourceId: department._id };
+        }
+
+        return null;
+    }
+
+    // Check a scan against the policy for a group
+    static async checkScan(groupId, { location, ipAddress } = {}) {
+        const checkIn = { ipAddress };
+
+        if (location && this.isValidCoordinate(location.latitude, location.longitude)) {
+            checkIn.latitude = Number(location.latitude);
+            checkIn.longitude = Number(location.longitude);
+            if (location.accuracy !== undefined) checkIn.accuracy = Number(location.accuracy);
+        }
+
+        const resolved = await this.resolvePolicy(groupId);
+        if (!resolved) {
+            return { allowed: true, suspicious: false, reasons: [], checkIn };
+        }
+
+        const evaluation = this.evaluate(resolved.policy, checkIn);
+        if (evaluation.distanceMeters !== undefined) {
+            checkIn.distanceMeters = evaluation.distanceMeters;
+        }
+
+        const rejected = !evaluation.passed && resolved.policy.enforcement === 'reject';
+
+        return {
+            allowed: !rejected,
+            suspicious: !evaluation.passed,
+            reasons: evaluation.reasons,
+            source: resolved.source,
+            checkIn
+        };
+    }
+
+    // Evaluate a check-in context against a policy; any satisfied check passes
+    static evaluate(policy, checkIn) {
+        const reasons = [];
+        let passed = false;
+        let checksConfigured = 0;
+        let distanceMeters;
+
+        const { location = {} } = policy;
+        if (this.isValidCoordinate(location.latitude, location.longitude) && location.radiusMeters) {
+            checksConfigured += 1;
+
+            if (checkIn.latitude === undefined) {
+                reasons.push('Location was not provided');
+            } else {
+                distanceMeters = Math.round(this.distanceMeters(
+                    location.latitude,
+                    location.longitude,
+                    checkIn.latitude,
+                    checkIn.longitude
+                ));
+
+                if (distanceMeters <= location.radiusMeters) {
+                    passed = true;
+                } else {
+                    reasons.push(`Location is ${distanceMeters}m away, outside the allowed ${location.radiusMeters}m radius`);
+                }
+            }
+        }
+
+        const networks = policy.allowedNetworks || [];
+        if (networks.length > 0) {
+            checksConfigured += 1;
+
+            if (checkIn.ipAddress && networks.some(cidr => this.isIpInCidr(checkIn.ipAddress, cidr))) {
+                passed = true;
+            } else {
+                reasons.push(`Network address ${checkIn.ipAddress || 'unknown'} is not in an allowed range`);
+            }
+        }
+
+        // A policy without any configured check does not restrict scans
+        if (checksConfigured === 0) {
+            passed = true;
+        }
+
+        return {
+            passed,
+            reasons: passed ? [] : reasons,
+            distanceMeters
+        };
+    }
+
+    // Resolve lateness thresholds for a group; lecture-level values override the department policy
+    static async resolveLatenessPolicy(groupId, overrides = {}) {
+        const group = await Group.findById(groupId).select('department');
+        const department = group
+            ? await Department.findById(group.department).select('latenessPolicy')
+            : null;
+        const departmentPolicy = (department && department.latenessPolicy) || {};
+
+        const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+
+        return {
+            gracePeriodMinutes: pick(overrides.gracePeriodMinutes, pick(departmentPolicy.gracePeriodMinutes, 10)),
+            cutoffMinutes: pick(overrides.cutoffMinutes, pick(departmentPolicy.cutoffMinutes, null)),
+            cutoffAction: departmentPolicy.cutoffAction || 'reject'
+        };
+    }
+
+    // Decide the status of a scan relative to the lecture start time
+    static resolveScanStatus(startTime, scannedAt, latenessPolicy) {
+        const minutesLate = Math.max(0, Math.floor((new Date(scannedAt) - new Date(startTime)) / 60000));
+        const { gracePeriodMinutes, cutoffMinutes, cutoffAction } = latenessPolicy;
+
+        if (cutoffMinutes !== null && cutoffMinutes !== undefined && minutesLate > cutoffMinutes) {
+            return {
+                status: 'absent',
+                rejected: cutoffAction === 'reject',
+                minutesLate
+            };
+        }
+
+        return {
+            status: minutesLate > gracePeriodMinutes ? 'late' : 'present',
+            rejected: false,
+            minutesLate
+        };
+    }
+
+    // Status for a scan against a lecture ({ startTime, gracePeriodMinutes, cutoffMinutes })
+    static async resolveTiming(groupId, lecture, scannedAt = new Date()) {
+        if (!lecture || !lecture.startTime) {
+            return { status: 'present', rejected: false, minutesLate: 0 };
+        }
+
+        const latenessPolicy = await this.resolveLatenessPolicy(groupId, lecture);
+        return this.resolveScanStatus(lecture.startTime, scannedAt, latenessPolicy);
+    }
+
+    // Validate and normalize a policy from a request body
+    static normalizePolicy(input = {}, userId) {
+        const errors = [];
+        const policy = {
+            enabled: Boolean(input.enabled),
+            enforcement: input.enforcement || 'flag',
+            allowedNetworks: [],
+            location: {},
+            updatedBy: userId,
+            updatedAt: new Date()
+        };
+
+        if (!['reject', 'flag'].includes(policy.enforcement)) {
+            errors.push('Enforcement must be one of: reject, flag');
+        }
+
+        if (input.location) {
+            const { latitude, longitude, radiusMeters } = input.location;
+
+            if (!this.isValidCoordinate(latitude, longitude)) {
+                errors.push('Location must have a valid latitude and longitude');
+            } else if (!(Number(radiusMeters) >= 10 && Number(radiusMeters) <= 50000)) {
+                errors.push('Radius must be between 10 and 50000 meters');
+            } else {
+                policy.location = {
+                    latitude: Number(latitude),
+                    longitude: Number(longitude),
+                    radiusMeters: Number(radiusMeters)
+                };
+            }
+        }
+
+        if (input.allowedNetworks !== undefined) {
+            if (!Array.isArray(input.allowedNetworks)) {
+                errors.push('Allowed networks must be an array of CIDR ranges');
+            } else {
+                for (const cidr of input.allowedNetworks) {
+                    if (this.parseCidr(cidr)) {
+                        policy.allowedNetworks.push(String(cidr).trim());
+                    } else {
+                        errors.push(`Invalid CIDR range: ${cidr}`);
+                    }
+                }
+            }
+        }
+
+        if (policy.enabled && !policy.location.radiusMeters && policy.allowedNetworks.length === 0) {
+            errors.push('An enabled policy needs a location or at least one allowed network');
+        }
+
+        return { errors, policy };
+    }
+
+    static isValidCoordinate(latitude, longitude) {
+        if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+            return false;
+        }
+        const lat = Number(latitude);
+        const lng = Number(longitude);
+        return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+    }
+
+    // Great-circle distance between two coordinates (haversine)
+    static distanceMeters(lat1, lng1, lat2, lng2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+    }
+
+    // Convert an IP address to { version, value } with value as a BigInt
+    static parseIp(address) {
+        if (!address) return null;
+
+        let ip = String(address).trim();
+        // IPv4-mapped IPv6 addresses (e.g. ::ffff:10.0.0.1) are treated as IPv4
+        if (ip.toLowerCase().startsWith('::ffff:') && net.isIPv4(ip.slice(7))) {
+            ip = ip.slice(7);
+        }
+
+        if (net.isIPv4(ip)) {
+            const value = ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+            return { version: 4, value };
+        }
+
+        if (net.isIPv6(ip)) {
+            const [head, tail = ''] = ip.split('::');
+            const headParts = head ? head.split(':') : [];
+            const tailParts = ip.includes('::') && tail ? tail.split(':') : [];
+
+            // Expand an embedded IPv4 suffix into two hextets
+            const expand = parts => parts.flatMap(part => {
+                if (!net.isIPv4(part)) return [part];
+                const octets = part.split('.').map(Number);
+                return [((octets[0] << 8) + octets[1]).toString(16), ((octets[2] << 8) + octets[3]).toString(16)];
+            });
+
+            const headHextets = expand(headParts);
+            const tailHextets = expand(tailParts);
+            const missing = 8 - headHextets.length - tailHextets.length;
+            const hextets = [...headHextets, ...Array(Math.max(missing, 0)).fill('0'), ...tailHextets];
+
+            const value = hextets.reduce((acc, hextet) => (acc << 16n) + BigInt(parseInt(hextet || '0', 16)), 0n);
+            return { version: 6, value };
+        }
+
+        return null;
+    }
+
+    // Parse a CIDR range such as 10.0.0.0/16 or 2001:db8::/32
+    static parseCidr(cidr) {
+        if (typeof cidr !== 'string') return null;
+
+        const parts = cidr.trim().split('/');
+        if (parts.length > 2) return null;
+
+        const [address, prefixText] = parts;
+        const ip = this.parseIp(address);
+        if (!ip) return null;
+
+        // A slash needs digits after it; Number('') would otherwise read "10.0.0.0/" as /0, every address
+        const maxPrefix = ip.version === 4 ? 32 : 128;
+        if (prefixText !== undefined && !/^\d+$/.test(prefixText)) return null;
+        const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+        if (prefix > maxPrefix) return null;
+
+        return { ...ip, prefix, bits: maxPrefix };
+    }
+
+    static isIpInCidr(address, cidr) {
+        const ip = this.parseIp(address);
+        const range = this.parseCidr(cidr);
+        if (!ip || !range || ip.version !== range.version) return false;
+
+        const shift = BigInt(range.bits - range.prefix);
+        return (ip.value >> shift) === (range.value >> shift);
+    }
+}
+
+module.exports = AttendancePolicyService;
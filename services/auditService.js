@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { AuditLog } = require('../models');
+
+// Never stored in the audit log
+const SENSITIVE_KEYS = /password|token|secret|otp/i;
+
+// Not meaningful in a diff
+const IGNORED_FIELDS = ['__v', 'createdAt', 'updatedAt'];
+
+// Entity type for each /api/<resource> path
+const ENTITY_TYPES = {
+    students: 'student',
+    doctors: 'doctor',
+    groups: 'group',
+    departments: 'department',
+    courses: 'course',
+    terms: 'academic_term',
+    attendance: 'attendance',
+    excuses: 'excuse_request',
+    reports: 'report',
+    auth: 'auth',
+    admin: 'admin',
+    admins: 'admin'
+};
+
+const METHOD_ACTIONS = {
+    POST: 'create',
+    PUT: 'update',
+    PATCH: 'update',
+    DELETE: 'delete'
+};
+
+class AuditService {
+    // Attach the target entity and its before/after state to a request for the audit middleware
+    static track(req, { entityType, entityId, action, before, after } = {}) {
+        req.audit = {
+            ...req.audit,
+            ...(entityType && { entityType }),
+            ...(entityId && { entityId }),
+            ...(action && { action }),
+            ...(before !== undefined && { before: this.snapshot(before) }),
+            ...(after !== undefined && { after: this.snapshot(after) })
+        };
+    }
+
+    // Plain, sanitized copy of a document
+    static snapshot(record) {
+        if (!record) return null;
+
+        const source = typeof record.toObject === 'function'
+            ? record.toObject({ depopulate: true, virtuals: false })
+            : record;
+
+        return this.sanitize(source);
+    }
+
+    // Deep copy without sensitive fields
+    static sanitize(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.sanitize(item));
+        }
+
+        if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)) {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                if (SENSITIVE_KEYS.test(key)) continue;
+                result[key] = this.sanitize(item);
+            }
+            return result;
+        }
+
+        return value;
+    }
+
+    // Top-level fields that differ between two snapshots
+    static diff(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const changes = {};
+
+        for (const field of fields) {
+            if (IGNORED_FIELDS.includes(field)) continue;
+
+            const from = before ? before[field] : undefined;
+            const to = after ? after[field] : undefined;
+
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[field] = { from, to };
+            }
+        }
+
+        return changes;
+    }
+
+    // Work out the entity and action of a request from its path:
+    // POST /api/doctors/:id/assign-groups -> doctor, <id>, "create:assign-groups"
+    static describeRequest(req) {
+        const [resource, id, ...rest] = req.originalUrl
+            .split('?')[0]
+            .replace(/^\/api\/?/, '')
+            .split('/')
+            .filter(Boolean);
+
+        const hasId = mongoose.isValidObjectId(id) && String(id).length === 24;
+        const subPath = (hasId ? rest : [id, ...rest])
+            .filter(Boolean)
+            .map(segment => (mongoose.isValidObjectId(segment) && segment.length === 24 ? ':id' : segment))
+            .join('/');
+
+        const baseAction = METHOD_ACTIONS[req.method] || req.method.toLowerCase();
+
+        return {
+            entityType: ENTITY_TYPES[resource] || resource || 'unknown',
+            entityId: hasId ? id : undefined,
+            action: subPath ? `${baseAction}:${subPath}` : baseAction
+        };
+    }
+
+    // Write the audit entry for a finished request
+    static async recordRequest(req, res) {
+        const described = this.describeRequest(req);
+        const tracked = req.audit || {};
+        const before = tracked.before;
+        const after = tracked.after;
+
+        await AuditLog.create({
+            actor: req.user.id,
+            actorRole: req.user.role,
+            actorName: req.user.name,
+            action: tracked.action || described.action,
+            entityType: tracked.entityType || described.entityType,
+            entityId: tracked.entityId || described.entityId,
+            changes: before !== undefined || after !== undefined ? this.diff(before, after) : undefined,
+            before,
+            after,
+            request: {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                body: this.sanitize(req.body),
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            },
+            statusCode: res.statusCode,
+            outcome: res.statusCode < 400 ? 'success' : 'failure'
+        });
+    }
+}
+
+module.exports = AuditService;
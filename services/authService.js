@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { User, LoginAttempt } = require('../models');
 
 class AuthService {
     // Generate JWT token
@@ -9,10 +11,18 @@ class AuthService {
         });
     }
 
-    // Generate refresh token (longer expiry)
-    static generateRefreshToken(payload) {
-        return jwt.sign(payload, process.env.JWT_SECRET, {
-            expiresIn: '30d',
+    // Refresh tokens have their own secret so an access token can never be used as one
+    static getRefreshSecret() {
+        if (!process.env.JWT_REFRESH_SECRET) {
+            throw new Error('JWT_REFRESH_SECRET is not configured');
+        }
+        return process.env.JWT_REFRESH_SECRET;
+    }
+
+    // Generate refresh token for a session; `jti` makes every rotated token unique
+    static generateRefreshToken(payload, expiresInSeconds) {
+        return jwt.sign({ ...payload, jti: crypto.randomUUID() }, this.getRefreshSecret(), {
+            expiresIn: expiresInSeconds,
         });
     }
 
@@ -25,6 +35,15 @@ class AuthService {
         }
     }
 
+    // Verify refresh token
+    static verifyRefreshToken(token) {
+        try {
+            return jwt.verify(token, this.getRefreshSecret());
+        } catch (error) {
+            throw new Error('Invalid refresh token');
+        }
+    }
+
     // Hash password
     static async hashPassword(password) {
         const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
@@ -46,16 +65,28 @@ class AuthService {
         };
     }
 
-    // Create authentication response
-    static createAuthResponse(user, role) {
+    // Refresh token cookie is only sent to the auth endpoints
+    static getRefreshCookieOptions(rememberMe = false) {
+        return {
+            ...this.getCookieOptions(rememberMe),
+            path: '/api/auth',
+        };
+    }
+
+    // Create authentication response for a login identity (with its profile populated)
+    // and the session started or refreshed by SessionService
+    static createAuthResponse(user, { sessionId, refreshToken }) {
+        const { profile } = user;
+
         const tokenPayload = {
-            id: user._id,
+            id: profile._id,
+            uid: user._id,
             email: user.email,
-            role: role,
+            role: user.role,
+            sid: sessionId,
         };
 
         const token = this.generateToken(tokenPayload);
-        const refreshToken = this.generateRefreshToken(tokenPayload);
 
         return {
             success: true,
@@ -63,12 +94,12 @@ class AuthService {
             token,
             refreshToken,
             user: {
-                id: user._id,
-                name: user.name,
+                id: profile._id,
+                name: profile.name,
                 email: user.email,
-                role: role,
-                permissions: user.permissions || [],
-                profile: user.profile,
+                role: user.role,
+                permissions: profile.permissions || [],
+                profile: profile.profile,
             },
         };
     }
@@ -134,38 +165,90 @@ class AuthService {
         return password;
     }
 
+    // Whether a token was issued before the user's password was last reset
+    static isTokenRevoked(decoded, user) {
+        if (!user.passwordChangedAt || !decoded.iat) return false;
+        return decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+    }
+
     // Check if user account is locked
     static isAccountLocked(user) {
-        if (!user.loginAttempts || !user.lockUntil) return false;
-        return user.loginAttempts >= 5 && user.lockUntil > Date.now();
+        return Boolean(user.lockUntil && user.lockUntil > Date.now());
     }
 
-    // Handle failed login attempt
-    static async handleFailedLogin(userModel, userId) {
-        const user = await userModel.findById(userId);
-        if (!user) return;
-
-        if (!user.loginAttempts) user.loginAttempts = 0;
-        user.loginAttempts += 1;
-
-        // Lock account after 5 failed attempts for 30 minutes
-        if (user.loginAttempts >= 5) {
-            user.lockUntil = Date.now() + 30 * 60 * 1000; // 30 minutes
-        }
+    // Lock duration after a user's nth lockout: doubles each time up to a cap
+    static getLockDuration(lockoutCount) {
+        const baseMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+        const maxMinutes = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60;
+        return Math.min(baseMinutes * 2 ** lockoutCount, maxMinutes) * 60 * 1000;
+    }
 
-        await user.save();
+    // Handle failed login attempt; returns the lock end when this attempt locked the account.
+    // Every step is a single conditional update, so parallel attempts cannot overwrite each other's count.
+    static async handleFailedLogin(userId) {
+        const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+        const now = new Date();
+
+        // A lock that has run out starts a fresh round of attempts
+        await User.updateOne(
+            { _id: userId, lockUntil: { $lte: now } },
+            { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } }
+        );
+
+        // Attempts that were already in flight when the account locked do not count towards the next lock
+        const user = await User.findOneAndUpdate(
+            { _id: userId, lockUntil: null },
+            { $inc: { loginAttempts: 1 } },
+            { new: true }
+        ).select('loginAttempts lockoutCount');
+
+        if (!user || user.loginAttempts < maxAttempts) return null;
+
+        // Only the attempt that takes the count to the limit locks the account
+        const lockUntil = new Date(Date.now() + this.getLockDuration(user.lockoutCount || 0));
+        const locked = await User.findOneAndUpdate(
+            { _id: userId, lockUntil: null, loginAttempts: { $gte: maxAttempts } },
+            { $set: { loginAttempts: 0, lockUntil }, $inc: { lockoutCount: 1 } },
+            { new: true }
+        ).select('_id');
+
+        return locked ? lockUntil : null;
     }
 
     // Handle successful login
-    static async handleSuccessfulLogin(userModel, userId) {
-        const user = await userModel.findById(userId);
-        if (!user) return;
+    static async handleSuccessfulLogin(userId) {
+        await User.updateOne(
+            { _id: userId },
+            {
+                $set: { loginAttempts: 0, lockoutCount: 0, lastLoginAt: new Date() },
+                $unset: { lockUntil: 1 }
+            }
+        );
+    }
 
-        user.loginAttempts = 0;
-        user.lockUntil = undefined;
-        user.lastLoginAt = new Date();
+    // Clear a lockout by hand; the back-off starts over
+    static async unlockAccount(userId) {
+        return User.findByIdAndUpdate(
+            userId,
+            { $set: { loginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } },
+            { new: true }
+        ).select('email role profile loginAttempts lockUntil lockoutCount');
+    }
 
-        await user.save();
+    // Record a failed login
+    static async recordFailedLogin(req, { email, user, reason, lockedAccount = false }) {
+        try {
+            await LoginAttempt.create({
+                email,
+                user: user && user._id,
+                reason,
+                lockedAccount,
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+        } catch (error) {
+            console.error('Record login attempt error:', error);
+        }
     }
 }
 
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { Attendance, Department, Student, DeprivationOverride } = require('../models');
+
+// Faculty rule: warn at 10% and 20% absence, bar from the final exam above 25%
+const DEFAULT_POLICY = {
+    warningLevels: [10, 20],
+    deprivationPercent: 25,
+    countExcused: false
+};
+
+const POLICY_FIELDS = ['warningLevels', 'deprivationPercent', 'countExcused'];
+
+class EligibilityService {
+    // Policy for a course; each field comes from the course, else its department, else the default
+    static async resolvePolicy(course) {
+        const department = await Department.findById(course.department).select('eligibilityPolicy');
+        const layers = [
+            { source: 'course', policy: course.eligibilityPolicy },
+            { source: 'department', policy: department && department.eligibilityPolicy },
+            { source: 'default', policy: DEFAULT_POLICY }
+        ];
+
+        const policy = {};
+        const sources = {};
+
+        for (const field of POLICY_FIELDS) {
+            const layer = layers.find(({ policy: candidate }) => (
+                candidate && candidate[field] !== undefined && candidate[field] !== null
+            ));
+            policy[field] = layer.policy[field];
+            sources[field] = layer.source;
+        }
+
+        policy.warningLevels = [...policy.warningLevels].sort((a, b) => a - b);
+
+        return { policy, sources };
+    }
+
+    // Validate and normalize a policy from a request body; `partial` allows unset fields (course overrides)
+    static normalizePolicy(input = {}, userId, { partial = false } = {}) {
+        const errors = [];
+        const policy = { updatedBy: userId, updatedAt: new Date() };
+
+        const { warningLevels, deprivationPercent, countExcused } = input;
+
+        if (deprivationPercent !== undefined && deprivationPercent !== null) {
+            policy.deprivationPercent = Number(deprivationPercent);
+        } else if (!partial) {
+            errors.push('Deprivation percentage is required');
+        }
+
+        if (warningLevels !== undefined && warningLevels !== null) {
+            policy.warningLevels = [...new Set(warningLevels.map(Number))].sort((a, b) => a - b);
+
+            if (policy.deprivationPercent !== undefined &&
+                policy.warningLevels.some(level => level >= policy.deprivationPercent)) {
+                errors.push('Warning levels must be below the deprivation percentage');
+            }
+        } else if (!partial) {
+            policy.warningLevels = [];
+        }
+
+        if (countExcused !== undefined && countExcused !== null) {
+            policy.countExcused = Boolean(countExcused);
+        }
+
+        return { errors, policy };
+    }
+
+    // Standing of a student from their absence percentage
+    static classify(absencePercentage, policy) {
+        if (absencePercentage > policy.deprivationPercent) {
+            return { level: 'deprived', warningLevel: null };
+        }
+
+        const reached = policy.warningLevels.filter(level => absencePercentage >= level);
+        if (reached.length > 0) {
+            return { level: 'warning', warningLevel: reached[reached.length - 1] };
+        }
+
+        return { level: 'ok', warningLevel: null };
+    }
+
+    // Absence standing of every student with attendance in a course.
+    // `groupIds` limits the groups, `studentIds` the students; `term` limits records to an academic term.
+    static async getCourseEligibility(course, { groupIds, studentIds: onlyStudentIds, term } = {}) {
+        const { policy, sources } = await this.resolvePolicy(course);
+
+        const match = { course: new mongoose.Types.ObjectId(course._id) };
+        if (groupIds) {
+            match.group = { $in: groupIds.map(id => new mongoose.Types.ObjectId(id)) };
+        }
+        if (onlyStudentIds) {
+            match.student = { $in: onlyStudentIds.map(id => new mongoose.Types.ObjectId(id)) };
+        }
+        if (term) {
+            Object.assign(match, Attendance.termFilter(term));
+        }
+
+        const countStatus = status => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+        const stats = await Attendance.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$student',
+                    total: { $sum: 1 },
+                    present: countStatus('present'),
+                    late: countStatus('late'),
+                    absent: countStatus('absent'),
+                    excused: countStatus('excused')
+                }
+            }
+        ]);
+
+        const studentIds = stats.map(stat => stat._id);
+
+        const [students, overrides] = await Promise.all([
+            Student.find({ _id: { $in: studentIds } })
+                .select('name studentNumber group')
+                .populate('group', 'name code'),
+            DeprivationOverride.find({
+                student: { $in: studentIds },
+                course: course._id,
+                term: term ? term._id : null,
+                isActive: true
+            })
+        ]);
+
+        const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+        const overridesByStudent = new Map(overrides.map(override => [override.student.toString(), override]));
+
+        const rows = stats.map(stat => {
+            const absences = stat.absent + (policy.countExcused ? stat.excused : 0);
+            const absencePercentage = stat.total > 0 ? Math.round((absences / stat.total) * 10000) / 100 : 0;
+            const { level, warningLevel } = this.classify(absencePercentage, policy);
+            const override = overridesByStudent.get(stat._id.toString()) || null;
+
+            return {
+                student: studentsById.get(stat._id.toString()) || { _id: stat._id },
+                total: stat.total,
+                present: stat.present,
+                late: stat.late,
+                absent: stat.absent,
+                excused: stat.excused,
+                absences,
+                absencePercentage,
+                level,
+                warningLevel,
+                override,
+                eligible: level !== 'deprived' || Boolean(override)
+            };
+        });
+
+        rows.sort((a, b) => b.absencePercentage - a.absencePercentage);
+
+        const summary = rows.reduce((counts, row) => {
+            counts[row.level] += 1;
+            if (row.level === 'deprived' && row.override) counts.overridden += 1;
+            return counts;
+        }, { ok: 0, warning: 0, deprived: 0, overridden: 0 });
+
+        return { policy, sources, rows, summary };
+    }
+}
+
+module.exports = EligibilityService;
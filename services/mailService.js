@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transport factories by name; MAIL_TRANSPORT picks one
+const transportFactories = {
+    // Real delivery through an SMTP relay
+    smtp: () => nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    }),
+
+    // Writes each message as an .eml file, for local testing
+    file: () => {
+        const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+        const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+        return {
+            async sendMail(message) {
+                const info = await transport.sendMail(message);
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '_')}.eml`);
+                await fs.promises.writeFile(file, info.message);
+                return { ...info, file };
+            }
+        };
+    },
+
+    // Prints each message to the console, for development
+    console: () => {
+        const transport = nodemailer.createTransport({ jsonTransport: true });
+
+        return {
+            async sendMail(message) {
+                const info = await transport.sendMail(message);
+                console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+                return info;
+            }
+        };
+    }
+};
+
+let transport = null;
+
+class MailService {
+    // Add or replace a transport, e.g. for a mail API
+    static registerTransport(name, factory) {
+        transportFactories[name] = factory;
+        transport = null;
+    }
+
+    // Transport named by MAIL_TRANSPORT; SMTP when a host is configured, console otherwise.
+    // The console transport prints reset links to the logs, so production never falls back to it.
+    static getTransport() {
+        if (!transport) {
+            const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+            if (process.env.NODE_ENV === 'production' && name === 'console') {
+                if (!process.env.MAIL_TRANSPORT) {
+                    throw new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT in production');
+                }
+                console.warn('⚠️ MAIL_TRANSPORT=console in production: emails, including password reset links, are written to the logs');
+            }
+            const factory = transportFactories[name];
+
+            if (!factory) {
+                throw new Error(`Unknown mail transport: ${name}`);
+            }
+
+            transport = factory();
+        }
+
+        return transport;
+    }
+
+    // Send one email
+    static async send({ to, subject, text, html }) {
+        return this.getTransport().sendMail({
+            from: process.env.MAIL_FROM || 'Sadat System <no-reply@sadat.local>',
+            to,
+            subject,
+            text,
+            html
+        });
+    }
+}
+
+module.exports = MailService;
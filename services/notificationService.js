@@ -0,0 +1,206 @@
+const { Notification, NotificationPreference, Course, Student, AcademicTerm } = require('../models');
+const MailService = require('./mailService');
+const EligibilityService = require('./eligibilityService');
+
+const ROLE_MODELS = {
+    student: 'Student',
+    doctor: 'Doctor',
+    admin: 'Admin',
+    super_admin: 'Admin'
+};
+
+// Account and security messages are always emailed, whatever the preferences say
+const REQUIRED_EMAIL_TYPES = ['account_created', 'password_reset'];
+
+// Wording of password link emails by why the link was sent
+const PASSWORD_LINK_WORDING = {
+    requested: {
+        title: 'Password reset requested',
+        message: 'A password reset was requested for your account. If this was not you, contact the administrator.',
+        subject: 'Reset your Sadat System password',
+        action: 'choose a new password',
+        footer: 'If you did not request a password reset, ignore this email; your password will not change.'
+    },
+    forced: {
+        title: 'Password reset required',
+        message: 'An administrator has reset your password. Use the emailed link to choose a new one.',
+        subject: 'Reset your Sadat System password',
+        action: 'choose a new password',
+        intro: 'An administrator has reset your password, so your old password no longer works.',
+        footer: 'If the link expires, request a new one from the forgot password page.'
+    },
+    setup: {
+        title: 'Your Sadat System account is ready',
+        message: 'An account has been created for you. Use the emailed link to choose your password.',
+        subject: 'Set your Sadat System password',
+        action: 'choose your password',
+        intro: 'An account has been created for you in the Sadat System.',
+        footer: 'If the link expires, request a new one from the forgot password page.'
+    }
+};
+
+class NotificationService {
+    // Channels a user receives a notification type on
+    static async resolveChannels(userId, type) {
+        const preference = await NotificationPreference.findOne({ user: userId });
+        const channels = { inApp: true, email: true };
+
+        if (preference) {
+            Object.assign(channels, {
+                inApp: preference.channels.inApp,
+                email: preference.channels.email
+            });
+
+            const typeChannels = preference.types.get(type);
+            if (typeChannels) {
+                Object.assign(channels, { inApp: typeChannels.inApp, email: typeChannels.email });
+            }
+        }
+
+        if (REQUIRED_EMAIL_TYPES.includes(type)) {
+            channels.email = true;
+        }
+
+        return channels;
+    }
+
+    // Notify one user on the channels they have enabled.
+    // `user` needs _id and email; `mail` overrides the email subject and text.
+    static async notify(user, role, { type, title, message, data, mail = {} }) {
+        const channels = await this.resolveChannels(user._id, type);
+        const sendEmail = channels.email && Boolean(user.email);
+
+        if (!channels.inApp && !sendEmail) return null;
+
+        const notification = await Notification.create({
+            recipient: user._id,
+            recipientModel: ROLE_MODELS[role],
+            type,
+            title,
+            message,
+            data,
+            inApp: channels.inApp,
+            email: sendEmail ? { status: 'pending', to: user.email } : { status: 'skipped' }
+        });
+
+        if (sendEmail) {
+            try {
+                await MailService.send({
+                    to: user.email,
+                    subject: mail.subject || title,
+                    text: mail.text || `Hello ${user.name || ''},\n\n${message}\n`
+                });
+                notification.email.status = 'sent';
+                notification.email.sentAt = new Date();
+            } catch (error) {
+                console.error('Notification email error:', error);
+                notification.email.status = 'failed';
+                notification.email.error = error.message;
+            }
+            await notification.save();
+        }
+
+        return notification;
+    }
+
+    // Tell an account holder their account exists; the password is never emailed
+    static async accountCreated(user, role) {
+        return this.notify(user, role, {
+            type: 'account_created',
+            title: 'Your Sadat System account is ready',
+            message: `An account has been created for ${user.email}. ` +
+                'Sign in with the password given to you by the administrator and change it after your first login.',
+            data: { role }
+        });
+    }
+
+    // Email a password reset link; the stored notification never contains the link.
+    // `reason` is 'requested' (forgot password), 'forced' (reset by an administrator) or 'setup' (new account).
+    static async passwordReset(user, role, resetUrl, expiresInMinutes, { reason = 'requested' } = {}) {
+        const wording = PASSWORD_LINK_WORDING[reason] || PASSWORD_LINK_WORDING.requested;
+        const expiry = expiresInMinutes >= 120 && expiresInMinutes % 60 === 0
+            ? `${expiresInMinutes / 60} hours`
+            : `${expiresInMinutes} minutes`;
+
+        return this.notify(user, role, {
+            type: 'password_reset',
+            title: wording.title,
+            message: wording.message,
+            mail: {
+                subject: wording.subject,
+                text: `Hello ${user.name},\n\n` +
+                    (wording.intro ? `${wording.intro}\n\n` : '') +
+                    `Use this link to ${wording.action}. It works once and expires in ${expiry}:\n\n` +
+                    `${resetUrl}\n\n` +
+                    `${wording.footer}\n`
+            }
+        });
+    }
+
+    // Tell a student their excuse request was approved or rejected
+    static async excuseDecision(excuse, student) {
+        const approved = excuse.status === 'approved';
+
+        return this.notify(student, 'student', {
+            type: 'excuse_decision',
+            title: approved ? 'Excuse request approved' : 'Excuse request rejected',
+            message: `Your excuse request for ${excuse.startDate.toDateString()} to ${excuse.endDate.toDateString()} ` +
+                `was ${approved ? 'approved; the covered absences are now excused' : 'rejected'}.` +
+                (excuse.reviewComment ? ` Reviewer comment: ${excuse.reviewComment}` : ''),
+            data: { excuseRequest: excuse._id, status: excuse.status }
+        });
+    }
+
+    // Warn students who reached a new absence level in a course in the active term.
+    // Each level is notified once per course and term.
+    static async checkAbsenceThresholds(courseId, studentIds) {
+        if (!courseId || studentIds.length === 0) return;
+
+        const [course, term] = await Promise.all([
+            Course.findById(courseId).select('code title department eligibilityPolicy'),
+            AcademicTerm.findActive()
+        ]);
+        if (!course) return;
+
+        const { policy, rows } = await EligibilityService.getCourseEligibility(course, { term, studentIds });
+        const flagged = rows.filter(row => row.level !== 'ok' && !row.override);
+        if (flagged.length === 0) return;
+
+        const students = await Student.find({ _id: { $in: flagged.map(row => row.student._id) } }).select('name email');
+        const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+
+        for (const row of flagged) {
+            const student = studentsById.get(row.student._id.toString());
+            if (!student) continue;
+
+            const key = [course._id, term ? term._id : 'all', row.level, row.warningLevel || ''].join(':');
+            const alreadySent = await Notification.exists({ recipient: student._id, 'data.key': key });
+            if (alreadySent) continue;
+
+            const deprived = row.level === 'deprived';
+
+            await this.notify(student, 'student', {
+                type: deprived ? 'deprivation' : 'absence_warning',
+                title: deprived
+                    ? `Barred from the ${course.code} final exam`
+                    : `Absence warning for ${course.code}`,
+                message: deprived
+                    ? `Your absences in ${course.title} (${course.code}) are at ${row.absencePercentage}%, ` +
+                        `above the ${policy.deprivationPercent}% limit. You are not eligible for the final exam ` +
+                        'unless an administrator grants an exception.'
+                    : `Your absences in ${course.title} (${course.code}) have reached ${row.absencePercentage}%. ` +
+                        `Students above ${policy.deprivationPercent}% are barred from the final exam.`,
+                data: {
+                    key,
+                    course: course._id,
+                    term: term ? term._id : null,
+                    level: row.level,
+                    warningLevel: row.warningLevel,
+                    absencePercentage: row.absencePercentage
+                }
+            });
+        }
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { User, PasswordResetToken } = require('../models');
+const AccountService = require('./accountService');
+const NotificationService = require('./notificationService');
+const SessionService = require('./sessionService');
+
+const TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// New accounts may not read their email straight away, so their first link lasts longer
+const SETUP_TTL_MINUTES = parseInt(process.env.PASSWORD_SETUP_TTL_MINUTES) || 72 * 60;
+
+class PasswordResetService {
+    // SHA-256 of a reset token; the token itself is only ever in the email
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Frontend page that accepts the token
+    static buildResetUrl(token) {
+        const base = process.env.PASSWORD_RESET_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password`;
+        return `${base}?token=${token}`;
+    }
+
+    // Issue a reset token and email it. Unknown or inactive accounts are silently ignored
+    // so the response never reveals whether an email is registered.
+    static async requestReset(email, { ipAddress } = {}) {
+        const user = await AccountService.findByEmail(email);
+        if (!AccountService.isUsable(user)) return;
+
+        await this.issueToken(user, { ipAddress });
+    }
+
+    // Make an administrator-chosen account pick a new password: the current one stops working,
+    // every session is signed out, and a reset link is emailed
+    static async forceReset(user, { ipAddress } = {}) {
+        const now = new Date();
+
+        user.password = crypto.randomBytes(32).toString('hex');
+        user.passwordChangedAt = now;
+        user.mustChangePassword = true;
+        await user.save();
+
+        await SessionService.revoke({ user: user._id }, 'password_reset');
+
+        await this.issueToken(user, { ipAddress, reason: 'forced' });
+    }
+
+    // Email a new account (created with a random password and `mustChangePassword`, profile populated)
+    // a link to choose its first password
+    static async sendSetupLink(user) {
+        await this.issueToken(user, { reason: 'setup', ttlMinutes: SETUP_TTL_MINUTES });
+    }
+
+    // Create a reset token for a user (profile populated) and email its link; `reason` picks the wording
+    static async issueToken(user, { ipAddress, reason = 'requested', ttlMinutes = TOKEN_TTL_MINUTES } = {}) {
+        // Only the newest link works
+        await PasswordResetToken.updateMany(
+            { user: user._id, usedAt: null },
+            { $set: { usedAt: new Date() } }
+        );
+
+        const token = crypto.randomBytes(32).toString('hex');
+
+        await PasswordResetToken.create({
+            user: user._id,
+            tokenHash: this.hashToken(token),
+            expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+            requestedIp: ipAddress
+        });
+
+        await NotificationService.passwordReset(user.profile, user.role, this.buildResetUrl(token), ttlMinutes, { reason });
+    }
+
+    // Set a new password with a reset token. The token is claimed atomically so it works once,
+    // and every session issued before the reset stops working.
+    static async resetPassword(token, newPassword) {
+        const now = new Date();
+
+        const resetToken = await PasswordResetToken.findOneAndUpdate(
+            { tokenHash: this.hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+            { $set: { usedAt: now } },
+            { new: true }
+        );
+
+        if (!resetToken) {
+            return { status: 400, error: 'Reset link is invalid or has expired' };
+        }
+
+        const user = await User.findById(resetToken.user).populate('profile');
+
+        if (!AccountService.isUsable(user)) {
+            return { status: 400, error: 'Reset link is invalid or has expired' };
+        }
+
+        user.password = newPassword;
+        user.passwordChangedAt = now;
+        user.mustChangePassword = false;
+        await user.save();
+
+        await PasswordResetToken.updateMany(
+            { user: user._id, usedAt: null },
+            { $set: { usedAt: now } }
+        );
+
+        await SessionService.revoke({ user: user._id }, 'password_reset');
+
+        return { user };
+    }
+}
+
+module.exports = PasswordResetService;
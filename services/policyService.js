@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const { Role, Group, Student, Doctor, Admin, Attendance, LectureSession, Course, ExcuseRequest } = require('../models');
+const { PERMISSIONS } = require('../models/permissions');
+
+const grantAll = permissions => permissions.map(permission => ({ permission, scope: 'all' }));
+
+// Grants every account of a base role has without any custom role. They match what the routes
+// allowed before roles existed; the controllers still limit doctors to their own data.
+const BUILT_IN_GRANTS = {
+    super_admin: grantAll(PERMISSIONS),
+    admin: grantAll(PERMISSIONS.filter(permission => !['manage_admins', 'manage_roles'].includes(permission))),
+    doctor: grantAll(['view_groups', 'view_students', 'view_attendance', 'manage_attendance', 'view_reports']),
+    student: grantAll(['view_groups'])
+};
+
+const toIds = values => values.filter(Boolean).map(value => String(value._id || value));
+
+// Departments and groups of the group a record belongs to
+const groupTarget = async (groupId) => {
+    const group = groupId && await Group.findById(groupId).select('department');
+    return group ? { departments: [group.department], groups: [group._id] } : { departments: [], groups: [groupId] };
+};
+
+// Departments and groups each kind of resource belongs to
+const TARGET_RESOLVERS = {
+    department: async id => ({ departments: [id], groups: [] }),
+    group: async (id) => {
+        const group = await Group.findById(id).select('department');
+        return group && { departments: [group.department], groups: [group._id] };
+    },
+    student: async (id) => {
+        const student = await Student.findById(id).select('department group');
+        return student && { departments: [student.department], groups: [student.group] };
+    },
+    doctor: async (id) => {
+        const doctor = await Doctor.findById(id).select('department assignedGroups');
+        return doctor && { departments: [doctor.department], groups: doctor.assignedGroups };
+    },
+    course: async (id) => {
+        const course = await Course.findById(id).select('department');
+        return course && { departments: [course.department], groups: [] };
+    },
+    attendance: async (id) => {
+        const record = await Attendance.findById(id).setOptions({ withDeleted: true }).select('group');
+        return record && groupTarget(record.group);
+    },
+    session: async (id) => {
+        const session = await LectureSession.findById(id).select('group');
+        return session && groupTarget(session.group);
+    },
+    excuse: async (id) => {
+        const excuse = await ExcuseRequest.findById(id).select('group');
+        return excuse && groupTarget(excuse.group);
+    }
+};
+
+class PolicyService {
+    // Grants of an account: its base role's, plus those of its active custom roles.
+    // An admin with custom roles gets only what those roles grant, so a restricted admin can be set up.
+    // Without custom roles, an admin whose profile lists permissions keeps only those of the built-in grants.
+    // An admin assigned to departments has every grant narrowed to those departments.
+    static async getGrants(user, context = { departments: [] }) {
+        const roles = user.roles && user.roles.length > 0
+            ? await Role.find({ _id: { $in: user.roles }, isActive: true }).select('permissions')
+            : [];
+
+        const custom = roles.flatMap(role => role.permissions);
+        let grants;
+        if (user.role === 'admin' && user.roles && user.roles.length > 0) {
+            grants = custom;
+        } else if (user.role === 'admin' && context.permissions && context.permissions.length > 0) {
+            grants = BUILT_IN_GRANTS.admin.filter(grant => context.permissions.includes(grant.permission));
+        } else {
+            grants = [...(BUILT_IN_GRANTS[user.role] || []), ...custom];
+        }
+
+        if (user.role === 'admin' && context.departments.length > 0) {
+            return grants.map(grant => (grant.scope === 'all' ? { permission: grant.permission, scope: 'department' } : grant));
+        }
+
+        return grants;
+    }
+
+    // The holder's own department and groups, which the narrower scopes refer to
+    static async getScopeContext(user) {
+        if (user.role === 'doctor') {
+            const doctor = await Doctor.findById(user.id).select('department assignedGroups');
+            return {
+                departments: toIds(doctor ? [doctor.department] : []),
+                groups: toIds(doctor ? doctor.assignedGroups : [])
+            };
+        }
+
+        // Admins assigned to departments, and the permissions their profile limits them to;
+        // super admins always keep global access
+        if (user.role === 'admin') {
+            const admin = await Admin.findById(user.id).select('departments permissions');
+            return {
+                departments: toIds(admin ? admin.departments : []),
+                groups: [],
+                permissions: admin ? admin.permissions : []
+            };
+        }
+
+        return { departments: [], groups: [] };
+    }
+
+    // What a request may reach with a permission, or null without it. Loaded once per request.
+    static async resolveScope(req, permission) {
+        if (!req.policy) {
+            const context = await this.getScopeContext(req.user);
+            const grants = await this.getGrants(req.user, context);
+            req.policy = { grants, context };
+        }
+
+        const grants = req.policy.grants.filter(grant => grant.permission === permission);
+        if (grants.length === 0) return null;
+
+        const scopes = new Set(grants.map(grant => grant.scope));
+        if (scopes.has('all')) {
+            return { permission, all: true, departments: [], groups: [] };
+        }
+
+        return {
+            permission,
+            all: false,
+            departments: scopes.has('department') ? req.policy.context.departments : [],
+            groups: scopes.has('groups') ? req.policy.context.groups : []
+        };
+    }
+
+    // Departments and groups of the resource a request targets; null when it does not exist.
+    // `body` covers the department and groups a create or update request assigns, if it names any.
+    static async resolveTarget(resource, req, param = 'id') {
+        if (resource === 'body') {
+            const { department, group, groupId, assignedGroups, groupIds, scans } = req.body;
+            const list = value => (Array.isArray(value) ? value : []);
+            const groups = [group, groupId, ...list(assignedGroups), ...list(groupIds), ...list(scans).map(scan => scan && scan.groupId)]
+                .filter(id => id && mongoose.isValidObjectId(id));
+
+            if (!department && groups.length === 0) return null;
+
+            // Groups are looked up so a department scope covers them too
+            const groupDepartments = await Group.find({ _id: { $in: groups } }).distinct('department');
+            return {
+                departments: [department, ...groupDepartments].filter(Boolean),
+                groups
+            };
+        }
+
+        return this.resolveResource(resource, req.params[param]);
+    }
+
+    // Departments and groups of one resource by ID; null when it does not exist
+    static async resolveResource(resource, id) {
+        if (!TARGET_RESOLVERS[resource] || !mongoose.isValidObjectId(id)) return null;
+
+        return TARGET_RESOLVERS[resource](id);
+    }
+
+    // Whether a scope reaches a resource, for checks on IDs that arrive in the query string.
+    // Missing resources pass so the caller can report them.
+    static async allows(scope, resource, id) {
+        if (!scope || scope.all) return true;
+
+        const target = await this.resolveResource(resource, id);
+        return !target || this.isInScope(scope, target);
+    }
+
+    // IDs of the groups a scope reaches, for attendance queries; null when it reaches every group
+    static async scopeGroupIds(scope) {
+        if (!scope || scope.all) return null;
+
+        const departmentGroups = scope.departments.length > 0
+            ? await Group.find({ department: { $in: scope.departments } }).distinct('_id')
+            : [];
+
+        return [...departmentGroups, ...scope.groups.map(id => new mongoose.Types.ObjectId(id))];
+    }
+
+    // A target is in scope when every department it belongs to is one of the scope's departments,
+    // or every group it belongs to is one of the scope's groups
+    static isInScope(scope, target) {
+        if (scope.all) return true;
+
+        const departments = toIds(target.departments);
+        const groups = toIds(target.groups);
+
+        if (departments.length > 0 && departments.every(id => scope.departments.includes(id))) return true;
+        return groups.length > 0 && groups.every(id => scope.groups.includes(id));
+    }
+
+    // Query condition limiting a listing to a scope; `fields` names the department and group paths
+    static scopeFilter(scope, { department, group } = {}) {
+        if (!scope || scope.all) return {};
+
+        const conditions = [];
+        if (department && scope.departments.length > 0) {
+            conditions.push({ [department]: { $in: scope.departments } });
+        }
+        if (group && scope.groups.length > 0) {
+            conditions.push({ [group]: { $in: scope.groups } });
+        }
+
+        if (conditions.length === 0) return { _id: { $in: [] } };
+        return conditions.length === 1 ? conditions[0] : { $or: conditions };
+    }
+
+    // Add a scope's condition to a listing query, next to any search conditions it already has
+    static applyScope(query, scope, fields) {
+        const filter = this.scopeFilter(scope, fields);
+        if (Object.keys(filter).length > 0) {
+            query.$and = [...(query.$and || []), filter];
+        }
+        return query;
+    }
+}
+
+PolicyService.BUILT_IN_GRANTS = BUILT_IN_GRANTS;
+
+module.exports = PolicyService;
@@ -0,0 +1,223 @@
+const { AcademicTerm, Group, Student, Doctor, Attendance, ScheduleSlot } = require('../models');
+const { runInTransaction } = require('../utils/transaction');
+
+class PromotionService {
+    // Work out where the students of every active source term group go in the target term.
+    // Explicit mappings win; otherwise the group with the same name in the next year is used.
+    static async planPromotion(sourceTerm, targetTerm, { mappings = [], advanceYear = true } = {}) {
+        const [sourceGroups, targetGroups] = await Promise.all([
+            // Groups created before terms existed belong to the source term
+            Group.find({ term: { $in: [sourceTerm._id, null] }, isArchived: { $ne: true } })
+                .select('name code department year semester capacity term')
+                .sort({ department: 1, year: 1, name: 1 }),
+            Group.find({ term: targetTerm._id, isArchived: { $ne: true } })
+                .select('name code department year semester capacity term')
+        ]);
+
+        const targetsById = new Map(targetGroups.map(group => [group._id.toString(), group]));
+        const explicitTargets = new Map();
+        const errors = [];
+
+        for (const mapping of mappings) {
+            const fromId = String(mapping.fromGroupId);
+            const toId = mapping.toGroupId ? String(mapping.toGroupId) : null;
+
+            if (!sourceGroups.some(group => group._id.toString() === fromId)) {
+                errors.push(`Group ${fromId} is not an active group of the source term`);
+            }
+            if (toId && !targetsById.has(toId)) {
+                errors.push(`Group ${toId} is not an active group of the target term`);
+            }
+            explicitTargets.set(fromId, toId);
+        }
+
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const [students, targetEnrollment] = await Promise.all([
+            Student.find({ group: { $in: sourceGroups.map(group => group._id) }, isActive: true })
+                .select('name studentNumber group year')
+                .sort({ studentNumber: 1 }),
+            Student.aggregate([
+                { $match: { group: { $in: targetGroups.map(group => group._id) }, isActive: true } },
+                { $group: { _id: '$group', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const seats = new Map(targetEnrollment.map(entry => [entry._id.toString(), entry.count]));
+        const warnings = [];
+
+        const moves = sourceGroups.map(group => {
+            const groupId = group._id.toString();
+            const groupStudents = students.filter(student => student.group.equals(group._id));
+            let toGroup = null;
+            let action;
+
+            if (explicitTargets.has(groupId)) {
+                const toId = explicitTargets.get(groupId);
+                toGroup = toId ? targetsById.get(toId) : null;
+                action = toGroup ? 'promote' : 'graduate';
+            } else {
+                const nextYear = group.year + (advanceYear ? 1 : 0);
+                toGroup = targetGroups.find(candidate =>
+                    candidate.department.equals(group.department) &&
+                    candidate.year === nextYear &&
+                    candidate.name === group.name
+                ) || null;
+                action = toGroup ? 'promote' : 'unresolved';
+            }
+
+            if (toGroup) {
+                const toId = toGroup._id.toString();
+                seats.set(toId, (seats.get(toId) || 0) + groupStudents.length);
+            }
+
+            return { fromGroup: group, toGroup, action, students: groupStudents };
+        });
+
+        for (const group of targetGroups) {
+            const enrolled = seats.get(group._id.toString()) || 0;
+            if (enrolled > group.capacity) {
+                warnings.push(`Group ${group.code} would have ${enrolled} students, over its capacity of ${group.capacity}`);
+            }
+        }
+
+        for (const move of moves) {
+            if (move.action === 'unresolved' && move.students.length > 0) {
+                warnings.push(`No target group found for ${move.fromGroup.code}; its students will not be moved`);
+            }
+        }
+
+        const count = action => moves
+            .filter(move => move.action === action)
+            .reduce((sum, move) => sum + move.students.length, 0);
+
+        return {
+            sourceTerm,
+            targetTerm,
+            moves,
+            warnings,
+            summary: {
+                groups: moves.length,
+                promoted: count('promote'),
+                graduated: count('graduate'),
+                unresolved: count('unresolved'),
+                groupsArchived: moves.filter(move => move.action !== 'unresolved').length
+            }
+        };
+    }
+
+    // Carry out a plan produced by planPromotion, in one transaction where available.
+    // The target term is claimed before anything moves, so only one of two concurrent applies goes through.
+    // Returns null when students have already been promoted into the target term.
+    static async applyPromotion(plan, { userId, activate = true } = {}) {
+        const { sourceTerm, targetTerm, moves } = plan;
+
+        return runInTransaction(async (dbSession) => {
+            const now = new Date();
+
+            const claimed = await AcademicTerm.findOneAndUpdate(
+                { _id: targetTerm._id, 'promotion.completedAt': null },
+                {
+                    $set: {
+                        promotion: {
+                            fromTerm: sourceTerm._id,
+                            completedAt: now,
+                            completedBy: userId,
+                            promoted: plan.summary.promoted,
+                            graduated: plan.summary.graduated,
+                            groupsArchived: plan.summary.groupsArchived
+                        }
+                    }
+                },
+                { new: true, session: dbSession }
+            );
+
+            if (!claimed) return null;
+
+            const studentOps = [];
+
+            for (const move of moves) {
+                if (move.action === 'unresolved') continue;
+
+                for (const student of move.students) {
+                    const history = { term: sourceTerm._id, group: move.fromGroup._id, year: student.year };
+                    const update = move.action === 'promote'
+                        ? { group: move.toGroup._id, year: move.toGroup.year, department: move.toGroup.department }
+                        : { isActive: false, graduatedAt: now };
+
+                    studentOps.push({
+                        updateOne: {
+                            // Skip students moved by someone else since the plan was made
+                            filter: { _id: student._id, group: move.fromGroup._id },
+                            update: { $set: update, $push: { academicHistory: history } }
+                        }
+                    });
+                }
+            }
+
+            if (studentOps.length > 0) {
+                await Student.bulkWrite(studentOps, { ordered: false, session: dbSession });
+            }
+
+            const archivedGroupIds = moves
+                .filter(move => move.action !== 'unresolved')
+                .map(move => move.fromGroup._id);
+
+            if (archivedGroupIds.length > 0) {
+                const options = { session: dbSession };
+
+                // Pin legacy groups and their attendance to the source term so history stays queryable
+                await Group.updateMany({ _id: { $in: archivedGroupIds }, term: null }, { term: sourceTerm._id }, options);
+                await Attendance.updateMany({ group: { $in: archivedGroupIds }, term: null }, { term: sourceTerm._id }, options);
+
+                await Group.updateMany({ _id: { $in: archivedGroupIds } }, { isArchived: true, archivedAt: now }, options);
+                await ScheduleSlot.updateMany({ group: { $in: archivedGroupIds } }, { isActive: false }, options);
+                await Doctor.updateMany(
+                    { assignedGroups: { $in: archivedGroupIds } },
+                    { $pull: { assignedGroups: { $in: archivedGroupIds } } },
+                    options
+                );
+            }
+
+            if (activate) {
+                await claimed.activate(dbSession);
+            }
+
+            return { summary: plan.summary, targetTerm: claimed };
+        });
+    }
+
+    // Plain description of a plan for API responses
+    static describePlan(plan) {
+        const describeGroup = group => group && {
+            _id: group._id,
+            name: group.name,
+            code: group.code,
+            year: group.year,
+            department: group.department
+        };
+
+        return {
+            sourceTerm: { _id: plan.sourceTerm._id, name: plan.sourceTerm.name },
+            targetTerm: { _id: plan.targetTerm._id, name: plan.targetTerm.name },
+            moves: plan.moves.map(move => ({
+                action: move.action,
+                fromGroup: describeGroup(move.fromGroup),
+                toGroup: describeGroup(move.toGroup),
+                studentCount: move.students.length,
+                students: move.students.map(student => ({
+                    _id: student._id,
+                    name: student.name,
+                    studentNumber: student.studentNumber,
+                    year: student.year
+                }))
+            })),
+            warnings: plan.warnings,
+            summary: plan.summary
+        };
+    }
+}
+
+module.exports = PromotionService;
@@ -0,0 +1,206 @@
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const QRService = require('./qrService');
+
+// ID-1 card size (85.6 x 54 mm) in PDF points and in pixels at 300 dpi
+const CARD_WIDTH_PT = 242.6;
+const CARD_HEIGHT_PT = 153;
+const CARD_WIDTH_PX = 1011;
+const CARD_HEIGHT_PX = 638;
+
+// Two columns by four rows of cards on an A4 page
+const CARDS_PER_ROW = 2;
+const CARDS_PER_COLUMN = 4;
+
+const PHOTO_FETCH_TIMEOUT_MS = 5000;
+
+// sharp is a native module; load it only when cards are rendered
+const loadSharp = () => require('sharp');
+
+class QRCardService {
+    static getCardTitle() {
+        return process.env.QR_CARD_TITLE || 'Student ID Card';
+    }
+
+    // Everything printed on one student's card
+    static async prepareCard(student, groupCode) {
+        const token = QRService.generateStudentCardToken(student);
+
+        const [qrBuffer, photo] = await Promise.all([
+            QRService.generateQRCodeBuffer(token),
+            this.loadPhoto(student.profile && student.profile.avatar)
+        ]);
+
+        return {
+            name: student.name,
+            studentNumber: student.studentNumber,
+            groupCode: groupCode || '',
+            qrBuffer,
+            photo
+        };
+    }
+
+    // Student photo as a PNG cropped to a 3:4 portrait, or null when missing or unreadable
+    static async loadPhoto(avatar) {
+        if (!avatar) return null;
+
+        try {
+            let input;
+            const dataUri = /^data:image\/[a-z+]+;base64,(.+)$/i.exec(avatar);
+
+            if (dataUri) {
+                input = Buffer.from(dataUri[1], 'base64');
+            } else if (/^https?:\/\//i.test(avatar)) {
+                const response = await fetch(avatar, { signal: AbortSignal.timeout(PHOTO_FETCH_TIMEOUT_MS) });
+                if (!response.ok) return null;
+                input = Buffer.from(await response.arrayBuffer());
+            } else {
+                return null;
+            }
+
+            return await loadSharp()(input)
+                .resize(300, 400, { fit: 'cover' })
+                .png()
+                .toBuffer();
+        } catch (error) {
+            console.error('Load student photo error:', error.message);
+            return null;
+        }
+    }
+
+    // Stream a print-ready PDF with eight cards per A4 page
+    static async sendPdf(res, students, { filename, groupCodes }) {
+        const doc = new PDFDocument({ size: 'A4', margin: 0 });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        doc.pipe(res);
+
+        const gapX = (doc.page.width - CARDS_PER_ROW * CARD_WIDTH_PT) / (CARDS_PER_ROW + 1);
+        const gapY = (doc.page.height - CARDS_PER_COLUMN * CARD_HEIGHT_PT) / (CARDS_PER_COLUMN + 1);
+        const perPage = CARDS_PER_ROW * CARDS_PER_COLUMN;
+
+        for (let index = 0; index < students.length; index += 1) {
+            if (index > 0 && index % perPage === 0) {
+                doc.addPage();
+            }
+
+            const position = index % perPage;
+            const x = gapX + (position % CARDS_PER_ROW) * (CARD_WIDTH_PT + gapX);
+            const y = gapY + Math.floor(position / CARDS_PER_ROW) * (CARD_HEIGHT_PT + gapY);
+
+            const student = students[index];
+            const card = await this.prepareCard(student, groupCodes.get(String(student.group)));
+            this.drawPdfCard(doc, card, x, y);
+        }
+
+        doc.end();
+    }
+
+    static drawPdfCard(doc, card, x, y) {
+        const padding = 8;
+        const headerHeight = 22;
+        const photoWidth = 54;
+        const photoHeight = 72;
+        const qrSize = 100;
+        const bodyTop = y + headerHeight + padding;
+
+        // Card outline doubles as the cutting line
+        doc.roundedRect(x, y, CARD_WIDTH_PT, CARD_HEIGHT_PT, 6).lineWidth(0.5).strokeColor('#999999').stroke();
+
+        doc.save();
+        doc.roundedRect(x, y, CARD_WIDTH_PT, headerHeight, 6).clip();
+        doc.rect(x, y, CARD_WIDTH_PT, headerHeight).fill('#1f3a5f');
+        doc.restore();
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#ffffff')
+            .text(this.getCardTitle(), x, y + 6, { width: CARD_WIDTH_PT, align: 'center', lineBreak: false });
+
+        if (card.photo) {
+            doc.image(card.photo, x + padding, bodyTop, { width: photoWidth, height: photoHeight });
+        } else {
+            doc.rect(x + padding, bodyTop, photoWidth, photoHeight).lineWidth(0.5).strokeColor('#cccccc').stroke();
+            doc.font('Helvetica').fontSize(7).fillColor('#999999')
+                .text('No photo', x + padding, bodyTop + photoHeight / 2 - 4, { width: photoWidth, align: 'center' });
+        }
+
+        const textX = x + padding;
+        const textWidth = CARD_WIDTH_PT - qrSize - padding * 3;
+        doc.fillColor('#000000').font('Helvetica-Bold').fontSize(9)
+            .text(card.name, textX, bodyTop + photoHeight + 4, { width: textWidth, height: 22, ellipsis: true });
+        doc.font('Helvetica').fontSize(8)
+            .text(`No. ${card.studentNumber}`, textX, y + CARD_HEIGHT_PT - 30, { width: textWidth, lineBreak: false })
+            .text(`Group ${card.groupCode}`, textX, y + CARD_HEIGHT_PT - 19, { width: textWidth, lineBreak: false });
+
+        doc.image(card.qrBuffer, x + CARD_WIDTH_PT - qrSize - padding, bodyTop, { width: qrSize, height: qrSize });
+    }
+
+    // One card rendered as a 300 dpi PNG
+    static async renderCardPng(card) {
+        const sharp = loadSharp();
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const overlay = Buffer.from(`
+            <svg width="${CARD_WIDTH_PX}" height="${CARD_HEIGHT_PX}" xmlns="http://www.w3.org/2000/svg">
+                <rect x="1" y="1" width="${CARD_WIDTH_PX - 2}" height="${CARD_HEIGHT_PX - 2}" rx="24" fill="none" stroke="#999999" stroke-width="2"/>
+                <rect x="0" y="0" width="${CARD_WIDTH_PX}" height="92" fill="#1f3a5f"/>
+                <text x="${CARD_WIDTH_PX / 2}" y="60" font-family="sans-serif" font-size="40" font-weight="bold" fill="#ffffff" text-anchor="middle">${escape(this.getCardTitle())}</text>
+                ${card.photo ? '' : '<rect x="34" y="126" width="225" height="300" fill="none" stroke="#cccccc" stroke-width="2"/>'}
+                <text x="34" y="480" font-family="sans-serif" font-size="36" font-weight="bold" fill="#000000">${escape(card.name)}</text>
+                <text x="34" y="540" font-family="sans-serif" font-size="32" fill="#000000">No. ${escape(card.studentNumber)}</text>
+                <text x="34" y="590" font-family="sans-serif" font-size="32" fill="#000000">Group ${escape(card.groupCode)}</text>
+            </svg>`);
+
+        const layers = [
+            { input: overlay, top: 0, left: 0 },
+            { input: await sharp(card.qrBuffer).resize(420, 420).toBuffer(), top: 126, left: CARD_WIDTH_PX - 454 }
+        ];
+
+        if (card.photo) {
+            layers.push({ input: await sharp(card.photo).resize(225, 300).toBuffer(), top: 126, left: 34 });
+        }
+
+        return sharp({
+            create: { width: CARD_WIDTH_PX, height: CARD_HEIGHT_PX, channels: 3, background: '#ffffff' }
+        })
+            .composite(layers)
+            .png()
+            .toBuffer();
+    }
+
+    // Stream a ZIP with one PNG card per student, named by student number
+    static async sendZip(res, students, { filename, groupCodes }) {
+        const archive = archiver('zip', { zlib: { level: 6 } });
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+
+        archive.on('error', error => {
+            console.error('QR card archive error:', error);
+            res.destroy(error);
+        });
+        archive.pipe(res);
+
+        for (const student of students) {
+            const card = await this.prepareCard(student, groupCodes.get(String(student.group)));
+            const png = await this.renderCardPng(card);
+            archive.append(png, { name: `${card.studentNumber.replace(/[^\w.-]/g, '_')}.png` });
+        }
+
+        await archive.finalize();
+    }
+
+    // Send cards as a PDF sheet or a ZIP of PNGs
+    static send(res, format, students, options) {
+        res.setHeader('Cache-Control', 'no-store');
+
+        return format === 'zip'
+            ? this.sendZip(res, students, options)
+            : this.sendPdf(res, students, options);
+    }
+}
+
+module.exports = QRCardService;
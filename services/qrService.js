@@ -1,8 +1,9 @@
 const QRCode = require('qrcode');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 class QRService {
-    // Generate unique QR code data for a student
+    // Generate the static identity payload stored on the student record
     static generateStudentQRData(studentId, studentNumber) {
         const timestamp = Date.now();
         const uniqueId = uuidv4();
@@ -51,11 +52,11 @@ class QRService {
     }
 
     // Parse QR code data
-    static parseQRData(qrData) {
+    static parseQRData(qrData, expectedType = 'student_attendance') {
         try {
             const parsedData = JSON.parse(qrData);
 
-            if (parsedData.type !== 'student_attendance') {
+            if (parsedData.type !== expectedType) {
                 throw new Error('Invalid QR code type');
             }
 
@@ -65,19 +66,206 @@ class QRService {
         }
     }
 
-    // Validate QR code (check if it's not too old, etc.)
-    static validateQRCode(parsedData) {
-        const maxAge = 365 * 24 * 60 * 60 * 1000; // 1 year in milliseconds
-        const currentTime = Date.now();
-        const qrAge = currentTime - parsedData.generatedAt;
+    // Validate a scanned student QR code (signature and rotation window)
+    static validateQRCode(parsedData, timestamp = Date.now()) {
+        if (parsedData.version !== 2) {
+            throw new Error('QR code is outdated, please refresh the QR code in the student app');
+        }
+
+        if (this.isCardToken(parsedData)) {
+            return this.verifyCardToken(parsedData);
+        }
+
+        return this.verifySignedToken(parsedData.type, parsedData.studentId, parsedData, timestamp);
+    }
+
+    // Secret used to sign rotating QR tokens
+    static getSigningSecret() {
+        const secret = process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+        if (!secret) {
+            throw new Error('QR signing secret is not configured');
+        }
+        return secret;
+    }
+
+    // Length of one rotation step in milliseconds (30 seconds by default)
+    static getTokenStepMs() {
+        return (parseInt(process.env.QR_TOKEN_STEP_SECONDS) || 30) * 1000;
+    }
+
+    // Number of previous steps still accepted to absorb clock skew and scan delay
+    static getAllowedDriftSteps() {
+        const drift = parseInt(process.env.QR_TOKEN_DRIFT_STEPS);
+        return Number.isInteger(drift) && drift >= 0 ? drift : 1;
+    }
+
+    // Time step (TOTP-style counter) for a timestamp
+    static getTimeStep(timestamp = Date.now()) {
+        return Math.floor(timestamp / this.getTokenStepMs());
+    }
+
+    // HMAC signature binding a token type and subject to a time step
+    static signToken(type, subjectId, step) {
+        return crypto
+            .createHmac('sha256', this.getSigningSecret())
+            .update(`${type}:${subjectId}:${step}`)
+            .digest('base64url');
+    }
+
+    // Build a signed payload for the time step containing the timestamp
+    static generateSignedToken(type, fields, subjectId, timestamp = Date.now()) {
+        const step = this.getTimeStep(timestamp);
+        const stepMs = this.getTokenStepMs();
 
-        if (qrAge > maxAge) {
+        return {
+            data: JSON.stringify({
+                type,
+                version: 2,
+                ...fields,
+                step,
+                signature: this.signToken(type, subjectId, step),
+            }),
+            step,
+            expiresAt: new Date((step + 1) * stepMs),
+            refreshInterval: stepMs / 1000,
+        };
+    }
+
+    // Verify the signature and rotation window of a signed payload
+    static verifySignedToken(type, subjectId, parsedData, timestamp = Date.now()) {
+        const { step, signature } = parsedData;
+
+        if (!subjectId || !Number.isInteger(step) || typeof signature !== 'string') {
+            throw new Error('QR code is not a signed attendance token');
+        }
+
+        this.verifySignature(type, subjectId, step, signature);
+
+        const drift = this.getTimeStep(timestamp) - step;
+        if (drift > this.getAllowedDriftSteps()) {
             throw new Error('QR code has expired');
         }
+        if (drift < 0) {
+            throw new Error('QR code is not valid yet');
+        }
 
         return true;
     }
 
+    // Constant-time check of a token signature
+    static verifySignature(type, subjectId, step, signature) {
+        const expected = Buffer.from(this.signToken(type, subjectId, step));
+        const provided = Buffer.from(signature);
+
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            throw new Error('QR code signature is invalid');
+        }
+    }
+
+    // Stable fingerprint of a signed payload, used to detect replays
+    static getTokenFingerprint(parsedData) {
+        return crypto
+            .createHash('sha256')
+            .update(`${parsedData.type}:${parsedData.signature}`)
+            .digest('hex');
+    }
+
+    // Rotating QR payload a student shows to be scanned
+    static generateStudentQRToken(studentId, studentNumber, timestamp = Date.now()) {
+        return this.generateSignedToken(
+            'student_attendance',
+            { studentId: studentId.toString(), studentNumber },
+            studentId.toString(),
+            timestamp
+        );
+    }
+
+    // Rotating QR payload and image for a student
+    static async generateRotatingStudentQRCode(studentId, studentNumber) {
+        const token = this.generateStudentQRToken(studentId, studentNumber);
+
+        return {
+            data: token.data,
+            image: await this.generateQRCodeBase64(token.data),
+            expiresAt: token.expiresAt,
+            refreshInterval: token.refreshInterval,
+        };
+    }
+
+    // Identifier of the printed card matching the student's stored QR data; changes on regeneration
+    static getCardId(storedQRData) {
+        try {
+            return JSON.parse(storedQRData).uniqueId || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Long-lived signed payload printed on a student ID card
+    static generateStudentCardToken(student) {
+        const studentId = student._id.toString();
+        const cardId = this.getCardId(student.qrCode);
+
+        if (!cardId) {
+            throw new Error('Student has no QR code to print');
+        }
+
+        return JSON.stringify({
+            type: 'student_attendance',
+            version: 2,
+            studentId,
+            studentNumber: student.studentNumber,
+            cardId,
+            signature: this.signToken('student_card', studentId, cardId),
+        });
+    }
+
+    static isCardToken(parsedData) {
+        return typeof parsedData.cardId === 'string';
+    }
+
+    // Printed cards never expire, so a photo of one works like the card itself. They are only
+    // accepted for attendance where QR_CARD_SCANS_ENABLED=true is set deliberately.
+    static verifyCardToken(parsedData) {
+        if (process.env.QR_CARD_SCANS_ENABLED !== 'true') {
+            throw new Error('Printed ID cards are not accepted, please use the QR code in the student app');
+        }
+
+        if (!parsedData.studentId || typeof parsedData.signature !== 'string') {
+            throw new Error('QR code is not a signed attendance token');
+        }
+
+        this.verifySignature('student_card', parsedData.studentId, parsedData.cardId, parsedData.signature);
+        return true;
+    }
+
+    // Rotating QR payload a doctor displays for students to check in to a lecture session
+    static generateSessionQRToken(sessionId, timestamp = Date.now()) {
+        return this.generateSignedToken(
+            'lecture_session',
+            { sessionId: sessionId.toString() },
+            sessionId.toString(),
+            timestamp
+        );
+    }
+
+    // Rotating QR payload and image for a lecture session
+    static async generateRotatingSessionQRCode(sessionId) {
+        const token = this.generateSessionQRToken(sessionId);
+
+        return {
+            data: token.data,
+            image: await this.generateQRCodeBase64(token.data),
+            expiresAt: token.expiresAt,
+            refreshInterval: token.refreshInterval,
+        };
+    }
+
+    // Validate a scanned lecture session QR code
+    static validateSessionQRCode(parsedData, timestamp = Date.now()) {
+        return this.verifySignedToken(parsedData.type, parsedData.sessionId, parsedData, timestamp);
+    }
+
     // Complete QR code generation for a student
     static async generateStudentQRCode(studentId, studentNumber, format = 'base64') {
         const qrData = this.generateStudentQRData(studentId, studentNumber);
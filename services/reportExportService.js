@@ -0,0 +1,713 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+
+const FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+
+const STATUS_LABELS = {
+    present: 'Present',
+    absent: 'Absent',
+    late: 'Late',
+    excused: 'Excused'
+};
+
+// A report is described once as { title, filename, filters, sections, signatures }
+// and rendered to any supported format from that description.
+class ReportExportService {
+    static isExportFormat(format) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, format);
+    }
+
+    // Stream a report to the response in the requested format
+    static async send(res, format, report) {
+        const filename = `${report.filename}-${moment().format('YYYY-MM-DD')}.${format}`;
+
+        res.setHeader('Content-Type', FORMATS[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
+
+        switch (format) {
+            case 'csv':
+                return this.sendCsv(res, report);
+            case 'xlsx':
+                return this.sendXlsx(res, report);
+            case 'pdf':
+                return this.sendPdf(res, report);
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    static cellValue(value) {
+        if (value === undefined || value === null) return '';
+        if (value instanceof Date) return moment(value).format('YYYY-MM-DD HH:mm');
+        return value;
+    }
+
+    static sectionRows(section) {
+        const rows = section.rows.map(row => section.columns.map(column => this.cellValue(row[column.key])));
+        const totals = section.totals
+            ? section.columns.map(column => this.cellValue(section.totals[column.key]))
+            : null;
+        return { rows, totals };
+    }
+
+    // Quote a CSV cell. Text that a spreadsheet would run as a formula (names and notes are user input)
+    // gets a leading apostrophe; numbers are left as they are so negative values stay numeric.
+    static escapeCsvCell(value) {
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static sendCsv(res, report) {
+        const line = values => values.map(value => this.escapeCsvCell(value)).join(',');
+
+        // The byte order mark makes Excel read the file as UTF-8
+        const lines = ['\uFEFF' + line([report.title])];
+        report.filters.forEach(filter => lines.push(line([filter.label, filter.value])));
+
+        for (const section of report.sections) {
+            const { rows, totals } = this.sectionRows(section);
+            lines.push('', line([section.title]), line(section.columns.map(column => column.header)));
+            rows.forEach(row => lines.push(line(row)));
+            if (totals) lines.push(line(totals));
+        }
+
+        res.send(lines.join('\r\n') + '\r\n');
+    }
+
+    static async sendXlsx(res, report) {
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+        const usedNames = new Set();
+
+        for (const section of report.sections) {
+            // Sheet names are limited to 31 characters and must be unique
+            let name = section.title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+            for (let suffix = 2; usedNames.has(name); suffix += 1) {
+                name = `${section.title.slice(0, 27)} (${suffix})`;
+            }
+            usedNames.add(name);
+
+            const sheet = workbook.addWorksheet(name);
+            const { rows, totals } = this.sectionRows(section);
+
+            sheet.addRow([report.title]).font = { bold: true, size: 14 };
+            report.filters.forEach(filter => sheet.addRow([`${filter.label}:`, filter.value]));
+            sheet.addRow([]);
+            sheet.addRow([section.title]).font = { bold: true, size: 12 };
+
+            const headerRow = sheet.addRow(section.columns.map(column => column.header));
+            headerRow.font = { bold: true };
+            headerRow.eachCell(cell => {
+                cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE6E6E6' } };
+                cell.border = { bottom: { style: 'thin' } };
+            });
+
+            rows.forEach(row => sheet.addRow(row));
+
+            if (totals) {
+                const totalsRow = sheet.addRow(totals);
+                totalsRow.font = { bold: true };
+                totalsRow.eachCell(cell => {
+                    cell.border = { top: { style: 'thin' } };
+                });
+            }
+
+            section.columns.forEach((column, index) => {
+                sheet.getColumn(index + 1).width = Math.max(column.width || 12, 12);
+            });
+        }
+
+        await workbook.xlsx.write(res);
+        res.end();
+    }
+
+    static sendPdf(res, report) {
+        const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+        const fonts = this.registerPdfFonts(doc);
+
+        doc.pipe(res);
+
+        doc.font(fonts.bold).fontSize(16).text(report.title, { align: 'center' });
+        doc.moveDown(0.5);
+
+        doc.fontSize(10);
+        report.filters.forEach(filter => {
+            doc.font(fonts.bold).text(`${filter.label}: `, { continued: true })
+                .font(fonts.regular).text(String(filter.value));
+        });
+
+        for (const section of report.sections) {
+            doc.moveDown(1);
+            this.drawPdfTable(doc, section, fonts);
+        }
+
+        if (report.signatures && report.signatures.length > 0) {
+            this.drawPdfSignatures(doc, report.signatures, fonts);
+        }
+
+        // Footer with page numbers on every page
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i += 1) {
+            doc.switchToPage(i);
+            const bottomMargin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            doc.font(fonts.regular).fontSize(8).fillColor('#666666').text(
+                `${report.title} - page ${i + 1} of ${range.count}`,
+                doc.page.margins.left,
+                doc.page.height - 25,
+                { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center' }
+            );
+            doc.page.margins.bottom = bottomMargin;
+        }
+
+        doc.end();
+    }
+
+    // Helvetica has no Arabic glyphs; REPORT_PDF_FONT can point at a TTF that does
+    static registerPdfFonts(doc) {
+        if (!process.env.REPORT_PDF_FONT) {
+            return { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+        }
+
+        doc.registerFont('Report', process.env.REPORT_PDF_FONT);
+        doc.registerFont('Report-Bold', process.env.REPORT_PDF_BOLD_FONT || process.env.REPORT_PDF_FONT);
+        return { regular: 'Report', bold: 'Report-Bold' };
+    }
+
+    static drawPdfTable(doc, section, fonts) {
+        const left = doc.page.margins.left;
+        const tableWidth = doc.page.width - left - doc.page.margins.right;
+        const units = section.columns.reduce((sum, column) => sum + (column.width || 12), 0);
+        const widths = section.columns.map(column => ((column.width || 12) / units) * tableWidth);
+        const rowHeight = 18;
+        const { rows, totals } = this.sectionRows(section);
+        const headers = section.columns.map(column => column.header);
+
+        const drawRow = (values, { header = false, bold = false } = {}) => {
+            if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+                if (!header) drawRow(headers, { header: true });
+            }
+
+            const y = doc.y;
+            if (header) {
+                doc.rect(left, y, tableWidth, rowHeight).fill('#e6e6e6');
+            }
+
+            let x = left;
+            doc.fillColor('black').font(header || bold ? fonts.bold : fonts.regular).fontSize(9);
+            values.forEach((value, index) => {
+                doc.text(String(value), x + 4, y + 5, {
+                    width: widths[index] - 8,
+                    height: rowHeight - 6,
+                    align: typeof value === 'number' ? 'right' : 'left',
+                    lineBreak: false,
+                    ellipsis: true
+                });
+                x += widths[index];
+            });
+
+            doc.moveTo(left, y + rowHeight).lineTo(left + tableWidth, y + rowHeight)
+                .lineWidth(header || bold ? 1 : 0.5).strokeColor('#999999').stroke();
+
+            doc.x = left;
+            doc.y = y + rowHeight;
+        };
+
+        if (doc.y + rowHeight * 3 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        doc.font(fonts.bold).fontSize(12).fillColor('black').text(section.title, left, doc.y);
+        doc.moveDown(0.3);
+
+        drawRow(headers, { header: true });
+        if (rows.length === 0) {
+            drawRow(['No records', ...headers.slice(1).map(() => '')]);
+        }
+        rows.forEach(row => drawRow(row));
+        if (totals) drawRow(totals, { bold: true });
+    }
+
+    static drawPdfSignatures(doc, signatures, fonts) {
+        const left = doc.page.margins.left;
+        const width = (doc.page.width - left - doc.page.margins.right) / signatures.length;
+
+        if (doc.y + 80 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        const y = doc.y + 50;
+        signatures.forEach((label, index) => {
+            const x = left + index * width;
+            doc.moveTo(x + 10, y).lineTo(x + width - 10, y).lineWidth(0.5).strokeColor('black').stroke();
+            doc.font(fonts.regular).fontSize(9).fillColor('black')
+                .text(label, x + 10, y + 5, { width: width - 20, align: 'center' });
+        });
+        doc.x = left;
+        doc.y = y + 25;
+    }
+
+    // Filters shared by every report
+    static commonFilters({ startDate, endDate, user }) {
+        let period = 'All dates';
+        if (startDate && endDate) period = `${moment(startDate).format('YYYY-MM-DD')} to ${moment(endDate).format('YYYY-MM-DD')}`;
+        else if (startDate) period = `From ${moment(startDate).format('YYYY-MM-DD')}`;
+        else if (endDate) period = `Until ${moment(endDate).format('YYYY-MM-DD')}`;
+
+        return [
+            { label: 'Period', value: period },
+            { label: 'Generated', value: moment().format('YYYY-MM-DD HH:mm') },
+            ...(user && user.name ? [{ label: 'Generated by', value: user.name }] : [])
+        ];
+    }
+
+    static percentage(present, total) {
+        return total > 0 ? Math.round((present / total) * 10000) / 100 : 0;
+    }
+
+    static slug(text) {
+        return String(text || 'report').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+    }
+
+    static summarySection(stats) {
+        return {
+            title: 'Summary',
+            columns: [
+                { header: 'Metric', key: 'label', width: 24 },
+                { header: 'Value', key: 'value', width: 12 }
+            ],
+            rows: [
+                { label: 'Total records', value: stats.total || 0 },
+                ...Object.entries(STATUS_LABELS).map(([status, label]) => ({ label, value: stats[status] || 0 })),
+                ...(stats.attendancePercentage !== undefined
+                    ? [{ label: 'Attendance %', value: stats.attendancePercentage }]
+                    : [])
+            ]
+        };
+    }
+
+    static studentAttendanceReport({ student, attendanceRecords, statistics }, filters) {
+        return {
+            title: 'Student Attendance Report',
+            filename: `student-attendance-${this.slug(student.studentNumber)}`,
+            filters: [
+                { label: 'Student', value: `${student.name} (${student.studentNumber})` },
+                { label: 'Department', value: student.department ? student.department.name : '' },
+                { label: 'Group', value: student.group ? `${student.group.name} (${student.group.code})` : '' },
+                ...this.commonFilters(filters)
+            ],
+            sections: [
+                this.summarySection(statistics),
+                {
+                    title: 'Attendance Records',
+                    columns: [
+                        { header: 'Date', key: 'date', width: 16 },
+                        { header: 'Subject', key: 'subject', width: 22 },
+                        { header: 'Group', key: 'group', width: 12 },
+                        { header: 'Doctor', key: 'doctor', width: 18 },
+                        { header: 'Status', key: 'status', width: 10 },
+                        { header: 'Notes', key: 'notes', width: 22 }
+                    ],
+                    rows: attendanceRecords.map(record => ({
+                        date: record.lectureDate,
+                        subject: record.lectureDetails && record.lectureDetails.subject,
+                        group: record.group && record.group.code,
+                        doctor: record.doctor && record.doctor.name,
+                        status: STATUS_LABELS[record.status] || record.status,
+                        notes: record.notes
+                    }))
+                }
+            ]
+        };
+    }
+
+    // Official attendance sheet: every student of the group, with signature lines
+    static groupAttendanceReport({ group, studentStats, overallStats, dailyStats }, filters) {
+        const statsByStudent = new Map(studentStats.map(stat => [stat._id.toString(), stat]));
+        const students = [...(group.students || [])]
+            .sort((a, b) => String(a.studentNumber).localeCompare(String(b.studentNumber)));
+
+        const rows = students.map((student, index) => {
+            const stat = statsByStudent.get(student._id.toString()) || {};
+            const total = stat.total || 0;
+            return {
+                index: index + 1,
+                studentNumber: student.studentNumber,
+                name: student.name,
+                present: stat.present || 0,
+                late: stat.late || 0,
+                absent: stat.absent || 0,
+                excused: stat.excused || 0,
+                total,
+                percentage: this.percentage(stat.present || 0, total)
+            };
+        });
+
+        const sum = key => rows.reduce((acc, row) => acc + row[key], 0);
+
+        return {
+            title: 'Group Attendance Sheet',
+            filename: `group-attendance-${this.slug(group.code)}`,
+            filters: [
+                { label: 'Group', value: `${group.name} (${group.code})` },
+                { label: 'Department', value: group.department ? group.department.name : '' },
+                { label: 'Year / Semester', value: `${group.year} / ${group.semester}` },
+                ...this.commonFilters(filters)
+            ],
+            sections: [
+                {
+                    title: 'Students',
+                    columns: [
+                        { header: 'No.', key: 'index', width: 5 },
+                        { header: 'Student No.', key: 'studentNumber', width: 14 },
+                        { header: 'Name', key: 'name', width: 28 },
+                        { header: 'Present', key: 'present', width: 8 },
+                        { header: 'Late', key: 'late', width: 7 },
+                        { header: 'Absent', key: 'absent', width: 8 },
+                        { header: 'Excused', key: 'excused', width: 8 },
+                        { header: 'Total', key: 'total', width: 7 },
+                        { header: 'Attendance %', key: 'percentage', width: 11 }
+                    ],
+                    rows,
+                    totals: {
+                        name: `Total (${rows.length} students)`,
+                        present: sum('present'),
+                        late: sum('late'),
+                        absent: sum('absent'),
+                        excused: sum('excused'),
+                        total: sum('total'),
+                        percentage: overallStats.attendancePercentage
+                    }
+                },
+                {
+                    title: 'Daily Attendance',
+                    columns: [
+                        { header: 'Date', key: 'date', width: 14 },
+                        { header: 'Present', key: 'present', width: 10 },
+                        { header: 'Absent', key: 'absent', width: 10 },
+                        { header: 'Total', key: 'total', width: 10 },
+                        { header: 'Attendance %', key: 'percentage', width: 12 }
+                    ],
+                    rows: dailyStats.map(day => ({
+                        date: day._id,
+                        present: day.present,
+                        absent: day.absent,
+                        total: day.total,
+                        percentage: this.percentage(day.present, day.total)
+                    }))
+                }
+            ],
+            signatures: ['Lecturer', 'Head of Department', 'Registrar']
+        };
+    }
+
+    static doctorAttendanceReport({ doctor, groupStats, overallStats, monthlyStats }, filters) {
+        return {
+            title: 'Doctor Attendance Report',
+            filename: `doctor-attendance-${this.slug(doctor.name)}`,
+            filters: [
+                { label: 'Doctor', value: doctor.name },
+                { label: 'Department', value: doctor.department ? doctor.department.name : '' },
+                ...this.commonFilters(filters)
+            ],
+            sections: [
+                this.summarySection(overallStats),
+                {
+                    title: 'Groups',
+                    columns: [
+                        { header: 'Group', key: 'name', width: 20 },
+                        { header: 'Code', key: 'code', width: 12 },
+                        { header: 'Present', key: 'present', width: 10 },
+                        { header: 'Absent', key: 'absent', width: 10 },
+                        { header: 'Total', key: 'total', width: 10 },
+                        { header: 'Attendance %', key: 'percentage', width: 12 }
+                    ],
+                    rows: groupStats.map(stat => ({
+                        name: stat.groupInfo[0] && stat.groupInfo[0].name,
+                        code: stat.groupInfo[0] && stat.groupInfo[0].code,
+                        present: stat.present,
+                        absent: stat.absent,
+                        total: stat.total,
+                        percentage: this.percentage(stat.present, stat.total)
+                    })),
+                    totals: {
+                        name: 'Total',
+                        present: groupStats.reduce((sum, stat) => sum + stat.present, 0),
+                        absent: groupStats.reduce((sum, stat) => sum + stat.absent, 0),
+                        total: overallStats.total,
+                        percentage: this.percentage(overallStats.present || 0, overallStats.total)
+                    }
+                },
+                {
+                    title: 'Monthly Attendance',
+                    columns: [
+                        { header: 'Month', key: 'month', width: 12 },
+                        { header: 'Present', key: 'present', width: 10 },
+                        { header: 'Total', key: 'total', width: 10 },
+                        { header: 'Attendance %', key: 'percentage', width: 12 }
+                    ],
+                    rows: monthlyStats.map(month => ({
+                        month: month._id,
+                        present: month.present,
+                        total: month.total,
+                        percentage: this.percentage(month.present, month.total)
+                    }))
+                }
+            ]
+        };
+    }
+
+    static departmentAttendanceReport({ department, groupStats, yearStats, overallStats }, filters) {
+        return {
+            title: 'Department Attendance Report',
+            filename: `department-attendance-${this.slug(department.code)}`,
+            filters: [
+                { label: 'Department', value: `${department.name} (${department.code})` },
+                ...this.commonFilters(filters)
+            ],
+            sections: [
+                this.summarySection(overallStats),
+                {
+                    title: 'Groups',
+                    columns: [
+                        { header: 'Group', key: 'name', width: 20 },
+                        { header: 'Code', key: 'code', width: 12 },
+                        { header: 'Year', key: 'year', width: 8 },
+                        { header: 'Present', key: 'present', width: 10 },
+                        { header: 'Total', key: 'total', width: 10 },
+                        { header: 'Attendance %', key: 'percentage', width: 12 }
+                    ],
+                    rows: groupStats.map(stat => ({
+                        name: stat.groupInfo[0] && stat.groupInfo[0].name,
+                        code: stat.groupInfo[0] && stat.groupInfo[0].code,
+                        year: stat.groupInfo[0] && stat.groupInfo[0].year,
+                        present: stat.present,
+                        total: stat.total,
+                        percentage: this.percentage(stat.present, stat.total)
+                    })),
+                    totals: {
+                        name: 'Total',
+                        present: overallStats.present || 0,
+                        total: overallStats.total,
+                        percentage: overallStats.attendancePercentage
+                    }
+                },
+                {
+                    title: 'Years',
+                    columns: [
+                        { header: 'Year', key: 'year', width: 8 },
+                        { header: 'Present', key: 'present', width: 10 },
+                        { header: 'Total', key: 'total', width: 10 },
+                        { header: 'Attendance %', key: 'percentage', width: 12 }
+                    ],
+                    rows: yearStats.map(stat => ({
+                        year: stat._id,
+                        present: stat.present,
+                        total: stat.total,
+                        percentage: this.percentage(stat.present, stat.total)
+                    }))
+                }
+            ]
+        };
+    }
+
+    static courseAttendanceReport({ course, groupStats, studentStats, overallStats }, filters) {
+        return {
+            title: 'Course Attendance Report',
+            filename: `course-attendance-${this.slug(course.code)}`,
+            filters: [
+                { label: 'Course', value: `${course.title} (${course.code})` },
+                { label: 'Department', value: course.department ? course.department.name : '' },
+                ...this.commonFilters(filters)
+            ],
+            sections: [
+                this.summarySection(overallStats),
+                {
+                    title: 'Groups',
+                    columns: [
+                        { header: 'Group', key: 'name', width: 20 },
+                        { header: 'Code', key: 'code', width: 12 },
+                        { header: 'Present', key: 'present', width: 9 },
+                        { header: 'Late', key: 'late', width: 8 },
+                        { header: 'Absent', key: 'absent', width: 9 },
+                        { header: 'Total', key: 'total', width: 8 },
+                        { header: 'Attendance %', key: 'attendancePercentage', width: 12 }
+                    ],
+                    rows: groupStats.map(stat => ({
+                        ...stat,
+                        name: stat.groupInfo[0] && stat.groupInfo[0].name,
+                        code: stat.groupInfo[0] && stat.groupInfo[0].code
+                    }))
+                },
+                {
+                    title: 'Students',
+                    columns: [
+                        { header: 'Student No.', key: 'studentNumber', width: 14 },
+                        { header: 'Name', key: 'name', width: 26 },
+                        { header: 'Present', key: 'present', width: 9 },
+                        { header: 'Late', key: 'late', width: 8 },
+                        { header: 'Absent', key: 'absent', width: 9 },
+                        { header: 'Total', key: 'total', width: 8 },
+                        { header: 'Attendance %', key: 'attendancePercentage', width: 12 }
+                    ],
+                    rows: studentStats.map(stat => ({
+                        ...stat,
+                        studentNumber: stat.studentInfo[0] && stat.studentInfo[0].studentNumber,
+                        name: stat.studentInfo[0] && stat.studentInfo[0].name
+                    }))
+                }
+            ]
+        };
+    }
+
+    // Exam eligibility list; deprived students need a signed-off list for the exams office
+    static eligibilityReport({ course, term, policy, summary, students }, { status, user }) {
+        const levelLabels = { ok: 'Eligible', warning: 'Warning', deprived: 'Deprived' };
+        const statusLabels = { all: 'All students', at_risk: 'At risk and deprived', deprived: 'Deprived only' };
+
+        return {
+            title: 'Exam Eligibility Report',
+            filename: `eligibility-${this.slug(course.code)}${term ? `-${this.slug(term.name)}` : ''}`,
+            filters: [
+                { label: 'Course', value: `${course.title} (${course.code})` },
+                { label: 'Department', value: course.department ? course.department.name : '' },
+                { label: 'Term', value: term ? term.name : 'All terms' },
+                { label: 'Students', value: statusLabels[status] || statusLabels.all },
+                { label: 'Warning levels', value: policy.warningLevels.map(level => `${level}%`).join(', ') || 'None' },
+                { label: 'Deprivation above', value: `${policy.deprivationPercent}%` },
+                ...this.commonFilters({ user }).filter(filter => filter.label !== 'Period')
+            ],
+            sections: [
+                {
+                    title: 'Summary',
+                    columns: [
+                        { header: 'Standing', key: 'label', width: 24 },
+                        { header: 'Students', key: 'value', width: 12 }
+                    ],
+                    rows: [
+                        { label: 'Eligible', value: summary.ok },
+                        { label: 'Warning', value: summary.warning },
+                        { label: 'Deprived', value: summary.deprived },
+                        { label: 'Deprived, overridden', value: summary.overridden }
+                    ]
+                },
+                {
+                    title: 'Students',
+                    columns: [
+                        { header: 'Student No.', key: 'studentNumber', width: 14 },
+                        { header: 'Name', key: 'name', width: 24 },
+                        { header: 'Group', key: 'group', width: 10 },
+                        { header: 'Lectures', key: 'total', width: 9 },
+                        { header: 'Absences', key: 'absences', width: 9 },
+                        { header: 'Absence %', key: 'absencePercentage', width: 10 },
+                        { header: 'Standing', key: 'standing', width: 12 },
+                        { header: 'Override', key: 'override', width: 22 }
+                    ],
+                    rows: students.map(row => ({
+                        studentNumber: row.student.studentNumber,
+                        name: row.student.name,
+                        group: row.student.group && row.student.group.code,
+                        total: row.total,
+                        absences: row.absences,
+                        absencePercentage: row.absencePercentage,
+                        standing: row.level === 'warning'
+                            ? `${levelLabels.warning} (${row.warningLevel}%)`
+                            : levelLabels[row.level],
+                        override: row.override ? row.override.reason : ''
+                    }))
+                }
+            ],
+            signatures: ['Lecturer', 'Head of Department', 'Exams Office']
+        };
+    }
+
+    static systemOverviewReport({ overview, todayAttendance, weeklyAttendance, topPerformingGroups, recentActivity }, filters) {
+        const statusRows = stats => Object.entries(STATUS_LABELS).map(([status, label]) => ({
+            label,
+            value: stats[status] || 0
+        }));
+
+        return {
+            title: 'System Attendance Overview',
+            filename: 'system-overview',
+            filters: this.commonFilters(filters).filter(filter => filter.label !== 'Period'),
+            sections: [
+                {
+                    title: 'Totals',
+                    columns: [
+                        { header: 'Metric', key: 'label', width: 24 },
+                        { header: 'Value', key: 'value', width: 12 }
+                    ],
+                    rows: [
+                        { label: 'Active students', value: overview.totalStudents },
+                        { label: 'Active doctors', value: overview.totalDoctors },
+                        { label: 'Groups', value: overview.totalGroups },
+                        { label: 'Departments', value: overview.totalDepartments }
+                    ]
+                },
+                {
+                    title: 'Today',
+                    columns: [
+                        { header: 'Status', key: 'label', width: 24 },
+                        { header: 'Records', key: 'value', width: 12 }
+                    ],
+                    rows: statusRows(todayAttendance)
+                },
+                {
+                    title: 'Last 7 Days',
+                    columns: [
+                        { header: 'Status', key: 'label', width: 24 },
+                        { header: 'Records', key: 'value', width: 12 }
+                    ],
+                    rows: statusRows(weeklyAttendance)
+                },
+                {
+                    title: 'Top Groups',
+                    columns: [
+                        { header: 'Group', key: 'name', width: 20 },
+                        { header: 'Code', key: 'code', width: 12 },
+                        { header: 'Present', key: 'present', width: 10 },
+                        { header: 'Total', key: 'total', width: 10 },
+                        { header: 'Attendance %', key: 'percentage', width: 12 }
+                    ],
+                    rows: topPerformingGroups.map(stat => ({
+                        name: stat.groupInfo[0] && stat.groupInfo[0].name,
+                        code: stat.groupInfo[0] && stat.groupInfo[0].code,
+                        present: stat.present,
+                        total: stat.total,
+                        percentage: this.percentage(stat.present, stat.total)
+                    }))
+                },
+                {
+                    title: 'Recent Activity',
+                    columns: [
+                        { header: 'Recorded', key: 'recordedAt', width: 16 },
+                        { header: 'Student', key: 'student', width: 22 },
+                        { header: 'Group', key: 'group', width: 14 },
+                        { header: 'Doctor', key: 'doctor', width: 18 },
+                        { header: 'Status', key: 'status', width: 10 }
+                    ],
+                    rows: recentActivity.map(record => ({
+                        recordedAt: record.createdAt,
+                        student: record.student && `${record.student.name} (${record.student.studentNumber})`,
+                        group: record.group && record.group.name,
+                        doctor: record.doctor && record.doctor.name,
+                        status: STATUS_LABELS[record.status] || record.status
+                    }))
+                }
+            ]
+        };
+    }
+}
+
+module.exports = ReportExportService;
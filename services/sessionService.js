@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { UserSession } = require('../models');
+const AuthService = require('./authService');
+
+// Same lifetimes as the auth cookie
+const SESSION_TTL_DAYS = { default: 7, rememberMe: 30 };
+
+class SessionService {
+    // SHA-256 of a refresh token
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    static ttlSeconds(rememberMe) {
+        return (rememberMe ? SESSION_TTL_DAYS.rememberMe : SESSION_TTL_DAYS.default) * 24 * 60 * 60;
+    }
+
+    // New refresh token for a session, with its hash and expiry
+    static issueRefreshToken(session) {
+        const ttl = this.ttlSeconds(session.rememberMe);
+        const refreshToken = AuthService.generateRefreshToken({
+            uid: session.user,
+            role: session.role,
+            sid: session._id
+        }, ttl);
+
+        return {
+            refreshToken,
+            tokenHash: this.hashToken(refreshToken),
+            expiresAt: new Date(Date.now() + ttl * 1000)
+        };
+    }
+
+    // Start a session for a login identity
+    static async startSession(user, { rememberMe = false, ipAddress, userAgent } = {}) {
+        const session = new UserSession({
+            user: user._id,
+            role: user.role,
+            rememberMe,
+            ipAddress,
+            userAgent,
+            lastUsedIp: ipAddress
+        });
+
+        const { refreshToken, tokenHash, expiresAt } = this.issueRefreshToken(session);
+        session.tokenHash = tokenHash;
+        session.expiresAt = expiresAt;
+        await session.save();
+
+        return { session, refreshToken };
+    }
+
+    // Exchange a refresh token for a new one. A token that verifies but is no longer the
+    // session's current one has been used before, so the whole session is revoked.
+    static async rotate(refreshToken, { ipAddress } = {}) {
+        let decoded;
+        try {
+            decoded = AuthService.verifyRefreshToken(refreshToken);
+        } catch (error) {
+            return { status: 401, error: 'Invalid refresh token' };
+        }
+
+        const session = await UserSession.findById(decoded.sid);
+        if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+            return { status: 401, error: 'Invalid refresh token' };
+        }
+
+        const next = this.issueRefreshToken(session);
+
+        // Conditional on the presented hash so two concurrent uses cannot both succeed
+        const rotated = await UserSession.findOneAndUpdate(
+            { _id: session._id, tokenHash: this.hashToken(refreshToken), revokedAt: null },
+            {
+                $set: {
+                    tokenHash: next.tokenHash,
+                    expiresAt: next.expiresAt,
+                    lastUsedAt: new Date(),
+                    lastUsedIp: ipAddress
+                },
+                $inc: { generation: 1 }
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            await this.revoke({ _id: session._id }, 'reuse_detected');
+            console.warn(`Refresh token reuse detected for session ${session._id}; session revoked`);
+            return { status: 401, error: 'Refresh token has already been used; please log in again' };
+        }
+
+        return { session: rotated, refreshToken: next.refreshToken };
+    }
+
+    // Revoke the active sessions matching a filter
+    static async revoke(filter, reason) {
+        const result = await UserSession.updateMany(
+            { ...filter, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        return result.modifiedCount;
+    }
+
+    // Revoke the session a refresh token belongs to, if the token is genuine
+    static async revokeByRefreshToken(refreshToken, reason) {
+        try {
+            const decoded = AuthService.verifyRefreshToken(refreshToken);
+            return this.revoke({ _id: decoded.sid }, reason);
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Whether an access token's session is still usable
+    static async isActive(sessionId) {
+        const session = await UserSession.findById(sessionId).select('revokedAt expiresAt');
+        return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+    }
+
+    // Active sessions of a user, most recently used first
+    static async listActive(userId) {
+        return UserSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('role ipAddress userAgent lastUsedAt lastUsedIp rememberMe expiresAt createdAt')
+            .sort({ lastUsedAt: -1 });
+    }
+}
+
+module.exports = SessionService;
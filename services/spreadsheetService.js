@@ -0,0 +1,59 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+class SpreadsheetService {
+    // Read the first sheet of an uploaded CSV or XLSX file into row objects keyed by header
+    static async readRows(file, { maxRows = 2000 } = {}) {
+        const workbook = new ExcelJS.Workbook();
+        const extension = path.extname(file.originalname).toLowerCase();
+
+        let worksheet;
+        if (extension === '.csv') {
+            // Keep every value as text so identifiers like "00123" survive
+            worksheet = await workbook.csv.read(Readable.from([file.buffer]), { map: value => value });
+        } else {
+            await workbook.xlsx.load(file.buffer);
+            worksheet = workbook.worksheets[0];
+        }
+
+        if (!worksheet || worksheet.rowCount === 0) {
+            throw new Error('The uploaded file is empty');
+        }
+
+        const headers = [];
+        worksheet.getRow(1).eachCell((cell, column) => {
+            headers[column] = this.normalizeHeader(cell.text);
+        });
+
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+
+            const values = {};
+            let hasValue = false;
+
+            headers.forEach((header, column) => {
+                if (!header) return;
+                const text = row.getCell(column).text.trim();
+                values[header] = text;
+                if (text) hasValue = true;
+            });
+
+            if (hasValue) rows.push({ rowNumber, values });
+        });
+
+        if (rows.length > maxRows) {
+            throw new Error(`The uploaded file has ${rows.length} rows; at most ${maxRows} can be imported at once`);
+        }
+
+        return { headers: headers.filter(Boolean), rows };
+    }
+
+    // "Student Number", "student_number" and "studentNumber" all become "studentnumber"
+    static normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+}
+
+module.exports = SpreadsheetService;
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User, Student, Group, Department } = require('../models');
+const QRService = require('./qrService');
+const NotificationService = require('./notificationService');
+const AccountService = require('./accountService');
+const PasswordResetService = require('./passwordResetService');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Import columns and the normalized headers accepted for each
+const COLUMNS = {
+    name: ['name', 'fullname', 'studentname'],
+    email: ['email', 'emailaddress'],
+    studentNumber: ['studentnumber', 'studentno', 'studentid'],
+    departmentCode: ['departmentcode', 'department', 'dept'],
+    groupCode: ['groupcode', 'group'],
+    year: ['year', 'academicyear'],
+    password: ['password'],
+    phone: ['phone', 'phonenumber', 'mobile'],
+    nationalId: ['nationalid']
+};
+
+const REQUIRED_COLUMNS = ['name', 'email', 'studentNumber', 'departmentCode', 'groupCode'];
+
+class StudentImportService {
+    // Header line for an import template
+    static getTemplateHeaders() {
+        return ['name', 'email', 'studentNumber', 'departmentCode', 'groupCode', 'year', 'password', 'phone', 'nationalId'];
+    }
+
+    // Map spreadsheet headers onto import columns; returns missing required columns too
+    static mapColumns(headers) {
+        const mapping = {};
+
+        for (const [column, aliases] of Object.entries(COLUMNS)) {
+            const header = aliases.find(alias => headers.includes(alias));
+            if (header) mapping[column] = header;
+        }
+
+        return {
+            mapping,
+            missing: REQUIRED_COLUMNS.filter(column => !mapping[column])
+        };
+    }
+
+    // Validate every row against the database and the rest of the file
+    static async validateRows(rows, mapping) {
+        const records = rows.map(({ rowNumber, values }) => {
+            const record = { rowNumber };
+            for (const [column, header] of Object.entries(mapping)) {
+                record[column] = values[header] || '';
+            }
+            record.email = record.email.toLowerCase();
+            record.departmentCode = record.departmentCode.toUpperCase();
+            record.groupCode = record.groupCode.toUpperCase();
+            return record;
+        });
+
+        const unique = values => [...new Set(values.filter(Boolean))];
+
+        const [departments, groups, takenEmails, takenNumbers] = await Promise.all([
+            Department.find({ code: { $in: unique(records.map(record => record.departmentCode)) } }).select('code'),
+            Group.find({ code: { $in: unique(records.map(record => record.groupCode)) } })
+                .select('code department year capacity isArchived'),
+            User.distinct('email', { email: { $in: unique(records.map(record => record.email)) } }),
+            Student.distinct('studentNumber', { studentNumber: { $in: unique(records.map(record => record.studentNumber)) } })
+        ]);
+
+        const departmentsByCode = new Map(departments.map(department => [department.code, department]));
+        const groupsByCode = new Map(groups.map(group => [group.code, group]));
+
+        // Seats left in each group, counting rows accepted earlier in the file
+        const enrollment = await Student.aggregate([
+            { $match: { group: { $in: groups.map(group => group._id) }, isActive: true } },
+            { $group: { _id: '$group', count: { $sum: 1 } } }
+        ]);
+        const seatsTaken = new Map(enrollment.map(entry => [entry._id.toString(), entry.count]));
+
+        const seenEmails = new Map();
+        const seenNumbers = new Map();
+
+        return records.map(record => {
+            const errors = [];
+
+            if (!record.name || record.name.length < 2 || record.name.length > 100) {
+                errors.push('Name must be between 2 and 100 characters');
+            }
+
+            if (!EMAIL_PATTERN.test(record.email)) {
+                errors.push('Valid email is required');
+            } else if (takenEmails.includes(record.email)) {
+                errors.push('An account with this email already exists');
+            } else if (seenEmails.has(record.email)) {
+                errors.push(`Email is repeated from row ${seenEmails.get(record.email)}`);
+            }
+
+            if (!record.studentNumber) {
+                errors.push('Student number is required');
+            } else if (takenNumbers.includes(record.studentNumber)) {
+                errors.push('A student with this student number already exists');
+            } else if (seenNumbers.has(record.studentNumber)) {
+                errors.push(`Student number is repeated from row ${seenNumbers.get(record.studentNumber)}`);
+            }
+
+            if (record.password && record.password.length < 6) {
+                errors.push('Password must be at least 6 characters long');
+            }
+
+            const department = departmentsByCode.get(record.departmentCode);
+            const group = groupsByCode.get(record.groupCode);
+
+            if (!department) {
+                errors.push(`Department ${record.departmentCode || '(empty)'} not found`);
+            }
+
+            if (!group) {
+                errors.push(`Group ${record.groupCode || '(empty)'} not found`);
+            } else if (group.isArchived) {
+                errors.push(`Group ${group.code} is archived`);
+            } else if (department && !group.department.equals(department._id)) {
+                errors.push(`Group ${group.code} does not belong to department ${department.code}`);
+            }
+
+            const year = record.year ? Number(record.year) : group && group.year;
+            if (!Number.isInteger(year) || year < 1 || year > 6) {
+                errors.push('Year must be between 1 and 6');
+            } else if (group && year !== group.year) {
+                errors.push(`Year ${year} does not match group ${group.code} (year ${group.year})`);
+            }
+
+            if (errors.length === 0) {
+                const groupId = group._id.toString();
+                const taken = seatsTaken.get(groupId) || 0;
+                if (taken >= group.capacity) {
+                    errors.push(`Group ${group.code} is full (capacity ${group.capacity})`);
+                } else {
+                    seatsTaken.set(groupId, taken + 1);
+                }
+            }
+
+            if (record.email && !seenEmails.has(record.email)) seenEmails.set(record.email, record.rowNumber);
+            if (record.studentNumber && !seenNumbers.has(record.studentNumber)) seenNumbers.set(record.studentNumber, record.rowNumber);
+
+            return {
+                ...record,
+                year,
+                department: department && department._id,
+                group: group && group._id,
+                errors
+            };
+        });
+    }
+
+    // Create the students for validated rows, one at a time so each row reports its own outcome.
+    // Rows without a password get a random one nobody sees; the student is emailed a link to choose their own.
+    static async createStudents(records) {
+        const results = [];
+
+        for (const record of records) {
+            const _id = new mongoose.Types.ObjectId();
+            const needsSetup = !record.password;
+
+            try {
+                const { user, profile: student } = await AccountService.createAccount('student', {
+                    _id,
+                    name: record.name,
+                    email: record.email,
+                    studentNumber: record.studentNumber,
+                    year: record.year,
+                    department: record.department,
+                    group: record.group,
+                    profile: {
+                        phone: record.phone || undefined,
+                        nationalId: record.nationalId || undefined
+                    },
+                    qrCode: QRService.generateStudentQRData(_id, record.studentNumber)
+                }, record.password || crypto.randomBytes(32).toString('hex'), { mustChangePassword: needsSetup });
+
+                results.push({ ...record, studentId: student._id, setupLinkSent: needsSetup });
+
+                if (needsSetup) {
+                    user.profile = student;
+                    PasswordResetService.sendSetupLink(user)
+                        .catch(notifyError => console.error('Password setup link error:', notifyError));
+                } else {
+                    NotificationService.accountCreated(student, 'student')
+                        .catch(notifyError => console.error('Account notification error:', notifyError));
+                }
+            } catch (error) {
+                const message = error.code === 11000
+                    ? 'An account with this email or a student with this number already exists'
+                    : error.message;
+                results.push({ ...record, errors: [message], failed: true });
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = StudentImportService;
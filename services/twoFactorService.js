@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const { User, TwoFactorChallenge, SecurityPolicy } = require('../models');
+const QRService = require('./qrService');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults, which every authenticator app supports
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+class TwoFactorService {
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    static base32Decode(encoded) {
+        const clean = encoded.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error('Invalid base32 secret');
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    // Key for the secrets at rest; a dedicated key is preferred over the JWT secret
+    static getEncryptionKey() {
+        const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+        if (!keySource) {
+            throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+        }
+        return crypto.createHash('sha256').update(keySource).digest();
+    }
+
+    // AES-256-GCM; stored as iv:tag:ciphertext in hex
+    static encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+    }
+
+    static decryptSecret(stored) {
+        const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    // Random 160-bit secret in base32, the size RFC 4226 recommends
+    static generateSecret() {
+        return this.base32Encode(crypto.randomBytes(20));
+    }
+
+    // HOTP code for a time step (RFC 4226 dynamic truncation)
+    static generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0xf;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+    }
+
+    static currentStep(now = Date.now()) {
+        return Math.floor(now / 1000 / STEP_SECONDS);
+    }
+
+    // Time step a code belongs to, or null. Steps at or before `afterStep` are refused so a code works once.
+    static matchCode(secret, code, { afterStep = -1 } = {}) {
+        const candidate = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(candidate) || candidate.length !== CODE_DIGITS) return null;
+
+        const current = this.currentStep();
+        for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+            if (step <= afterStep) continue;
+
+            const expected = Buffer.from(this.generateCode(secret, step));
+            if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    // Enrollment link understood by authenticator apps
+    static buildOtpauthUrl(email, secret) {
+        const issuer = process.env.TWO_FACTOR_ISSUER || 'Sadat System';
+        const label = encodeURIComponent(`${issuer}:${email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(CODE_DIGITS),
+            period: String(STEP_SECONDS)
+        });
+        return `otpauth://totp/${label}?${params}`;
+    }
+
+    static hashRecoveryCode(code) {
+        const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    // Single-use recovery codes, shown once; only their hashes are kept
+    static generateRecoveryCodes() {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        return {
+            codes,
+            stored: codes.map(code => ({ hash: this.hashRecoveryCode(code), usedAt: null }))
+        };
+    }
+
+    // Whether a role may enroll at all
+    static isSupportedRole(role) {
+        return SecurityPolicy.TWO_FACTOR_ROLES.includes(role);
+    }
+
+    // Whether the security policy makes two-factor mandatory for a role
+    static async isRequired(role) {
+        const policy = await SecurityPolicy.getCurrent();
+        return policy.twoFactorRequiredRoles.includes(role);
+    }
+
+    // Start (or restart) enrollment with a new pending secret
+    static async startEnrollment(userId) {
+        const user = await User.findById(userId).select('email');
+        const secret = this.generateSecret();
+
+        await User.updateOne({ _id: userId }, { $set: { 'twoFactor.pendingSecret': this.encryptSecret(secret) } });
+
+        const otpauthUrl = this.buildOtpauthUrl(user.email, secret);
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRService.generateQRCodeBase64(otpauthUrl)
+        };
+    }
+
+    // Confirm enrollment with a code from the pending secret; returns the recovery codes, or null on a wrong code
+    static async confirmEnrollment(userId, code) {
+        const user = await User.findById(userId).select(SECRET_FIELDS);
+        if (!user || !user.twoFactor.pendingSecret) return null;
+
+        const secret = this.decryptSecret(user.twoFactor.pendingSecret);
+        const step = this.matchCode(secret, code);
+        if (step === null) return null;
+
+        const { codes, stored } = this.generateRecoveryCodes();
+
+        await User.updateOne({ _id: userId }, {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.secret': user.twoFactor.pendingSecret,
+                'twoFactor.enabledAt': new Date(),
+                'twoFactor.lastUsedStep': step,
+                'twoFactor.recoveryCodes': stored
+            },
+            $unset: { 'twoFactor.pendingSecret': 1 }
+        });
+
+        return codes;
+    }
+
+    // Check a code or a recovery code for an enrolled account. Accepted codes are used up atomically.
+    static async verify(userId, { code, recoveryCode } = {}) {
+        const user = await User.findById(userId).select(SECRET_FIELDS);
+        if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) return { valid: false };
+
+        if (recoveryCode) {
+            const hash = this.hashRecoveryCode(recoveryCode);
+            const result = await User.updateOne(
+                { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+                { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+            );
+            return { valid: result.modifiedCount === 1, usedRecoveryCode: true };
+        }
+
+        const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+        const step = this.matchCode(this.decryptSecret(user.twoFactor.secret), code, { afterStep: lastUsedStep });
+        if (step === null) return { valid: false };
+
+        // A concurrent request with the same code loses here
+        const result = await User.updateOne(
+            { _id: userId, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }] },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return { valid: result.modifiedCount === 1 };
+    }
+
+    // Replace the recovery codes; returns the new ones
+    static async regenerateRecoveryCodes(userId) {
+        const { codes, stored } = this.generateRecoveryCodes();
+        await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': stored } });
+        return codes;
+    }
+
+    // Turn two-factor off and forget the secrets
+    static async disable(userId) {
+        await User.updateOne({ _id: userId }, {
+            $set: { 'twoFactor.enabled': false },
+            $unset: {
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.enabledAt': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.recoveryCodes': 1
+            }
+        });
+    }
+
+    // Enrollment state for display
+    static async getStatus(userId, role) {
+        const user = await User.findById(userId).select('twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes');
+
+        return {
+            supported: this.isSupportedRole(role),
+            required: await this.isRequired(role),
+            enabled: Boolean(user && user.twoFactor.enabled),
+            enabledAt: user && user.twoFactor.enabledAt,
+            recoveryCodesRemaining: user && user.twoFactor.enabled
+                ? (user.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt).length
+                : 0
+        };
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Second login step after a correct password; the token goes to the client once
+    static async createChallenge(user, purpose, { rememberMe = false, ipAddress } = {}) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+        await TwoFactorChallenge.create({
+            user: user._id,
+            tokenHash: this.hashToken(token),
+            purpose,
+            rememberMe,
+            expiresAt,
+            ipAddress
+        });
+
+        return { token, expiresAt };
+    }
+
+    // Open challenge for a token, or null when it is unknown, used, expired or out of attempts
+    static async findChallenge(token, purpose) {
+        if (!token) return null;
+
+        return TwoFactorChallenge.findOne({
+            tokenHash: this.hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+            attempts: { $lt: CHALLENGE_MAX_ATTEMPTS }
+        });
+    }
+
+    static async recordChallengeFailure(challenge) {
+        await TwoFactorChallenge.updateOne({ _id: challenge._id }, { $inc: { attempts: 1 } });
+    }
+
+    // Claim a challenge so it completes one login only
+    static async consumeChallenge(challenge) {
+        const result = await TwoFactorChallenge.updateOne(
+            { _id: challenge._id, usedAt: null },
+            { $set: { usedAt: new Date() } }
+        );
+        return result.modifiedCount === 1;
+    }
+}
+
+module.exports = TwoFactorService;
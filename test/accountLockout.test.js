@@ -0,0 +1,110 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User } = require('../models');
+const AuthService = require('../services/authService');
+const AuditService = require('../services/auditService');
+const LockoutController = require('../controllers/lockoutController');
+const { mockQuery, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe('AuthService.getLockDuration', () => {
+    it('doubles with each lockout up to a day', () => {
+        const minutes = count => AuthService.getLockDuration(count) / 60000;
+
+        assert.equal(minutes(0), 15);
+        assert.equal(minutes(1), 30);
+        assert.equal(minutes(3), 120);
+        assert.equal(minutes(10), 24 * 60);
+    });
+});
+
+describe('AuthService.isAccountLocked', () => {
+    it('only counts locks that have not run out', () => {
+        assert.equal(AuthService.isAccountLocked({ lockUntil: new Date(Date.now() + 1000) }), true);
+        assert.equal(AuthService.isAccountLocked({ lockUntil: new Date(Date.now() - 1000) }), false);
+        assert.equal(AuthService.isAccountLocked({}), false);
+    });
+});
+
+describe('AuthService.handleFailedLogin', () => {
+    // Stubs the three updates handleFailedLogin makes, in order
+    const stubUpdates = ({ attempts, lockoutCount = 0, lockWon = true }) => {
+        const reset = mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+        const updates = [];
+        mock.method(User, 'findOneAndUpdate', (filter, update) => {
+            updates.push({ filter, update });
+            if (updates.length === 1) return mockQuery({ loginAttempts: attempts, lockoutCount });
+            return mockQuery(lockWon ? { _id: filter._id } : null);
+        });
+        return { reset, updates };
+    };
+
+    it('counts the attempt atomically without locking below the limit', async () => {
+        const userId = id();
+        const { reset, updates } = stubUpdates({ attempts: 4 });
+
+        assert.equal(await AuthService.handleFailedLogin(userId), null);
+
+        assert.deepEqual(reset.mock.calls[0].arguments[1], { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } });
+        assert.deepEqual(updates[0].filter, { _id: userId, lockUntil: null });
+        assert.deepEqual(updates[0].update, { $inc: { loginAttempts: 1 } });
+        assert.equal(updates.length, 1);
+    });
+
+    it('locks on the attempt that reaches the limit, backing off by previous lockouts', async () => {
+        const { updates } = stubUpdates({ attempts: 5, lockoutCount: 2 });
+
+        const lockUntil = await AuthService.handleFailedLogin(id());
+
+        assert.ok(Math.abs(lockUntil - Date.now() - 60 * 60 * 1000) < 5000);
+        assert.deepEqual(updates[1].filter.loginAttempts, { $gte: 5 });
+        assert.equal(updates[1].update.$set.lockUntil, lockUntil);
+        assert.deepEqual(updates[1].update.$inc, { lockoutCount: 1 });
+    });
+
+    it('reports no lock when a parallel attempt locked the account first', async () => {
+        stubUpdates({ attempts: 6, lockWon: false });
+        assert.equal(await AuthService.handleFailedLogin(id()), null);
+    });
+});
+
+describe('LockoutController.unlockAccount', () => {
+    const lockedAccount = profileModel => ({
+        _id: id(),
+        email: 'someone@uni.edu',
+        role: profileModel === 'Admin' ? 'admin' : 'student',
+        profileModel,
+        profile: { _id: id(), name: 'Someone' },
+        lockUntil: new Date(Date.now() + 60000)
+    });
+
+    it('only lets super admins unlock admin accounts', async () => {
+        mock.method(User, 'findOne', () => mockQuery(lockedAccount('Admin')));
+        const unlocked = mock.method(AuthService, 'unlockAccount', async () => null);
+        const res = mockResponse();
+
+        await LockoutController.unlockAccount({ params: { id: String(id()) }, user: { role: 'admin' } }, res);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(unlocked.mock.callCount(), 0);
+    });
+
+    it('clears the lock and audits it', async () => {
+        const account = lockedAccount('Student');
+        mock.method(User, 'findOne', () => mockQuery(account));
+        mock.method(AuthService, 'unlockAccount', async () => ({ ...account, profile: account.profile._id, lockUntil: undefined }));
+        const tracked = mock.method(AuditService, 'track', () => {});
+        const res = mockResponse();
+
+        await LockoutController.unlockAccount({ params: { id: String(account.profile._id) }, user: { role: 'admin' } }, res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.data.userId, account._id);
+        assert.equal(res.body.data.name, 'Someone');
+        assert.equal(tracked.mock.calls[0].arguments[1].action, 'unlock');
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User, Admin } = require('../models');
+const AccountService = require('../services/accountService');
+const SessionService = require('../services/sessionService');
+const { mockQuery } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe('User profiles', () => {
+    it('links each role to its profile model', async () => {
+        const user = new User({ email: 'Dean@Uni.edu ', password: 'secret1', role: 'super_admin', profile: id() });
+
+        await user.validate();
+
+        assert.equal(user.profileModel, 'Admin');
+        assert.equal(user.email, 'dean@uni.edu');
+    });
+
+    it('rejects roles without a profile model', async () => {
+        const user = new User({ email: 'a@uni.edu', password: 'secret1', role: 'parent', profile: id() });
+        await assert.rejects(user.validate(), /parent is not a registered role/);
+    });
+
+    it('accepts roles registered later', async () => {
+        User.registerProfile('parent', 'Parent');
+        try {
+            const user = new User({ email: 'a@uni.edu', password: 'secret1', role: 'parent', profile: id() });
+            await user.validate();
+            assert.equal(user.profileModel, 'Parent');
+        } finally {
+            delete User.PROFILE_MODELS.parent;
+        }
+    });
+
+    it('never serializes the password or two-factor secrets', () => {
+        const user = new User({
+            email: 'a@uni.edu',
+            password: 'secret1',
+            role: 'doctor',
+            profile: id(),
+            twoFactor: { enabled: true, secret: 'enc', recoveryCodes: [{ hash: 'h' }] }
+        });
+
+        const json = user.toJSON();
+
+        assert.equal(json.password, undefined);
+        assert.equal(json.twoFactor.secret, undefined);
+        assert.equal(json.twoFactor.recoveryCodes, undefined);
+        assert.equal(json.twoFactor.enabled, true);
+    });
+});
+
+describe('AccountService', () => {
+    it('normalizes emails for lookups', () => {
+        assert.equal(AccountService.normalizeEmail('  Sara@Uni.EDU '), 'sara@uni.edu');
+    });
+
+    it('treats an account as usable only while both identity and profile are active', () => {
+        assert.equal(AccountService.isUsable({ isActive: true, profile: { isActive: true } }), true);
+        assert.equal(AccountService.isUsable({ isActive: false, profile: { isActive: true } }), false);
+        assert.equal(AccountService.isUsable({ isActive: true, profile: { isActive: false } }), false);
+        assert.equal(AccountService.isUsable({ isActive: true, profile: null }), false);
+        assert.equal(AccountService.isUsable(null), false);
+    });
+
+    it('creates a linked profile and identity', async () => {
+        const saved = mock.method(mongoose.Model.prototype, 'save', async function () { return this; });
+
+        const { user, profile } = await AccountService.createAccount('admin',
+            { name: 'Mona', email: 'mona@uni.edu' }, 'secret1', { mustChangePassword: true });
+
+        assert.equal(saved.mock.callCount(), 2);
+        assert.ok(user.profile.equals(profile._id));
+        assert.ok(profile.user.equals(user._id));
+        assert.equal(user.email, 'mona@uni.edu');
+        assert.equal(user.profileModel, 'Admin');
+        assert.equal(user.mustChangePassword, true);
+    });
+
+    it('writes nothing when either document is invalid', async () => {
+        const saved = mock.method(mongoose.Model.prototype, 'save', async function () { return this; });
+
+        await assert.rejects(AccountService.createAccount('admin', { name: 'Mona', email: 'mona@uni.edu' }, '123'));
+        assert.equal(saved.mock.callCount(), 0);
+    });
+
+    it('removes the profile again when the identity cannot be saved', async () => {
+        mock.method(mongoose.Model.prototype, 'save', async function () {
+            if (this instanceof User) throw new Error('E11000 duplicate key error');
+            return this;
+        });
+        const removed = mock.method(Admin, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+        await assert.rejects(AccountService.createAccount('admin', { name: 'Mona', email: 'mona@uni.edu' }, 'secret1'), /E11000/);
+        assert.equal(removed.mock.callCount(), 1);
+    });
+
+    it('refuses roles without a profile model', async () => {
+        await assert.rejects(AccountService.createAccount('parent', {}, 'secret1'), /No profile model registered for role parent/);
+    });
+
+    it('finds an identity by normalized email', async () => {
+        const user = { _id: id() };
+        const found = mock.method(User, 'findOne', () => mockQuery(user));
+
+        assert.equal(await AccountService.findByEmail(' Sara@Uni.edu'), user);
+        assert.deepEqual(found.mock.calls[0].arguments[0], { email: 'sara@uni.edu' });
+    });
+
+    it('signs a deleted account out everywhere', async () => {
+        const user = { _id: id() };
+        mock.method(User, 'findOneAndDelete', async () => user);
+        const revoked = mock.method(SessionService, 'revoke', async () => 1);
+
+        await AccountService.deleteAccount(id());
+
+        assert.deepEqual(revoked.mock.calls[0].arguments, [{ user: user._id }, 'account_removed']);
+    });
+});
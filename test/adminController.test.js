@@ -0,0 +1,194 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Admin, User } = require('../models');
+const AdminController = require('../controllers/adminController');
+const AccountService = require('../services/accountService');
+const NotificationService = require('../services/notificationService');
+const PasswordResetService = require('../services/passwordResetService');
+const PolicyService = require('../services/policyService');
+const SessionService = require('../services/sessionService');
+const { mockQuery, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+// Admin document whose writes are recorded instead of sent to the database
+const adminDocument = (fields = {}) => {
+    const admin = new Admin({ name: 'Mona', email: 'mona@uni.edu', role: 'admin', ...fields });
+    mock.method(admin, 'save', async () => admin);
+    mock.method(admin, 'populate', async () => admin);
+    return admin;
+};
+
+const superAdminRequest = (extra = {}) => ({
+    params: {},
+    body: {},
+    user: { id: id(), userId: id(), role: 'super_admin' },
+    ...extra
+});
+
+describe('PolicyService grants from admin permissions', () => {
+    it('limits an admin to the permissions on its profile', async () => {
+        const grants = await PolicyService.getGrants({ role: 'admin', roles: [] }, {
+            departments: [],
+            groups: [],
+            permissions: ['view_reports', 'view_students']
+        });
+
+        assert.deepEqual(grants, [
+            { permission: 'view_students', scope: 'all' },
+            { permission: 'view_reports', scope: 'all' }
+        ]);
+    });
+
+    it('never lets profile permissions add super admin grants', async () => {
+        const grants = await PolicyService.getGrants({ role: 'admin', roles: [] }, {
+            departments: [],
+            groups: [],
+            permissions: ['manage_admins']
+        });
+
+        assert.deepEqual(grants, []);
+    });
+});
+
+describe('AdminController.createAdmin', () => {
+    it('refuses an email that already has an account', async () => {
+        mock.method(AccountService, 'isEmailTaken', async () => true);
+        const res = mockResponse();
+
+        await AdminController.createAdmin(superAdminRequest({ body: { name: 'Mona', email: 'mona@uni.edu', password: 'secret1' } }), res);
+
+        assert.equal(res.statusCode, 409);
+    });
+
+    it('creates the profile and login identity and welcomes the admin', async () => {
+        const admin = adminDocument();
+        mock.method(AccountService, 'isEmailTaken', async () => false);
+        const created = mock.method(AccountService, 'createAccount', async () => ({ profile: admin }));
+        const welcomed = mock.method(NotificationService, 'accountCreated', async () => {});
+        const res = mockResponse();
+
+        await AdminController.createAdmin(superAdminRequest({
+            body: { name: 'Mona', email: 'mona@uni.edu', password: 'secret1', permissions: ['view_reports', 'view_reports'] }
+        }), res);
+
+        assert.equal(res.statusCode, 201);
+        const [role, profile, password] = created.mock.calls[0].arguments;
+        assert.equal(role, 'admin');
+        assert.deepEqual(profile.permissions, ['view_reports']);
+        assert.equal(password, 'secret1');
+        assert.deepEqual(welcomed.mock.calls[0].arguments, [admin, 'admin']);
+    });
+});
+
+describe('AdminController.updateAdmin', () => {
+    it('refuses to change one\'s own role', async () => {
+        const req = superAdminRequest({ body: { role: 'admin' } });
+        const admin = adminDocument({ _id: req.user.id, role: 'super_admin' });
+        mock.method(Admin, 'findById', () => mockQuery(admin));
+        const res = mockResponse();
+
+        await AdminController.updateAdmin({ ...req, params: { id: String(admin._id) } }, res);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(admin.save.mock.callCount(), 0);
+    });
+
+    it('keeps the last active super admin', async () => {
+        const admin = adminDocument({ role: 'super_admin' });
+        mock.method(Admin, 'findById', () => mockQuery(admin));
+        mock.method(Admin, 'countDocuments', async () => 0);
+        const res = mockResponse();
+
+        await AdminController.updateAdmin(superAdminRequest({ params: { id: String(admin._id) }, body: { role: 'admin' } }), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Cannot demote the last active super admin');
+    });
+
+    it('moves the login identity to the new role and clears departments on promotion', async () => {
+        const admin = adminDocument({ departments: [id()] });
+        mock.method(Admin, 'findById', () => mockQuery(admin));
+        const identity = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+        const res = mockResponse();
+
+        await AdminController.updateAdmin(superAdminRequest({ params: { id: String(admin._id) }, body: { role: 'super_admin' } }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(admin.departments.length, 0);
+        assert.deepEqual(identity.mock.calls[0].arguments, [{ profile: admin._id }, { $set: { role: 'super_admin' } }]);
+    });
+});
+
+describe('AdminController.updateStatus', () => {
+    it('signs a deactivated admin out everywhere', async () => {
+        const admin = adminDocument();
+        const user = { _id: id() };
+        mock.method(Admin, 'findById', () => mockQuery(admin));
+        mock.method(AccountService, 'findByProfile', async () => user);
+        const revoked = mock.method(SessionService, 'revoke', async () => 1);
+        const res = mockResponse();
+
+        await AdminController.updateStatus(superAdminRequest({ params: { id: String(admin._id) }, body: { isActive: false } }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(admin.isActive, false);
+        assert.deepEqual(revoked.mock.calls[0].arguments, [{ user: user._id }, 'account_deactivated']);
+    });
+});
+
+describe('AdminController.forcePasswordReset', () => {
+    it('only resets admin accounts', async () => {
+        mock.method(User, 'findOne', () => mockQuery({ _id: id(), profileModel: 'Student' }));
+        const reset = mock.method(PasswordResetService, 'forceReset', async () => {});
+        const res = mockResponse();
+
+        await AdminController.forcePasswordReset(superAdminRequest({ params: { id: String(id()) } }), res);
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(reset.mock.callCount(), 0);
+    });
+
+    it('resets another active admin\'s password', async () => {
+        const user = { _id: id(), profileModel: 'Admin', isActive: true, profile: { _id: id(), isActive: true } };
+        mock.method(User, 'findOne', () => mockQuery(user));
+        const reset = mock.method(PasswordResetService, 'forceReset', async () => {});
+        const res = mockResponse();
+
+        await AdminController.forcePasswordReset(superAdminRequest({ params: { id: String(user.profile._id) }, ip: '10.0.0.9' }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(reset.mock.calls[0].arguments, [user, { ipAddress: '10.0.0.9' }]);
+    });
+});
+
+describe('AdminController.deleteAdmin', () => {
+    it('refuses to delete one\'s own account', async () => {
+        const req = superAdminRequest();
+        const admin = adminDocument({ _id: req.user.id });
+        mock.method(Admin, 'findById', () => mockQuery(admin));
+        const removed = mock.method(Admin, 'findByIdAndDelete', async () => admin);
+        const res = mockResponse();
+
+        await AdminController.deleteAdmin({ ...req, params: { id: String(admin._id) } }, res);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(removed.mock.callCount(), 0);
+    });
+
+    it('removes the profile and its login identity', async () => {
+        const admin = adminDocument();
+        mock.method(Admin, 'findById', () => mockQuery(admin));
+        mock.method(Admin, 'findByIdAndDelete', async () => admin);
+        const accountDeleted = mock.method(AccountService, 'deleteAccount', async () => ({}));
+        const res = mockResponse();
+
+        await AdminController.deleteAdmin(superAdminRequest({ params: { id: String(admin._id) } }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(accountDeleted.mock.calls[0].arguments, [admin._id]);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Attendance, AttendanceAudit, Student } = require('../models');
+const AttendanceAuditService = require('../services/attendanceAuditService');
+const AccountService = require('../services/accountService');
+const AuditService = require('../services/auditService');
+const StudentController = require('../controllers/studentController');
+const { mockResponse, mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const id = () => new mongoose.Types.ObjectId();
+
+const attendance = (values = {}) => new Attendance({
+    student: id(),
+    group: id(),
+    doctor: id(),
+    lectureDate: new Date('2024-03-10T09:00:00Z'),
+    status: 'absent',
+    recordedBy: 'system',
+    ...values
+});
+
+describe('AttendanceAuditService.buildEntry', () => {
+    it('records the tracked fields that changed', () => {
+        const before = attendance();
+        const after = { ...before.toObject(), status: 'present', notes: 'Arrived late from exam', checkIn: { ipAddress: '10.0.0.1' } };
+
+        const entry = AttendanceAuditService.buildEntry('update', { before, after }, {
+            actor: 'doctor1',
+            role: 'doctor',
+            source: 'manual',
+            reason: 'Corrected'
+        });
+
+        assert.deepEqual(entry.changedFields, ['status', 'notes']);
+        assert.equal(entry.before.status, 'absent');
+        assert.equal(entry.after.status, 'present');
+        assert.equal('checkIn' in entry.after, false);
+        assert.ok(entry.attendance.equals(before._id));
+        assert.equal(entry.reason, 'Corrected');
+    });
+
+    it('records a creation with every field as changed', () => {
+        const entry = AttendanceAuditService.buildEntry('create', { after: attendance({ status: 'present' }) });
+
+        assert.equal(entry.before, null);
+        assert.ok(entry.changedFields.includes('status'));
+        assert.ok(entry.changedFields.includes('student'));
+    });
+
+    it('takes the actor from the request', () => {
+        const req = { user: { id: 'admin1', role: 'admin' }, ip: '10.1.1.1' };
+        assert.deepEqual(AttendanceAuditService.actorFromRequest(req, 'manual'),
+            { actor: 'admin1', role: 'admin', ipAddress: '10.1.1.1', source: 'manual' });
+    });
+});
+
+describe('AttendanceAudit', () => {
+    it('cannot be changed or deleted', async () => {
+        await assert.rejects(AttendanceAudit.updateOne({}, { action: 'delete' }), /cannot be modified or deleted/);
+        await assert.rejects(AttendanceAudit.deleteMany({}), /cannot be modified or deleted/);
+    });
+});
+
+describe('StudentController.deleteStudent', () => {
+    it('soft deletes and audits the student\'s attendance', async () => {
+        const student = new Student({ name: 'Sara', email: 'sara@uni.edu', studentNumber: 'S-1', department: id(), group: id(), year: 1 });
+        const records = [attendance({ student: student._id }), attendance({ student: student._id, status: 'present' })];
+        const deletedBy = id();
+
+        mock.method(mongoose, 'startSession', async () => ({ withTransaction: async work => work(), endSession: async () => {} }));
+        mock.method(Student, 'findById', async () => student);
+        mock.method(Attendance, 'find', () => mockQuery(records));
+        const softDeleted = mock.method(Attendance, 'updateMany', async () => ({ modifiedCount: 2 }));
+        const hardDeleted = mock.method(Attendance, 'deleteMany', async () => ({}));
+        const audited = mock.method(AttendanceAuditService, 'logMany', async () => []);
+        const removed = mock.method(Student, 'deleteOne', async () => ({ deletedCount: 1 }));
+        mock.method(AccountService, 'deleteAccount', async () => null);
+        mock.method(AuditService, 'track', () => {});
+
+        const res = mockResponse();
+        await StudentController.deleteStudent({ params: { id: student._id.toString() }, user: { id: deletedBy, role: 'admin' } }, res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(hardDeleted.mock.callCount(), 0);
+
+        const [filter, update] = softDeleted.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: { $in: records.map(record => record._id) } });
+        assert.equal(update.$set.isDeleted, true);
+        assert.equal(update.$set.deletedBy, deletedBy);
+
+        const [action, changes, context] = audited.mock.calls[0].arguments;
+        assert.equal(action, 'delete');
+        assert.equal(changes.length, 2);
+        assert.equal(changes[0].after.isDeleted, true);
+        assert.equal(context.source, 'student_delete');
+        assert.equal(removed.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,222 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { validationResult } = require('express-validator');
+const { Group, Department } = require('../models');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+const { attendancePolicyValidation } = require('../utils/validators');
+const { mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+describe('AttendancePolicyService.parseCidr', () => {
+    it('parses IPv4 and IPv6 ranges', () => {
+        const ipv4 = AttendancePolicyService.parseCidr('10.1.0.0/16');
+        assert.equal(ipv4.version, 4);
+        assert.equal(ipv4.prefix, 16);
+        assert.equal(ipv4.value, (10n << 24n) + (1n << 16n));
+
+        const ipv6 = AttendancePolicyService.parseCidr('2001:db8::/32');
+        assert.equal(ipv6.version, 6);
+        assert.equal(ipv6.prefix, 32);
+    });
+
+    it('reads a bare address as a single host', () => {
+        assert.equal(AttendancePolicyService.parseCidr('192.168.1.10').prefix, 32);
+        assert.equal(AttendancePolicyService.parseCidr('::1').prefix, 128);
+    });
+
+    it('rejects empty, malformed and out of range prefixes', () => {
+        for (const cidr of ['10.0.0.0/', '10.0.0.0/abc', '10.0.0.0/-1', '10.0.0.0/1.5', '10.0.0.0/33',
+            '2001:db8::/129', '10.0.0.0/8/8', '10.0.0.300/8', '', null]) {
+            assert.equal(AttendancePolicyService.parseCidr(cidr), null, `${cidr} should be rejected`);
+        }
+    });
+});
+
+describe('AttendancePolicyService.isIpInCidr', () => {
+    it('matches addresses inside the range only', () => {
+        assert.equal(AttendancePolicyService.isIpInCidr('10.1.200.3', '10.1.0.0/16'), true);
+        assert.equal(AttendancePolicyService.isIpInCidr('10.2.0.1', '10.1.0.0/16'), false);
+        assert.equal(AttendancePolicyService.isIpInCidr('2001:db8:1::5', '2001:db8::/32'), true);
+        assert.equal(AttendancePolicyService.isIpInCidr('2001:db9::5', '2001:db8::/32'), false);
+    });
+
+    it('treats IPv4-mapped IPv6 addresses as IPv4', () => {
+        assert.equal(AttendancePolicyService.isIpInCidr('::ffff:10.1.2.3', '10.1.0.0/16'), true);
+    });
+
+    it('never matches across IP versions or with a malformed range', () => {
+        assert.equal(AttendancePolicyService.isIpInCidr('10.1.2.3', '::/0'), false);
+        assert.equal(AttendancePolicyService.isIpInCidr('10.1.2.3', '10.0.0.0/'), false);
+    });
+});
+
+describe('AttendancePolicyService.evaluate', () => {
+    const campus = { latitude: 30.0444, longitude: 31.2357, radiusMeters: 200 };
+
+    it('passes a scan inside the radius', () => {
+        const result = AttendancePolicyService.evaluate({ location: campus }, { latitude: 30.0449, longitude: 31.2357 });
+        assert.equal(result.passed, true);
+        assert.ok(result.distanceMeters < 100);
+    });
+
+    it('fails a scan outside the radius or without a location', () => {
+        const far = AttendancePolicyService.evaluate({ location: campus }, { latitude: 30.06, longitude: 31.2357 });
+        assert.equal(far.passed, false);
+        assert.match(far.reasons[0], /outside the allowed 200m radius/);
+
+        const missing = AttendancePolicyService.evaluate({ location: campus }, {});
+        assert.deepEqual(missing.reasons, ['Location was not provided']);
+    });
+
+    it('passes when any configured check passes', () => {
+        const policy = { location: campus, allowedNetworks: ['10.0.0.0/8'] };
+        const result = AttendancePolicyService.evaluate(policy, { ipAddress: '10.4.4.4' });
+        assert.equal(result.passed, true);
+        assert.deepEqual(result.reasons, []);
+    });
+
+    it('does not restrict scans when nothing is configured', () => {
+        assert.equal(AttendancePolicyService.evaluate({}, {}).passed, true);
+    });
+});
+
+describe('AttendancePolicyService.checkScan', () => {
+    const policy = enforcement => ({ enabled: true, enforcement, allowedNetworks: ['10.0.0.0/8'] });
+
+    it('rejects scans that fail a rejecting policy', async () => {
+        mock.method(AttendancePolicyService, 'resolvePolicy', async () => ({ policy: policy('reject'), source: 'group' }));
+
+        const result = await AttendancePolicyService.checkScan('group1', { ipAddress: '192.168.0.1' });
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.suspicious, true);
+    });
+
+    it('only flags scans that fail a flagging policy', async () => {
+        mock.method(AttendancePolicyService, 'resolvePolicy', async () => ({ policy: policy('flag'), source: 'department' }));
+
+        const result = await AttendancePolicyService.checkScan('group1', { ipAddress: '192.168.0.1' });
+
+        assert.equal(result.allowed, true);
+        assert.equal(result.suspicious, true);
+        assert.equal(result.source, 'department');
+    });
+
+    it('allows every scan when no policy applies', async () => {
+        mock.method(AttendancePolicyService, 'resolvePolicy', async () => null);
+
+        const result = await AttendancePolicyService.checkScan('group1', {
+            ipAddress: '192.168.0.1',
+            location: { latitude: '30.1', longitude: '31.2' }
+        });
+
+        assert.equal(result.allowed, true);
+        assert.deepEqual(result.checkIn, { ipAddress: '192.168.0.1', latitude: 30.1, longitude: 31.2 });
+    });
+});
+
+describe('AttendancePolicyService.normalizePolicy', () => {
+    it('keeps valid settings', () => {
+        const { errors, policy } = AttendancePolicyService.normalizePolicy({
+            enabled: true,
+            enforcement: 'reject',
+            allowedNetworks: [' 10.0.0.0/8 ']
+        });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(policy.allowedNetworks, ['10.0.0.0/8']);
+    });
+
+    it('reports invalid settings', () => {
+        const { errors } = AttendancePolicyService.normalizePolicy({
+            enabled: true,
+            enforcement: 'block',
+            location: { latitude: 30, longitude: 31, radiusMeters: 5 },
+            allowedNetworks: ['10.0.0.0/']
+        });
+        assert.deepEqual(errors, [
+            'Enforcement must be one of: reject, flag',
+            'Radius must be between 10 and 50000 meters',
+            'Invalid CIDR range: 10.0.0.0/',
+            'An enabled policy needs a location or at least one allowed network'
+        ]);
+    });
+});
+
+describe('attendancePolicyValidation', () => {
+    const validate = async (allowedNetworks) => {
+        const req = { body: { allowedNetworks } };
+        for (const rule of attendancePolicyValidation) await rule.run(req);
+        return validationResult(req).array();
+    };
+
+    it('accepts ranges the policy accepts', async () => {
+        assert.deepEqual(await validate(['10.0.0.0/8', '2001:db8::/32', '192.168.1.1']), []);
+    });
+
+    it('rejects ranges with an empty prefix', async () => {
+        const errors = await validate(['10.0.0.0/']);
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].path, 'allowedNetworks[0]');
+    });
+});
+
+describe('AttendancePolicyService.resolveScanStatus', () => {
+    const start = new Date('2024-03-10T09:00:00');
+    const at = minutes => new Date(start.getTime() + minutes * 60000);
+    const policy = { gracePeriodMinutes: 10, cutoffMinutes: 30, cutoffAction: 'reject' };
+
+    it('marks scans within the grace period present', () => {
+        assert.deepEqual(AttendancePolicyService.resolveScanStatus(start, at(10), policy),
+            { status: 'present', rejected: false, minutesLate: 10 });
+    });
+
+    it('treats scans before the start as on time', () => {
+        assert.equal(AttendancePolicyService.resolveScanStatus(start, at(-5), policy).minutesLate, 0);
+    });
+
+    it('marks scans after the grace period late', () => {
+        assert.deepEqual(AttendancePolicyService.resolveScanStatus(start, at(11), policy),
+            { status: 'late', rejected: false, minutesLate: 11 });
+    });
+
+    it('rejects scans after the cutoff, or marks them absent', () => {
+        assert.deepEqual(AttendancePolicyService.resolveScanStatus(start, at(31), policy),
+            { status: 'absent', rejected: true, minutesLate: 31 });
+        assert.deepEqual(AttendancePolicyService.resolveScanStatus(start, at(31), { ...policy, cutoffAction: 'absent' }),
+            { status: 'absent', rejected: false, minutesLate: 31 });
+    });
+
+    it('has no cutoff unless one is set', () => {
+        const result = AttendancePolicyService.resolveScanStatus(start, at(300), { ...policy, cutoffMinutes: null });
+        assert.equal(result.status, 'late');
+    });
+});
+
+describe('AttendancePolicyService.resolveLatenessPolicy', () => {
+    const withDepartmentPolicy = (latenessPolicy) => {
+        mock.method(Group, 'findById', () => mockQuery({ department: 'department1' }));
+        mock.method(Department, 'findById', () => mockQuery({ latenessPolicy }));
+    };
+
+    it('uses the department policy', async () => {
+        withDepartmentPolicy({ gracePeriodMinutes: 5, cutoffMinutes: 20, cutoffAction: 'absent' });
+
+        assert.deepEqual(await AttendancePolicyService.resolveLatenessPolicy('group1'),
+            { gracePeriodMinutes: 5, cutoffMinutes: 20, cutoffAction: 'absent' });
+    });
+
+    it('lets lecture values override the department, including zero', async () => {
+        withDepartmentPolicy({ gracePeriodMinutes: 5, cutoffMinutes: 20 });
+
+        assert.deepEqual(await AttendancePolicyService.resolveLatenessPolicy('group1', { gracePeriodMinutes: 0, cutoffMinutes: null }),
+            { gracePeriodMinutes: 0, cutoffMinutes: 20, cutoffAction: 'reject' });
+    });
+
+    it('falls back to a ten minute grace period without a cutoff', async () => {
+        withDepartmentPolicy(undefined);
+
+        assert.deepEqual(await AttendancePolicyService.resolveLatenessPolicy('group1'),
+            { gracePeriodMinutes: 10, cutoffMinutes: null, cutoffAction: 'reject' });
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const { AuditLog } = require('../models');
+const AuditService = require('../services/auditService');
+const { auditRequests } = require('../middleware/audit');
+
+afterEach(() => mock.restoreAll());
+
+const entityId = new mongoose.Types.ObjectId().toString();
+
+const request = (method, originalUrl, values = {}) => ({
+    method,
+    originalUrl,
+    path: originalUrl.replace(/^\/api/, ''),
+    body: {},
+    ip: '10.0.0.1',
+    user: { id: 'admin1', role: 'admin', name: 'Admin' },
+    get: () => 'test-agent',
+    ...values
+});
+
+describe('AuditService.sanitize', () => {
+    it('drops passwords, tokens and secrets at any depth', () => {
+        const id = new mongoose.Types.ObjectId();
+        const at = new Date();
+
+        assert.deepEqual(AuditService.sanitize({
+            name: 'Sara',
+            password: 'hunter2',
+            refreshToken: 'abc',
+            profile: { twoFactorSecret: 'x', phone: '123' },
+            devices: [{ otp: '1', label: 'phone' }],
+            id,
+            at
+        }), { name: 'Sara', profile: { phone: '123' }, devices: [{ label: 'phone' }], id, at });
+    });
+});
+
+describe('AuditService.diff', () => {
+    it('lists changed top-level fields, ignoring timestamps', () => {
+        assert.deepEqual(AuditService.diff(
+            { name: 'A', capacity: 30, updatedAt: 1 },
+            { name: 'A', capacity: 40, updatedAt: 2, room: 'B12' }
+        ), { capacity: { from: 30, to: 40 }, room: { from: undefined, to: 'B12' } });
+    });
+});
+
+describe('AuditService.describeRequest', () => {
+    it('reads the entity, its ID and the sub action from the path', () => {
+        assert.deepEqual(AuditService.describeRequest(request('POST', `/api/doctors/${entityId}/assign-groups`)),
+            { entityType: 'doctor', entityId, action: 'create:assign-groups' });
+    });
+
+    it('handles collection paths and nested IDs', () => {
+        assert.deepEqual(AuditService.describeRequest(request('POST', '/api/students?dryRun=true')),
+            { entityType: 'student', entityId: undefined, action: 'create' });
+        assert.deepEqual(AuditService.describeRequest(request('DELETE', `/api/groups/${entityId}/schedule/${entityId}`)),
+            { entityType: 'group', entityId, action: 'delete:schedule/:id' });
+        assert.deepEqual(AuditService.describeRequest(request('PUT', '/api/terms/activate')),
+            { entityType: 'academic_term', entityId: undefined, action: 'update:activate' });
+    });
+});
+
+describe('AuditService.recordRequest', () => {
+    it('stores tracked state with its diff and a sanitized request body', async () => {
+        const created = mock.method(AuditLog, 'create', async entry => entry);
+        const req = request('PUT', `/api/groups/${entityId}`, { body: { capacity: 40, password: 'x' } });
+        AuditService.track(req, { before: { capacity: 30 }, after: { capacity: 40 } });
+
+        await AuditService.recordRequest(req, { statusCode: 200 });
+
+        const entry = created.mock.calls[0].arguments[0];
+        assert.equal(entry.action, 'update');
+        assert.equal(entry.entityType, 'group');
+        assert.deepEqual(entry.changes, { capacity: { from: 30, to: 40 } });
+        assert.deepEqual(entry.request.body, { capacity: 40 });
+        assert.equal(entry.outcome, 'success');
+    });
+});
+
+describe('auditRequests middleware', () => {
+    const run = (req) => {
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        let nextCalled = false;
+        auditRequests(req, res, () => { nextCalled = true; });
+        res.emit('finish');
+        return nextCalled;
+    };
+
+    it('records authenticated changes once the response is sent', () => {
+        const recorded = mock.method(AuditService, 'recordRequest', async () => {});
+
+        assert.equal(run(request('POST', '/api/groups')), true);
+        assert.equal(recorded.mock.callCount(), 1);
+    });
+
+    it('skips reads, anonymous requests and the caller\'s own notifications', () => {
+        const recorded = mock.method(AuditService, 'recordRequest', async () => {});
+
+        run(request('GET', '/api/groups'));
+        run(request('POST', '/api/auth/login', { user: undefined }));
+        run(request('PATCH', '/api/notifications/read-all'));
+
+        assert.equal(recorded.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Course, Group, Doctor, Attendance } = require('../models');
+const CourseController = require('../controllers/courseController');
+const { mockResponse, mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Course', () => {
+    const courseData = () => ({
+        code: ' cs101 ',
+        title: 'Introduction to Programming',
+        creditHours: 3,
+        department: id(),
+        year: 1,
+        semester: 1
+    });
+
+    it('stores the code trimmed and upper case', () => {
+        const course = new Course(courseData());
+        assert.equal(course.validateSync(), undefined);
+        assert.equal(course.code, 'CS101');
+    });
+
+    it('limits credit hours, year and semester', () => {
+        const error = new Course({ ...courseData(), creditHours: 13, year: 7, semester: 3 }).validateSync();
+        assert.deepEqual(Object.keys(error.errors).sort(), ['creditHours', 'semester', 'year']);
+    });
+});
+
+describe('CourseController.deleteCourse', () => {
+    it('keeps a course that attendance records refer to', async () => {
+        const courseId = id();
+        mock.method(Course, 'findById', () => mockQuery({ _id: courseId }));
+        mock.method(Attendance, 'countDocuments', async () => 4);
+        const deleted = mock.method(Course, 'findByIdAndDelete', async () => null);
+
+        const res = mockResponse();
+        await CourseController.deleteCourse({ params: { id: courseId.toString() } }, res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(deleted.mock.callCount(), 0);
+    });
+
+    it('removes an unused course from its groups before deleting it', async () => {
+        const courseId = id();
+        mock.method(Course, 'findById', () => mockQuery({ _id: courseId }));
+        mock.method(Attendance, 'countDocuments', async () => 0);
+        const pulled = mock.method(Group, 'updateMany', async () => ({ modifiedCount: 1 }));
+        const deleted = mock.method(Course, 'findByIdAndDelete', async () => ({ _id: courseId }));
+
+        const res = mockResponse();
+        await CourseController.deleteCourse({ params: { id: courseId.toString() } }, res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(pulled.mock.calls[0].arguments[1], { $pull: { courses: { course: courseId.toString() } } });
+        assert.equal(deleted.mock.callCount(), 1);
+    });
+});
+
+describe('CourseController.assignToGroup', () => {
+    it('replaces an earlier assignment and adds the doctor to the group', async () => {
+        const course = new Course({ code: 'CS101', title: 'Programming', creditHours: 3, department: id(), year: 1, semester: 1 });
+        const doctor = { _id: id() };
+        const group = new Group({ name: 'A', code: 'A1', department: id(), year: 1 });
+        group.courses.push({ course: course._id, doctor: id() });
+
+        mock.method(Course, 'findById', async () => course);
+        mock.method(Group, 'findById', () => mockQuery(group));
+        mock.method(Doctor, 'findById', async () => doctor);
+        mock.method(group, 'save', async () => group);
+        const addedToDoctor = mock.method(Doctor, 'findByIdAndUpdate', async () => doctor);
+
+        const res = mockResponse();
+        await CourseController.assignToGroup({
+            params: { id: course._id.toString() },
+            body: { groupId: group._id.toString(), doctorId: doctor._id.toString() }
+        }, res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(group.courses.length, 1);
+        assert.ok(group.courses[0].doctor.equals(doctor._id));
+        assert.deepEqual(addedToDoctor.mock.calls[0].arguments, [doctor._id, { $addToSet: { assignedGroups: group._id } }]);
+    });
+});
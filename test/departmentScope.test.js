@@ -0,0 +1,123 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Admin, Group, Student, Department } = require('../models');
+const PolicyService = require('../services/policyService');
+const GroupController = require('../controllers/groupController');
+const ReportsController = require('../controllers/reportsController');
+const AdminController = require('../controllers/adminController');
+const { mockQuery, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+const science = String(id());
+
+// Request of an admin assigned to the science department, scope already resolved
+const scopedRequest = (extra = {}) => ({
+    user: { id: id(), role: 'admin', roles: [] },
+    scope: { permission: 'view_reports', all: false, departments: [science], groups: [] },
+    query: {},
+    params: {},
+    ...extra
+});
+
+describe('PolicyService for department-scoped admins', () => {
+    it('loads the departments assigned to an admin', async () => {
+        mock.method(Admin, 'findById', () => mockQuery({ departments: [science], permissions: [] }));
+
+        const context = await PolicyService.getScopeContext({ id: id(), role: 'admin' });
+
+        assert.deepEqual(context, { departments: [science], groups: [], permissions: [] });
+    });
+
+    it('narrows every global grant to the assigned departments', async () => {
+        const grants = await PolicyService.getGrants({ role: 'admin', roles: [] }, { departments: [science], groups: [] });
+
+        assert.ok(grants.length > 0);
+        assert.ok(grants.every(grant => grant.scope === 'department'));
+    });
+
+    it('leaves admins without departments and super admins global', async () => {
+        const unassigned = await PolicyService.getGrants({ role: 'admin', roles: [] }, { departments: [], groups: [] });
+        const superAdmin = await PolicyService.getGrants({ role: 'super_admin', roles: [] }, { departments: [], groups: [] });
+
+        assert.ok(unassigned.every(grant => grant.scope === 'all'));
+        assert.ok(superAdmin.every(grant => grant.scope === 'all'));
+    });
+
+    it('lists the groups of the scope\'s departments', async () => {
+        const groupIds = [id(), id()];
+        const found = mock.method(Group, 'find', () => ({ distinct: async () => groupIds }));
+
+        assert.deepEqual(await PolicyService.scopeGroupIds({ all: false, departments: [science], groups: [] }), groupIds);
+        assert.deepEqual(found.mock.calls[0].arguments[0], { department: { $in: [science] } });
+        assert.equal(await PolicyService.scopeGroupIds({ all: true }), null);
+    });
+});
+
+describe('Scoped listings and reports', () => {
+    it('filters the group listing to the admin\'s departments', async () => {
+        const found = mock.method(Group, 'find', () => mockQuery([]));
+        mock.method(Group, 'countDocuments', async () => 0);
+
+        await GroupController.getAllGroups(scopedRequest({ query: { search: 'CS' } }), mockResponse());
+
+        const query = found.mock.calls[0].arguments[0];
+        assert.ok(query.$or);
+        assert.deepEqual(query.$and, [{ department: { $in: [science] } }]);
+    });
+
+    it('refuses a student report outside the admin\'s departments', async () => {
+        mock.method(Student, 'findById', () => mockQuery({ department: id(), group: id() }));
+        const res = mockResponse();
+
+        await ReportsController.getStudentAttendanceReport(scopedRequest({ query: { studentId: String(id()) } }), res);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.message, 'This student is outside your departments');
+    });
+});
+
+describe('AdminController.updateDepartments', () => {
+    const request = (adminId, departments) => ({
+        params: { id: String(adminId) },
+        body: { departments },
+        user: { id: id(), role: 'super_admin' }
+    });
+
+    it('does not scope super admins', async () => {
+        mock.method(Admin, 'findById', async () => ({ _id: id(), role: 'super_admin' }));
+        const res = mockResponse();
+
+        await AdminController.updateDepartments(request(id(), [science]), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Super admins always have access to every department');
+    });
+
+    it('refuses departments that do not exist', async () => {
+        mock.method(Admin, 'findById', async () => ({ _id: id(), role: 'admin', departments: [] }));
+        mock.method(Department, 'countDocuments', async () => 1);
+        const res = mockResponse();
+
+        await AdminController.updateDepartments(request(id(), [science, String(id())]), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'One or more departments do not exist');
+    });
+
+    it('stores the departments once each', async () => {
+        const admin = { _id: id(), role: 'admin', departments: [], save: mock.fn(async () => {}), populate: async () => {} };
+        mock.method(Admin, 'findById', async () => admin);
+        mock.method(Department, 'countDocuments', async () => 1);
+        const res = mockResponse();
+
+        await AdminController.updateDepartments(request(admin._id, [science, science]), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(admin.departments, [science]);
+        assert.equal(admin.save.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Attendance, Department, Student, DeprivationOverride } = require('../models');
+const EligibilityService = require('../services/eligibilityService');
+const { mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const id = () => new mongoose.Types.ObjectId();
+const policy = { warningLevels: [10, 20], deprivationPercent: 25, countExcused: false };
+
+describe('EligibilityService.classify', () => {
+    it('reports the highest warning level reached', () => {
+        assert.deepEqual(EligibilityService.classify(9.99, policy), { level: 'ok', warningLevel: null });
+        assert.deepEqual(EligibilityService.classify(10, policy), { level: 'warning', warningLevel: 10 });
+        assert.deepEqual(EligibilityService.classify(22, policy), { level: 'warning', warningLevel: 20 });
+    });
+
+    it('deprives students above the threshold, not at it', () => {
+        assert.equal(EligibilityService.classify(25, policy).level, 'warning');
+        assert.equal(EligibilityService.classify(25.01, policy).level, 'deprived');
+    });
+});
+
+describe('EligibilityService.resolvePolicy', () => {
+    it('takes each field from the course, else the department, else the default', async () => {
+        mock.method(Department, 'findById', () => mockQuery({ eligibilityPolicy: { deprivationPercent: 30, warningLevels: [] } }));
+
+        const { policy: resolved, sources } = await EligibilityService.resolvePolicy({
+            department: id(),
+            eligibilityPolicy: { warningLevels: [20, 5] }
+        });
+
+        assert.deepEqual(resolved, { warningLevels: [5, 20], deprivationPercent: 30, countExcused: false });
+        assert.deepEqual(sources, { warningLevels: 'course', deprivationPercent: 'department', countExcused: 'default' });
+    });
+});
+
+describe('EligibilityService.normalizePolicy', () => {
+    it('requires warning levels below the deprivation percentage', () => {
+        const { errors, policy: normalized } = EligibilityService.normalizePolicy({ deprivationPercent: '25', warningLevels: [25, 10, 10] });
+
+        assert.deepEqual(normalized.warningLevels, [10, 25]);
+        assert.deepEqual(errors, ['Warning levels must be below the deprivation percentage']);
+    });
+
+    it('requires a deprivation percentage unless partial', () => {
+        assert.deepEqual(EligibilityService.normalizePolicy({}).errors, ['Deprivation percentage is required']);
+        assert.deepEqual(EligibilityService.normalizePolicy({ countExcused: true }, null, { partial: true }).errors, []);
+    });
+});
+
+describe('EligibilityService.getCourseEligibility', () => {
+    it('lists students by absence, counting overrides as eligible', async () => {
+        const [regular, absentee, excusedOnly] = [id(), id(), id()];
+        mock.method(EligibilityService, 'resolvePolicy', async () => ({ policy, sources: {} }));
+        mock.method(Attendance, 'aggregate', async () => [
+            { _id: regular, total: 10, present: 9, late: 0, absent: 1, excused: 0 },
+            { _id: absentee, total: 10, present: 7, late: 0, absent: 3, excused: 0 },
+            { _id: excusedOnly, total: 10, present: 6, late: 0, absent: 0, excused: 4 }
+        ]);
+        mock.method(Student, 'find', () => mockQuery([]));
+        mock.method(DeprivationOverride, 'find', () => mockQuery([{ student: absentee, reason: 'Hospital stay' }]));
+
+        const { rows, summary } = await EligibilityService.getCourseEligibility({ _id: id(), department: id() });
+
+        assert.deepEqual(rows.map(row => [row.absencePercentage, row.level, row.eligible]),
+            [[30, 'deprived', true], [10, 'warning', true], [0, 'ok', true]]);
+        assert.deepEqual(summary, { ok: 1, warning: 1, deprived: 1, overridden: 1 });
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { ExcuseRequest, Attendance, Student } = require('../models');
+const ExcuseController = require('../controllers/excuseController');
+const AttendanceAuditService = require('../services/attendanceAuditService');
+const { mockResponse, mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('ExcuseController.submitExcuse', () => {
+    const studentId = id();
+
+    const submit = async (body) => {
+        const res = mockResponse();
+        await ExcuseController.submitExcuse({ body, user: { id: studentId, role: 'student' }, files: [] }, res);
+        return res;
+    };
+
+    beforeEach(() => {
+        mock.method(Student, 'findById', () => mockQuery({ _id: studentId, group: id() }));
+    });
+
+    it('covers only absences without an open or approved request', async () => {
+        const [covered, uncovered] = [{ _id: id() }, { _id: id() }];
+        mock.method(Attendance, 'find', () => mockQuery([covered, uncovered]));
+        mock.method(ExcuseRequest, 'distinct', async () => [covered._id]);
+        const created = mock.method(ExcuseRequest, 'create', async data => data);
+
+        const res = await submit({ reason: 'Flu', startDate: '2024-03-01', endDate: '2024-03-03' });
+
+        assert.equal(res.statusCode, 201);
+        assert.deepEqual(created.mock.calls[0].arguments[0].records, [{ attendance: uncovered._id }]);
+        assert.equal(res.body.message, 'Excuse request submitted for 1 absences');
+    });
+
+    it('refuses a request when every absence is already covered', async () => {
+        const absence = { _id: id() };
+        mock.method(Attendance, 'find', () => mockQuery([absence]));
+        mock.method(ExcuseRequest, 'distinct', async () => [absence._id]);
+
+        const res = await submit({ reason: 'Flu', startDate: '2024-03-01', endDate: '2024-03-03' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'All absences in this period already have an excuse request');
+    });
+
+    it('limits the date range', async () => {
+        const res = await submit({ reason: 'Trip', startDate: '2024-03-01', endDate: '2024-04-15' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'An excuse can cover at most 30 days');
+    });
+});
+
+describe('ExcuseController.reviewExcuse', () => {
+    let excuse;
+    let absence;
+
+    const review = async (decision) => {
+        const res = mockResponse();
+        await ExcuseController.reviewExcuse({
+            params: { id: excuse._id.toString() },
+            body: { decision, comment: 'Medical note checked' },
+            user: { id: id(), role: 'doctor' },
+            ip: '127.0.0.1'
+        }, res);
+        return res;
+    };
+
+    beforeEach(() => {
+        absence = new Attendance({ student: id(), group: id(), doctor: id(), lectureDate: new Date(), status: 'absent' });
+        excuse = new ExcuseRequest({
+            student: absence.student,
+            group: absence.group,
+            reason: 'Flu',
+            startDate: new Date('2024-03-01'),
+            endDate: new Date('2024-03-03'),
+            records: [{ attendance: absence._id }, { attendance: id() }]
+        });
+        mock.method(excuse, 'save', async () => excuse);
+
+        mock.method(mongoose, 'startSession', async () => ({ withTransaction: async work => work(), endSession: async () => {} }));
+        mock.method(ExcuseController, 'findAccessibleExcuse', async () => ({ excuse }));
+        mock.method(ExcuseRequest, 'findById', () => mockQuery(excuse));
+        mock.method(Student, 'findById', () => mockQuery(null));
+    });
+
+    it('marks the absences still absent as excused and audits them', async () => {
+        mock.method(Attendance, 'find', () => mockQuery([absence]));
+        const updated = mock.method(Attendance, 'updateMany', async () => ({ modifiedCount: 1 }));
+        const audited = mock.method(AttendanceAuditService, 'logMany', async () => []);
+
+        const res = await review('approve');
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.message, 'Excuse request approved; 1 absences marked as excused');
+        assert.deepEqual(updated.mock.calls[0].arguments[1], { $set: { status: 'excused', excuseRequest: excuse._id } });
+        assert.equal(excuse.status, 'approved');
+        assert.equal(excuse.records[0].previousStatus, 'absent');
+        assert.equal(excuse.records[1].previousStatus, undefined);
+        assert.equal(excuse.history.at(-1).action, 'approved');
+
+        const [action, changes, context] = audited.mock.calls[0].arguments;
+        assert.equal(action, 'update');
+        assert.equal(changes[0].after.status, 'excused');
+        assert.equal(context.reason, 'Medical note checked');
+    });
+
+    it('leaves attendance alone when rejecting', async () => {
+        const updated = mock.method(Attendance, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+        const res = await review('reject');
+
+        assert.equal(res.body.message, 'Excuse request rejected');
+        assert.equal(updated.mock.callCount(), 0);
+        assert.equal(excuse.status, 'rejected');
+    });
+
+    it('does not review a request twice', async () => {
+        excuse.status = 'approved';
+
+        const res = await review('reject');
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.message, 'Excuse request is already approved');
+    });
+});
@@ -0,0 +1,41 @@
+// Minimal Express response double that records the status and JSON body
+const mockResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        headers: {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        set(name, value) {
+            res.headers[name] = value;
+            return res;
+        },
+        send(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+};
+
+// Stand-in for a Mongoose query: awaitable, and chainable through the usual modifiers
+const mockQuery = (result) => {
+    const query = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    for (const method of ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session', 'setOptions']) {
+        query[method] = () => query;
+    }
+    return query;
+};
+
+module.exports = {
+    mockResponse,
+    mockQuery
+};
@@ -0,0 +1,105 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { IdempotencyKey } = require('../models');
+const { idempotent } = require('../middleware/idempotency');
+const { mockResponse, mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const request = (key, body = { records: [1, 2] }) => ({
+    body,
+    user: { id: 'doctor1' },
+    get: name => (name === 'Idempotency-Key' ? key : undefined)
+});
+
+const run = async (req) => {
+    const res = mockResponse();
+    let nextCalled = false;
+    await idempotent('bulk_attendance')(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+};
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('idempotent middleware', () => {
+    it('processes requests without a key normally', async () => {
+        const created = mock.method(IdempotencyKey, 'create', async () => ({}));
+
+        const { nextCalled } = await run(request(undefined));
+
+        assert.equal(nextCalled, true);
+        assert.equal(created.mock.callCount(), 0);
+    });
+
+    it('stores the response of the first request with a key', async () => {
+        mock.method(IdempotencyKey, 'create', async () => ({ _id: 'key1' }));
+        const saved = mock.method(IdempotencyKey, 'updateOne', async () => ({}));
+
+        const { res, nextCalled } = await run(request('abc'));
+        assert.equal(nextCalled, true);
+
+        res.status(201).json({ success: true });
+
+        assert.deepEqual(saved.mock.calls[0].arguments, [
+            { _id: 'key1' },
+            { status: 'completed', response: { statusCode: 201, body: { success: true } } }
+        ]);
+    });
+
+    it('releases the key when the request fails on the server', async () => {
+        mock.method(IdempotencyKey, 'create', async () => ({ _id: 'key1' }));
+        const released = mock.method(IdempotencyKey, 'deleteOne', async () => ({}));
+
+        const { res } = await run(request('abc'));
+        res.status(500).json({ success: false });
+
+        assert.deepEqual(released.mock.calls[0].arguments, [{ _id: 'key1' }]);
+    });
+
+    it('replays the stored response for a retry', async () => {
+        let hash;
+        mock.method(IdempotencyKey, 'create', async (record) => {
+            hash = record.requestHash;
+            throw duplicateKey();
+        });
+        mock.method(IdempotencyKey, 'findOne', () => mockQuery({
+            requestHash: hash,
+            status: 'completed',
+            response: { statusCode: 201, body: { success: true, data: { created: 2 } } }
+        }));
+
+        const { res, nextCalled } = await run(request('abc'));
+
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 201);
+        assert.deepEqual(res.body, { success: true, data: { created: 2 } });
+        assert.equal(res.headers['Idempotent-Replayed'], 'true');
+    });
+
+    it('refuses a key reused with a different body', async () => {
+        mock.method(IdempotencyKey, 'create', async () => { throw duplicateKey(); });
+        mock.method(IdempotencyKey, 'findOne', () => mockQuery({ requestHash: 'other', status: 'completed' }));
+
+        const { res } = await run(request('abc'));
+
+        assert.equal(res.statusCode, 422);
+    });
+
+    it('refuses a retry while the first request is still running', async () => {
+        let hash;
+        mock.method(IdempotencyKey, 'create', async (record) => {
+            hash = record.requestHash;
+            throw duplicateKey();
+        });
+        mock.method(IdempotencyKey, 'findOne', () => mockQuery({ requestHash: hash, status: 'processing' }));
+
+        const { res } = await run(request('abc'));
+
+        assert.equal(res.statusCode, 409);
+    });
+
+    it('limits the key length', async () => {
+        const { res } = await run(request('k'.repeat(256)));
+        assert.equal(res.statusCode, 400);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { LectureSession, Student } = require('../models');
+const QRService = require('../services/qrService');
+const LectureSessionController = require('../controllers/lectureSessionController');
+const { mockResponse, mockQuery } = require('./helpers');
+
+before(() => {
+    process.env.QR_SIGNING_SECRET = 'test-qr-secret';
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('LectureSessionController.checkIn', () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const groupId = new mongoose.Types.ObjectId();
+    const studentId = new mongoose.Types.ObjectId();
+
+    const checkIn = async (qrData) => {
+        const res = mockResponse();
+        await LectureSessionController.checkIn({
+            body: { qrData },
+            user: { id: studentId.toString(), role: 'student' },
+            ip: '127.0.0.1'
+        }, res);
+        return res;
+    };
+
+    it('rejects a tampered session QR code', async () => {
+        const parsed = JSON.parse(QRService.generateSessionQRToken(sessionId).data);
+        parsed.signature = (parsed.signature[0] === 'A' ? 'B' : 'A') + parsed.signature.slice(1);
+
+        const res = await checkIn(JSON.stringify(parsed));
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /signature is invalid/);
+    });
+
+    it('refuses check-in to a closed session', async () => {
+        mock.method(LectureSession, 'findById', () => mockQuery({ _id: sessionId, group: groupId, status: 'closed' }));
+
+        const res = await checkIn(QRService.generateSessionQRToken(sessionId).data);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Lecture session is closed');
+    });
+
+    it('refuses students from another group', async () => {
+        mock.method(LectureSession, 'findById', () => mockQuery({ _id: sessionId, group: groupId, status: 'open' }));
+        mock.method(Student, 'findById', () => mockQuery({
+            _id: studentId,
+            isActive: true,
+            group: new mongoose.Types.ObjectId()
+        }));
+
+        const res = await checkIn(QRService.generateSessionQRToken(sessionId).data);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'You do not belong to this lecture group');
+    });
+});
@@ -0,0 +1,183 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Notification, NotificationPreference, Course, AcademicTerm, Student } = require('../models');
+const NotificationService = require('../services/notificationService');
+const EligibilityService = require('../services/eligibilityService');
+const MailService = require('../services/mailService');
+const { mockQuery } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+let sent;
+
+beforeEach(() => {
+    sent = [];
+    MailService.registerTransport('test', () => ({
+        async sendMail(message) {
+            if (message.to === 'bounce@uni.edu') throw new Error('Mailbox unavailable');
+            sent.push(message);
+            return {};
+        }
+    }));
+    process.env.MAIL_TRANSPORT = 'test';
+});
+
+afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    mock.restoreAll();
+});
+
+const preference = (channels, types = {}) => mockQuery({ channels, types: new Map(Object.entries(types)) });
+
+// Notification.create stand-in returning a saveable record
+const recordNotifications = () => mock.method(Notification, 'create', async data => ({
+    ...data,
+    email: { ...data.email },
+    save: async () => {}
+}));
+
+describe('NotificationService.resolveChannels', () => {
+    it('uses both channels without preferences', async () => {
+        mock.method(NotificationPreference, 'findOne', () => mockQuery(null));
+        assert.deepEqual(await NotificationService.resolveChannels(id(), 'absence_warning'), { inApp: true, email: true });
+    });
+
+    it('lets a per-type preference override the general one', async () => {
+        mock.method(NotificationPreference, 'findOne', () => preference(
+            { inApp: true, email: false },
+            { absence_warning: { inApp: false, email: true } }
+        ));
+
+        assert.deepEqual(await NotificationService.resolveChannels(id(), 'absence_warning'), { inApp: false, email: true });
+        assert.deepEqual(await NotificationService.resolveChannels(id(), 'excuse_decision'), { inApp: true, email: false });
+    });
+
+    it('always emails account and password messages', async () => {
+        mock.method(NotificationPreference, 'findOne', () => preference({ inApp: true, email: false }));
+        assert.equal((await NotificationService.resolveChannels(id(), 'password_reset')).email, true);
+    });
+});
+
+describe('NotificationService.notify', () => {
+    it('stores the notification and emails it', async () => {
+        mock.method(NotificationPreference, 'findOne', () => mockQuery(null));
+        recordNotifications();
+
+        const notification = await NotificationService.notify({ _id: id(), email: 'sara@uni.edu', name: 'Sara' }, 'student', {
+            type: 'excuse_decision',
+            title: 'Excuse request approved',
+            message: 'Approved.'
+        });
+
+        assert.equal(notification.recipientModel, 'Student');
+        assert.equal(notification.email.status, 'sent');
+        assert.equal(sent[0].subject, 'Excuse request approved');
+        assert.equal(sent[0].text, 'Hello Sara,\n\nApproved.\n');
+    });
+
+    it('records a failed email without failing', async () => {
+        mock.method(console, 'error', () => {});
+        mock.method(NotificationPreference, 'findOne', () => mockQuery(null));
+        recordNotifications();
+
+        const notification = await NotificationService.notify({ _id: id(), email: 'bounce@uni.edu' }, 'doctor', {
+            type: 'account_created',
+            title: 'Welcome',
+            message: 'Hi'
+        });
+
+        assert.equal(notification.email.status, 'failed');
+        assert.equal(notification.email.error, 'Mailbox unavailable');
+    });
+
+    it('stores nothing when every channel is off', async () => {
+        mock.method(NotificationPreference, 'findOne', () => preference({ inApp: false, email: false }));
+        const created = recordNotifications();
+
+        assert.equal(await NotificationService.notify({ _id: id(), email: 'a@uni.edu' }, 'student', { type: 'absence_warning' }), null);
+        assert.equal(created.mock.callCount(), 0);
+    });
+});
+
+describe('NotificationService.passwordReset', () => {
+    beforeEach(() => {
+        mock.method(NotificationPreference, 'findOne', () => mockQuery(null));
+        recordNotifications();
+    });
+
+    it('words a set-password link for a new account', async () => {
+        const notification = await NotificationService.passwordReset({ _id: id(), email: 'sara@uni.edu', name: 'Sara' },
+            'student', 'https://app/reset?token=abc', 72 * 60, { reason: 'setup' });
+
+        assert.equal(notification.title, 'Your Sadat System account is ready');
+        assert.equal(sent[0].subject, 'Set your Sadat System password');
+        assert.match(sent[0].text, /Use this link to choose your password\. It works once and expires in 72 hours/);
+        assert.equal(notification.message.includes('token=abc'), false);
+    });
+
+    it('words a requested reset', async () => {
+        await NotificationService.passwordReset({ _id: id(), email: 'sara@uni.edu', name: 'Sara' },
+            'student', 'https://app/reset?token=abc', 30);
+
+        assert.equal(sent[0].subject, 'Reset your Sadat System password');
+        assert.match(sent[0].text, /expires in 30 minutes:\n\nhttps:\/\/app\/reset\?token=abc\n\nIf you did not request/);
+    });
+});
+
+describe('NotificationService.checkAbsenceThresholds', () => {
+    it('warns each student once per level', async () => {
+        const course = { _id: id(), code: 'CS101', title: 'Programming' };
+        const term = { _id: id() };
+        const [warned, fresh] = [{ _id: id(), email: 'a@uni.edu' }, { _id: id(), email: 'b@uni.edu' }];
+
+        mock.method(Course, 'findById', () => mockQuery(course));
+        mock.method(AcademicTerm, 'findActive', async () => term);
+        mock.method(EligibilityService, 'getCourseEligibility', async () => ({
+            policy: { deprivationPercent: 25 },
+            rows: [
+                { student: { _id: warned._id }, level: 'warning', warningLevel: 10, absencePercentage: 12, override: null },
+                { student: { _id: fresh._id }, level: 'deprived', warningLevel: null, absencePercentage: 30, override: null }
+            ]
+        }));
+        mock.method(Student, 'find', () => mockQuery([warned, fresh]));
+        mock.method(Notification, 'exists', async ({ recipient }) => recipient.equals(warned._id));
+        const notified = mock.method(NotificationService, 'notify', async () => ({}));
+
+        await NotificationService.checkAbsenceThresholds(course._id, [warned._id, fresh._id]);
+
+        assert.equal(notified.mock.callCount(), 1);
+        const [student, role, notification] = notified.mock.calls[0].arguments;
+        assert.equal(student, fresh);
+        assert.equal(role, 'student');
+        assert.equal(notification.type, 'deprivation');
+        assert.equal(notification.data.key, `${course._id}:${term._id}:deprived:`);
+    });
+});
+
+describe('MailService.getTransport', () => {
+    const saved = { NODE_ENV: process.env.NODE_ENV, SMTP_HOST: process.env.SMTP_HOST };
+
+    beforeEach(() => {
+        delete process.env.MAIL_TRANSPORT;
+        delete process.env.SMTP_HOST;
+        MailService.registerTransport('test', () => ({}));
+    });
+
+    afterEach(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    it('refuses to fall back to the console in production', () => {
+        process.env.NODE_ENV = 'production';
+        assert.throws(() => MailService.getTransport(), /No mail transport configured/);
+    });
+
+    it('rejects an unknown transport', () => {
+        process.env.MAIL_TRANSPORT = 'pigeon';
+        assert.throws(() => MailService.getTransport(), /Unknown mail transport: pigeon/);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Attendance } = require('../models');
+const AttendanceController = require('../controllers/attendanceController');
+const { mockResponse, mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+
+const sync = async (scans) => {
+    const res = mockResponse();
+    await AttendanceController.syncOfflineScans({
+        body: { scans },
+        user: { id: 'doctor1', role: 'doctor' },
+        ip: '10.0.0.5'
+    }, res);
+    return res;
+};
+
+const scan = (idempotencyKey, scannedAt) => ({ deviceId: 'device1', idempotencyKey, scannedAt, qrData: '{}', groupId: 'group1' });
+
+describe('AttendanceController.syncOfflineScans', () => {
+    it('replays scans in capture order and reports them in request order', async () => {
+        mock.method(Attendance, 'findOne', () => mockQuery(null));
+        const order = [];
+        const processed = mock.method(AttendanceController, 'processScan', async (item) => {
+            order.push(item.idempotencyKey);
+            return { attendance: { _id: new mongoose.Types.ObjectId(), status: 'present' }, message: 'Attendance recorded as present' };
+        });
+
+        const res = await sync([scan('later', minutesAgo(5)), scan('earlier', minutesAgo(30))]);
+
+        assert.deepEqual(order, ['earlier', 'later']);
+        assert.deepEqual(res.body.data.results.map(result => result.idempotencyKey), ['later', 'earlier']);
+        assert.deepEqual(res.body.data.summary, { accepted: 2, duplicate: 0, rejected: 0 });
+
+        const options = processed.mock.calls[0].arguments[2];
+        assert.deepEqual(options.offline, { deviceId: 'device1', idempotencyKey: 'earlier' });
+        assert.ok(options.scannedAt instanceof Date);
+    });
+
+    it('returns the earlier record for a scan that was already synced', async () => {
+        const existing = { _id: new mongoose.Types.ObjectId(), status: 'late' };
+        mock.method(Attendance, 'findOne', () => mockQuery(existing));
+        const processed = mock.method(AttendanceController, 'processScan', async () => ({}));
+
+        const res = await sync([scan('retry', minutesAgo(5))]);
+
+        assert.equal(processed.mock.callCount(), 0);
+        assert.deepEqual(res.body.data.results[0], {
+            index: 0,
+            idempotencyKey: 'retry',
+            result: 'duplicate',
+            message: 'Scan was already synced',
+            attendanceId: existing._id,
+            status: 'late'
+        });
+    });
+
+    it('rejects scans from the future or older than the sync window', async () => {
+        mock.method(Attendance, 'findOne', () => mockQuery(null));
+        mock.method(AttendanceController, 'processScan', async () => ({}));
+
+        const res = await sync([scan('future', minutesAgo(-10)), scan('old', minutesAgo(73 * 60))]);
+
+        assert.deepEqual(res.body.data.results.map(result => result.message),
+            ['Scan time is in the future', 'Scan is too old to be synced']);
+    });
+
+    it('reports conflicts with existing attendance as duplicates and other failures as rejected', async () => {
+        mock.method(Attendance, 'findOne', () => mockQuery(null));
+        const existing = { _id: new mongoose.Types.ObjectId() };
+        mock.method(AttendanceController, 'processScan', async (item) => (item.idempotencyKey === 'conflict'
+            ? { status: 409, error: 'Attendance already recorded for this student in this lecture', existing }
+            : { status: 400, error: 'Student does not belong to this group' }));
+
+        const res = await sync([scan('conflict', minutesAgo(10)), scan('wrong-group', minutesAgo(5))]);
+
+        const [conflict, wrongGroup] = res.body.data.results;
+        assert.equal(conflict.result, 'duplicate');
+        assert.equal(conflict.attendanceId, existing._id);
+        assert.equal(wrongGroup.result, 'rejected');
+        assert.equal(res.body.message, 'Synced 2 scans: 0 accepted, 1 duplicate, 1 rejected');
+    });
+});
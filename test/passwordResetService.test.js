@@ -0,0 +1,151 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User, PasswordResetToken } = require('../models');
+const PasswordResetService = require('../services/passwordResetService');
+const AccountService = require('../services/accountService');
+const NotificationService = require('../services/notificationService');
+const SessionService = require('../services/sessionService');
+const { mockQuery } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const account = (overrides = {}) => ({
+    _id: id(),
+    role: 'student',
+    isActive: true,
+    profile: { _id: id(), name: 'Sara', email: 'sara@uni.edu', isActive: true },
+    save: mock.fn(async () => {}),
+    ...overrides
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('PasswordResetService.issueToken', () => {
+    it('invalidates older links and emails only the raw token', async () => {
+        const user = account();
+        const invalidated = mock.method(PasswordResetToken, 'updateMany', async () => ({}));
+        const created = mock.method(PasswordResetToken, 'create', async data => data);
+        const emailed = mock.method(NotificationService, 'passwordReset', async () => {});
+
+        await PasswordResetService.issueToken(user, { ipAddress: '10.0.0.5' });
+
+        assert.deepEqual(invalidated.mock.calls[0].arguments[0], { user: user._id, usedAt: null });
+
+        const [profile, role, url, ttl, { reason }] = emailed.mock.calls[0].arguments;
+        const token = new URL(url).searchParams.get('token');
+        const stored = created.mock.calls[0].arguments[0];
+
+        assert.equal(profile, user.profile);
+        assert.equal(role, 'student');
+        assert.equal(ttl, 30);
+        assert.equal(reason, 'requested');
+        assert.equal(stored.tokenHash, PasswordResetService.hashToken(token));
+        assert.notEqual(stored.tokenHash, token);
+        assert.equal(stored.requestedIp, '10.0.0.5');
+        assert.ok(Math.abs(stored.expiresAt - Date.now() - 30 * 60 * 1000) < 5000);
+    });
+
+    it('gives new accounts a longer set-up link', async () => {
+        mock.method(PasswordResetToken, 'updateMany', async () => ({}));
+        const created = mock.method(PasswordResetToken, 'create', async data => data);
+        const emailed = mock.method(NotificationService, 'passwordReset', async () => {});
+
+        await PasswordResetService.sendSetupLink(account());
+
+        const [, , , ttl, { reason }] = emailed.mock.calls[0].arguments;
+        assert.equal(ttl, 72 * 60);
+        assert.equal(reason, 'setup');
+        assert.ok(created.mock.calls[0].arguments[0].expiresAt - Date.now() > 71 * 60 * 60 * 1000);
+    });
+});
+
+describe('PasswordResetService.requestReset', () => {
+    it('ignores unknown and inactive accounts', async () => {
+        const issued = mock.method(PasswordResetService, 'issueToken', async () => {});
+
+        mock.method(AccountService, 'findByEmail', async () => null);
+        await PasswordResetService.requestReset('nobody@uni.edu');
+
+        mock.method(AccountService, 'findByEmail', async () => account({ isActive: false }));
+        await PasswordResetService.requestReset('gone@uni.edu');
+
+        assert.equal(issued.mock.callCount(), 0);
+    });
+});
+
+describe('PasswordResetService.resetPassword', () => {
+    it('rejects an unknown, used or expired token', async () => {
+        const claim = mock.method(PasswordResetToken, 'findOneAndUpdate', async () => null);
+
+        const result = await PasswordResetService.resetPassword('stale', 'new-password');
+
+        assert.deepEqual(result, { status: 400, error: 'Reset link is invalid or has expired' });
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.equal(filter.tokenHash, PasswordResetService.hashToken('stale'));
+        assert.equal(filter.usedAt, null);
+        assert.ok(update.$set.usedAt instanceof Date);
+    });
+
+    it('sets the password, clears the forced change and signs out every session', async () => {
+        const user = account({ mustChangePassword: true });
+        mock.method(PasswordResetToken, 'findOneAndUpdate', async () => ({ user: user._id }));
+        mock.method(User, 'findById', () => mockQuery(user));
+        const invalidated = mock.method(PasswordResetToken, 'updateMany', async () => ({}));
+        const revoked = mock.method(SessionService, 'revoke', async () => 2);
+
+        const result = await PasswordResetService.resetPassword('token', 'new-password');
+
+        assert.equal(result.user, user);
+        assert.equal(user.password, 'new-password');
+        assert.equal(user.mustChangePassword, false);
+        assert.ok(user.passwordChangedAt instanceof Date);
+        assert.equal(user.save.mock.callCount(), 1);
+        assert.deepEqual(invalidated.mock.calls[0].arguments[0], { user: user._id, usedAt: null });
+        assert.deepEqual(revoked.mock.calls[0].arguments, [{ user: user._id }, 'password_reset']);
+    });
+
+    it('refuses a deactivated account', async () => {
+        const user = account({ profile: { isActive: false } });
+        mock.method(PasswordResetToken, 'findOneAndUpdate', async () => ({ user: user._id }));
+        mock.method(User, 'findById', () => mockQuery(user));
+
+        const result = await PasswordResetService.resetPassword('token', 'new-password');
+
+        assert.equal(result.status, 400);
+        assert.equal(user.save.mock.callCount(), 0);
+    });
+});
+
+describe('PasswordResetService.forceReset', () => {
+    it('replaces the password, signs out and sends a forced-reset link', async () => {
+        const user = account({ password: 'old-password' });
+        const revoked = mock.method(SessionService, 'revoke', async () => 1);
+        const issued = mock.method(PasswordResetService, 'issueToken', async () => {});
+
+        await PasswordResetService.forceReset(user, { ipAddress: '10.0.0.1' });
+
+        assert.notEqual(user.password, 'old-password');
+        assert.equal(user.mustChangePassword, true);
+        assert.equal(user.save.mock.callCount(), 1);
+        assert.deepEqual(revoked.mock.calls[0].arguments, [{ user: user._id }, 'password_reset']);
+        assert.deepEqual(issued.mock.calls[0].arguments, [user, { ipAddress: '10.0.0.1', reason: 'forced' }]);
+    });
+});
+
+describe('PasswordResetService.buildResetUrl', () => {
+    it('points at the frontend reset page', () => {
+        const saved = { PASSWORD_RESET_URL: process.env.PASSWORD_RESET_URL, FRONTEND_URL: process.env.FRONTEND_URL };
+        delete process.env.PASSWORD_RESET_URL;
+        process.env.FRONTEND_URL = 'https://attendance.uni.edu';
+
+        try {
+            assert.equal(PasswordResetService.buildResetUrl('abc'), 'https://attendance.uni.edu/reset-password?token=abc');
+        } finally {
+            for (const [key, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            }
+        }
+    });
+});
@@ -0,0 +1,186 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Role, Group, Student, Doctor } = require('../models');
+const PolicyService = require('../services/policyService');
+const { authorize } = require('../middleware/auth');
+const { mockQuery, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+const customRoles = (...permissions) => mock.method(Role, 'find', () => mockQuery([{ permissions }]));
+
+describe('Role', () => {
+    it('grants each permission once', async () => {
+        const role = new Role({
+            name: 'Coordinator',
+            permissions: [{ permission: 'view_students' }, { permission: 'view_students', scope: 'department' }]
+        });
+        await assert.rejects(role.validate(), /Each permission may only appear once in a role/);
+    });
+
+    it('defaults grants to every department', () => {
+        const role = new Role({ name: 'Registrar', permissions: [{ permission: 'view_reports' }] });
+        assert.equal(role.permissions[0].scope, 'all');
+    });
+});
+
+describe('PolicyService.getGrants', () => {
+    it('keeps the built-in grants without custom roles', async () => {
+        const grants = await PolicyService.getGrants({ role: 'doctor', roles: [] });
+        assert.deepEqual(grants, PolicyService.BUILT_IN_GRANTS.doctor);
+    });
+
+    it('adds custom roles to a doctor\'s built-in grants', async () => {
+        customRoles({ permission: 'view_students', scope: 'department' }, { permission: 'manage_students', scope: 'groups' });
+
+        const grants = await PolicyService.getGrants({ role: 'doctor', roles: [id()] });
+
+        assert.deepEqual(grants.slice(-2), [
+            { permission: 'view_students', scope: 'department' },
+            { permission: 'manage_students', scope: 'groups' }
+        ]);
+        assert.equal(grants.length, PolicyService.BUILT_IN_GRANTS.doctor.length + 2);
+    });
+
+    it('gives an admin with custom roles only what those roles grant', async () => {
+        customRoles({ permission: 'view_reports', scope: 'all' });
+        assert.deepEqual(await PolicyService.getGrants({ role: 'admin', roles: [id()] }), [{ permission: 'view_reports', scope: 'all' }]);
+    });
+
+    it('keeps role management to super admins', () => {
+        const permissions = grants => grants.map(grant => grant.permission);
+        assert.equal(permissions(PolicyService.BUILT_IN_GRANTS.admin).includes('manage_roles'), false);
+        assert.equal(permissions(PolicyService.BUILT_IN_GRANTS.super_admin).includes('manage_roles'), true);
+    });
+});
+
+describe('PolicyService.resolveScope', () => {
+    it('combines the scopes of every grant of a permission', async () => {
+        const department = String(id());
+        const group = String(id());
+        mock.method(Doctor, 'findById', () => mockQuery({ department, assignedGroups: [group] }));
+        customRoles({ permission: 'view_students', scope: 'department' });
+
+        const req = { user: { id: id(), role: 'doctor', roles: [id()] } };
+        const scope = await PolicyService.resolveScope(req, 'view_students');
+
+        // Built-in doctor grants reach everything
+        assert.equal(scope.all, true);
+
+        req.policy.grants = [{ permission: 'manage_students', scope: 'department' }, { permission: 'manage_students', scope: 'groups' }];
+        assert.deepEqual(await PolicyService.resolveScope(req, 'manage_students'), {
+            permission: 'manage_students',
+            all: false,
+            departments: [department],
+            groups: [group]
+        });
+        assert.equal(await PolicyService.resolveScope(req, 'manage_roles'), null);
+    });
+});
+
+describe('PolicyService.isInScope', () => {
+    const [science, arts] = [String(id()), String(id())];
+    const [groupA, groupB] = [String(id()), String(id())];
+    const scope = { all: false, departments: [science], groups: [groupA] };
+
+    it('admits targets wholly inside the departments or groups', () => {
+        assert.equal(PolicyService.isInScope(scope, { departments: [science], groups: [groupB] }), true);
+        assert.equal(PolicyService.isInScope(scope, { departments: [arts], groups: [groupA] }), true);
+    });
+
+    it('refuses targets that reach outside them', () => {
+        assert.equal(PolicyService.isInScope(scope, { departments: [science, arts], groups: [] }), false);
+        assert.equal(PolicyService.isInScope(scope, { departments: [arts], groups: [groupA, groupB] }), false);
+        assert.equal(PolicyService.isInScope(scope, { departments: [], groups: [] }), false);
+    });
+});
+
+describe('PolicyService.scopeFilter', () => {
+    const fields = { department: 'department', group: 'group' };
+
+    it('filters nothing for a global scope', () => {
+        assert.deepEqual(PolicyService.scopeFilter({ all: true }, fields), {});
+    });
+
+    it('matches the scope\'s departments or groups', () => {
+        assert.deepEqual(PolicyService.scopeFilter({ all: false, departments: ['d1'], groups: ['g1'] }, fields), {
+            $or: [{ department: { $in: ['d1'] } }, { group: { $in: ['g1'] } }]
+        });
+    });
+
+    it('matches nothing when the scope has nothing to match', () => {
+        assert.deepEqual(PolicyService.scopeFilter({ all: false, departments: [], groups: ['g1'] }, { department: 'department' }), { _id: { $in: [] } });
+    });
+
+    it('keeps existing conditions when applied to a query', () => {
+        const query = PolicyService.applyScope({ $and: [{ isActive: true }] }, { all: false, departments: ['d1'], groups: [] }, fields);
+        assert.deepEqual(query.$and, [{ isActive: true }, { department: { $in: ['d1'] } }]);
+    });
+});
+
+describe('authorize', () => {
+    const department = String(id());
+    const otherDepartment = id();
+    const studentId = id();
+
+    const coordinatorRequest = () => ({
+        params: { id: String(studentId) },
+        user: { id: id(), role: 'doctor', roles: [] },
+        policy: {
+            grants: [{ permission: 'manage_students', scope: 'department' }],
+            context: { departments: [department], groups: [] }
+        }
+    });
+
+    it('refuses a user without the permission', async () => {
+        const res = mockResponse();
+        const next = mock.fn();
+
+        await authorize('manage_roles')(coordinatorRequest(), res, next);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.message, "Permission 'manage_roles' required");
+        assert.equal(next.mock.callCount(), 0);
+    });
+
+    it('refuses a resource outside the scope', async () => {
+        mock.method(Student, 'findById', () => mockQuery({ department: otherDepartment, group: id() }));
+        const res = mockResponse();
+
+        await authorize('manage_students', { resource: 'student' })(coordinatorRequest(), res, mock.fn());
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.message, "Permission 'manage_students' does not extend to this student");
+    });
+
+    it('passes a resource inside the scope and leaves the scope for the controller', async () => {
+        mock.method(Student, 'findById', () => mockQuery({ department, group: id() }));
+        const req = coordinatorRequest();
+        const next = mock.fn();
+
+        await authorize('manage_students', { resource: 'student' })(req, mockResponse(), next);
+
+        assert.equal(next.mock.callCount(), 1);
+        assert.deepEqual(req.scope.departments, [department]);
+    });
+
+    it('checks the department a request body assigns', async () => {
+        mock.method(Group, 'find', () => ({ distinct: async () => [otherDepartment] }));
+        const req = { ...coordinatorRequest(), body: { group: String(id()) } };
+        const res = mockResponse();
+
+        await authorize('manage_students', { resource: 'body' })(req, res, mock.fn());
+
+        assert.equal(res.statusCode, 403);
+        assert.match(res.body.message, /does not extend to this department or group/);
+    });
+
+    it('refuses limited grants for faculty-wide actions', async () => {
+        const res = mockResponse();
+        await authorize('manage_students', { requireAll: true })(coordinatorRequest(), res, mock.fn());
+        assert.equal(res.statusCode, 403);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { AcademicTerm, Group, Student, Doctor, Attendance, ScheduleSlot } = require('../models');
+const PromotionService = require('../services/promotionService');
+const { mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const id = () => new mongoose.Types.ObjectId();
+
+const department = id();
+const sourceTerm = { _id: id(), name: '2023/2024' };
+const targetTerm = { _id: id(), name: '2024/2025' };
+
+const group = (name, year, term, capacity = 50) => ({ _id: id(), name, code: `${name}${year}`, department, year, capacity, term });
+const student = (groupId, number) => ({ _id: id(), name: `Student ${number}`, studentNumber: number, group: groupId, year: 1 });
+
+describe('PromotionService.planPromotion', () => {
+    let sourceGroups;
+    let targetGroups;
+    let students;
+    let enrollment;
+
+    beforeEach(() => {
+        sourceGroups = [group('A', 1, sourceTerm._id), group('B', 1, sourceTerm._id), group('A', 4, null)];
+        targetGroups = [group('A', 2, targetTerm._id, 2)];
+        students = [student(sourceGroups[0]._id, '1'), student(sourceGroups[0]._id, '2'), student(sourceGroups[1]._id, '3')];
+        enrollment = [{ _id: targetGroups[0]._id, count: 1 }];
+
+        mock.method(Group, 'find', (filter) => mockQuery(filter.term === targetTerm._id ? targetGroups : sourceGroups));
+        mock.method(Student, 'find', () => mockQuery(students));
+        mock.method(Student, 'aggregate', async () => enrollment);
+    });
+
+    it('moves each group to the same name in the next year', async () => {
+        const plan = await PromotionService.planPromotion(sourceTerm, targetTerm);
+
+        assert.equal(plan.moves[0].action, 'promote');
+        assert.equal(plan.moves[0].toGroup, targetGroups[0]);
+        assert.equal(plan.moves[0].students.length, 2);
+        assert.deepEqual(plan.summary, { groups: 3, promoted: 2, graduated: 0, unresolved: 1, groupsArchived: 1 });
+    });
+
+    it('warns about unresolved groups with students and about full target groups', async () => {
+        const plan = await PromotionService.planPromotion(sourceTerm, targetTerm);
+
+        assert.deepEqual(plan.warnings, [
+            'Group A2 would have 3 students, over its capacity of 2',
+            'No target group found for B1; its students will not be moved'
+        ]);
+    });
+
+    it('lets explicit mappings graduate a group', async () => {
+        const plan = await PromotionService.planPromotion(sourceTerm, targetTerm, {
+            mappings: [{ fromGroupId: sourceGroups[2]._id, toGroupId: null }]
+        });
+
+        assert.equal(plan.moves[2].action, 'graduate');
+        assert.equal(plan.summary.groupsArchived, 2);
+    });
+
+    it('rejects mappings to groups outside the terms', async () => {
+        const stray = id();
+        const plan = await PromotionService.planPromotion(sourceTerm, targetTerm, {
+            mappings: [{ fromGroupId: stray, toGroupId: stray }]
+        });
+
+        assert.deepEqual(plan.errors, [
+            `Group ${stray} is not an active group of the source term`,
+            `Group ${stray} is not an active group of the target term`
+        ]);
+    });
+});
+
+describe('PromotionService.applyPromotion', () => {
+    const fromGroup = group('A', 1, sourceTerm._id);
+    const toGroup = group('A', 2, targetTerm._id);
+    const graduating = group('A', 4, sourceTerm._id);
+    const plan = {
+        sourceTerm,
+        targetTerm,
+        moves: [
+            { fromGroup, toGroup, action: 'promote', students: [student(fromGroup._id, '1')] },
+            { fromGroup: graduating, toGroup: null, action: 'graduate', students: [student(graduating._id, '2')] },
+            { fromGroup: group('B', 1, sourceTerm._id), toGroup: null, action: 'unresolved', students: [] }
+        ],
+        summary: { promoted: 1, graduated: 1, groupsArchived: 2 }
+    };
+
+    let writes;
+
+    beforeEach(() => {
+        writes = [];
+        // No replica set here: the transaction helper gets a session that just runs the work
+        mock.method(mongoose, 'startSession', async () => ({
+            withTransaction: async work => work(),
+            endSession: async () => {}
+        }));
+        for (const [name, model] of Object.entries({ Group, Attendance, ScheduleSlot, Doctor })) {
+            mock.method(model, 'updateMany', async (filter, update) => writes.push({ model: name, filter, update }));
+        }
+        mock.method(Student, 'bulkWrite', async (ops) => writes.push({ model: 'Student', ops }));
+    });
+
+    it('does nothing when the target term was already promoted into', async () => {
+        mock.method(AcademicTerm, 'findOneAndUpdate', async () => null);
+
+        assert.equal(await PromotionService.applyPromotion(plan, { userId: id() }), null);
+        assert.deepEqual(writes, []);
+    });
+
+    it('moves and graduates students and archives their old groups', async () => {
+        const activate = mock.fn(async () => {});
+        const claimed = { _id: targetTerm._id, activate };
+        const claim = mock.method(AcademicTerm, 'findOneAndUpdate', async () => claimed);
+
+        const result = await PromotionService.applyPromotion(plan, { userId: id() });
+
+        assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: targetTerm._id, 'promotion.completedAt': null });
+        assert.equal(result.targetTerm, claimed);
+        assert.equal(activate.mock.callCount(), 1);
+
+        const [promote, graduate] = writes.find(write => write.model === 'Student').ops.map(op => op.updateOne);
+        assert.deepEqual(promote.filter, { _id: plan.moves[0].students[0]._id, group: fromGroup._id });
+        assert.deepEqual(promote.update.$set, { group: toGroup._id, year: 2, department });
+        assert.equal(graduate.update.$set.isActive, false);
+
+        const archive = writes.find(write => write.model === 'Group' && write.update.isArchived);
+        assert.deepEqual(archive.filter, { _id: { $in: [fromGroup._id, graduating._id] } });
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const QRService = require('../services/qrService');
+const QRCardService = require('../services/qrCardService');
+
+before(() => {
+    process.env.QR_SIGNING_SECRET = 'test-qr-secret';
+});
+
+afterEach(() => {
+    delete process.env.QR_CARD_SCANS_ENABLED;
+});
+
+const makeStudent = (number) => {
+    const _id = new mongoose.Types.ObjectId();
+    return { _id, name: `Student ${number}`, studentNumber: number, qrCode: QRService.generateStudentQRData(_id, number) };
+};
+
+describe('printed card tokens', () => {
+    it('are refused unless card scans are enabled', () => {
+        const parsed = QRService.parseQRData(QRService.generateStudentCardToken(makeStudent('S-1')));
+        assert.throws(() => QRService.validateQRCode(parsed), /Printed ID cards are not accepted/);
+    });
+
+    it('are accepted when enabled, however old', () => {
+        process.env.QR_CARD_SCANS_ENABLED = 'true';
+        const parsed = QRService.parseQRData(QRService.generateStudentCardToken(makeStudent('S-1')));
+        assert.equal(QRService.validateQRCode(parsed, Date.now() + 365 * 24 * 3600 * 1000), true);
+    });
+
+    it('are bound to the student', () => {
+        process.env.QR_CARD_SCANS_ENABLED = 'true';
+        const parsed = QRService.parseQRData(QRService.generateStudentCardToken(makeStudent('S-1')));
+        parsed.studentId = new mongoose.Types.ObjectId().toString();
+        assert.throws(() => QRService.validateQRCode(parsed), /signature is invalid/);
+    });
+
+    it('carry the card ID that regenerating the QR code replaces', () => {
+        const student = makeStudent('S-1');
+        const parsed = QRService.parseQRData(QRService.generateStudentCardToken(student));
+        assert.equal(parsed.cardId, QRService.getCardId(student.qrCode));
+
+        student.qrCode = QRService.generateStudentQRData(student._id, 'S-1');
+        assert.notEqual(parsed.cardId, QRService.getCardId(student.qrCode));
+    });
+
+    it('need a stored QR code', () => {
+        assert.throws(() => QRService.generateStudentCardToken({ ...makeStudent('S-1'), qrCode: undefined }), /no QR code to print/);
+    });
+});
+
+describe('QRCardService.sendPdf', () => {
+    it('prints eight cards per A4 page', async () => {
+        const res = new PassThrough();
+        const headers = {};
+        res.setHeader = (name, value) => { headers[name] = value; };
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        const finished = new Promise(resolve => res.on('end', resolve));
+
+        const students = Array.from({ length: 9 }, (_, index) => makeStudent(`S-${index + 1}`));
+        await QRCardService.sendPdf(res, students, { filename: 'cards', groupCodes: new Map() });
+        await finished;
+
+        const pdf = Buffer.concat(chunks).toString('latin1');
+        assert.equal(headers['Content-Disposition'], 'attachment; filename="cards.pdf"');
+        assert.equal(pdf.match(/\/Type \/Page\b/g).length, 2);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const QRService = require('../services/qrService');
+
+const STEP_MS = 30 * 1000;
+const NOW = 1700000000000;
+
+before(() => {
+    process.env.QR_SIGNING_SECRET = 'test-qr-secret';
+    delete process.env.QR_TOKEN_STEP_SECONDS;
+    delete process.env.QR_TOKEN_DRIFT_STEPS;
+});
+
+describe('rotating student QR tokens', () => {
+    const scan = (token, at) => QRService.validateQRCode(QRService.parseQRData(token.data), at);
+
+    it('accepts a token within its step', () => {
+        const token = QRService.generateStudentQRToken('student1', 'S-1', NOW);
+        assert.equal(scan(token, NOW), true);
+        assert.equal(token.refreshInterval, 30);
+        assert.equal(token.expiresAt.getTime(), (QRService.getTimeStep(NOW) + 1) * STEP_MS);
+    });
+
+    it('accepts the previous step to absorb clock skew, but not older ones', () => {
+        const token = QRService.generateStudentQRToken('student1', 'S-1', NOW);
+        assert.equal(scan(token, NOW + STEP_MS), true);
+        assert.throws(() => scan(token, NOW + 2 * STEP_MS), /expired/);
+    });
+
+    it('rejects tokens from the future', () => {
+        const token = QRService.generateStudentQRToken('student1', 'S-1', NOW + 2 * STEP_MS);
+        assert.throws(() => scan(token, NOW), /not valid yet/);
+    });
+
+    it('rejects a token whose student was swapped', () => {
+        const parsed = QRService.parseQRData(QRService.generateStudentQRToken('student1', 'S-1', NOW).data);
+        parsed.studentId = 'student2';
+        assert.throws(() => QRService.validateQRCode(parsed, NOW), /signature is invalid/);
+    });
+
+    it('rejects a token signed with another secret', () => {
+        const token = QRService.generateStudentQRToken('student1', 'S-1', NOW);
+        process.env.QR_SIGNING_SECRET = 'another-secret';
+        try {
+            assert.throws(() => scan(token, NOW), /signature is invalid/);
+        } finally {
+            process.env.QR_SIGNING_SECRET = 'test-qr-secret';
+        }
+    });
+
+    it('rejects the old static payload', () => {
+        const stored = QRService.parseQRData(QRService.generateStudentQRData('student1', 'S-1'));
+        assert.throws(() => QRService.validateQRCode(stored, NOW), /outdated/);
+    });
+
+    it('gives the same fingerprint to the same token only', () => {
+        const first = QRService.parseQRData(QRService.generateStudentQRToken('student1', 'S-1', NOW).data);
+        const again = QRService.parseQRData(QRService.generateStudentQRToken('student1', 'S-1', NOW).data);
+        const next = QRService.parseQRData(QRService.generateStudentQRToken('student1', 'S-1', NOW + STEP_MS).data);
+
+        assert.equal(QRService.getTokenFingerprint(first), QRService.getTokenFingerprint(again));
+        assert.notEqual(QRService.getTokenFingerprint(first), QRService.getTokenFingerprint(next));
+    });
+});
+
+describe('lecture session QR tokens', () => {
+    const scan = (token, at) => QRService.validateSessionQRCode(QRService.parseQRData(token.data, 'lecture_session'), at);
+
+    it('accepts a current session token', () => {
+        const token = QRService.generateSessionQRToken('session1', NOW);
+        assert.equal(scan(token, NOW), true);
+    });
+
+    it('rejects an expired session token', () => {
+        const token = QRService.generateSessionQRToken('session1', NOW);
+        assert.throws(() => scan(token, NOW + 2 * STEP_MS), /expired/);
+    });
+
+    it('does not accept a student token as a session token', () => {
+        const token = QRService.generateStudentQRToken('student1', 'S-1', NOW);
+        assert.throws(() => QRService.parseQRData(token.data, 'lecture_session'), /Invalid QR code type/);
+    });
+
+    it('does not accept a session token signed for another session', () => {
+        const parsed = QRService.parseQRData(QRService.generateSessionQRToken('session1', NOW).data, 'lecture_session');
+        parsed.sessionId = 'session2';
+        assert.throws(() => QRService.validateSessionQRCode(parsed, NOW), /signature is invalid/);
+    });
+});
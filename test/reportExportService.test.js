@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const ReportExportService = require('../services/reportExportService');
+const { mockResponse } = require('./helpers');
+
+const report = {
+    title: 'Group Attendance',
+    filename: 'group-attendance',
+    filters: [{ label: 'Group', value: 'CS1A' }],
+    sections: [{
+        title: 'Students',
+        columns: [
+            { header: 'Name', key: 'name' },
+            { header: 'Absences', key: 'absences' },
+            { header: 'Notes', key: 'notes' }
+        ],
+        rows: [
+            { name: '=HYPERLINK("http://evil")', absences: -1, notes: 'Late, twice' },
+            { name: 'Sara', absences: 2, notes: null }
+        ],
+        totals: { name: 'Total', absences: 1 }
+    }]
+};
+
+// Response stream that collects what an export writes to it
+const streamResponse = () => {
+    const res = new PassThrough();
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.body = () => new Promise(resolve => res.on('end', () => resolve(Buffer.concat(chunks))));
+    return res;
+};
+
+describe('ReportExportService.escapeCsvCell', () => {
+    it('quotes cells with separators, quotes and line breaks', () => {
+        assert.equal(ReportExportService.escapeCsvCell('a,b'), '"a,b"');
+        assert.equal(ReportExportService.escapeCsvCell('say "hi"'), '"say ""hi"""');
+        assert.equal(ReportExportService.escapeCsvCell('two\nlines'), '"two\nlines"');
+        assert.equal(ReportExportService.escapeCsvCell('plain'), 'plain');
+    });
+
+    it('stops spreadsheets from running text as a formula', () => {
+        for (const text of ['=1+1', '+1', '-1', '@SUM(A1)', '\tcmd']) {
+            assert.equal(ReportExportService.escapeCsvCell(text), `'${text}`);
+        }
+        assert.equal(ReportExportService.escapeCsvCell('\r=1'), '"\'\r=1"');
+        assert.equal(ReportExportService.escapeCsvCell('=1,2'), '"\'=1,2"');
+    });
+
+    it('leaves numbers alone', () => {
+        assert.equal(ReportExportService.escapeCsvCell(-5), '-5');
+        assert.equal(ReportExportService.escapeCsvCell(12.5), '12.5');
+    });
+});
+
+describe('ReportExportService.sendCsv', () => {
+    it('writes the title, filters, sections and totals', () => {
+        const res = mockResponse();
+        ReportExportService.sendCsv(res, report);
+
+        assert.equal(res.body, '\uFEFFGroup Attendance\r\n' +
+            'Group,CS1A\r\n' +
+            '\r\n' +
+            'Students\r\n' +
+            'Name,Absences,Notes\r\n' +
+            '"\'=HYPERLINK(""http://evil"")",-1,"Late, twice"\r\n' +
+            'Sara,2,\r\n' +
+            'Total,1,\r\n');
+    });
+});
+
+describe('ReportExportService.send', () => {
+    it('rejects unknown formats', async () => {
+        assert.equal(ReportExportService.isExportFormat('docx'), false);
+        const res = { setHeader: () => {} };
+        await assert.rejects(ReportExportService.send(res, 'docx', report), /Unsupported export format/);
+    });
+
+    it('writes a workbook with one sheet per section', async () => {
+        const res = streamResponse();
+        const headers = {};
+        res.setHeader = (name, value) => { headers[name] = value; };
+
+        await ReportExportService.send(res, 'xlsx', report);
+
+        assert.match(headers['Content-Disposition'], /^attachment; filename="group-attendance-\d{4}-\d{2}-\d{2}\.xlsx"$/);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await res.body());
+        const sheet = workbook.getWorksheet('Students');
+        assert.equal(sheet.getCell('A6').value, '=HYPERLINK("http://evil")');
+        assert.equal(sheet.getCell('B6').value, -1);
+    });
+
+    it('writes a PDF', async () => {
+        const res = streamResponse();
+        res.setHeader = () => {};
+
+        await ReportExportService.send(res, 'pdf', report);
+
+        assert.equal((await res.body()).subarray(0, 5).toString(), '%PDF-');
+    });
+});
+
+describe('ReportExportService helpers', () => {
+    it('rounds percentages to two places and handles no records', () => {
+        assert.equal(ReportExportService.percentage(2, 3), 66.67);
+        assert.equal(ReportExportService.percentage(0, 0), 0);
+    });
+
+    it('builds file name slugs', () => {
+        assert.equal(ReportExportService.slug(' CS 1/A '), 'cs-1-a');
+        assert.equal(ReportExportService.slug(''), 'report');
+    });
+});
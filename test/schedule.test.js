@@ -0,0 +1,127 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { ScheduleSlot, Group, Doctor, AcademicTerm } = require('../models');
+const ScheduleController = require('../controllers/scheduleController');
+const { scheduleSlotValidation } = require('../utils/validators');
+const { mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('ScheduleSlot', () => {
+    const slotData = () => ({
+        group: id(),
+        doctor: id(),
+        subject: 'Algorithms',
+        weekday: 1,
+        startTime: '09:00',
+        endTime: '10:30',
+        term: id()
+    });
+
+    it('accepts a valid slot', () => {
+        assert.equal(new ScheduleSlot(slotData()).validateSync(), undefined);
+    });
+
+    it('requires the end time after the start time', async () => {
+        await assert.rejects(new ScheduleSlot({ ...slotData(), endTime: '09:00' }).validate(),
+            error => error.errors.endTime.message === 'End time must be after start time');
+    });
+
+    it('refers to an academic term rather than free text', () => {
+        const error = new ScheduleSlot({ ...slotData(), term: 'Fall 2024' }).validateSync();
+        assert.ok(error.errors.term);
+    });
+
+    it('looks for overlapping slots sharing a group, doctor or room in the same term', () => {
+        const slot = { ...slotData(), _id: id(), room: 'B12' };
+        let query;
+        mock.method(ScheduleSlot, 'find', (filter) => {
+            query = filter;
+            return mockQuery([]);
+        });
+
+        ScheduleSlot.findClashes(slot);
+
+        assert.deepEqual(query, {
+            weekday: 1,
+            term: slot.term,
+            isActive: true,
+            startTime: { $lt: '10:30' },
+            endTime: { $gt: '09:00' },
+            $or: [{ group: slot.group }, { doctor: slot.doctor }, { room: 'B12' }],
+            _id: { $ne: slot._id }
+        });
+    });
+});
+
+describe('scheduleSlotValidation', () => {
+    const validate = async (body, required = true) => {
+        const req = { body };
+        for (const rule of scheduleSlotValidation(required)) await rule.run(req);
+        return validationResult(req).array().map(error => error.path);
+    };
+
+    it('requires every field of a new slot', async () => {
+        assert.deepEqual(await validate({}), ['subject', 'weekday', 'startTime', 'endTime', 'term']);
+    });
+
+    it('requires the term to be an academic term ID', async () => {
+        const body = { subject: 'Algorithms', weekday: 2, startTime: '09:00', endTime: '10:00', term: 'Fall 2024' };
+        assert.deepEqual(await validate(body), ['term']);
+        assert.deepEqual(await validate({ ...body, term: id().toString() }), []);
+    });
+
+    it('allows partial updates', async () => {
+        assert.deepEqual(await validate({ room: 'B12' }, false), []);
+    });
+});
+
+describe('ScheduleController.checkSlot', () => {
+    const groupTerm = id();
+
+    const setup = ({ term = true, groupTermId = groupTerm } = {}) => {
+        const slot = new ScheduleSlot({
+            group: id(),
+            doctor: id(),
+            subject: 'Algorithms',
+            weekday: 1,
+            startTime: '09:00',
+            endTime: '10:30',
+            term: groupTerm
+        });
+        mock.method(Group, 'findById', () => mockQuery({ courses: [], isArchived: false, term: groupTermId }));
+        mock.method(Doctor, 'findById', () => mockQuery({ assignedGroups: [slot.group] }));
+        mock.method(AcademicTerm, 'exists', async () => (term ? { _id: groupTerm } : null));
+        mock.method(ScheduleSlot, 'findClashes', async () => []);
+        return slot;
+    };
+
+    it('accepts a slot in its group\'s term', async () => {
+        assert.equal(await ScheduleController.checkSlot(setup()), null);
+    });
+
+    it('rejects an unknown term', async () => {
+        assert.deepEqual(await ScheduleController.checkSlot(setup({ term: false })),
+            { status: 404, message: 'Academic term not found' });
+    });
+
+    it('rejects a term other than the group\'s', async () => {
+        const problem = await ScheduleController.checkSlot(setup({ groupTermId: id() }));
+        assert.equal(problem.status, 400);
+    });
+
+    it('reports clashes', async () => {
+        const slot = setup();
+        const clash = { _id: id(), group: { _id: slot.group }, doctor: { _id: id() }, room: 'B12' };
+        mock.method(ScheduleSlot, 'findClashes', async () => [clash]);
+
+        const problem = await ScheduleController.checkSlot(slot);
+
+        assert.equal(problem.status, 409);
+        assert.deepEqual(problem.clashes[0].conflicts, ['group']);
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { UserSession } = require('../models');
+const SessionService = require('../services/sessionService');
+const AuthService = require('../services/authService');
+const AccountService = require('../services/accountService');
+const { authenticateToken } = require('../middleware/auth');
+const { mockQuery, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const saved = { JWT_SECRET: process.env.JWT_SECRET, JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET };
+
+before(() => {
+    process.env.JWT_SECRET = 'access-secret';
+    process.env.JWT_REFRESH_SECRET = 'refresh-secret';
+});
+
+after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+});
+
+afterEach(() => mock.restoreAll());
+
+const storedSession = (overrides = {}) => ({
+    _id: id(),
+    user: id(),
+    role: 'student',
+    rememberMe: false,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides
+});
+
+describe('AuthService refresh tokens', () => {
+    it('signs refresh tokens with their own secret', () => {
+        const token = AuthService.generateRefreshToken({ sid: 'abc' }, 60);
+
+        assert.equal(AuthService.verifyRefreshToken(token).sid, 'abc');
+        assert.throws(() => AuthService.verifyToken(token), /Invalid token/);
+        assert.throws(() => AuthService.verifyRefreshToken(AuthService.generateToken({ id: 'abc' })), /Invalid refresh token/);
+    });
+
+    it('makes every token unique', () => {
+        assert.notEqual(AuthService.generateRefreshToken({ sid: 'abc' }, 60), AuthService.generateRefreshToken({ sid: 'abc' }, 60));
+    });
+});
+
+describe('SessionService.startSession', () => {
+    it('stores only the hash of the refresh token', async () => {
+        mock.method(UserSession.prototype, 'save', async function () { return this; });
+        const user = { _id: id(), role: 'doctor' };
+
+        const { session, refreshToken } = await SessionService.startSession(user, { rememberMe: true, ipAddress: '10.0.0.2' });
+
+        assert.equal(session.tokenHash, SessionService.hashToken(refreshToken));
+        assert.equal(session.role, 'doctor');
+        assert.equal(AuthService.verifyRefreshToken(refreshToken).sid, String(session._id));
+        assert.ok(session.expiresAt - Date.now() > 29 * 24 * 60 * 60 * 1000);
+    });
+});
+
+describe('SessionService.rotate', () => {
+    const tokenFor = session => AuthService.generateRefreshToken({ uid: session.user, role: session.role, sid: session._id }, 60);
+
+    it('swaps the refresh token for a new one', async () => {
+        const session = storedSession();
+        const refreshToken = tokenFor(session);
+        mock.method(UserSession, 'findById', async () => session);
+        const update = mock.method(UserSession, 'findOneAndUpdate', async (filter, change) => ({ ...session, ...change.$set }));
+
+        const result = await SessionService.rotate(refreshToken, { ipAddress: '10.0.0.3' });
+
+        const [filter, change] = update.mock.calls[0].arguments;
+        assert.equal(filter.tokenHash, SessionService.hashToken(refreshToken));
+        assert.deepEqual(change.$inc, { generation: 1 });
+        assert.notEqual(result.refreshToken, refreshToken);
+        assert.equal(result.session.tokenHash, SessionService.hashToken(result.refreshToken));
+        assert.equal(result.session.lastUsedIp, '10.0.0.3');
+    });
+
+    it('revokes the session when an old token is replayed', async () => {
+        mock.method(console, 'warn', () => {});
+        const session = storedSession();
+        mock.method(UserSession, 'findById', async () => session);
+        mock.method(UserSession, 'findOneAndUpdate', async () => null);
+        const revoked = mock.method(SessionService, 'revoke', async () => 1);
+
+        const result = await SessionService.rotate(tokenFor(session));
+
+        assert.equal(result.status, 401);
+        assert.deepEqual(revoked.mock.calls[0].arguments, [{ _id: session._id }, 'reuse_detected']);
+    });
+
+    it('refuses revoked sessions and forged tokens', async () => {
+        const session = storedSession({ revokedAt: new Date() });
+        mock.method(UserSession, 'findById', async () => session);
+        const update = mock.method(UserSession, 'findOneAndUpdate', async () => null);
+
+        assert.equal((await SessionService.rotate(tokenFor(session))).status, 401);
+        assert.equal((await SessionService.rotate(jwt.sign({ sid: session._id }, 'other-secret'))).error, 'Invalid refresh token');
+        assert.equal(update.mock.callCount(), 0);
+    });
+});
+
+describe('SessionService.revoke', () => {
+    it('only touches sessions that are still active', async () => {
+        const update = mock.method(UserSession, 'updateMany', async () => ({ modifiedCount: 3 }));
+        const userId = id();
+
+        assert.equal(await SessionService.revoke({ user: userId }, 'logout_all'), 3);
+
+        const [filter, change] = update.mock.calls[0].arguments;
+        assert.deepEqual(filter, { user: userId, revokedAt: null });
+        assert.equal(change.$set.revokedReason, 'logout_all');
+    });
+
+    it('ignores an invalid refresh token on logout', async () => {
+        const update = mock.method(UserSession, 'updateMany', async () => ({ modifiedCount: 1 }));
+        assert.equal(await SessionService.revokeByRefreshToken('garbage', 'logout'), 0);
+        assert.equal(update.mock.callCount(), 0);
+    });
+});
+
+describe('authenticateToken', () => {
+    it('rejects an access token whose session was signed out', async () => {
+        const user = { _id: id(), role: 'student', isActive: true, profile: { _id: id(), name: 'Sara', isActive: true } };
+        mock.method(AccountService, 'findForToken', async () => user);
+        mock.method(UserSession, 'findById', () => mockQuery(storedSession({ revokedAt: new Date() })));
+
+        const token = AuthService.generateToken({ uid: user._id, role: 'student', sid: String(id()) });
+        const res = mockResponse();
+        const next = mock.fn();
+
+        await authenticateToken({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.message, 'Session has been signed out');
+        assert.equal(next.mock.callCount(), 0);
+    });
+});
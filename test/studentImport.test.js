@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User, Student, Group, Department } = require('../models');
+const SpreadsheetService = require('../services/spreadsheetService');
+const StudentImportService = require('../services/studentImportService');
+const AccountService = require('../services/accountService');
+const PasswordResetService = require('../services/passwordResetService');
+const NotificationService = require('../services/notificationService');
+const { mockQuery } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('SpreadsheetService.readRows', () => {
+    it('reads CSV values as text, keyed by normalized header', async () => {
+        const file = {
+            originalname: 'students.csv',
+            buffer: Buffer.from('Student Number,E-mail,Name\n00123,a@b.com,Ali\n,,\n')
+        };
+
+        const { headers, rows } = await SpreadsheetService.readRows(file);
+
+        assert.deepEqual(headers, ['studentnumber', 'email', 'name']);
+        assert.deepEqual(rows, [{ rowNumber: 2, values: { studentnumber: '00123', email: 'a@b.com', name: 'Ali' } }]);
+    });
+
+    it('limits the number of rows', async () => {
+        const file = { originalname: 'students.csv', buffer: Buffer.from('name\na\nb\nc\n') };
+        await assert.rejects(SpreadsheetService.readRows(file, { maxRows: 2 }), /at most 2 can be imported/);
+    });
+});
+
+describe('StudentImportService.mapColumns', () => {
+    it('accepts header aliases and reports missing required columns', () => {
+        const { mapping, missing } = StudentImportService.mapColumns(['fullname', 'emailaddress', 'studentno', 'dept']);
+
+        assert.deepEqual(mapping, { name: 'fullname', email: 'emailaddress', studentNumber: 'studentno', departmentCode: 'dept' });
+        assert.deepEqual(missing, ['groupCode']);
+    });
+});
+
+describe('StudentImportService.validateRows', () => {
+    const department = { _id: id(), code: 'CS' };
+    const group = { _id: id(), code: 'CS1A', department: department._id, year: 1, capacity: 2, isArchived: false };
+    const { mapping } = StudentImportService.mapColumns(['name', 'email', 'studentnumber', 'departmentcode', 'groupcode']);
+    const row = (rowNumber, values) => ({
+        rowNumber,
+        values: { name: 'Student', departmentcode: 'cs', groupcode: 'cs1a', ...values }
+    });
+
+    beforeEach(() => {
+        mock.method(Department, 'find', () => mockQuery([department]));
+        mock.method(Group, 'find', () => mockQuery([group]));
+        mock.method(User, 'distinct', async () => ['taken@uni.edu']);
+        mock.method(Student, 'distinct', async () => ['S-9']);
+        mock.method(Student, 'aggregate', async () => [{ _id: group._id, count: 1 }]);
+    });
+
+    it('accepts a valid row and fills in the year from its group', async () => {
+        const [record] = await StudentImportService.validateRows([row(2, { email: 'New@Uni.edu', studentnumber: 'S-1' })], mapping);
+
+        assert.deepEqual(record.errors, []);
+        assert.equal(record.email, 'new@uni.edu');
+        assert.equal(record.year, 1);
+        assert.equal(record.group, group._id);
+    });
+
+    it('reports taken and repeated identifiers and a full group', async () => {
+        const records = await StudentImportService.validateRows([
+            row(2, { email: 'taken@uni.edu', studentnumber: 'S-9' }),
+            row(3, { email: 'a@uni.edu', studentnumber: 'S-1' }),
+            row(4, { email: 'a@uni.edu', studentnumber: 'S-1' }),
+            row(5, { email: 'b@uni.edu', studentnumber: 'S-2' })
+        ], mapping);
+
+        assert.deepEqual(records[0].errors, [
+            'An account with this email already exists',
+            'A student with this student number already exists'
+        ]);
+        assert.deepEqual(records[1].errors, []);
+        assert.deepEqual(records[2].errors, ['Email is repeated from row 3', 'Student number is repeated from row 3']);
+        assert.deepEqual(records[3].errors, ['Group CS1A is full (capacity 2)']);
+    });
+});
+
+describe('StudentImportService.createStudents', () => {
+    const record = (values) => ({
+        rowNumber: 2,
+        name: 'Student',
+        email: 'student@uni.edu',
+        studentNumber: 'S-1',
+        year: 1,
+        department: id(),
+        group: id(),
+        errors: [],
+        ...values
+    });
+
+    let accounts;
+
+    beforeEach(() => {
+        accounts = [];
+        mock.method(AccountService, 'createAccount', async (role, profileData, password, userData) => {
+            accounts.push({ password, userData });
+            return { user: { _id: id(), role }, profile: { _id: profileData._id, name: profileData.name } };
+        });
+    });
+
+    it('emails a set-password link to students imported without a password', async () => {
+        const setupLink = mock.method(PasswordResetService, 'sendSetupLink', async () => {});
+        const created = mock.method(NotificationService, 'accountCreated', async () => {});
+
+        const [result] = await StudentImportService.createStudents([record({ password: '' })]);
+
+        assert.equal(result.setupLinkSent, true);
+        assert.equal('temporaryPassword' in result, false);
+        assert.deepEqual(accounts[0].userData, { mustChangePassword: true });
+        assert.equal(accounts[0].password.length, 64);
+        assert.equal(setupLink.mock.callCount(), 1);
+        assert.equal(setupLink.mock.calls[0].arguments[0].profile.name, 'Student');
+        assert.equal(created.mock.callCount(), 0);
+    });
+
+    it('uses the password from the file when there is one', async () => {
+        const setupLink = mock.method(PasswordResetService, 'sendSetupLink', async () => {});
+        const created = mock.method(NotificationService, 'accountCreated', async () => {});
+
+        const [result] = await StudentImportService.createStudents([record({ password: 'secret1' })]);
+
+        assert.equal(result.setupLinkSent, false);
+        assert.deepEqual(accounts[0], { password: 'secret1', userData: { mustChangePassword: false } });
+        assert.equal(setupLink.mock.callCount(), 0);
+        assert.equal(created.mock.callCount(), 1);
+    });
+
+    it('reports duplicate key failures per row', async () => {
+        mock.method(AccountService, 'createAccount', async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+
+        const [result] = await StudentImportService.createStudents([record({ password: 'secret1' })]);
+
+        assert.equal(result.failed, true);
+        assert.deepEqual(result.errors, ['An account with this email or a student with this number already exists']);
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { runInTransaction } = require('../utils/transaction');
+
+afterEach(() => mock.restoreAll());
+
+const fakeSession = (withTransaction) => {
+    const session = { ended: false, withTransaction, endSession: async () => { session.ended = true; } };
+    mock.method(mongoose, 'startSession', async () => session);
+    return session;
+};
+
+describe('runInTransaction', () => {
+    it('runs the work in a transaction and returns its result', async () => {
+        const session = fakeSession(async work => work());
+
+        const result = await runInTransaction(async dbSession => {
+            assert.equal(dbSession, session);
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.equal(session.ended, true);
+    });
+
+    it('runs the work once without a session on a standalone server', async () => {
+        mock.method(console, 'warn', () => {});
+        const session = fakeSession(async () => {
+            throw Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 });
+        });
+        const sessions = [];
+
+        const result = await runInTransaction(async dbSession => {
+            sessions.push(dbSession);
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.deepEqual(sessions, [null]);
+        assert.equal(session.ended, true);
+    });
+
+    it('passes other errors on', async () => {
+        const session = fakeSession(async work => work());
+
+        await assert.rejects(runInTransaction(async () => { throw new Error('write failed'); }), /write failed/);
+        assert.equal(session.ended, true);
+    });
+});
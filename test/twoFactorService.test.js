@@ -0,0 +1,202 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User, TwoFactorChallenge } = require('../models');
+const TwoFactorService = require('../services/twoFactorService');
+const TwoFactorController = require('../controllers/twoFactorController');
+const { mockQuery, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// RFC 6238 appendix B test secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const savedKey = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+
+before(() => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-two-factor-key';
+});
+
+after(() => {
+    if (savedKey === undefined) delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    else process.env.TWO_FACTOR_ENCRYPTION_KEY = savedKey;
+});
+
+afterEach(() => mock.restoreAll());
+
+const at = seconds => mock.method(Date, 'now', () => seconds * 1000);
+
+describe('TwoFactorService codes', () => {
+    it('round-trips base32', () => {
+        assert.equal(TwoFactorService.base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+        assert.equal(TwoFactorService.base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+        assert.throws(() => TwoFactorService.base32Decode('not base32!'), /Invalid base32 secret/);
+    });
+
+    it('matches the RFC 6238 SHA-1 test vectors', () => {
+        const codeAt = seconds => TwoFactorService.generateCode(RFC_SECRET, TwoFactorService.currentStep(seconds * 1000));
+
+        assert.equal(codeAt(59), '287082');
+        assert.equal(codeAt(1111111109), '081804');
+        assert.equal(codeAt(1234567890), '005924');
+        assert.equal(codeAt(2000000000), '279037');
+    });
+
+    it('accepts codes from one step either side', () => {
+        at(1234567890);
+        const step = TwoFactorService.currentStep();
+
+        assert.equal(TwoFactorService.matchCode(RFC_SECRET, '005924'), step);
+        assert.equal(TwoFactorService.matchCode(RFC_SECRET, TwoFactorService.generateCode(RFC_SECRET, step - 1)), step - 1);
+        assert.equal(TwoFactorService.matchCode(RFC_SECRET, TwoFactorService.generateCode(RFC_SECRET, step + 1)), step + 1);
+        assert.equal(TwoFactorService.matchCode(RFC_SECRET, TwoFactorService.generateCode(RFC_SECRET, step + 2)), null);
+    });
+
+    it('refuses a code from a step already used', () => {
+        at(1234567890);
+        const step = TwoFactorService.currentStep();
+
+        assert.equal(TwoFactorService.matchCode(RFC_SECRET, '005924', { afterStep: step }), null);
+    });
+
+    it('refuses malformed codes', () => {
+        at(1234567890);
+        assert.equal(TwoFactorService.matchCode(RFC_SECRET, '5924'), null);
+        assert.equal(TwoFactorService.matchCode(RFC_SECRET, 'abcdef'), null);
+        assert.equal(TwoFactorService.matchCode(RFC_SECRET, '005 924'), TwoFactorService.currentStep());
+    });
+});
+
+describe('TwoFactorService secrets', () => {
+    it('encrypts secrets at rest', () => {
+        const stored = TwoFactorService.encryptSecret(RFC_SECRET);
+
+        assert.equal(stored.includes(RFC_SECRET), false);
+        assert.notEqual(TwoFactorService.encryptSecret(RFC_SECRET), stored);
+        assert.equal(TwoFactorService.decryptSecret(stored), RFC_SECRET);
+    });
+
+    it('detects tampering', () => {
+        const [iv, tag, encrypted] = TwoFactorService.encryptSecret(RFC_SECRET).split(':');
+        const flipped = (encrypted[0] === '0' ? '1' : '0') + encrypted.slice(1);
+        assert.throws(() => TwoFactorService.decryptSecret([iv, tag, flipped].join(':')));
+    });
+
+    it('builds an enrollment link for authenticator apps', () => {
+        const url = new URL(TwoFactorService.buildOtpauthUrl('dr.ali@uni.edu', RFC_SECRET));
+
+        assert.equal(url.protocol, 'otpauth:');
+        assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(url.searchParams.get('digits'), '6');
+        assert.equal(url.searchParams.get('period'), '30');
+    });
+
+    it('keeps only hashes of the recovery codes', () => {
+        const { codes, stored } = TwoFactorService.generateRecoveryCodes();
+
+        assert.equal(codes.length, 10);
+        assert.match(codes[0], /^[0-9A-F]{5}-[0-9A-F]{5}$/);
+        assert.equal(stored[0].hash, TwoFactorService.hashRecoveryCode(codes[0].toLowerCase().replace('-', ' ')));
+        assert.equal(stored[0].usedAt, null);
+    });
+});
+
+describe('TwoFactorService.verify', () => {
+    const enrolledUser = (lastUsedStep) => ({
+        _id: id(),
+        twoFactor: { enabled: true, secret: TwoFactorService.encryptSecret(RFC_SECRET), lastUsedStep }
+    });
+
+    it('claims the code\'s step so it works once', async () => {
+        at(1234567890);
+        const user = enrolledUser(0);
+        mock.method(User, 'findById', () => mockQuery(user));
+        const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+        assert.deepEqual(await TwoFactorService.verify(user._id, { code: '005924' }), { valid: true });
+
+        const [filter, change] = update.mock.calls[0].arguments;
+        const step = TwoFactorService.currentStep();
+        assert.deepEqual(filter.$or[0], { 'twoFactor.lastUsedStep': { $lt: step } });
+        assert.deepEqual(change, { $set: { 'twoFactor.lastUsedStep': step } });
+    });
+
+    it('loses to a concurrent request with the same code', async () => {
+        at(1234567890);
+        const user = enrolledUser(0);
+        mock.method(User, 'findById', () => mockQuery(user));
+        mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+        assert.deepEqual(await TwoFactorService.verify(user._id, { code: '005924' }), { valid: false });
+    });
+
+    it('uses up a recovery code', async () => {
+        const user = enrolledUser();
+        mock.method(User, 'findById', () => mockQuery(user));
+        const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+        const result = await TwoFactorService.verify(user._id, { recoveryCode: 'abcde-12345' });
+
+        assert.deepEqual(result, { valid: true, usedRecoveryCode: true });
+        const [filter] = update.mock.calls[0].arguments;
+        assert.deepEqual(filter['twoFactor.recoveryCodes'].$elemMatch, { hash: TwoFactorService.hashRecoveryCode('ABCDE12345'), usedAt: null });
+    });
+
+    it('fails for accounts without two-factor', async () => {
+        mock.method(User, 'findById', () => mockQuery({ _id: id(), twoFactor: { enabled: false } }));
+        assert.deepEqual(await TwoFactorService.verify(id(), { code: '005924' }), { valid: false });
+    });
+});
+
+describe('TwoFactorService challenges', () => {
+    it('stores only the token hash', async () => {
+        const created = mock.method(TwoFactorChallenge, 'create', async data => data);
+
+        const { token } = await TwoFactorService.createChallenge({ _id: id() }, 'verify', { rememberMe: true });
+
+        const stored = created.mock.calls[0].arguments[0];
+        assert.equal(stored.tokenHash, TwoFactorService.hashToken(token));
+        assert.equal(stored.purpose, 'verify');
+        assert.equal(stored.rememberMe, true);
+    });
+
+    it('completes one login per challenge', async () => {
+        mock.method(TwoFactorChallenge, 'updateOne', async () => ({ modifiedCount: 0 }));
+        assert.equal(await TwoFactorService.consumeChallenge({ _id: id() }), false);
+    });
+
+    it('finds open challenges only', async () => {
+        const found = mock.method(TwoFactorChallenge, 'findOne', async () => null);
+
+        assert.equal(await TwoFactorService.findChallenge(undefined, 'verify'), null);
+        await TwoFactorService.findChallenge('token', 'setup');
+
+        const [filter] = found.mock.calls[0].arguments;
+        assert.equal(filter.usedAt, null);
+        assert.deepEqual(filter.attempts, { $lt: 5 });
+    });
+});
+
+describe('TwoFactorController.disable', () => {
+    it('is refused where the policy requires two-factor', async () => {
+        mock.method(TwoFactorService, 'isRequired', async () => true);
+        const res = mockResponse();
+
+        await TwoFactorController.disable({ body: { password: 'x', code: '123456' }, user: { userId: id(), role: 'admin' } }, res);
+
+        assert.equal(res.statusCode, 403);
+    });
+
+    it('needs the password as well as a code', async () => {
+        mock.method(TwoFactorService, 'isRequired', async () => false);
+        mock.method(User, 'findById', async () => ({ _id: id(), twoFactor: { enabled: true }, comparePassword: async () => false }));
+        const disabled = mock.method(TwoFactorService, 'disable', async () => {});
+        const res = mockResponse();
+
+        await TwoFactorController.disable({ body: { password: 'wrong', code: '123456' }, user: { userId: id(), role: 'doctor' } }, res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Password is incorrect');
+        assert.equal(disabled.mock.callCount(), 0);
+    });
+});
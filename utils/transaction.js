@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run work inside a MongoDB transaction
+ * Standalone servers do not support transactions; there the work runs once without a session.
+ * @param {Function} work - Async function receiving the client session (or null)
+ * @returns {Promise<*>} - Result of the work
+ */
+const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } catch (error) {
+        // IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos"
+        if (error.code === 20 || /replica set/i.test(error.message)) {
+            console.warn('MongoDB transactions are unavailable, running without a transaction');
+            return work(null);
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    runInTransaction
+};
@@ -0,0 +1,77 @@
+const { body, query } = require('express-validator');
+const AttendancePolicyService = require('../services/attendancePolicyService');
+
+// Validation rules shared by several route files
+
+// Attendance policy networks; the same parser decides what a scan's address is matched against
+const attendancePolicyValidation = [
+    body('allowedNetworks')
+        .optional()
+        .isArray()
+        .withMessage('Allowed networks must be an array of CIDR ranges'),
+    body('allowedNetworks.*')
+        .custom(value => Boolean(AttendancePolicyService.parseCidr(value)))
+        .withMessage('Each allowed network must be an IP address or CIDR range such as 10.0.0.0/8')
+];
+
+// Weekly schedule slot, for group and doctor schedules; `required` is false for partial updates
+const scheduleSlotValidation = (required = true) => {
+    const field = name => (required ? body(name) : body(name).optional());
+
+    return [
+        field('subject')
+            .trim()
+            .isLength({ min: 2, max: 200 })
+            .withMessage('Subject must be between 2 and 200 characters'),
+        field('weekday')
+            .isInt({ min: 0, max: 6 })
+            .withMessage('Weekday must be between 0 (Sunday) and 6 (Saturday)')
+            .toInt(),
+        field('startTime')
+            .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+            .withMessage('Start time must be in HH:mm format'),
+        field('endTime')
+            .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+            .withMessage('End time must be in HH:mm format'),
+        field('term')
+            .isMongoId()
+            .withMessage('Valid academic term ID is required'),
+        body('course')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid course ID is required'),
+        body('room')
+            .optional()
+            .trim()
+            .isLength({ max: 50 })
+            .withMessage('Room must not exceed 50 characters'),
+        body('gracePeriodMinutes')
+            .optional()
+            .isInt({ min: 0, max: 180 })
+            .withMessage('Grace period must be between 0 and 180 minutes')
+            .toInt(),
+        body('cutoffMinutes')
+            .optional()
+            .isInt({ min: 0, max: 600 })
+            .withMessage('Cutoff must be between 0 and 600 minutes')
+            .toInt()
+    ];
+};
+
+// Filters of a weekly schedule listing
+const scheduleQueryValidation = [
+    query('term')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid academic term ID is required'),
+    query('weekday')
+        .optional()
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Weekday must be between 0 (Sunday) and 6 (Saturday)')
+];
+
+module.exports = {
+    attendancePolicyValidation,
+    scheduleSlotValidation,
+    scheduleQueryValidation
+};